@@ -1,3 +1,11 @@
+const { EventEmitter } = require('events')
+const { createReadStream, createWriteStream, promises: fs } = require('fs')
+const path = require('path')
+const { performance } = require('perf_hooks')
+const { isDeepStrictEqual } = require('util')
+const readline = require('readline')
+const { Readable } = require('stream')
+const { pipeline } = require('stream/promises')
 const {
 	DynamoDBClient,
 	GetItemCommand,
@@ -8,14 +16,127 @@ const {
 	ScanCommand,
 	UpdateItemCommand,
 	DeleteItemCommand,
+	TransactWriteItemsCommand,
+	TransactGetItemsCommand,
+	CreateTableCommand,
+	DescribeTableCommand,
+	UpdateTableCommand,
+	DeleteTableCommand,
+	ConditionalCheckFailedException,
+	DynamoDBServiceException,
 } = require('@aws-sdk/client-dynamodb')
+const { unmarshall } = require('@aws-sdk/util-dynamodb')
+const MemoryBackend = require('./MemoryBackend')
+const Entity = require('./Entity')
+const { LockManager } = require('./lock')
+const { Counter } = require('./counter')
+const errors = require('./errors')
+const {
+	HttpError,
+	ValidationError,
+	NotFoundError,
+	ConditionFailedError,
+	VersionConflictError,
+	ConflictError,
+	TransactionCancelledError,
+	UniqueConstraintError,
+	TimeoutError,
+	fromAwsError,
+} = errors
+const { createMarshaller } = require('./marshalling')
+const { encodeCursor, decodeCursor } = require('./cursor')
+const { DEFAULT_BATCH_OPTIONS, chunk, mapConcurrent, sleep, backoffDelay, retryUnprocessed } = require('./batching')
+const expressions = require('./expressionBuilder')
+const { createLogger } = require('./logging')
+const { CAPACITY_OPERATIONS, tablesOf, countItems, capacityUnits, MetricsCollector } = require('./metrics')
+const { ItemCache, MemoryStore, cacheKey } = require('./cache')
+const { RateLimiter, ndjsonLine, csvRow, exportFormat } = require('./scanning')
+const patching = require('./patch')
+const uniqueness = require('./unique')
+const deletion = require('./softDelete')
+const { parseTableNames, TableRouter } = require('./namespacing')
+const { BACKUP_VERSION, MANIFEST_FILE, CHECKPOINT_FILE, dataFileName, tableDefinition, encodeItem, decodeItem } = require('./backup')
 
-class HttpError extends Error {
-	constructor(message, statusCode) {
-		super(message)
-		this.statusCode = statusCode
-		this.name = this.constructor.name
-	}
+const MAX_BATCH_GET_KEYS = 100 // DynamoDB limit of keys per BatchGetItem request
+const MAX_BATCH_WRITE_REQUESTS = 25 // DynamoDB limit of requests per BatchWriteItem request
+const DEFAULT_VERSION_ATTRIBUTE = 'version'
+// Status codes of failed conditions, by method. 412 suits APIs that pass preconditions in If-Match headers
+const DEFAULT_CONDITIONAL_FAILURES = { set: 409, update: 404, delete: 404, transactWrite: 409 }
+const DEFAULT_WAIT_OPTIONS = { timeout: 300000, interval: 2000 } // How long and how often waiters poll DescribeTable, in milliseconds
+const DEFAULT_SCAN_SEGMENTS = 4 // Segments of a parallel scan
+const DEFAULT_BACKUP_FILE_ITEMS = 100000 // Items per data file of a backup
+const DEFAULT_RESTORE_BATCH_SIZE = 100 // Items read from a backup before they are written and the checkpoint saved
+// Message of the ValidationException of updates setting an attribute of a map that doesn't exist
+const MISSING_MAP_ERROR = /document path provided in the update expression is invalid/
+const WRITE_COMMANDS = { Put: PutItemCommand, Update: UpdateItemCommand, Delete: DeleteItemCommand }
+
+/**
+ * Pick the status code of a cancelled transaction from the reasons of its failed operations.
+ *
+ * @param {Array<Object>} reasons - The failed operations, with their cancellation `code`.
+ * @param {number} conditionStatus - The status code of failed conditions.
+ * @returns {number} - The status of failed conditions, 409 for conflicts, 429 for throttling, 400 for invalid operations, 500 otherwise.
+ */
+function transactionStatus(reasons, conditionStatus) {
+	const codes = reasons.map((reason) => reason.code)
+	if (codes.includes('ConditionalCheckFailed')) return conditionStatus
+	if (codes.includes('TransactionConflict')) return 409
+	if (codes.some((code) => ['ThrottlingError', 'ProvisionedThroughputExceeded', 'RequestLimitExceeded'].includes(code))) return 429
+	if (codes.includes('ValidationError')) return 400
+	return 500
+}
+
+/**
+ * Build the ExpressionAttributeNames for a hand-written filter from the keys of its values (`:name` becomes `#name`).
+ * Only the placeholders the filter actually uses are kept, since DynamoDB rejects unused ones.
+ *
+ * @param {string} filter - The FilterExpression.
+ * @param {Object} filterValues - The values used by the filter.
+ * @returns {Object} - The attribute names.
+ */
+function filterAttributeNames(filter, filterValues) {
+	const attributeNames = {}
+	Object.keys(filterValues).forEach((key) => {
+		const placeholder = `#${key.slice(1)}`
+		if (new RegExp(`${placeholder}(?![A-Za-z0-9_])`).test(filter)) {
+			attributeNames[placeholder] = key.slice(1)
+		}
+	})
+	return attributeNames
+}
+
+/**
+ * Read a version number stored either as a native number or as an AttributeValue.
+ *
+ * @param {number|Object|undefined} value - The version.
+ * @returns {number|undefined} - The version number, undefined when there is none.
+ */
+function versionNumber(value) {
+	if (value === undefined || value === null) return undefined
+	return Number(value.N !== undefined ? value.N : value)
+}
+
+// Key schemas and projections, in a form that can be compared regardless of the order DynamoDB lists them in
+function indexShape({ KeySchema, Projection = {} }) {
+	return JSON.stringify({
+		keys: KeySchema.map((key) => [key.AttributeName, key.KeyType]),
+		projection: Projection.ProjectionType || 'ALL',
+		attributes: [...(Projection.NonKeyAttributes || [])].sort(),
+	})
+}
+
+/**
+ * Create the client that commands are sent to.
+ *
+ * @param {string|Object} backend - 'aws', 'memory', or an object with a `send(command)` method.
+ * @param {Object} clientConfig - Configuration object for the AWS DynamoDB client.
+ * @returns {Object} - The client.
+ */
+function createClient(backend, clientConfig) {
+	if (backend && typeof backend.send === 'function') return backend
+	if (backend === 'memory') return new MemoryBackend()
+	if (backend === 'aws') return new DynamoDBClient(clientConfig)
+	throw new Error(`Unknown DynamoDB backend: ${backend}`)
 }
 
 class DynamoDB {
@@ -23,402 +144,2457 @@ class DynamoDB {
 	 * Constructor to initialize DynamoDB client with configuration and optional dev flag.
 	 *
 	 * @param {Object} dbconfig - Configuration object for DynamoDB client.
-	 * @param {boolean} dev - Flag to enable or disable development mode (logging, etc.).
+	 * @param {string|Object} [dbconfig.backend='aws'] - Backend to send commands to: 'aws', 'memory', or any object with a `send(command)` method (e.g. a MemoryBackend).
+	 * @param {boolean|Object} [dbconfig.marshall=false] - Accept and return native JavaScript values instead of AttributeValue maps. See createMarshaller for the options.
+	 * @param {Object} [dbconfig.batch] - Defaults for batchGet and batchWrite: concurrency, maxRetries, baseDelay and maxDelay (in milliseconds).
+	 * @param {Object} [dbconfig.versioning] - Tables using optimistic locking, mapped to their version attribute or to `true` for 'version'.
+	 * @param {Object} [dbconfig.conditionalFailures] - Status codes of failed conditions by method (set, update, delete, transactWrite): 409 for set and
+	 * transactWrite and 404 for update and delete by default.
+	 * @param {Object} [dbconfig.logger] - Structured logger with debug, info, warn and error methods, called as `(message, fields)`.
+	 * It is not passed on to the AWS SDK client; give a DynamoDBClient as backend to configure its logger.
+	 * @param {Array<Object>} [dbconfig.middleware] - Hooks run around every request, see use().
+	 * @param {string} [dbconfig.consumedCapacity='TOTAL'] - ReturnConsumedCapacity of the requests that support it: 'TOTAL', 'INDEXES' or 'NONE'.
+	 * @param {boolean|Object} [dbconfig.cache=false] - Serve get and batchGet from a read-through cache: `true` for the defaults, or its options
+	 * (ttl, maxEntries, store, tables, keys). See ItemCache.
+	 * @param {Object} [dbconfig.unique] - Unique constraints by table, as `{ keys, fields, table, partitionKey }`: the key attributes of the
+	 * table, the attributes whose values must be unique, and the table holding their guard items, whose partition key attribute is a
+	 * string ('id' by default). See sendWrite.
+	 * @param {Object} [dbconfig.softDelete] - Tables whose deletes mark items with a timestamp instead of removing them, mapped to `true` or
+	 * to `{ attribute, ttlAttribute, retention, previousTtlAttribute }`: the timestamp attribute ('deletedAt'), the TTL attribute of the
+	 * table, the time in seconds deleted items are kept before their TTL expires, and the attribute keeping the TTL the retention replaced
+	 * ('previousTtl'). Reads hide deleted items, and items past their TTL. See delete.
+	 * @param {string|Object} [dbconfig.tableNames] - How the table names methods take map to the tables requests are sent to: a prefix, or
+	 * `{ prefix, suffix, aliases }`, e.g. `{ prefix: 'dev-', aliases: { users: 'users-v2' } }` sends the requests of users to dev-users-v2.
+	 * Every other option keeps using the names methods take.
+	 * @param {Function} [dbconfig.tenantResolver] - Routes the requests of the instances returned by forTenant, called as `(tenant, table)`
+	 * for every table: returns `{ table }` for a table of the tenant, prefixed and suffixed like any other, `{ partitionKey, prefix }`
+	 * to prefix the string partition key attribute of a shared table, or null to use the table as it is. See TableRouter.
+	 * @param {boolean} dev - Flag to enable or disable development mode: logs to the console when no logger is given.
 	 */
 	constructor(dbconfig = {}, dev = false) {
-		this.client = new DynamoDBClient(dbconfig) // Initialize the DynamoDB client
+		const {
+			backend = 'aws',
+			marshall = false,
+			batch = {},
+			versioning = {},
+			conditionalFailures = {},
+			logger = null,
+			middleware = [],
+			consumedCapacity = 'TOTAL',
+			cache = false,
+			unique = {},
+			softDelete = {},
+			tableNames = {},
+			tenantResolver = null,
+			...clientConfig
+		} = dbconfig
+
+		this.client = createClient(backend, clientConfig) // Initialize the DynamoDB client or the selected backend
+		this.marshaller = createMarshaller(marshall) // Converts native values to AttributeValues when marshalling is enabled
+		this.batchOptions = { ...DEFAULT_BATCH_OPTIONS, ...batch } // Chunking and retry settings of batch operations
+		this.versioning = versioning // Version attribute of the tables using optimistic locking
+		this.conditionalFailures = { ...DEFAULT_CONDITIONAL_FAILURES, ...conditionalFailures } // Status codes of failed conditions
 		this.dev = dev // Flag to enable or disable development-specific behavior
+		this.logger = createLogger(logger, dev) // Structured logger, silent unless given or in dev mode
+		this.middleware = [...middleware] // Hooks run around every request
+		this.consumedCapacity = consumedCapacity // ReturnConsumedCapacity added to the requests that support it
+		this.metrics = new MetricsCollector() // Totals of the requests, by table and operation
+		this.events = new EventEmitter() // Emits a 'metrics' event with the sample of every request
+		this.cache = cache ? new ItemCache(cache, this.logger) : null // Items read by get and batchGet, kept up to date by writes
+		// Tables whose deletes mark items instead of removing them, and whose reads hide deleted and expired items
+		this.softDelete = Object.fromEntries(Object.entries(softDelete).map(([table, settings]) => [table, deletion.parseSoftDelete(settings)]))
+		// Unique constraints of the tables, enforced by set, update, patch and delete, and released by soft deletes
+		this.unique = Object.fromEntries(
+			Object.entries(unique).map(([table, constraint]) => [table, uniqueness.parseConstraint(table, constraint, this.softDelete[table])])
+		)
+		this.router = new TableRouter(parseTableNames(tableNames), tenantResolver) // Maps table names to the tables requests are sent to
 	}
 
 	/**
-	 * Set an item in a DynamoDB table.
+	 * Get an instance making its requests for a tenant, routed by the tenantResolver option. It shares the client, the settings,
+	 * the middleware and the metrics of this instance, while its cached items are kept apart from those of other tenants.
 	 *
-	 * @param {string} table - The name of the DynamoDB table.
-	 * @param {Object} item - The item to store in the table.
-	 * @param {string|null} condition - Optional condition expression for conditional writes.
-	 * @returns {Promise<Object>} - The item that was successfully added to the table.
-	 * @throws {HttpError} - Throws HttpError if there is an error or the item already exists.
+	 * @param {string} tenant - The tenant, e.g. its id.
+	 * @returns {DynamoDB} - The instance of the tenant, with the same methods.
+	 * @throws {TypeError} - Throws if there is no tenant resolver.
 	 */
-	async set(table, item, condition = null) {
-		const params = {
-			TableName: table,
-			Item: item,
+	forTenant(tenant) {
+		const scoped = Object.create(this)
+		scoped.router = this.router.forTenant(tenant)
+		scoped.cache = this.cache && this.cache.scoped(tenant)
+		return scoped
+	}
+
+	/**
+	 * Register hooks run around every request sent to DynamoDB. Each hook receives the request context: `operation`
+	 * (e.g. 'Query'), `tables`, and `input`, which beforeRequest may change. afterResponse also gets `output`, onError gets
+	 * `error`, and both get `latency` in milliseconds. Hooks may be async and run in the order they were registered.
+	 *
+	 * @param {Object} middleware - The hooks: `beforeRequest`, `afterResponse` and `onError`, all optional.
+	 * @returns {Function} - Removes the hooks.
+	 */
+	use(middleware) {
+		this.middleware.push(middleware)
+		return () => {
+			// Removed in place, since the instances of tenants share the hooks
+			const index = this.middleware.indexOf(middleware)
+			if (index !== -1) this.middleware.splice(index, 1)
+		}
+	}
+
+	/**
+	 * Send a command to DynamoDB through the middleware, and record its metrics. Every request of the class goes through here.
+	 * Table names are mapped to physical ones (see the tableNames and tenantResolver options) before the hooks run, and back in the
+	 * output returned and in the items of errors.
+	 *
+	 * The sample recorded for each request has the `operation`, `table` (the physical name, comma-separated for multi-table requests),
+	 * `latency` in milliseconds, `consumedCapacity` in capacity units, `items` read or written, `retries` made by the SDK,
+	 * `retry`, the number of the batch retry that sent it (0 for a first attempt), `requestId` and `error`, if any.
+	 * It is emitted as a 'metrics' event and added to the totals of getMetrics().
+	 *
+	 * @param {Object} command - A command from @aws-sdk/client-dynamodb.
+	 * @param {Object} [meta={}] - Extra context for the hooks and the sample, e.g. `{ retry: 1 }`.
+	 * @returns {Promise<Object>} - The command output.
+	 * @throws {Error} - Throws the error of the client or of a hook.
+	 */
+	async send(command, meta = {}) {
+		const operation = command.constructor.name.replace(/Command$/, '')
+		if (this.consumedCapacity !== 'NONE' && CAPACITY_OPERATIONS.includes(operation) && !command.input.ReturnConsumedCapacity) {
+			command.input.ReturnConsumedCapacity = this.consumedCapacity
 		}
 
-		if (condition) {
-			params.ConditionExpression = condition
+		const { input, routes } = this.router.routeInput(operation, command.input)
+		const context = { ...meta, operation, tables: tablesOf(input), input }
+		for (const middleware of this.middleware) {
+			if (middleware.beforeRequest) await middleware.beforeRequest(context)
 		}
+		command.input = context.input // A hook may have replaced the input
 
+		const start = performance.now()
 		try {
-			const command = new PutItemCommand(params)
-			await this.client.send(command)
-			return item
+			context.output = await this.client.send(command)
 		} catch (error) {
-			if (error.name === 'ConditionalCheckFailedException') {
-				if (this.dev) console.log('Item already exists in database')
-				throw new HttpError('Item already exists in database', 409)
-			} else {
-				// Handle general errors
-				if (this.dev) console.log('Error setting item in database: ', error)
-				throw new HttpError('Error setting item in database', 500)
-			}
+			context.error = error
+		}
+		context.latency = performance.now() - start
+
+		const { output, error } = context
+		const metadata = (output || error).$metadata || {}
+		const sample = {
+			operation,
+			table: context.tables.join(','),
+			latency: context.latency,
+			consumedCapacity: output ? capacityUnits(output.ConsumedCapacity) : 0,
+			items: output ? countItems(operation, command.input, output) : 0,
+			retries: metadata.attempts ? metadata.attempts - 1 : 0,
+			retry: meta.retry || 0,
+			requestId: metadata.requestId,
+			error,
+		}
+		this.metrics.record(sample)
+		this.events.emit('metrics', sample)
+		this.logger.debug(`${operation} ${sample.table} ${error ? 'failed' : 'succeeded'}`, sample)
+
+		const hook = error ? 'onError' : 'afterResponse'
+		for (const middleware of this.middleware) {
+			if (middleware[hook]) await middleware[hook](context)
 		}
+
+		if (error) throw this.router.routeError(command.input, error, routes)
+		return this.router.routeOutput(command.input, output, routes)
 	}
 
 	/**
-	 * Get an item from a DynamoDB table by its key.
+	 * Get the totals of the requests sent so far, by table and operation.
 	 *
-	 * @param {string} table - The name of the DynamoDB table.
-	 * @param {Object} keys - The keys to identify the item in the table.
-	 * @returns {Promise<Object>} - The item retrieved from the table.
-	 * @throws {HttpError} - Throws HttpError if the item does not exist.
+	 * @returns {Array<Object>} - One entry per table and operation, see MetricsCollector#snapshot.
 	 */
-	async get(table, keys) {
-		const params = {
-			TableName: table, // DynamoDB table name
-			Key: keys, // Key to identify the item in the table
-		}
+	getMetrics() {
+		return this.metrics.snapshot()
+	}
 
-		try {
-			const command = new GetItemCommand(params) // Create GetItem command
-			const res = await this.client.send(command) // Send the command to DynamoDB
+	/**
+	 * Reset the totals returned by getMetrics().
+	 */
+	resetMetrics() {
+		this.metrics.reset()
+	}
 
-			if (!res.Item) {
-				// Handle case where the item is not found in the table
-				if (this.dev) console.log('Item not found in database')
-				throw new HttpError('Item not found in database', 404)
-			}
+	/**
+	 * Get the hit and miss statistics of the cache.
+	 *
+	 * @returns {Object|null} - The statistics, see ItemCache#stats, or null when the cache is disabled.
+	 */
+	getCacheStats() {
+		return this.cache && this.cache.stats()
+	}
 
-			return res.Item // Return the retrieved item
-		} catch (error) {
-			if (this.dev) console.log('Error getting item from database: ', error)
-			if (error instanceof HttpError) throw error
-			throw new HttpError('Error getting item from database', 500)
-		}
+	/**
+	 * Empty the cache and reset its statistics.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async clearCache() {
+		if (this.cache) await this.cache.clear()
 	}
 
 	/**
-	 * Get multiple items from a DynamoDB table in a batch request.
+	 * Get the cache to read a table through, unless the table is not cached or the call opts out.
 	 *
 	 * @param {string} table - The name of the DynamoDB table.
-	 * @param {Array} keys - An array of keys to identify the items in the table.
-	 * @param {string|null} projection - Optional projection expression to specify which attributes to retrieve.
-	 * @returns {Promise<Array>} - An array of items retrieved from the table.
-	 * @throws {HttpError} - Throws HttpError if there is an error retrieving the items.
+	 * @param {Object} options - The options of the read, with `cache: false` to bypass the cache.
+	 * @returns {ItemCache|null} - The cache, or null.
 	 */
-	async batchGet(table, keys, projection = null) {
-		const params = {
-			RequestItems: {
-				[table]: {
-					Keys: keys,
-				},
-			},
-		}
+	cacheFor(table, options) {
+		return this.cache && options.cache !== false && this.cache.caches(table) ? this.cache : null
+	}
 
-		if (projection) {
-			const attributeNames = {}
-			const placeholders = projection.split(',').map((attr) => {
-				const trimmedAttr = attr.trim()
-				const placeholder = `#${trimmedAttr}`
-				attributeNames[placeholder] = trimmedAttr
-				return placeholder
-			})
+	/**
+	 * Keep the cache up to date after a write: store the item as written when it is known, remove it otherwise.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} key - The key of the item, as AttributeValues. The whole item can be given instead.
+	 * @param {Object|null} [item=null] - The whole item after the write, as AttributeValues.
+	 * @returns {Promise<void>}
+	 */
+	async syncCache(table, key, item = null) {
+		if (!this.cache) return
+		if (item) await this.cache.set(table, item, this.cache.keyOf(table, key))
+		else await this.cache.invalidate(table, [key])
+	}
 
-			params.RequestItems[table].ProjectionExpression = placeholders.join(', ')
-			params.RequestItems[table].ExpressionAttributeNames = attributeNames
-		}
+	/**
+	 * Convert a batch write request to AttributeValues when marshalling is enabled.
+	 *
+	 * @param {Object} request - A PutRequest or DeleteRequest.
+	 * @returns {Object} - The request as sent to DynamoDB.
+	 */
+	toWriteRequest(request) {
+		if (request.PutRequest) return { PutRequest: { Item: this.marshaller.toItem(request.PutRequest.Item) } }
+		if (request.DeleteRequest) return { DeleteRequest: { Key: this.marshaller.toItem(request.DeleteRequest.Key) } }
+		return request
+	}
 
-		try {
-			const command = new BatchGetItemCommand(params)
-			const res = await this.client.send(command)
-			return res.Responses[table]
-		} catch (error) {
-			if (this.dev) console.log('Error getting batch items from database: ', error)
-			throw new HttpError('Error getting batch items from database', 500)
+	/**
+	 * Convert a batch write request returned by DynamoDB back to native values when marshalling is enabled.
+	 *
+	 * @param {Object} request - A PutRequest or DeleteRequest, as AttributeValues.
+	 * @returns {Object} - The request as the caller wrote it.
+	 */
+	fromWriteRequest(request) {
+		if (request.PutRequest) return { PutRequest: { Item: this.marshaller.fromItem(request.PutRequest.Item) } }
+		if (request.DeleteRequest) return { DeleteRequest: { Key: this.marshaller.fromItem(request.DeleteRequest.Key) } }
+		return request
+	}
+
+	/**
+	 * Add expressions to the command parameters. Builder expressions are compiled with placeholders shared across
+	 * the whole request, and their names and values are merged with the ones already in the parameters.
+	 *
+	 * @param {Object} params - The command parameters, updated in place.
+	 * @param {Object} fields - The expressions to add, keyed by parameter name (e.g. ConditionExpression). Empty entries are skipped.
+	 * @returns {Object} - The command parameters.
+	 */
+	compileExpressions(params, fields) {
+		const context = new expressions.ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+
+		Object.entries(fields).forEach(([field, expression]) => {
+			if (!expression) return
+			params[field] = expressions.isExpression(expression) ? expression.build(context) : expression
+		})
+
+		if (Object.keys(context.names).length) {
+			params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...context.names }
 		}
+		if (Object.keys(context.values).length) {
+			params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...this.marshaller.toItem(context.values) }
+		}
+
+		return params
 	}
 
 	/**
-	 * Write multiple items to a DynamoDB table in a batch request.
+	 * Resolve the version attribute of a write, from the per-call setting or else the table setting.
 	 *
 	 * @param {string} table - The name of the DynamoDB table.
-	 * @param {Array} requests - A list of request objects containing the items to be written.
-	 * @returns {Promise<Object>} - The result of the batch write operation.
-	 * @throws {HttpError} - Throws HttpError if there is an error writing the items.
+	 * @param {boolean|string} [versioning] - The per-call setting: false to disable, true for the default attribute, or the attribute name.
+	 * @returns {string|null} - The version attribute, or null when the write is not versioned.
 	 */
-	async batchWrite(table, requests) {
-		const params = {
-			RequestItems: {
-				[table]: requests,
-			},
-		}
+	versionAttribute(table, versioning = this.versioning[table]) {
+		if (!versioning) return null
+		return versioning === true ? DEFAULT_VERSION_ATTRIBUTE : versioning
+	}
 
-		try {
-			const command = new BatchWriteItemCommand(params) // Create BatchWriteItem command
-			const res = await this.client.send(command) // Send the command to DynamoDB
+	/**
+	 * Add the increment of the version attribute to an update, in the SET clause it may already have.
+	 *
+	 * @param {string|Update} update - The update expression.
+	 * @param {string} attribute - The version attribute.
+	 * @param {number|undefined} expected - The version the item must have.
+	 * @returns {Update} - The update, incrementing the version.
+	 */
+	incrementVersion(update, attribute, expected) {
+		const version = (expected || 0) + 1
+		return expressions.toUpdate(update).set([attribute], this.marshaller.enabled ? version : { N: String(version) })
+	}
 
-			if (res.UnprocessedItems[table]) {
-				if (this.dev) console.log('Unprocessed items:', res.UnprocessedItems[table])
-				throw new HttpError(`Items unprocessed during the batch writing`, 500)
-			} else {
-				if (this.dev) console.log('All items processed successfully')
-			}
+	/**
+	 * Add optimistic locking to already compiled command parameters: the stored version must be the expected one, or be
+	 * missing when no version is expected. Updates increment it with incrementVersion. The current item is returned
+	 * on failure to tell a version conflict apart from the caller's own condition failing.
+	 *
+	 * @param {Object} params - The command parameters, updated in place.
+	 * @param {string} attribute - The version attribute.
+	 * @param {number|undefined} expected - The version the item must have.
+	 * @returns {Object} - The command parameters.
+	 */
+	addVersionCondition(params, attribute, expected) {
+		const context = new expressions.ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+		const name = context.name(attribute)
+		const check = expected === undefined ? `attribute_not_exists(${name})` : `${name} = ${context.value({ N: String(expected) })}`
+		params.ConditionExpression = params.ConditionExpression ? `(${params.ConditionExpression}) AND ${check}` : check
+		params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...context.names }
+		if (Object.keys(context.values).length) params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...context.values }
+		params.ReturnValuesOnConditionCheckFailure = 'ALL_OLD'
+		return params
+	}
 
-			return res
-		} catch (error) {
-			if (this.dev) console.log('Error batch writing items in database: ', error)
-			if (error instanceof HttpError) throw error
-			throw new HttpError('Error batch writing items in database', 500)
-		}
+	/**
+	 * Turn a failed condition of a versioned write into a VersionConflictError, when the version is what failed.
+	 *
+	 * @param {Error} error - The error of the write.
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {string|null} attribute - The version attribute, null for writes that are not versioned.
+	 * @param {number|undefined} expected - The version the write expected.
+	 * @returns {VersionConflictError|null} - The conflict, or null if the error is not a version conflict.
+	 */
+	versionConflict(error, table, attribute, expected) {
+		if (!attribute || error.name !== 'ConditionalCheckFailedException') return null
+
+		const current = versionNumber(error.Item && error.Item[attribute])
+		if (current === expected) return null
+		this.logger.warn('Version conflict in database', { table, expected, current })
+		return new VersionConflictError(table, expected, current, { cause: error })
 	}
 
 	/**
-	 * Update an item in a DynamoDB table.
+	 * Add the condition of a write guarded by unique constraints: the unique values of the item must still be the ones read.
+	 *
+	 * @param {Object} params - The command parameters, updated in place.
+	 * @param {Object} constraint - The unique constraints of the table.
+	 * @param {Object|undefined} current - The item as read, as AttributeValues.
+	 * @returns {Object} - The command parameters.
+	 */
+	addUniqueCondition(params, constraint, current) {
+		const context = new expressions.ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+		const checks = constraint.fields.map((field) => {
+			const name = context.name(field)
+			const value = current && current[field]
+			return value ? `${name} = ${context.value(value)}` : `attribute_not_exists(${name})`
+		})
+
+		const check = checks.join(' AND ')
+		params.ConditionExpression = params.ConditionExpression ? `(${params.ConditionExpression}) AND ${check}` : check
+		params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...context.names }
+		if (Object.keys(context.values).length) params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...context.values }
+		return params
+	}
+
+	/**
+	 * Reject the writes of a method that sends items without their guard items, which would let duplicate values in, or leave
+	 * the guards of deleted values behind. To write such a table in bulk, e.g. to restore it along with a backup of its guard
+	 * table, use an instance without its unique constraints.
 	 *
 	 * @param {string} table - The name of the DynamoDB table.
-	 * @param {Object} keys - The keys to identify the item in the table.
-	 * @param {string} updateExpression - The update expression specifying the attributes to update.
-	 * @param {Object} expressionAttributeNames - A mapping of attribute names for the update.
-	 * @param {Object} expressionAttributeValues - A mapping of values for the update expression.
-	 * @param {string|null} condition - Optional condition expression for conditional updates.
-	 * @param {string} returnValues - What values to return after the update (e.g., 'ALL_NEW').
-	 * @returns {Promise<Object>} - The result of the update operation, including updated item values.
-	 * @throws {HttpError} - Throws HttpError if there is an error updating the item.
+	 * @param {string} method - The method writing to it.
+	 * @throws {ValidationError} - Throws if the table has unique constraints.
 	 */
-	async update(table, keys, updateExpression, expressionAttributeNames, expressionAttributeValues, condition = null, returnValues = 'ALL_NEW') {
-		const params = {
-			TableName: table,
-			Key: keys,
-			UpdateExpression: updateExpression,
-			ExpressionAttributeNames: expressionAttributeNames,
-			ExpressionAttributeValues: expressionAttributeValues,
-			ReturnValues: returnValues,
-		}
+	rejectUnique(table, method) {
+		if (this.unique[table]) throw new ValidationError(`${table} has unique constraints, which ${method} cannot enforce: use set, update and delete`)
+	}
 
-		if (condition) {
-			params.ConditionExpression = condition // Add condition expression if provided
-		}
+	/**
+	 * Send a PutItem, UpdateItem or DeleteItem request. When the table has unique constraints, the item is read first, and
+	 * the write is sent in a transaction with the guard items of the unique values it adds, which must not exist yet, and
+	 * the deletion of those of the values it replaces or removes. It only succeeds if the unique values of the item are still
+	 * the ones read. Guard items live in the guard table of the constraints, keyed by 'UNIQUE#<table>#<field>#<type>#<value>'.
+	 * Soft deleted items hold no unique values, so soft deletes release the guards of the item, and restore takes them back.
+	 * Updates may only set unique fields to a value, also with if_not_exists, or remove them: the new values are worked out
+	 * from the update expression, see uniqueness.nextItem.
+	 *
+	 * batchWrite, transactWrite and restoreTable cannot guard their items, and reject tables with unique constraints, see rejectUnique.
+	 * clearTable deletes the guards of the items it deletes.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {string} type - The write: 'Put', 'Update' or 'Delete'.
+	 * @param {Object} params - The command parameters, compiled.
+	 * @returns {Promise<Object>} - The command output. Updates sent in a transaction return their new attributes as read back with a
+	 * consistent read once it succeeded, and their old attributes as read before it.
+	 * @throws {Error} - Throws UniqueConstraintError (409) if a unique value is taken, or the error of the request. A failed condition
+	 * of the item is always thrown as a ConditionalCheckFailedException.
+	 */
+	async sendWrite(table, type, params) {
+		const Command = WRITE_COMMANDS[type]
+		const constraint = this.unique[table]
+		if (!constraint) return this.send(new Command(params))
+
+		const Key = type === 'Put' ? Object.fromEntries(constraint.keys.map((name) => [name, params.Item[name]])) : params.Key
+		const { Item: current } = await this.send(new GetItemCommand({ TableName: table, Key, ConsistentRead: true }))
+		const next = uniqueness.nextItem(constraint, type, params, current)
+		const { added, removed } = uniqueness.guardChanges(constraint, current, next)
+		this.addUniqueCondition(params, constraint, current)
+
+		if (!added.length && !removed.length) return this.send(new Command(params))
+
+		const { ReturnValues, ...write } = params
+		const TransactItems = [
+			{ [type]: write },
+			...added.map(({ key }) => ({
+				Put: {
+					TableName: constraint.table,
+					Item: key,
+					ConditionExpression: 'attribute_not_exists(#key)',
+					ExpressionAttributeNames: { '#key': constraint.partitionKey },
+				},
+			})),
+			...removed.map(({ key }) => ({ Delete: { TableName: constraint.table, Key: key } })),
+		]
 
 		try {
-			const command = new UpdateItemCommand(params)
-			const res = await this.client.send(command)
-			return res
+			await this.send(new TransactWriteItemsCommand({ TransactItems }))
 		} catch (error) {
-			if (error.name === 'ConditionalCheckFailedException') {
-				if (this.dev) console.log('Condition not met for update operation')
-				throw new HttpError('Condition not met for update operation', 404)
+			if (error.name !== 'TransactionCanceledException') throw error
+
+			const reasons = error.CancellationReasons || []
+			const failed = (index) => reasons[index] && reasons[index].Code === 'ConditionalCheckFailed'
+			if (failed(0)) {
+				throw new ConditionalCheckFailedException({
+					message: 'The conditional request failed',
+					$metadata: error.$metadata || {},
+					Item: reasons[0].Item,
+				})
+			}
+			// The write itself is invalid, e.g. it sets an attribute of a missing map: report it as the write alone would be
+			if (reasons[0] && reasons[0].Code === 'ValidationError') {
+				throw new DynamoDBServiceException({
+					name: 'ValidationException',
+					$fault: 'client',
+					message: reasons[0].Message,
+					$metadata: error.$metadata || {},
+				})
 			}
-			if (this.dev) console.log('Error updating item in database: ', error)
-			throw new HttpError('Error updating item in database', 500)
+
+			const taken = added.find((guard, index) => failed(index + 1))
+			if (taken) {
+				this.logger.info('Unique value already in use', { table, field: taken.field })
+				throw new UniqueConstraintError(table, taken.field, { cause: error })
+			}
+
+			const codes = reasons.map((reason) => ({ code: reason.Code })).filter((reason) => reason.code !== 'None')
+			throw new TransactionCancelledError('Transaction cancelled while writing unique values', transactionStatus(codes, 409), undefined, {
+				cause: error,
+			})
 		}
+
+		if (type !== 'Update' || !ReturnValues || ReturnValues === 'NONE') return {}
+		// Transactions return no attributes: the new ones are read back, the old ones are those of the item read before the write
+		const { Item: stored } = await this.send(new GetItemCommand({ TableName: table, Key, ConsistentRead: true }))
+		return { Attributes: uniqueness.returnedAttributes(ReturnValues, params, current, stored) }
 	}
 
 	/**
-	 * Delete an item from a DynamoDB table.
+	 * Set an item in a DynamoDB table.
 	 *
 	 * @param {string} table - The name of the DynamoDB table.
-	 * @param {Object} keys - The keys to identify the item to delete.
-	 * @param {string|null} condition - Optional condition expression for conditional delete.
-	 * @returns {Promise<Object>} - The keys of the item that was deleted.
-	 * @throws {HttpError} - Throws HttpError if there is an error deleting the item.
+	 * @param {Object} item - The item to store in the table.
+	 * @param {string|Condition|null} condition - Optional condition expression for conditional writes, as a string or a builder condition.
+	 * @param {Object} [options={}] - Optional settings of the write.
+	 * @param {boolean|string} [options.versioning] - Override the versioning of the table. Versioned items carry the version they were read with,
+	 * none for new items, and are only written if the stored version still matches.
+	 * @returns {Promise<Object>} - The item that was successfully added to the table, with its new version when versioned.
+	 * @throws {HttpError} - Throws HttpError if there is an error or the item already exists, or VersionConflictError (409) if the version does not match.
 	 */
-	async delete(table, keys, condition = null) {
+	async set(table, item, condition = null, options = {}) {
 		const params = {
 			TableName: table,
-			Key: keys,
+			Item: this.marshaller.toItem(item),
 		}
 
-		if (condition) {
-			params.ConditionExpression = condition
+		this.compileExpressions(params, { ConditionExpression: condition })
+
+		const versionAttribute = this.versionAttribute(table, options.versioning)
+		const expectedVersion = versionAttribute ? versionNumber(item[versionAttribute]) : undefined
+		if (versionAttribute) {
+			this.addVersionCondition(params, versionAttribute, expectedVersion)
+			params.Item[versionAttribute] = { N: String((expectedVersion || 0) + 1) }
 		}
 
 		try {
-			const command = new DeleteItemCommand(params)
-			await this.client.send(command)
-			return keys
+			await this.sendWrite(table, 'Put', params)
+			await this.syncCache(table, params.Item, params.Item)
+			return versionAttribute ? { ...item, [versionAttribute]: this.marshaller.fromItem(params.Item)[versionAttribute] } : item
 		} catch (error) {
+			await this.syncCache(table, params.Item) // A failed write may mean the cached item is stale
+
+			const conflict = this.versionConflict(error, table, versionAttribute, expectedVersion)
+			if (conflict) throw conflict
+
 			if (error.name === 'ConditionalCheckFailedException') {
-				if (this.dev) console.log('Condition not met for delete operation')
-				throw new HttpError('Condition not met for delete operation', 404)
+				this.logger.info('Item already exists in database', { table })
+				throw new ConditionFailedError('Item already exists in database', this.conditionalFailures.set, undefined, { cause: error })
 			}
-			if (this.dev) console.log('Error deleting item from database: ', error)
-			throw new HttpError('Error deleting item from database', 500)
+			// Handle general errors
+			this.logger.error('Error setting item in database', { table, error })
+			throw fromAwsError(error, 'Error setting item in database', { table })
 		}
 	}
 
 	/**
-	 * Queries a DynamoDB table based on the provided key condition and optional filters.
-	 *
-	 * @param {string} table - The name of the DynamoDB table to query.
-	 * @param {string} condition - The KeyConditionExpression to apply to the query.
-	 * @param {Object} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression.
-	 * @param {string|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results.
-	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in the FilterExpression.
-	 *
-	 * @returns {Promise<Array>} - An array of items returned from the query that match the conditions and filters.
+	 * Get an item from a DynamoDB table by its key.
 	 *
-	 * @throws {HttpError} - Throws an error if the query operation fails.
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} keys - The keys to identify the item in the table.
+	 * @param {Object} [options={}] - Optional read options, the same as for query and scan (see readOptions). Those that apply to GetItem are:
+	 * @param {string|Array<string>} [options.ProjectionExpression] - The attributes to read. Projected reads don't use the cache.
+	 * @param {boolean} [options.ConsistentRead=false] - Make a strongly consistent read. It skips the cache, and refreshes it.
+	 * @param {boolean} [options.cache=true] - Set to false to neither read nor fill the cache.
+	 * @param {boolean} [options.includeDeleted=false] - Also read items that are soft deleted or past their TTL, see the softDelete option.
+	 * @returns {Promise<Object>} - The item retrieved from the table.
+	 * @throws {HttpError} - Throws HttpError if the item does not exist.
 	 */
-	async query(table, condition, keys, filter = null, filterValues = null) {
+	async get(table, keys, options = {}) {
 		const params = {
-			TableName: table,
-			KeyConditionExpression: condition,
-			ExpressionAttributeValues: keys,
+			TableName: table, // DynamoDB table name
+			Key: this.marshaller.toItem(keys), // Key to identify the item in the table
 		}
 
-		// If a filter and filter values are provided, add them to the query parameters
-		if (filter && filterValues) {
-			params.ExpressionAttributeValues = {
-				...keys,
-				...filterValues,
-			}
-			params.FilterExpression = filter
+		let added = [] // Attributes projected only to tell hidden items apart
+		if (options.ProjectionExpression) {
+			const { ProjectionExpression: projection } = options
+			const attributes = Array.isArray(projection) ? projection : projection.split(',').map((attribute) => attribute.trim())
+			added = this.visibilityAttributes(table, attributes, options)
+			this.addProjection(params, [...attributes, ...added])
+		}
+		if (options.ConsistentRead) params.ConsistentRead = true
+		const cache = options.ProjectionExpression ? null : this.cacheFor(table, options)
+		const read = cache && cache.begin(table, params.Key)
 
-			// Generate placeholders for the filter values (e.g., #attrName)
-			const placeholders = Object.keys(filterValues).map((key, _) => {
-				return `#${key.slice(1)}`
-			})
+		try {
+			let item = cache && !options.ConsistentRead ? await cache.get(table, params.Key) : undefined
 
-			const attributeNames = {}
-			placeholders.forEach((placeholder, index) => {
-				attributeNames[placeholder] = Object.keys(filterValues)[index].slice(1)
-			})
+			if (item === undefined) {
+				const command = new GetItemCommand(params) // Create GetItem command
+				const res = await this.send(command) // Send the command to DynamoDB
 
-			// Add the attribute names to the query parameters to handle reserved keywords
-			params.ExpressionAttributeNames = attributeNames
-		}
+				if (!res.Item) {
+					// Handle case where the item is not found in the table
+					this.logger.info('Item not found in database', { table })
+					throw new NotFoundError('Item not found in database')
+				}
 
-		try {
-			const command = new QueryCommand(params)
-			const res = await this.client.send(command)
-			return res.Items
+				item = res.Item
+				if (cache) await cache.fill(read, item)
+			}
+
+			if (this.hidden(table, item, options)) {
+				this.logger.info('Item deleted or expired in database', { table })
+				throw new NotFoundError('Item not found in database')
+			}
+			added.forEach((name) => delete item[name])
+
+			return this.marshaller.fromItem(item) // Return the retrieved item
 		} catch (error) {
-			if (this.dev) console.log('Error querying item from database: ', error)
-			throw new HttpError('Error querying item from database', 500)
+			if (!(error instanceof HttpError)) this.logger.error('Error getting item from database', { table, error })
+			throw fromAwsError(error, 'Error getting item from database', { table })
+		} finally {
+			if (read) cache.end(read)
 		}
 	}
 
 	/**
-	 * Queries a DynamoDB table using a Global Secondary Index (GSI) with the provided key condition and optional filters.
-	 *
-	 * @param {string} table - The name of the DynamoDB table to query.
-	 * @param {string} indexName - The name of the Global Secondary Index to query.
-	 * @param {string} condition - The KeyConditionExpression to apply to the query.
-	 * @param {Object} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression.
-	 * @param {string|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results.
-	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in the FilterExpression.
-	 *
-	 * @returns {Promise<Array>} - An array of items returned from the query that match the conditions and filters.
+	 * Get multiple items from a DynamoDB table in batch requests.
+	 * Keys are split into chunks of 100, sent with the configured concurrency, and unprocessed keys are retried with backoff.
 	 *
-	 * @throws {HttpError} - Throws an error if the query operation fails.
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Array} keys - An array of keys to identify the items in the table, of any length.
+	 * @param {string|null} projection - Optional projection expression to specify which attributes to retrieve.
+	 * @param {Object} [options={}] - Optional overrides of the batch options (concurrency, maxRetries, baseDelay, maxDelay),
+	 * and the `ConsistentRead`, `cache` and `includeDeleted` settings of get. Reads with a projection don't use the cache.
+	 * @returns {Promise<Array>} - An array of items retrieved from the table. Its `unprocessedKeys` property lists the keys still unread after all retries.
+	 * @throws {HttpError} - Throws HttpError if there is an error retrieving the items.
 	 */
-	async queryByGSI(table, indexName, condition, attributeNames, keys, filter = null, filterValues = null) {
-		const params = {
-			TableName: table,
-			IndexName: indexName,
-			KeyConditionExpression: condition,
-			ExpressionAttributeNames: attributeNames,
-			ExpressionAttributeValues: keys,
+	async batchGet(table, keys, projection = null, options = {}) {
+		const settings = { ...this.batchOptions, ...options }
+		const cache = projection ? null : this.cacheFor(table, options)
+		const request = {}
+		let added = [] // Attributes projected only to tell hidden items apart
+
+		if (options.ConsistentRead) request.ConsistentRead = true
+
+		if (projection) {
+			const attributes = projection.split(',').map((attr) => attr.trim())
+			added = this.visibilityAttributes(table, attributes, options)
+			this.addProjection(request, [...attributes, ...added])
 		}
 
-		if (filter && filterValues) {
-			params.ExpressionAttributeValues = {
-				...keys,
-				...filterValues,
+		const reads = [] // Reads of the cache misses, see ItemCache#begin
+		try {
+			const cached = []
+			let missing = keys.map((key) => this.marshaller.toItem(key))
+			if (cache && missing.length) {
+				cache.learn(table, missing[0])
+				if (!options.ConsistentRead) {
+					const hits = await Promise.all(missing.map((key) => cache.get(table, key)))
+					cached.push(...hits.filter((item) => item !== undefined))
+					missing = missing.filter((key, index) => hits[index] === undefined)
+				}
+				reads.push(...missing.map((key) => cache.begin(table, key)))
 			}
-			params.FilterExpression = filter
 
-			params.ExpressionAttributeNames = {
-				...attributeNames,
-			}
-			Object.keys(filterValues).forEach((key) => {
-				const attributeName = key.slice(1)
-				params.ExpressionAttributeNames[`#${attributeName}`] = attributeName
+			const chunks = chunk(missing, MAX_BATCH_GET_KEYS)
+			const results = await mapConcurrent(chunks, settings.concurrency, async (chunkKeys) => {
+				const items = []
+				const { pending } = await retryUnprocessed(
+					chunkKeys,
+					async (pendingKeys, retry) => {
+						const command = new BatchGetItemCommand({ RequestItems: { [table]: { ...request, Keys: pendingKeys } } })
+						const res = await this.send(command, { retry })
+						items.push(...(res.Responses[table] || []))
+						const unprocessed = res.UnprocessedKeys && res.UnprocessedKeys[table]
+						return unprocessed ? unprocessed.Keys : []
+					},
+					settings
+				)
+				return { items, pending }
 			})
-		}
 
-		try {
-			const command = new QueryCommand(params) // Create a QueryCommand
-			const res = await this.client.send(command) // Send the query
-			return res.Items // Return the items from the response
+			const fetched = results.flatMap((result) => result.items)
+			if (cache) {
+				const byEntry = new Map(fetched.map((item) => [cache.entryKey(table, cache.keyOf(table, item)), item]))
+				await Promise.all(reads.filter((read) => byEntry.has(read.entry)).map((read) => cache.fill(read, byEntry.get(read.entry))))
+			}
+
+			const items = [...cached, ...fetched]
+				.filter((item) => !this.hidden(table, item, options))
+				.map((item) => {
+					added.forEach((name) => delete item[name])
+					return this.marshaller.fromItem(item)
+				})
+			const unprocessedKeys = results.flatMap((result) => result.pending).map((key) => this.marshaller.fromItem(key))
+			if (unprocessedKeys.length) this.logger.warn('Keys unprocessed after retries', { table, unprocessedKeys })
+
+			Object.defineProperty(items, 'unprocessedKeys', { value: unprocessedKeys })
+			return items
 		} catch (error) {
-			if (this.dev) console.error('Error querying by GSI:', error)
-			throw new HttpError('Error querying by GSI from database', error.name === 'ConditionalCheckFailedException' ? 400 : 500)
+			this.logger.error('Error getting batch items from database', { table, error })
+			throw fromAwsError(error, 'Error getting batch items from database', { table })
+		} finally {
+			reads.forEach((read) => cache.end(read))
 		}
 	}
 
 	/**
-	 * Scans a DynamoDB table based on the provided filter expression and optional filter values.
+	 * Get items from several DynamoDB tables in batch requests, aligned to the keys asked for, e.g. to batch the reads of
+	 * GraphQL resolvers. Keys of every table share the chunks of 100, and repeated keys are read once.
 	 *
-	 * @param {string} table - The name of the DynamoDB table to scan.
-	 * @param {string|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results.
-	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in the FilterExpression.
-	 * @param {string|null} [projection=null] - Optional. A ProjectionExpression to specify which attributes to retrieve.
-	 *
-	 * @returns {Promise<Array>} - An array of items returned from the scan that match the conditions and filters.
-	 *
-	 * @throws {HttpError} - Throws an error if the scan operation fails.
+	 * @param {Object} requests - The reads by table name, each an array of keys or `{ keys, projection, ConsistentRead, cache, includeDeleted }`.
+	 * The projection is a comma-separated string or an array of paths; reads with a projection don't use the cache.
+	 * @param {Object} [options={}] - Optional overrides of the batch options (concurrency, maxRetries, baseDelay, maxDelay).
+	 * @returns {Promise<Object>} - The items by table name, each array in the order of its keys, with null for items that
+	 * don't exist or are hidden, see get. Its `unprocessedKeys` property lists the keys still unread after all retries, left null in the results.
+	 * @throws {HttpError} - Throws HttpError if there is an error retrieving the items.
 	 */
-	async scan(table, filter = null, filterValues = null) {
-		try {
-			const params = {
-				TableName: table,
+	async batchGetTables(requests, options = {}) {
+		const settings = { ...this.batchOptions, ...options }
+		const tables = Object.keys(requests)
+
+		const reads = tables.map((table) => {
+			const { keys, projection = null, ...readOptions } = Array.isArray(requests[table]) ? { keys: requests[table] } : requests[table]
+			const marshalled = keys.map((key) => this.marshaller.toItem(key))
+			const keyNames = marshalled.length ? Object.keys(marshalled[0]) : []
+			const request = {}
+			let added = []
+
+			if (readOptions.ConsistentRead) request.ConsistentRead = true
+			if (projection) {
+				// Key attributes are needed to match items to their keys, and soft delete ones to hide items: both are dropped unless asked for
+				const attributes = Array.isArray(projection) ? projection : projection.split(',').map((attribute) => attribute.trim())
+				added = keyNames.filter((name) => !attributes.includes(name))
+				added.push(...this.visibilityAttributes(table, [...attributes, ...added], readOptions))
+				this.addProjection(request, [...attributes, ...added])
 			}
 
-			if (filter && filterValues) {
-				params.FilterExpression = filter
-				params.ExpressionAttributeValues = filterValues
+			return { table, keys: marshalled, keyNames, request, added, readOptions, cache: projection ? null : this.cacheFor(table, readOptions) }
+		})
 
-				const placeholders = Object.keys(filterValues).map((key, _) => {
-					return `#${key.slice(1)}`
-				})
+		const pending = new Map() // Keys to request, once each, by cache key, with their reads of cached tables, see ItemCache#begin
+		try {
+			const found = new Map() // Items read, by cache key
 
-				const attributeNames = {}
-				placeholders.forEach((placeholder, index) => {
-					attributeNames[placeholder] = Object.keys(filterValues)[index].slice(1)
-				})
+			for (const { table, keys, cache, request } of reads) {
+				if (cache && keys.length) cache.learn(table, keys[0])
+				const hits = cache && !request.ConsistentRead ? await Promise.all(keys.map((key) => cache.get(table, key))) : []
 
-				params.ExpressionAttributeNames = attributeNames
+				keys.forEach((key, index) => {
+					const id = cacheKey(table, key)
+					if (hits[index] !== undefined) found.set(id, hits[index])
+					else if (!found.has(id) && !pending.has(id)) pending.set(id, { table, key, read: cache && cache.begin(table, key) })
+				})
 			}
 
-			const command = new ScanCommand(params)
-			const res = await this.client.send(command)
-			return res.Items
+			const byTable = new Map(reads.map((read) => [read.table, read]))
+			const idOf = (table, item) => cacheKey(table, Object.fromEntries(byTable.get(table).keyNames.map((name) => [name, item[name]])))
+
+			const chunks = chunk([...pending.values()], MAX_BATCH_GET_KEYS)
+			const results = await mapConcurrent(chunks, settings.concurrency, async (chunkKeys) => {
+				const { pending: unprocessed } = await retryUnprocessed(
+					chunkKeys,
+					async (pendingKeys, retry) => {
+						const RequestItems = {}
+						pendingKeys.forEach(({ table, key }) => {
+							RequestItems[table] = RequestItems[table] || { ...byTable.get(table).request, Keys: [] }
+							RequestItems[table].Keys.push(key)
+						})
+
+						const res = await this.send(new BatchGetItemCommand({ RequestItems }), { retry })
+						Object.entries(res.Responses || {}).forEach(([table, items]) => items.forEach((item) => found.set(idOf(table, item), item)))
+
+						return Object.entries(res.UnprocessedKeys || {}).flatMap(([table, { Keys }]) => Keys.map((key) => ({ table, key })))
+					},
+					settings
+				)
+				return unprocessed
+			})
+
+			const fetched = [...pending].filter(([id, { table }]) => found.has(id) && byTable.get(table).cache)
+			await Promise.all(fetched.map(([id, { table, read }]) => byTable.get(table).cache.fill(read, found.get(id))))
+
+			const unprocessedKeys = {}
+			results.flat().forEach(({ table, key }) => {
+				unprocessedKeys[table] = unprocessedKeys[table] || []
+				unprocessedKeys[table].push(this.marshaller.fromItem(key))
+			})
+			if (Object.keys(unprocessedKeys).length) this.logger.warn('Keys unprocessed after retries', { tables, unprocessedKeys })
+
+			const items = Object.fromEntries(
+				reads.map(({ table, keys, added, readOptions }) => [
+					table,
+					keys.map((key) => {
+						const item = found.get(cacheKey(table, key))
+						if (!item || this.hidden(table, item, readOptions)) return null
+						const copy = { ...item }
+						added.forEach((name) => delete copy[name])
+						return this.marshaller.fromItem(copy)
+					}),
+				])
+			)
+
+			Object.defineProperty(items, 'unprocessedKeys', { value: unprocessedKeys })
+			return items
 		} catch (error) {
-			if (this.dev) console.log('Error scanning item from database: ', error)
-			throw new HttpError('Error scanning item from database', 500)
+			this.logger.error('Error getting batch items from database', { tables, error })
+			throw fromAwsError(error, 'Error getting batch items from database')
+		} finally {
+			pending.forEach(({ read }) => read && this.cache.end(read))
 		}
 	}
 
 	/**
-	 * Clears a DynamoDB table by deleting all items in the table.
-	 *
-	 * @param {string} table - The name of the DynamoDB table to clear.
-	 *
-	 * @returns {Promise<void>}
+	 * Write multiple items to a DynamoDB table in batch requests.
+	 * Requests are split into chunks of 25, sent with the configured concurrency, and unprocessed requests are retried with backoff.
 	 *
-	 * @throws {HttpError} - Throws an error if the table cannot be cleared.
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Array} requests - A list of request objects containing the items to be written, of any length.
+	 * @param {Object} [options={}] - Optional overrides of the batch options (concurrency, maxRetries, baseDelay, maxDelay).
+	 * @returns {Promise<Object>} - The output of BatchWriteItem for all the chunks: `UnprocessedItems` by table, and `ConsumedCapacity` when
+	 * DynamoDB returned it, with its capacity units summed. Also `processed`, the number of requests written, and `unprocessed`, the
+	 * requests still unprocessed after all retries, in the form they were given.
+	 * @throws {HttpError} - Throws HttpError if there is an error writing the items, or a 400 ValidationError if the table has unique constraints.
 	 */
-	async clearTable(table) {
+	async batchWrite(table, requests, options = {}) {
+		this.rejectUnique(table, 'batchWrite')
+		return this.writeBatch(table, requests, options)
+	}
+
+	// Write a batch of items, whatever the constraints of the table, see batchWrite. With `raw: true`, the requests are already
+	// AttributeValues, e.g. keys read by a scan, and are sent and returned unprocessed as they are, without a marshalling round trip
+	async writeBatch(table, requests, { raw = false, ...options } = {}) {
+		const settings = { ...this.batchOptions, ...options }
+		const writeRequests = raw ? requests : requests.map((request) => this.toWriteRequest(request))
+		const chunks = chunk(writeRequests, MAX_BATCH_WRITE_REQUESTS)
+		let consumed = null // Capacity units of all the requests, when DynamoDB reports them
+
 		try {
-			const command = new ScanCommand({ TableName: table })
-			const res = await this.client.send(command)
-			const items = res.Items
-			const requests = items.map((item) => {
-				return {
-					DeleteRequest: {
-						Key: {
-							id: item.id,
-						},
+			const results = await mapConcurrent(chunks, settings.concurrency, async (chunkRequests) => {
+				const { pending } = await retryUnprocessed(
+					chunkRequests,
+					async (pendingRequests, retry) => {
+						const command = new BatchWriteItemCommand({ RequestItems: { [table]: pendingRequests } }) // Create BatchWriteItem command
+						const res = await this.send(command, { retry }) // Send the command to DynamoDB
+						if (res.ConsumedCapacity) consumed = (consumed || 0) + capacityUnits(res.ConsumedCapacity)
+						return (res.UnprocessedItems && res.UnprocessedItems[table]) || []
 					},
-				}
+					settings
+				)
+				return pending
 			})
-			await this.batchWrite(table, requests)
+
+			const pending = results.flat()
+			const unprocessed = raw ? pending : pending.map((request) => this.fromWriteRequest(request))
+			if (unprocessed.length) this.logger.warn('Items unprocessed after retries', { table, unprocessed })
+			else this.logger.debug('All items processed successfully', { table })
+
+			return {
+				UnprocessedItems: pending.length ? { [table]: pending } : {},
+				...(consumed === null ? {} : { ConsumedCapacity: [{ TableName: table, CapacityUnits: consumed }] }),
+				processed: requests.length - unprocessed.length,
+				unprocessed,
+			}
 		} catch (error) {
-			if (this.dev) console.log('Error clearing table in database: ', error)
-			throw new HttpError('Error clearing table in database', 500)
+			this.logger.error('Error batch writing items in database', { table, error })
+			throw fromAwsError(error, 'Error batch writing items in database', { table })
+		} finally {
+			const written = writeRequests.map((request) => (request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key))
+			if (this.cache) await this.cache.invalidate(table, written)
 		}
 	}
+
+	/**
+	 * Update an item in a DynamoDB table.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} keys - The keys to identify the item in the table.
+	 * @param {string|Update} updateExpression - The update expression specifying the attributes to update, as a string or a builder update.
+	 * @param {Object|null} expressionAttributeNames - A mapping of attribute names for the update. Not needed for builder expressions.
+	 * @param {Object|null} expressionAttributeValues - A mapping of values for the update expression. Not needed for builder expressions.
+	 * @param {string|Condition|null} condition - Optional condition expression for conditional updates, as a string or a builder condition.
+	 * @param {string} returnValues - What values to return after the update (e.g., 'ALL_NEW').
+	 * @param {Object} [options={}] - Optional settings of the write.
+	 * @param {boolean|string} [options.versioning] - Override the versioning of the table.
+	 * @param {number} [options.version] - The version the item was read with, none for an item that must not be versioned yet. The update increments it.
+	 * @returns {Promise<Object>} - The result of the update operation, including updated item values.
+	 * @throws {HttpError} - Throws HttpError if there is an error updating the item, or VersionConflictError (409) if the version does not match.
+	 */
+	async update(
+		table,
+		keys,
+		updateExpression,
+		expressionAttributeNames,
+		expressionAttributeValues,
+		condition = null,
+		returnValues = 'ALL_NEW',
+		options = {}
+	) {
+		const params = {
+			TableName: table,
+			Key: this.marshaller.toItem(keys),
+			ReturnValues: returnValues,
+		}
+
+		if (expressionAttributeNames) params.ExpressionAttributeNames = expressionAttributeNames
+		if (expressionAttributeValues) params.ExpressionAttributeValues = this.marshaller.toItem(expressionAttributeValues)
+
+		const versionAttribute = this.versionAttribute(table, options.versioning)
+		const expectedVersion = versionNumber(options.version)
+		const update = versionAttribute ? this.incrementVersion(updateExpression, versionAttribute, expectedVersion) : updateExpression
+
+		// Add the update expression, and the condition expression if provided
+		this.compileExpressions(params, { UpdateExpression: update, ConditionExpression: condition })
+		if (versionAttribute) this.addVersionCondition(params, versionAttribute, expectedVersion)
+
+		try {
+			const res = await this.sendWrite(table, 'Update', params)
+			// Only ALL_NEW returns the whole item, other return values leave nothing to refresh the cache with
+			await this.syncCache(table, params.Key, returnValues === 'ALL_NEW' ? res.Attributes : null)
+			return { ...res, Attributes: this.marshaller.fromItem(res.Attributes) }
+		} catch (error) {
+			await this.syncCache(table, params.Key)
+
+			const conflict = this.versionConflict(error, table, versionAttribute, expectedVersion)
+			if (conflict) throw conflict
+
+			if (error.name === 'ConditionalCheckFailedException') {
+				this.logger.info('Condition not met for update operation', { table })
+				throw new ConditionFailedError('Condition not met for update operation', this.conditionalFailures.update, undefined, { cause: error })
+			}
+			this.logger.error('Error updating item in database', { table, error })
+			throw fromAwsError(error, 'Error updating item in database', { table })
+		}
+	}
+
+	/**
+	 * Update an item from a plain object of changes instead of an update expression. Each attribute is set to its value,
+	 * removed when the value is undefined or null, or changed atomically with a marker from DynamoDB.markers: increment,
+	 * append, prepend, addToSet, removeFromSet, ifNotExists and replace. Names may be paths (e.g. 'address.city'), and with
+	 * marshalling enabled, nested objects update the attributes of the map they stand for. Without `previous`, a nested object whose
+	 * map the item doesn't have is written as a whole after DynamoDB rejects the update, once the item has been read.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} keys - The keys to identify the item in the table.
+	 * @param {Object} changes - The changes. Key attributes may be included, but not changed.
+	 * @param {Object} [options={}] - Optional settings of the update.
+	 * @param {Object} [options.previous] - The item as it was read: only the changes that differ from it are written, and nothing at all
+	 * if none do. With optimistic locking, its version is the one expected.
+	 * @param {boolean} [options.removeMissing=false] - With `previous`, treat the changes as the whole new item and remove the attributes it lacks.
+	 * @param {string|Condition|null} [options.condition=null] - Optional condition expression, as a string or a builder condition.
+	 * @param {string} [options.returnValues='ALL_NEW'] - What values to return after the update.
+	 * @param {boolean|string} [options.versioning] - Override the versioning of the table.
+	 * @param {number} [options.version] - The version the item was read with, if not taken from `previous`.
+	 * @returns {Promise<Object>} - The result of the update, as update returns it. When there is nothing to write, `Attributes` is the previous item.
+	 * @throws {HttpError} - Throws a 400 HttpError if a key attribute is changed or there are no changes, or the errors of update.
+	 */
+	async patch(table, keys, changes, options = {}) {
+		const { previous, removeMissing = false, condition = null, returnValues = 'ALL_NEW' } = options
+		const native = this.marshaller.enabled
+		const versionAttribute = this.versionAttribute(table, options.versioning)
+
+		const pending = { ...changes }
+		Object.keys(keys).forEach((name) => {
+			if (!(name in pending)) return
+			if (!isDeepStrictEqual(pending[name], keys[name])) throw new ValidationError(`Key attribute ${name} cannot be patched`)
+			delete pending[name]
+		})
+		// The update increments the version itself
+		if (versionAttribute) delete pending[versionAttribute]
+
+		let relevant = pending
+		if (previous) {
+			const unchanged = { ...previous }
+			Object.keys(keys).forEach((name) => delete unchanged[name])
+			if (versionAttribute) delete unchanged[versionAttribute]
+			relevant = removeMissing ? patching.diff(unchanged, pending, native) : patching.prune(pending, unchanged, native)
+		}
+
+		const update = patching.buildPatch(relevant, native)
+		if (!patching.hasActions(update)) {
+			if (previous) return { Attributes: previous }
+			throw new ValidationError('No changes to apply')
+		}
+
+		const version = options.version === undefined && previous && versionAttribute ? previous[versionAttribute] : options.version
+		const write = (changeSet, check) =>
+			this.update(table, keys, changeSet, null, null, check, returnValues, { versioning: options.versioning, version })
+		try {
+			return await write(update, condition)
+		} catch (error) {
+			const missingMap = error instanceof ValidationError && error.cause && MISSING_MAP_ERROR.test(error.cause.message)
+			if (previous || !missingMap) throw error
+		}
+
+		// A nested object updates a map the item doesn't have: read the item, and create the missing maps as a whole,
+		// provided nobody else created them in the meantime
+		const current = await this.get(table, keys, { ConsistentRead: true, cache: false, includeDeleted: true }).catch((error) => {
+			if (error.statusCode === 404) return null
+			throw error
+		})
+		const { changes: filled, created } = patching.createMissingMaps(relevant, current, native)
+		const check = expressions.and(
+			typeof condition === 'string' ? new expressions.Condition(() => condition) : condition,
+			...created.map((path) => expressions.attributeNotExists(path))
+		)
+		return write(patching.buildPatch(filled, native), check)
+	}
+
+	/**
+	 * Delete an item from a DynamoDB table.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} keys - The keys to identify the item to delete.
+	 * @param {string|Condition|null} condition - Optional condition expression for conditional delete, as a string or a builder condition.
+	 * @param {Object} [options={}] - Optional settings of the write.
+	 * @param {boolean|string} [options.versioning] - Override the versioning of the table.
+	 * @param {number} [options.version] - The version the item was read with.
+	 * @param {boolean} [options.hard=false] - Remove the item for good from a table using soft delete.
+	 * @returns {Promise<Object>} - The keys of the item that was deleted.
+	 * @throws {HttpError} - Throws HttpError if there is an error deleting the item, or VersionConflictError (409) if the version does not match.
+	 * Soft deletes of items that don't exist fail their condition, with a ConditionFailedError.
+	 */
+	async delete(table, keys, condition = null, options = {}) {
+		const settings = this.softDelete[table]
+		const soft = settings && !options.hard
+		const native = this.marshaller.enabled
+		const versionAttribute = this.versionAttribute(table, options.versioning)
+		const expectedVersion = versionNumber(options.version)
+		const build = (again) => {
+			const params = {
+				TableName: table,
+				Key: this.marshaller.toItem(keys),
+			}
+
+			if (soft) {
+				// A soft delete is an update, which must not create the item when it is missing
+				const exists = expressions.and(
+					...Object.keys(keys).map((name) => expressions.attributeExists(name)),
+					condition && (expressions.isExpression(condition) ? condition : new expressions.Condition(() => condition)),
+					deletion.deletedCondition(settings, again, native)
+				)
+				const update = deletion.markDeleted(settings, native, again)
+				this.compileExpressions(params, {
+					UpdateExpression: versionAttribute ? this.incrementVersion(update, versionAttribute, expectedVersion) : update,
+					ConditionExpression: exists,
+				})
+				params.ReturnValuesOnConditionCheckFailure = 'ALL_OLD' // Tells an item deleted before apart from a failed condition
+			} else {
+				this.compileExpressions(params, { ConditionExpression: condition })
+			}
+			if (versionAttribute) this.addVersionCondition(params, versionAttribute, expectedVersion)
+			return params
+		}
+
+		const params = build(false)
+		try {
+			try {
+				await this.sendWrite(table, soft ? 'Update' : 'Delete', params)
+			} catch (error) {
+				// An item deleted before is deleted again, keeping the time and the expiry of its first deletion
+				if (!soft || error.name !== 'ConditionalCheckFailedException' || !deletion.isDeleted(settings, error.Item)) throw error
+				await this.sendWrite(table, 'Update', build(true))
+			}
+			return keys
+		} catch (error) {
+			const conflict = this.versionConflict(error, table, versionAttribute, expectedVersion)
+			if (conflict) throw conflict
+
+			if (error.name === 'ConditionalCheckFailedException') {
+				this.logger.info('Condition not met for delete operation', { table })
+				throw new ConditionFailedError('Condition not met for delete operation', this.conditionalFailures.delete, undefined, { cause: error })
+			}
+			this.logger.error('Error deleting item from database', { table, error })
+			throw fromAwsError(error, 'Error deleting item from database', { table })
+		} finally {
+			await this.syncCache(table, params.Key)
+		}
+	}
+
+	/**
+	 * Bring back an item soft deleted from a table, before its TTL expires. With a retention, the item gets back the TTL it had
+	 * before it was deleted, if any.
+	 *
+	 * @param {string} table - The name of the DynamoDB table, which must use soft delete.
+	 * @param {Object} keys - The keys to identify the item.
+	 * @param {Object} [options={}] - The versioning settings of update.
+	 * @returns {Promise<Object>} - The restored item.
+	 * @throws {HttpError} - Throws a 400 ValidationError if the table doesn't use soft delete, a 404 NotFoundError if there is no deleted
+	 * item with these keys, or the errors of update.
+	 */
+	async restore(table, keys, options = {}) {
+		const settings = this.softDeleteSettings(table)
+		const native = this.marshaller.enabled
+		const deleted = deletion.deletedCondition(settings, true, native)
+		const write = async (update, condition) => (await this.update(table, keys, update, null, null, condition, 'ALL_NEW', options)).Attributes
+		try {
+			if (!settings.retention) return await write(deletion.unmarkDeleted(settings), deleted)
+			// Most items had no TTL of their own: those that did are restored by a second update, giving it back
+			const restoreWith = (hadTtl) =>
+				write(deletion.unmarkDeleted(settings, hadTtl), expressions.and(deleted, deletion.previousTtlCondition(settings, hadTtl, native)))
+			try {
+				return await restoreWith(false)
+			} catch (error) {
+				if (!(error instanceof ConditionFailedError) || error instanceof VersionConflictError) throw error
+			}
+			return await restoreWith(true)
+		} catch (error) {
+			if (!(error instanceof ConditionFailedError) || error instanceof VersionConflictError) throw error
+			this.logger.info('Deleted item not found in database', { table })
+			throw new NotFoundError('Deleted item not found in database', undefined, { cause: error })
+		}
+	}
+
+	/**
+	 * Remove an item soft deleted from a table for good, without waiting for its TTL. Use delete with `hard: true` to remove
+	 * an item that is not deleted.
+	 *
+	 * @param {string} table - The name of the DynamoDB table, which must use soft delete.
+	 * @param {Object} keys - The keys to identify the item.
+	 * @param {Object} [options={}] - The versioning settings of delete.
+	 * @returns {Promise<Object>} - The keys of the item that was removed.
+	 * @throws {HttpError} - Throws a 400 ValidationError if the table doesn't use soft delete, a 404 NotFoundError if there is no deleted
+	 * item with these keys, or the errors of delete.
+	 */
+	async purge(table, keys, options = {}) {
+		const settings = this.softDeleteSettings(table)
+		try {
+			return await this.delete(table, keys, deletion.deletedCondition(settings, true, this.marshaller.enabled), { ...options, hard: true })
+		} catch (error) {
+			if (!(error instanceof ConditionFailedError) || error instanceof VersionConflictError) throw error
+			this.logger.info('Deleted item not found in database', { table })
+			throw new NotFoundError('Deleted item not found in database', undefined, { cause: error })
+		}
+	}
+
+	/**
+	 * Get the soft delete settings of a table that must use soft delete.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @returns {Object} - The settings, see parseSoftDelete.
+	 * @throws {ValidationError} - Throws a 400 ValidationError if the table deletes items permanently.
+	 */
+	softDeleteSettings(table) {
+		const settings = this.softDelete[table]
+		if (!settings) throw new ValidationError(`Table ${table} does not use soft delete`)
+		return settings
+	}
+
+	/**
+	 * Check whether a read should hide an item: deleted, or past its TTL, in a table using soft delete.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} item - The item, as AttributeValues.
+	 * @param {Object} [options={}] - The read options, with `includeDeleted: true` to show every item.
+	 * @returns {boolean} - True if the item is hidden.
+	 */
+	hidden(table, item, options = {}) {
+		const settings = this.softDelete[table]
+		return Boolean(settings) && !options.includeDeleted && deletion.isHidden(settings, item)
+	}
+
+	/**
+	 * Add the attributes a read needs to tell hidden items apart to its projection.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Array<string>} attributes - The projected attributes.
+	 * @param {Object} [options={}] - The read options, with `includeDeleted: true` to show every item.
+	 * @returns {Array<string>} - The attributes added, to drop from the items read.
+	 */
+	visibilityAttributes(table, attributes, options = {}) {
+		const settings = this.softDelete[table]
+		if (!settings || options.includeDeleted) return []
+		return [settings.attribute, settings.ttlAttribute].filter((name) => name && !attributes.includes(name))
+	}
+
+	/**
+	 * Apply a change to an item with optimistic locking: read the item, pass it to the mutation, and write the result
+	 * only if nobody changed the item in between. On a version conflict the item is read again and the mutation re-applied.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} keys - The keys to identify the item in the table.
+	 * @param {Function} mutation - Function receiving a copy of the current item, or null if it does not exist, and returning the new item.
+	 * It may be called several times and should have no other side effects. Soft deleted items are passed with their deletion time,
+	 * which the new item keeps unless the mutation drops it.
+	 * @param {Object} [options={}] - Optional settings.
+	 * @param {boolean|string} [options.versioning] - The version attribute, defaults to the table setting or else 'version'.
+	 * @param {number} [options.maxRetries=3] - Number of times the mutation is re-applied after a conflict.
+	 * @returns {Promise<Object>} - The item as written, with its new version.
+	 * @throws {HttpError} - Throws VersionConflictError (409) if conflicts persist after all retries, or the errors of get and set.
+	 */
+	async mutate(table, keys, mutation, { versioning = this.versioning[table] || true, maxRetries = 3 } = {}) {
+		const versionAttribute = this.versionAttribute(table, versioning)
+
+		for (let attempt = 0; ; attempt++) {
+			let current = null
+			try {
+				current = await this.get(table, keys, { includeDeleted: true }) // A deleted item is still there to conflict with
+			} catch (error) {
+				if (error.statusCode !== 404) throw error
+			}
+
+			const next = await mutation(current && structuredClone(current))
+			try {
+				return await this.set(table, { ...next, ...keys, [versionAttribute]: current ? current[versionAttribute] : undefined }, null, {
+					versioning: versionAttribute,
+				})
+			} catch (error) {
+				if (!(error instanceof VersionConflictError) || attempt >= maxRetries) throw error
+				await sleep(backoffDelay(attempt, this.batchOptions))
+			}
+		}
+	}
+
+	/**
+	 * Convert a transaction operation to the TransactItems entry sent to DynamoDB.
+	 *
+	 * @param {Object} operation - The operation, see transactWrite.
+	 * @returns {Object} - The TransactItems entry, e.g. `{ Put: {...} }`.
+	 * @throws {HttpError} - Throws a 400 HttpError if the operation is malformed.
+	 */
+	toTransactItem(operation) {
+		const { type, table, item, keys, update, names, values, condition } = operation
+		const params = {
+			TableName: table,
+		}
+
+		if (type === 'Put') {
+			params.Item = this.marshaller.toItem(item)
+		} else if (['Update', 'Delete', 'ConditionCheck'].includes(type)) {
+			params.Key = this.marshaller.toItem(keys)
+		} else {
+			throw new ValidationError(`Unknown transaction operation type: ${type}`)
+		}
+
+		if (names) params.ExpressionAttributeNames = names
+		if (values) params.ExpressionAttributeValues = this.marshaller.toItem(values)
+		this.compileExpressions(params, { UpdateExpression: type === 'Update' ? update : null, ConditionExpression: condition })
+
+		if (type === 'Update' && !params.UpdateExpression) throw new ValidationError('Update operations need an update expression')
+		if (type === 'ConditionCheck' && !params.ConditionExpression) throw new ValidationError('ConditionCheck operations need a condition')
+
+		// Ask for the current item of failed conditions so the error can show why the operation failed
+		if (params.ConditionExpression) params.ReturnValuesOnConditionCheckFailure = 'ALL_OLD'
+
+		return { [type]: params }
+	}
+
+	/**
+	 * Write several items atomically, across one or more tables. Either every operation succeeds or none is applied.
+	 *
+	 * Each operation is an object with a `type` ('Put', 'Update', 'Delete' or 'ConditionCheck'), the `table`, and:
+	 * - Put: `item`, and an optional `condition`.
+	 * - Update: `keys`, `update` (a string or a builder update), optional `names`, `values` and `condition`.
+	 * - Delete: `keys`, and an optional `condition`.
+	 * - ConditionCheck: `keys` and `condition`, to require a condition on an item the transaction doesn't change.
+	 *
+	 * @param {Array<Object>} operations - The operations, at most 100, each on a different item.
+	 * @param {Object} [options={}] - Optional settings.
+	 * @param {string} [options.clientRequestToken] - Idempotency token: retrying with the same token within 10 minutes doesn't apply the writes twice.
+	 * @returns {Promise<Array<Object>>} - The operations that were applied.
+	 * @throws {HttpError} - Throws HttpError if the transaction is cancelled. Its `details.reasons` lists each failed operation with its
+	 * `index`, `type`, `table`, `code`, `message` and current `item`. Throws a 400 ValidationError if an operation other than a
+	 * ConditionCheck writes to a table with unique constraints.
+	 */
+	async transactWrite(operations, options = {}) {
+		operations.filter((operation) => operation.type !== 'ConditionCheck').forEach((operation) => this.rejectUnique(operation.table, 'transactWrite'))
+		const params = {
+			TransactItems: operations.map((operation) => this.toTransactItem(operation)),
+		}
+
+		if (options.clientRequestToken) params.ClientRequestToken = options.clientRequestToken
+
+		try {
+			const command = new TransactWriteItemsCommand(params)
+			await this.send(command)
+			return operations
+		} catch (error) {
+			if (error.name === 'TransactionCanceledException') {
+				const reasons = (error.CancellationReasons || [])
+					.map((reason, index) => ({
+						index,
+						type: operations[index] && operations[index].type,
+						table: operations[index] && operations[index].table,
+						code: reason.Code,
+						message: reason.Message,
+						item: this.marshaller.fromItem(reason.Item),
+					}))
+					.filter((reason) => reason.code !== 'None')
+
+				const summary = reasons.map((reason) => `operation ${reason.index} (${reason.type} on ${reason.table}) failed with ${reason.code}`)
+				this.logger.info('Transaction cancelled', { reasons })
+				const status = transactionStatus(reasons, this.conditionalFailures.transactWrite)
+				throw new TransactionCancelledError(`Transaction cancelled: ${summary.join(', ')}`, status, { reasons }, { cause: error })
+			}
+			if (error.name === 'IdempotentParameterMismatchException') {
+				this.logger.warn('Client request token reused for a different transaction', { clientRequestToken: options.clientRequestToken })
+				throw new ConflictError('Client request token reused for a different transaction', undefined, { cause: error })
+			}
+			if (error.name === 'TransactionInProgressException') {
+				this.logger.warn('Transaction with the same client request token in progress', { clientRequestToken: options.clientRequestToken })
+				throw new ConflictError('Transaction with the same client request token in progress', undefined, { cause: error })
+			}
+			this.logger.error('Error writing transaction in database', { error })
+			throw fromAwsError(error, 'Error writing transaction in database')
+		} finally {
+			for (const entry of params.TransactItems) {
+				const [type, { TableName, Item, Key }] = Object.entries(entry)[0]
+				if (type !== 'ConditionCheck') await this.syncCache(TableName, Item || Key)
+			}
+		}
+	}
+
+	/**
+	 * Read several items atomically, across one or more tables, as a consistent snapshot.
+	 *
+	 * @param {Array<Object>} requests - The items to read, at most 100, each as `{ table, keys, projection, includeDeleted }` where
+	 * `projection` is optional, and `includeDeleted` also reads items that are soft deleted or past their TTL.
+	 * @returns {Promise<Array<Object|null>>} - The items, in the order of the requests, with null for items that don't exist or are hidden.
+	 * @throws {HttpError} - Throws HttpError if the items cannot be read.
+	 */
+	async transactGet(requests) {
+		const added = [] // Attributes added to the projection of each request to tell hidden items apart
+		const params = {
+			TransactItems: requests.map((request, index) => {
+				const { table, keys, projection } = request
+				const get = {
+					TableName: table,
+					Key: this.marshaller.toItem(keys),
+				}
+				added[index] = []
+
+				if (projection) {
+					const attributes = projection.split(',').map((attr) => attr.trim())
+					added[index] = this.visibilityAttributes(table, attributes, request)
+					this.addProjection(get, [...attributes, ...added[index]])
+				}
+
+				return { Get: get }
+			}),
+		}
+
+		try {
+			const command = new TransactGetItemsCommand(params)
+			const res = await this.send(command)
+			return res.Responses.map((response, index) => {
+				const { table } = requests[index]
+				if (!response.Item || this.hidden(table, response.Item, requests[index])) return null
+				const item = { ...response.Item }
+				added[index].forEach((name) => delete item[name])
+				return this.marshaller.fromItem(item)
+			})
+		} catch (error) {
+			if (error.name === 'TransactionCanceledException') {
+				this.logger.info('Transaction cancelled', { reasons: error.CancellationReasons })
+				throw new TransactionCancelledError('Transaction cancelled while reading items', 409, undefined, { cause: error })
+			}
+			this.logger.error('Error reading transaction from database', { error })
+			throw fromAwsError(error, 'Error reading transaction from database')
+		}
+	}
+
+	/**
+	 * Builds the QueryCommand parameters shared by query, queryPage and iterateQuery.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} filter - A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} filterValues - A dictionary of filter values to be used in a string FilterExpression.
+	 * @returns {Object} - The QueryCommand parameters.
+	 */
+	queryParams(table, condition, keys, filter, filterValues) {
+		const params = {
+			TableName: table,
+		}
+
+		if (keys) params.ExpressionAttributeValues = this.marshaller.toItem(keys)
+
+		// If a filter string and filter values are provided, add them to the query parameters
+		if (filter && filterValues && !expressions.isExpression(filter)) {
+			params.ExpressionAttributeValues = this.marshaller.toItem({
+				...keys,
+				...filterValues,
+			})
+			params.FilterExpression = filter
+
+			// Add the attribute names used by the filter (e.g., #attrName) to handle reserved keywords
+			const attributeNames = filterAttributeNames(filter, filterValues)
+			if (Object.keys(attributeNames).length) params.ExpressionAttributeNames = attributeNames
+		}
+
+		return this.compileExpressions(params, {
+			KeyConditionExpression: condition instanceof expressions.Condition ? expressions.keyCondition(condition) : condition, // Without and() parentheses
+			FilterExpression: expressions.isExpression(filter) ? filter : null,
+		})
+	}
+
+	/**
+	 * Builds the QueryCommand parameters shared by queryByGSI, queryByGSIPage and iterateQueryByGSI.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string} indexName - The name of the Global Secondary Index to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} attributeNames - The ExpressionAttributeNames used by a string key condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} filter - A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} filterValues - A dictionary of filter values to be used in a string FilterExpression.
+	 * @returns {Object} - The QueryCommand parameters.
+	 */
+	queryByGSIParams(table, indexName, condition, attributeNames, keys, filter, filterValues) {
+		const params = {
+			TableName: table,
+			IndexName: indexName,
+		}
+
+		if (attributeNames) params.ExpressionAttributeNames = attributeNames
+		if (keys) params.ExpressionAttributeValues = this.marshaller.toItem(keys)
+
+		if (filter && filterValues && !expressions.isExpression(filter)) {
+			params.ExpressionAttributeValues = this.marshaller.toItem({
+				...keys,
+				...filterValues,
+			})
+			params.FilterExpression = filter
+
+			params.ExpressionAttributeNames = {
+				...attributeNames,
+				...filterAttributeNames(filter, filterValues),
+			}
+		}
+
+		return this.compileExpressions(params, {
+			KeyConditionExpression: condition instanceof expressions.Condition ? expressions.keyCondition(condition) : condition, // Without and() parentheses
+			FilterExpression: expressions.isExpression(filter) ? filter : null,
+		})
+	}
+
+	/**
+	 * Builds the ScanCommand parameters shared by scan, scanPage and iterateScan.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {string|Condition|null} filter - A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} filterValues - A dictionary of filter values to be used in a string FilterExpression.
+	 * @returns {Object} - The ScanCommand parameters.
+	 */
+	scanParams(table, filter, filterValues) {
+		const params = {
+			TableName: table,
+		}
+
+		if (filter && filterValues && !expressions.isExpression(filter)) {
+			params.FilterExpression = filter
+			params.ExpressionAttributeValues = this.marshaller.toItem(filterValues)
+
+			const attributeNames = filterAttributeNames(filter, filterValues)
+			if (Object.keys(attributeNames).length) params.ExpressionAttributeNames = attributeNames
+		}
+
+		return this.compileExpressions(params, {
+			FilterExpression: expressions.isExpression(filter) ? filter : null,
+		})
+	}
+
+	/**
+	 * Adds a projection to the command parameters, with a placeholder for every attribute name.
+	 *
+	 * @param {Object} params - The command parameters, updated in place.
+	 * @param {string|Array<string>} projection - The attributes to read, as a comma-separated string or an array of paths (e.g. 'address.city').
+	 * @returns {Object} - The command parameters.
+	 */
+	addProjection(params, projection) {
+		const context = new expressions.ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+		const attributes = Array.isArray(projection) ? projection : projection.split(',').map((attribute) => attribute.trim())
+		params.ProjectionExpression = attributes.map((attribute) => context.path(attribute)).join(', ')
+		params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...context.names }
+		return params
+	}
+
+	/**
+	 * Adds the read options shared by get, query, queryByGSI, scan and their page-level and iterating variants to the
+	 * QueryCommand or ScanCommand parameters.
+	 *
+	 * @param {Object} params - The QueryCommand or ScanCommand parameters.
+	 * @param {Object} [options={}] - Read options.
+	 * @param {string} [options.IndexName] - A local or global secondary index to read instead of the table. Ignored by queryByGSI, which names its index.
+	 * @param {number} [options.Limit] - The maximum number of items to evaluate for a page.
+	 * @param {string|Object} [options.ExclusiveStartKey] - A cursor returned by a previous page, or the key to start after.
+	 * @param {boolean} [options.ScanIndexForward=true] - Set to false to read a query in descending sort key order. Ignored by scans.
+	 * @param {string|Array<string>} [options.ProjectionExpression] - The attributes to read, as a comma-separated string or an array of paths.
+	 * Placeholders are added for every attribute name, so reserved words need no care.
+	 * @param {boolean} [options.ConsistentRead=false] - Make strongly consistent reads. Not supported on global secondary indexes.
+	 * @param {string} [options.Select] - 'COUNT' to count the matching items without reading them, or another Select value of DynamoDB.
+	 * @param {boolean} [options.includeDeleted=false] - Also read items that are soft deleted or past their TTL. Otherwise tables using soft
+	 * delete filter them out, which needs the soft delete attributes to be projected on the indexes read.
+	 * @returns {Object} - The parameters with the options applied.
+	 * @throws {HttpError} - Throws a 400 HttpError if the cursor is malformed.
+	 */
+	readOptions(params, options = {}) {
+		const { IndexName, ScanIndexForward, ProjectionExpression, ConsistentRead, Select } = options
+		const read = this.paginate(params, options)
+
+		if (IndexName && !read.IndexName) read.IndexName = IndexName
+		if (ScanIndexForward === false && read.KeyConditionExpression) read.ScanIndexForward = false
+		if (ProjectionExpression) this.addProjection(read, ProjectionExpression)
+		if (ConsistentRead) read.ConsistentRead = true
+		if (Select) read.Select = Select
+
+		return this.addVisibleFilter(read, options)
+	}
+
+	/**
+	 * Add the filter hiding items that are soft deleted or past their TTL to the parameters of a query or scan, on tables
+	 * using soft delete.
+	 *
+	 * @param {Object} params - The QueryCommand or ScanCommand parameters, updated in place.
+	 * @param {Object} [options={}] - The read options, with `includeDeleted: true` to read every item.
+	 * @returns {Object} - The parameters.
+	 */
+	addVisibleFilter(params, options = {}) {
+		const settings = this.softDelete[params.TableName]
+		if (!settings || options.includeDeleted) return params
+
+		const context = new expressions.ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+		const visible = deletion.visibleCondition(settings).build(context)
+		params.FilterExpression = params.FilterExpression ? `(${params.FilterExpression}) AND ${visible}` : visible
+		params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...context.names }
+		if (Object.keys(context.values).length) params.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...context.values }
+		return params
+	}
+
+	/**
+	 * Adds the page size and start position of a page-level call to the command parameters.
+	 *
+	 * @param {Object} params - The QueryCommand or ScanCommand parameters.
+	 * @param {Object} [options={}] - Pagination options.
+	 * @param {number} [options.Limit] - The maximum number of items to evaluate for the page.
+	 * @param {string|Object} [options.ExclusiveStartKey] - A cursor returned by a previous page, or the key to start after.
+	 * @returns {Object} - The parameters with pagination applied.
+	 * @throws {HttpError} - Throws a 400 HttpError if the cursor is malformed.
+	 */
+	paginate(params, { Limit, ExclusiveStartKey } = {}) {
+		const paginated = { ...params }
+
+		if (Limit) paginated.Limit = Limit
+		if (typeof ExclusiveStartKey === 'string') {
+			try {
+				paginated.ExclusiveStartKey = decodeCursor(ExclusiveStartKey)
+			} catch (error) {
+				this.logger.info('Invalid pagination cursor', { cursor: ExclusiveStartKey })
+				throw new ValidationError('Invalid pagination cursor', undefined, { cause: error })
+			}
+		} else if (ExclusiveStartKey) {
+			paginated.ExclusiveStartKey = this.marshaller.toItem(ExclusiveStartKey)
+		}
+
+		return paginated
+	}
+
+	/**
+	 * Sends a QueryCommand or ScanCommand and returns a single page of results.
+	 *
+	 * @param {Function} Command - QueryCommand or ScanCommand.
+	 * @param {Object} params - The command parameters.
+	 * @param {string} errorMessage - The message of the HttpError thrown if the command fails.
+	 * @returns {Promise<{items: Array, count: number, cursor: string|null}>} - The items of the page (none with Select COUNT),
+	 * how many matched, and the cursor of the next page, or null on the last page.
+	 * @throws {HttpError} - Throws an error if the command fails.
+	 */
+	async readPage(Command, params, errorMessage) {
+		try {
+			const command = new Command(params)
+			const res = await this.send(command)
+			return {
+				items: (res.Items || []).map((item) => this.marshaller.fromItem(item)),
+				count: res.Count,
+				cursor: encodeCursor(res.LastEvaluatedKey),
+			}
+		} catch (error) {
+			this.logger.error(errorMessage, { table: params.TableName, error })
+			throw fromAwsError(error, errorMessage, { table: params.TableName })
+		}
+	}
+
+	/**
+	 * Counts the items matching a QueryCommand or ScanCommand with Select COUNT, reading every page from the start position.
+	 *
+	 * @param {Function} Command - QueryCommand or ScanCommand.
+	 * @param {Object} params - The command parameters, with the read options applied.
+	 * @param {string} errorMessage - The message of the HttpError thrown if a command fails.
+	 * @returns {Promise<number>} - The number of matching items.
+	 * @throws {HttpError} - Throws an error if a command fails.
+	 */
+	async countPages(Command, params, errorMessage) {
+		let count = 0
+		let next = params
+		while (next) {
+			const page = await this.readPage(Command, next, errorMessage)
+			count += page.count
+			next = page.cursor && this.paginate(params, { ExclusiveStartKey: page.cursor })
+		}
+		return count
+	}
+
+	/**
+	 * Queries a DynamoDB table based on the provided key condition and optional filters.
+	 * Only the first page of results is returned; use queryPage or iterateQuery to read past it.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: IndexName (for local secondary indexes), Limit, ScanIndexForward,
+	 * ProjectionExpression, ConsistentRead and Select.
+	 *
+	 * @returns {Promise<Array|number>} - An array of items returned from the query that match the conditions and filters,
+	 * or their number with Select COUNT, counted over every page.
+	 *
+	 * @throws {HttpError} - Throws an error if the query operation fails.
+	 */
+	async query(table, condition, keys, filter = null, filterValues = null, options = {}) {
+		if (options.Select === 'COUNT') {
+			const params = this.readOptions(this.queryParams(table, condition, keys, filter, filterValues), options)
+			return this.countPages(QueryCommand, params, 'Error querying item from database')
+		}
+
+		const page = await this.queryPage(table, condition, keys, filter, filterValues, options)
+		if (page.cursor) this.logger.warn('Query results truncated, use queryPage or iterateQuery to read every page', { table })
+		return page.items
+	}
+
+	/**
+	 * Queries a single page of a DynamoDB table based on the provided key condition and optional filters.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: pagination (`Limit` and `ExclusiveStartKey`, a cursor or a key),
+	 * IndexName, ScanIndexForward, ProjectionExpression, ConsistentRead and Select.
+	 *
+	 * @returns {Promise<{items: Array, count: number, cursor: string|null}>} - The items of the page, how many matched, and the cursor of
+	 * the next page, or null on the last page.
+	 *
+	 * @throws {HttpError} - Throws an error if the cursor is invalid or the query operation fails.
+	 */
+	async queryPage(table, condition, keys, filter = null, filterValues = null, options = {}) {
+		const params = this.readOptions(this.queryParams(table, condition, keys, filter, filterValues), options)
+		return this.readPage(QueryCommand, params, 'Error querying item from database')
+	}
+
+	/**
+	 * Iterates over every item matching a query, fetching the following pages as needed.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: `Limit` sets the page size, `ExclusiveStartKey` the position to resume from.
+	 *
+	 * @returns {AsyncGenerator<Object>} - The matching items, one at a time.
+	 *
+	 * @throws {HttpError} - Throws an error if the cursor is invalid or a query operation fails.
+	 */
+	async *iterateQuery(table, condition, keys, filter = null, filterValues = null, options = {}) {
+		let cursor = options.ExclusiveStartKey
+		do {
+			const page = await this.queryPage(table, condition, keys, filter, filterValues, { ...options, ExclusiveStartKey: cursor })
+			yield* page.items
+			cursor = page.cursor
+		} while (cursor)
+	}
+
+	/**
+	 * Queries a DynamoDB table using a Global Secondary Index (GSI) with the provided key condition and optional filters.
+	 * Only the first page of results is returned; use queryByGSIPage or iterateQueryByGSI to read past it.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string} indexName - The name of the Global Secondary Index to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} attributeNames - The ExpressionAttributeNames used by a string key condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: Limit, ScanIndexForward, ProjectionExpression and Select.
+	 *
+	 * @returns {Promise<Array|number>} - An array of items returned from the query that match the conditions and filters,
+	 * or their number with Select COUNT, counted over every page.
+	 *
+	 * @throws {HttpError} - Throws an error if the query operation fails.
+	 */
+	async queryByGSI(table, indexName, condition, attributeNames, keys, filter = null, filterValues = null, options = {}) {
+		if (options.Select === 'COUNT') {
+			const params = this.readOptions(this.queryByGSIParams(table, indexName, condition, attributeNames, keys, filter, filterValues), options)
+			return this.countPages(QueryCommand, params, 'Error querying by GSI from database')
+		}
+
+		const page = await this.queryByGSIPage(table, indexName, condition, attributeNames, keys, filter, filterValues, options)
+		if (page.cursor) this.logger.warn('Query results truncated, use queryByGSIPage or iterateQueryByGSI to read every page', { table })
+		return page.items
+	}
+
+	/**
+	 * Queries a single page of a Global Secondary Index (GSI) with the provided key condition and optional filters.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string} indexName - The name of the Global Secondary Index to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} attributeNames - The ExpressionAttributeNames used by a string key condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: pagination (`Limit` and `ExclusiveStartKey`, a cursor or a key),
+	 * IndexName, ScanIndexForward, ProjectionExpression, ConsistentRead and Select.
+	 *
+	 * @returns {Promise<{items: Array, count: number, cursor: string|null}>} - The items of the page, how many matched, and the cursor of
+	 * the next page, or null on the last page.
+	 *
+	 * @throws {HttpError} - Throws an error if the cursor is invalid or the query operation fails.
+	 */
+	async queryByGSIPage(table, indexName, condition, attributeNames, keys, filter = null, filterValues = null, options = {}) {
+		const params = this.readOptions(this.queryByGSIParams(table, indexName, condition, attributeNames, keys, filter, filterValues), options)
+		return this.readPage(QueryCommand, params, 'Error querying by GSI from database')
+	}
+
+	/**
+	 * Iterates over every item matching a GSI query, fetching the following pages as needed.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to query.
+	 * @param {string} indexName - The name of the Global Secondary Index to query.
+	 * @param {string|Condition} condition - The KeyConditionExpression to apply to the query, as a string or a builder condition.
+	 * @param {Object|null} attributeNames - The ExpressionAttributeNames used by a string key condition.
+	 * @param {Object|null} keys - A dictionary of key-value pairs to be used as ExpressionAttributeValues in the KeyConditionExpression. Not needed for builder conditions.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: `Limit` sets the page size, `ExclusiveStartKey` the position to resume from.
+	 *
+	 * @returns {AsyncGenerator<Object>} - The matching items, one at a time.
+	 *
+	 * @throws {HttpError} - Throws an error if the cursor is invalid or a query operation fails.
+	 */
+	async *iterateQueryByGSI(table, indexName, condition, attributeNames, keys, filter = null, filterValues = null, options = {}) {
+		let cursor = options.ExclusiveStartKey
+		do {
+			const page = await this.queryByGSIPage(table, indexName, condition, attributeNames, keys, filter, filterValues, {
+				...options,
+				ExclusiveStartKey: cursor,
+			})
+			yield* page.items
+			cursor = page.cursor
+		} while (cursor)
+	}
+
+	/**
+	 * Scans a DynamoDB table based on the provided filter expression and optional filter values.
+	 * Only the first page of results is returned; use scanPage or iterateScan to read past it.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: IndexName, Limit, ProjectionExpression, ConsistentRead and Select.
+	 *
+	 * @returns {Promise<Array|number>} - An array of items returned from the scan that match the conditions and filters,
+	 * or their number with Select COUNT, counted over every page.
+	 *
+	 * @throws {HttpError} - Throws an error if the scan operation fails.
+	 */
+	async scan(table, filter = null, filterValues = null, options = {}) {
+		if (options.Select === 'COUNT') {
+			const params = this.readOptions(this.scanParams(table, filter, filterValues), options)
+			return this.countPages(ScanCommand, params, 'Error scanning item from database')
+		}
+
+		const page = await this.scanPage(table, filter, filterValues, options)
+		if (page.cursor) this.logger.warn('Scan results truncated, use scanPage or iterateScan to read every page', { table })
+		return page.items
+	}
+
+	/**
+	 * Scans a single page of a DynamoDB table based on the provided filter expression and optional filter values.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: pagination (`Limit` and `ExclusiveStartKey`, a cursor or a key),
+	 * IndexName, ScanIndexForward, ProjectionExpression, ConsistentRead and Select.
+	 *
+	 * @returns {Promise<{items: Array, count: number, cursor: string|null}>} - The items of the page, how many matched, and the cursor of
+	 * the next page, or null on the last page.
+	 *
+	 * @throws {HttpError} - Throws an error if the cursor is invalid or the scan operation fails.
+	 */
+	async scanPage(table, filter = null, filterValues = null, options = {}) {
+		const params = this.readOptions(this.scanParams(table, filter, filterValues), options)
+		return this.readPage(ScanCommand, params, 'Error scanning item from database')
+	}
+
+	/**
+	 * Iterates over every item of a DynamoDB table matching the optional filter, fetching the following pages as needed.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {string|Condition|null} [filter=null] - Optional. A FilterExpression to apply additional filtering on the results, as a string or a builder condition.
+	 * @param {Object|null} [filterValues=null] - Optional. A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {Object} [options={}] - Optional. Read options, see readOptions: `Limit` sets the page size, `ExclusiveStartKey` the position to resume from.
+	 *
+	 * @returns {AsyncGenerator<Object>} - The matching items, one at a time.
+	 *
+	 * @throws {HttpError} - Throws an error if the cursor is invalid or a scan operation fails.
+	 */
+	async *iterateScan(table, filter = null, filterValues = null, options = {}) {
+		let cursor = options.ExclusiveStartKey
+		do {
+			const page = await this.scanPage(table, filter, filterValues, { ...options, ExclusiveStartKey: cursor })
+			yield* page.items
+			cursor = page.cursor
+		} while (cursor)
+	}
+
+	/**
+	 * Builds the ScanCommand parameters of a parallel scan.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {Object} options - The options of the scan, see iterateParallelScan.
+	 * @returns {Object} - The ScanCommand parameters, without the segment.
+	 */
+	parallelScanParams(table, { filter = null, filterValues = null, projection = null, indexName, pageSize, consistentRead, includeDeleted }) {
+		const params = this.scanParams(table, filter, filterValues)
+
+		if (projection) this.addProjection(params, projection)
+		if (indexName) params.IndexName = indexName
+		if (pageSize) params.Limit = pageSize
+		if (consistentRead) params.ConsistentRead = true
+
+		return this.addVisibleFilter(params, { includeDeleted })
+	}
+
+	/**
+	 * Reads the pages of a parallel scan as they arrive, as AttributeValues. See iterateParallelScan for the options.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {Object} [options={}] - The options of the scan.
+	 * @returns {AsyncGenerator<Array<Object>>} - The items of each page.
+	 * @throws {HttpError} - Throws an error if a scan operation fails.
+	 */
+	async *scanSegments(table, options = {}) {
+		const { segments = DEFAULT_SCAN_SEGMENTS, concurrency = segments, rateLimit = {}, onProgress } = options
+		const params = this.parallelScanParams(table, options)
+		const requests = rateLimit.requestsPerSecond ? new RateLimiter(rateLimit.requestsPerSecond) : null
+		const capacity = rateLimit.capacityPerSecond ? new RateLimiter(rateLimit.capacityPerSecond) : null
+
+		// Resolves with the error instead of rejecting, so that requests still in flight when the scan stops fail quietly
+		const read = async ({ segment, cursor }) => {
+			try {
+				if (requests) await requests.acquire(1)
+				if (capacity) await capacity.acquire()
+				const res = await this.send(new ScanCommand({ ...params, Segment: segment, TotalSegments: segments, ExclusiveStartKey: cursor }))
+				if (capacity) capacity.consume(capacityUnits(res.ConsumedCapacity))
+				return { segment, res }
+			} catch (error) {
+				return { segment, error }
+			}
+		}
+
+		const queue = Array.from({ length: segments }, (_, segment) => ({ segment }))
+		const inFlight = new Map()
+		const progress = { segments, completedSegments: 0, pages: 0, scanned: 0, items: 0, consumedCapacity: 0 }
+
+		while (queue.length || inFlight.size) {
+			while (queue.length && inFlight.size < concurrency) {
+				const next = queue.shift()
+				inFlight.set(next.segment, read(next))
+			}
+
+			const { segment, res, error } = await Promise.race(inFlight.values())
+			inFlight.delete(segment)
+			if (error) {
+				this.logger.error('Error scanning table in database', { table, segment, error })
+				throw fromAwsError(error, 'Error scanning table in database', { table })
+			}
+
+			progress.pages++
+			progress.scanned += res.ScannedCount || 0
+			progress.items += res.Items.length
+			progress.consumedCapacity += capacityUnits(res.ConsumedCapacity)
+			// The next page of a segment goes first in line, so that segments are finished before new ones are started
+			if (res.LastEvaluatedKey) queue.unshift({ segment, cursor: res.LastEvaluatedKey })
+			else progress.completedSegments++
+
+			if (onProgress) onProgress({ ...progress })
+			yield res.Items
+		}
+	}
+
+	/**
+	 * Iterates over every item of a DynamoDB table with a parallel scan: the table is split in segments that are read side by side.
+	 * Items are yielded as their pages arrive, so the items of different segments are interleaved, and at most `concurrency`
+	 * pages are read ahead of the consumer.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {Object} [options={}] - Optional settings of the scan.
+	 * @param {string|Condition|null} [options.filter=null] - A FilterExpression, as a string or a builder condition.
+	 * @param {Object|null} [options.filterValues=null] - A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {string|Array<string>} [options.projection] - The attributes to read, as a comma-separated string or an array of paths.
+	 * @param {string} [options.indexName] - A secondary index to scan instead of the table.
+	 * @param {number} [options.segments=4] - The number of segments the table is split in.
+	 * @param {number} [options.concurrency=segments] - The number of segments read at the same time.
+	 * @param {number} [options.pageSize] - The maximum number of items read per request.
+	 * @param {boolean} [options.consistentRead=false] - Make strongly consistent reads.
+	 * @param {boolean} [options.includeDeleted=false] - Also read items that are soft deleted or past their TTL, see the softDelete option.
+	 * @param {Object} [options.rateLimit] - Caps on `requestsPerSecond` and `capacityPerSecond`, in read capacity units.
+	 * The capacity cap relies on the consumed capacity DynamoDB returns, so it has no effect with `consumedCapacity: 'NONE'`.
+	 * @param {Function} [options.onProgress] - Called after every page with the totals so far: `segments`, `completedSegments`,
+	 * `pages`, `scanned`, `items` and `consumedCapacity`.
+	 *
+	 * @returns {AsyncGenerator<Object>} - The matching items, one at a time.
+	 *
+	 * @throws {HttpError} - Throws an error if a scan operation fails.
+	 */
+	async *iterateParallelScan(table, options = {}) {
+		for await (const items of this.scanSegments(table, options)) {
+			for (const item of items) yield this.marshaller.fromItem(item)
+		}
+	}
+
+	/**
+	 * Reads every item of a DynamoDB table with a parallel scan, as a readable stream in object mode.
+	 * The stream is paused while its consumer is busy, and destroyed with the HttpError of a failed scan operation.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to scan.
+	 * @param {Object} [options={}] - Optional settings of the scan, see iterateParallelScan.
+	 * @returns {Readable} - The stream of items.
+	 */
+	scanStream(table, options = {}) {
+		return Readable.from(this.iterateParallelScan(table, options))
+	}
+
+	/**
+	 * Writes every item of a DynamoDB table to a file with a parallel scan, as newline-delimited JSON or CSV.
+	 *
+	 * Items are written as native values whether marshalling is enabled or not: sets become arrays, binary values base64.
+	 * CSV files start with a header row. Lists, maps and sets are written as JSON in CSV cells.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to export.
+	 * @param {string} file - The path of the file to write, replaced if it exists.
+	 * @param {Object} [options={}] - Optional settings of the export, and of the scan (see iterateParallelScan).
+	 * @param {string} [options.format] - 'ndjson' or 'csv', by default from the file extension (.ndjson, .jsonl, .json or .csv).
+	 * @param {Array<string>} [options.columns] - The attributes written to CSV, by default the projection, or else the attributes of the first item.
+	 * @returns {Promise<{file: string, format: string, items: number, scanned: number, consumedCapacity: number}>} - The export summary.
+	 * @throws {HttpError} - Throws a 400 HttpError if the format is not supported, or an error if the scan or the write fails.
+	 */
+	async exportTable(table, file, options = {}) {
+		const format = exportFormat(file, options.format)
+		if (!format) throw new ValidationError(`Unsupported export format: ${options.format || file}`)
+
+		const { projection, onProgress } = options
+		let columns = options.columns || (projection && (Array.isArray(projection) ? projection : projection.split(',').map((name) => name.trim())))
+		let progress = { items: 0, scanned: 0, consumedCapacity: 0 }
+		const pages = this.scanSegments(table, {
+			...options,
+			onProgress: (totals) => {
+				progress = totals
+				if (onProgress) onProgress(totals)
+			},
+		})
+
+		async function* lines() {
+			if (format === 'csv' && columns) yield csvRow(columns)
+
+			for await (const items of pages) {
+				let chunk = ''
+				for (const item of items.map((attributes) => unmarshall(attributes))) {
+					if (format === 'ndjson') {
+						chunk += ndjsonLine(item)
+						continue
+					}
+					if (!columns) {
+						columns = Object.keys(item).sort()
+						chunk += csvRow(columns)
+					}
+					chunk += csvRow(columns.map((column) => item[column]))
+				}
+				if (chunk) yield chunk
+			}
+		}
+
+		await pipeline(Readable.from(lines()), createWriteStream(file))
+		return { file, format, items: progress.items, scanned: progress.scanned, consumedCapacity: progress.consumedCapacity }
+	}
+
+	/**
+	 * Back up a table to a directory: the items as newline-delimited JSON files of AttributeValues, read with a parallel scan,
+	 * and a manifest.json with the table definition (key schema, attributes, billing mode and indexes) and the item counts.
+	 * The manifest is written last, so a directory without one holds an incomplete backup.
+	 *
+	 * The scan is not a point-in-time snapshot: items written during the backup may or may not be in it. Soft deleted items are backed up too.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to back up.
+	 * @param {string} directory - The directory to write to, created if needed. Files of a previous backup are replaced.
+	 * @param {Object} [options={}] - Optional settings of the backup, and of the scan (segments, concurrency, rateLimit, onProgress...),
+	 * see iterateParallelScan.
+	 * @param {number} [options.itemsPerFile=100000] - The number of items per data file.
+	 * @returns {Promise<Object>} - The manifest: `version`, `table`, `createdAt`, `definition`, `itemCount` and `files` with their `name` and `items`.
+	 * @throws {HttpError} - Throws an error if the table cannot be read, or the error of the file system if the files cannot be written.
+	 */
+	async backupTable(table, directory, options = {}) {
+		const { itemsPerFile = DEFAULT_BACKUP_FILE_ITEMS, ...scanOptions } = options
+		const description = await this.describeTable(table)
+		await fs.mkdir(directory, { recursive: true })
+
+		const pages = this.scanSegments(table, { ...scanOptions, includeDeleted: true })
+		const items = (async function* () {
+			for await (const page of pages) yield* page
+		})()
+
+		const files = []
+		let next = await items.next()
+		while (!next.done) {
+			const file = { name: dataFileName(files.length), items: 0 }
+			const lines = async function* () {
+				while (!next.done && file.items < itemsPerFile) {
+					yield encodeItem(next.value)
+					file.items++
+					next = await items.next()
+				}
+			}
+			await pipeline(Readable.from(lines()), createWriteStream(path.join(directory, file.name)))
+			files.push(file)
+		}
+
+		const manifest = {
+			version: BACKUP_VERSION,
+			table,
+			createdAt: new Date().toISOString(),
+			definition: tableDefinition(description),
+			itemCount: files.reduce((total, file) => total + file.items, 0),
+			files,
+		}
+		await fs.writeFile(path.join(directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2))
+		this.logger.info('Table backed up', { table, directory, itemCount: manifest.itemCount })
+		return manifest
+	}
+
+	/**
+	 * Restore a backup written by backupTable, with batch writes. Existing items with the same keys are replaced.
+	 *
+	 * The position in the backup is saved to a checkpoint file after every batch, so a restore that failed resumes where it
+	 * stopped when run again with the same target table. The checkpoint is removed once the restore completes.
+	 *
+	 * @param {string} directory - The directory of the backup.
+	 * @param {Object} [options={}] - Optional settings of the restore.
+	 * @param {string} [options.table] - The table to restore to, by default the table that was backed up.
+	 * @param {boolean|Object} [options.createTable=false] - Create the table if it does not exist, or make it match, with ensureTable:
+	 * `true` for the definition of the backup, or an object overriding parts of it (e.g. another KeySchema).
+	 * @param {Function} [options.transform] - Hook receiving each item, as native values when marshalling is enabled, and returning the item
+	 * to write, e.g. with its keys rewritten for another key layout. Items it returns null or undefined for are skipped. May be async.
+	 * @param {number} [options.batchSize=100] - The number of items written between checkpoints.
+	 * @param {Object} [options.rateLimit] - `itemsPerSecond`, the cap on the items written.
+	 * @param {boolean} [options.resume=true] - Resume from the checkpoint of a previous restore to the same table, if there is one.
+	 * @param {string} [options.checkpoint] - The path of the checkpoint file, restore-checkpoint.json in the backup directory by default.
+	 * @param {Function} [options.onProgress] - Called after every batch with `file`, `restored` and `skipped`.
+	 * @returns {Promise<{table: string, restored: number, skipped: number, resumed: boolean}>} - The items written and skipped by this run,
+	 * and whether it resumed a previous one.
+	 * @throws {HttpError} - Throws a 404 HttpError if there is no backup in the directory, a 400 HttpError if its version is not supported,
+	 * a 500 HttpError with the `unprocessed` items if a batch could not be written, a 400 ValidationError if the table has unique
+	 * constraints, or the errors of ensureTable and batchWrite.
+	 */
+	async restoreTable(directory, options = {}) {
+		const { createTable = false, transform, batchSize = DEFAULT_RESTORE_BATCH_SIZE, rateLimit = {}, resume = true, onProgress } = options
+		const checkpoint = options.checkpoint || path.join(directory, CHECKPOINT_FILE)
+
+		let manifest
+		try {
+			manifest = JSON.parse(await fs.readFile(path.join(directory, MANIFEST_FILE), 'utf8'))
+		} catch (error) {
+			throw new NotFoundError(`No backup found in ${directory}`, undefined, { cause: error })
+		}
+		if (manifest.version !== BACKUP_VERSION) throw new ValidationError(`Unsupported backup version: ${manifest.version}`)
+
+		const table = options.table || manifest.table
+		this.rejectUnique(table, 'restoreTable')
+		if (createTable) await this.ensureTable({ ...manifest.definition, ...(createTable === true ? {} : createTable), TableName: table })
+
+		// Position of the next line to restore, from the checkpoint of an earlier restore of the same backup to the same table
+		let position = { file: 0, line: 0 }
+		if (resume) {
+			const saved = await fs
+				.readFile(checkpoint, 'utf8')
+				.then(JSON.parse)
+				.catch(() => null)
+			if (saved && saved.table === table && saved.backup === manifest.createdAt) position = saved
+		}
+		const resumed = position.file > 0 || position.line > 0
+		if (resumed) this.logger.info('Resuming restore', { table, directory, file: position.file, line: position.line })
+
+		const limiter = rateLimit.itemsPerSecond ? new RateLimiter(rateLimit.itemsPerSecond) : null
+		const progress = { restored: 0, skipped: 0 }
+		const save = (file, line) => fs.writeFile(checkpoint, JSON.stringify({ table, backup: manifest.createdAt, file, line }))
+
+		for (let index = position.file; index < manifest.files.length; index++) {
+			const { name } = manifest.files[index]
+			let line = 0
+			let batch = []
+
+			const flush = async () => {
+				if (batch.length) {
+					if (limiter) await limiter.acquire(batch.length)
+					const result = await this.writeBatch(table, batch, { raw: true })
+					const unprocessed = result.unprocessed.map((request) => this.fromWriteRequest(request))
+					if (unprocessed.length) throw new HttpError('Some items could not be restored', 500, { unprocessed, checkpoint })
+					progress.restored += batch.length
+					batch = []
+				}
+				await save(index, line)
+				if (onProgress) onProgress({ file: name, ...progress })
+			}
+
+			const lines = readline.createInterface({ input: createReadStream(path.join(directory, name)), crlfDelay: Infinity })
+			for await (const text of lines) {
+				line++
+				if ((index === position.file && line <= position.line) || !text) continue
+
+				// Items are written as they were backed up, and only converted to native values and back for the transform
+				const item = decodeItem(text)
+				const restored = transform ? this.marshaller.toItem(await transform(this.marshaller.fromItem(item))) : item
+				if (!restored) {
+					progress.skipped++
+					continue
+				}
+
+				batch.push({ PutRequest: { Item: restored } })
+				if (batch.length >= batchSize) await flush()
+			}
+			await flush()
+		}
+
+		await fs.rm(checkpoint, { force: true })
+		this.logger.info('Table restored', { table, directory, ...progress })
+		return { table, ...progress, resumed }
+	}
+
+	/**
+	 * Delete the guard items of the unique values of items deleted by clearTable.
+	 *
+	 * @param {Object} constraint - The unique constraints of the table.
+	 * @param {Array<Object>} items - The items, with their key attributes and unique fields, as AttributeValues.
+	 * @param {Array<Object>} pending - The DeleteRequests of the items left unprocessed, whose guards are kept.
+	 * @returns {Promise<Array<Object>>} - The keys of the guards left unprocessed.
+	 */
+	async deleteGuards(constraint, items, pending) {
+		const keyOf = (item) => cacheKey(constraint.name, Object.fromEntries(constraint.keys.map((name) => [name, item[name]])))
+		const kept = new Set(pending.map((request) => keyOf(request.DeleteRequest.Key)))
+		const requests = items
+			.filter((item) => !kept.has(keyOf(item)))
+			.flatMap((item) => uniqueness.guardChanges(constraint, item, undefined).removed)
+			.map(({ key }) => ({ DeleteRequest: { Key: key } }))
+		if (!requests.length) return []
+
+		const { unprocessed } = await this.writeBatch(constraint.table, requests, { raw: true })
+		return unprocessed.map((request) => this.marshaller.fromItem(request.DeleteRequest.Key))
+	}
+
+	/**
+	 * Clears a DynamoDB table by deleting all its items, or only the items matching a filter.
+	 * The key schema is read with DescribeTable, so any partition and sort key works, and the table is read page by page
+	 * with only the key attributes projected, and the unique fields of tables with unique constraints, whose guard items are deleted
+	 * along with the items. Each page is deleted in chunks of 25 before the next one is read.
+	 *
+	 * @param {string} table - The name of the DynamoDB table to clear.
+	 * @param {Object} [options={}] - Options for the purge.
+	 * @param {string|Condition|null} [options.filter=null] - A FilterExpression selecting the items to delete, as a string or a builder condition.
+	 * @param {Object|null} [options.filterValues=null] - A dictionary of filter values to be used in a string FilterExpression.
+	 * @param {boolean} [options.dryRun=false] - Count the items that would be deleted without deleting them.
+	 * @param {number} [options.pageSize] - The maximum number of items read per page.
+	 *
+	 * @returns {Promise<number>} - The number of items deleted, or that would be deleted in a dry run.
+	 *
+	 * @throws {HttpError} - Throws an error if the table cannot be cleared, or with the unprocessed keys in `details` if some items could not be
+	 * deleted, and those of guard items in `unprocessedGuards`.
+	 */
+	async clearTable(table, { filter = null, filterValues = null, dryRun = false, pageSize } = {}) {
+		try {
+			const { Table } = await this.send(new DescribeTableCommand({ TableName: table }))
+
+			const params = this.scanParams(table, filter, filterValues)
+			// Filters without values (e.g. attribute_exists(archived)) are ignored by scanParams, but must never widen a purge
+			if (filter && !params.FilterExpression) params.FilterExpression = filter
+
+			// Unique values are read along with the keys, to delete their guards, and the deletion time, since soft deleted items hold none
+			const constraint = this.unique[table]
+			const keyNames = Table.KeySchema.map((key) => key.AttributeName)
+			const uniqueNames = constraint ? [...constraint.fields, ...(constraint.softDelete ? [constraint.softDelete.attribute] : [])] : []
+			const context = new expressions.ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+			params.ProjectionExpression = [...keyNames, ...uniqueNames].map((name) => context.path([name])).join(', ')
+			params.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...context.names }
+			if (pageSize) params.Limit = pageSize
+
+			let deleted = 0
+			const unprocessed = []
+			const unprocessedGuards = []
+			let ExclusiveStartKey
+			do {
+				const res = await this.send(new ScanCommand({ ...params, ExclusiveStartKey }))
+
+				if (dryRun) {
+					deleted += res.Items.length
+				} else if (res.Items.length) {
+					const keyOf = (item) => Object.fromEntries(keyNames.map((name) => [name, item[name]]))
+					// The keys are sent as they were read, since native values may not convert back to the same AttributeValues
+					const requests = res.Items.map((item) => ({ DeleteRequest: { Key: keyOf(item) } }))
+					const result = await this.writeBatch(table, requests, { raw: true })
+					deleted += result.processed
+					unprocessed.push(...result.unprocessed.map((request) => this.marshaller.fromItem(request.DeleteRequest.Key)))
+					if (constraint) unprocessedGuards.push(...(await this.deleteGuards(constraint, res.Items, result.UnprocessedItems[table] || [])))
+				}
+
+				ExclusiveStartKey = res.LastEvaluatedKey
+			} while (ExclusiveStartKey)
+
+			if (unprocessed.length || unprocessedGuards.length) {
+				throw new HttpError('Some items could not be deleted while clearing table', 500, { deleted, unprocessed, unprocessedGuards })
+			}
+			return deleted
+		} catch (error) {
+			this.logger.error('Error clearing table in database', { table, error })
+			throw fromAwsError(error, 'Error clearing table in database', { table })
+		}
+	}
+
+	/**
+	 * Create a table. The table is usually still CREATING when this returns, see waitUntilActive.
+	 *
+	 * @param {Object} definition - The table definition, in the same shape as CreateTable input (TableName, KeySchema, AttributeDefinitions, BillingMode, indexes...).
+	 * @returns {Promise<Object>} - The description of the table.
+	 * @throws {HttpError} - Throws a 409 HttpError if the table already exists, or a 400 HttpError if the definition is invalid.
+	 */
+	async createTable(definition) {
+		try {
+			const res = await this.send(new CreateTableCommand(definition))
+			return res.TableDescription
+		} catch (error) {
+			this.logger.error('Error creating table in database', { table: definition.TableName, error })
+			throw fromAwsError(error, 'Error creating table in database', { table: definition.TableName, tableStatus: 404 })
+		}
+	}
+
+	/**
+	 * Describe a table: its status, key schema, indexes, billing mode and item count.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @returns {Promise<Object>} - The description of the table, as returned by DescribeTable.
+	 * @throws {HttpError} - Throws a 404 HttpError if the table does not exist.
+	 */
+	async describeTable(table) {
+		try {
+			const res = await this.send(new DescribeTableCommand({ TableName: table }))
+			return res.Table
+		} catch (error) {
+			if (error.name !== 'ResourceNotFoundException') this.logger.error('Error describing table in database', { table, error })
+			throw fromAwsError(error, 'Error describing table in database', { table: table, tableStatus: 404 })
+		}
+	}
+
+	/**
+	 * Update a table: change its billing mode or provisioned throughput, or create, update or delete a global secondary index.
+	 * DynamoDB only creates or deletes one index per call, and rejects updates while the table is not ACTIVE.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} changes - The changes, in the same shape as UpdateTable input without the TableName
+	 * (BillingMode, ProvisionedThroughput, AttributeDefinitions, GlobalSecondaryIndexUpdates).
+	 * @returns {Promise<Object>} - The description of the table.
+	 * @throws {HttpError} - Throws a 404 HttpError if the table does not exist, 409 if it is being changed, 429 if too many indexes are changing, 400 if the changes are invalid.
+	 */
+	async updateTable(table, changes) {
+		try {
+			const res = await this.send(new UpdateTableCommand({ ...changes, TableName: table }))
+			return res.TableDescription
+		} catch (error) {
+			this.logger.error('Error updating table in database', { table, error })
+			throw fromAwsError(error, 'Error updating table in database', { table: table, tableStatus: 404 })
+		}
+	}
+
+	/**
+	 * Delete a table and all its items. The table is usually still DELETING when this returns, see waitUntilDeleted.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @returns {Promise<Object>} - The description of the table.
+	 * @throws {HttpError} - Throws a 404 HttpError if the table does not exist.
+	 */
+	async deleteTable(table) {
+		try {
+			const res = await this.send(new DeleteTableCommand({ TableName: table }))
+			return res.TableDescription
+		} catch (error) {
+			this.logger.error('Error deleting table from database', { table, error })
+			throw fromAwsError(error, 'Error deleting table from database', { table: table, tableStatus: 404 })
+		}
+	}
+
+	/**
+	 * Describe a table that may not exist.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @returns {Promise<Object|null>} - The description of the table, or null if it does not exist.
+	 */
+	async findTable(table) {
+		try {
+			return await this.describeTable(table)
+		} catch (error) {
+			if (error.statusCode === 404) return null
+			throw error
+		}
+	}
+
+	/**
+	 * Poll DescribeTable until a condition on the description holds.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Function} done - Receives the description, or null while the table does not exist, and returns true when waiting is over.
+	 * @param {Object} options - `timeout` and `interval`, in milliseconds.
+	 * @param {string} state - The awaited state, for the timeout message.
+	 * @returns {Promise<Object|null>} - The last description.
+	 * @throws {HttpError} - Throws a 504 HttpError on timeout.
+	 */
+	async pollTable(table, done, { timeout, interval }, state) {
+		const deadline = Date.now() + timeout
+
+		while (true) {
+			const description = await this.findTable(table)
+			if (done(description)) return description
+			if (Date.now() + interval > deadline) throw new TimeoutError(`Timed out waiting for ${table} to be ${state}`)
+			await sleep(interval)
+		}
+	}
+
+	/**
+	 * Wait until a table and its global secondary indexes, or a single index, are ACTIVE.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} [options={}] - Waiter options.
+	 * @param {string} [options.indexName] - Only wait for this global secondary index (and the table).
+	 * @param {number} [options.timeout=300000] - Maximum time to wait, in milliseconds.
+	 * @param {number} [options.interval=2000] - Time between two polls, in milliseconds.
+	 * @returns {Promise<Object>} - The description of the active table.
+	 * @throws {HttpError} - Throws a 504 HttpError on timeout.
+	 */
+	async waitUntilActive(table, { indexName = null, ...options } = {}) {
+		const active = (description) => {
+			if (!description || description.TableStatus !== 'ACTIVE') return false
+			const indexes = (description.GlobalSecondaryIndexes || []).filter((index) => !indexName || index.IndexName === indexName)
+			return (!indexName || indexes.length > 0) && indexes.every((index) => index.IndexStatus === 'ACTIVE')
+		}
+		return this.pollTable(table, active, { ...DEFAULT_WAIT_OPTIONS, ...options }, indexName ? `ACTIVE with index ${indexName}` : 'ACTIVE')
+	}
+
+	/**
+	 * Wait until a table, or one of its global secondary indexes, no longer exists.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} [options={}] - Waiter options: `indexName`, `timeout` and `interval`, see waitUntilActive.
+	 * @returns {Promise<void>}
+	 * @throws {HttpError} - Throws a 504 HttpError on timeout.
+	 */
+	async waitUntilDeleted(table, { indexName = null, ...options } = {}) {
+		const deleted = (description) =>
+			!description || (indexName && !(description.GlobalSecondaryIndexes || []).some((index) => index.IndexName === indexName))
+		await this.pollTable(table, deleted, { ...DEFAULT_WAIT_OPTIONS, ...options }, indexName ? `without index ${indexName}` : 'deleted')
+	}
+
+	/**
+	 * Make a table match a definition: create it if it does not exist, otherwise update its billing mode, throughput and
+	 * global secondary indexes where they differ. Indexes whose key schema or projection changed are deleted and created again.
+	 * Every step waits for the table to be ACTIVE, since DynamoDB changes one index at a time.
+	 *
+	 * @param {Object} definition - The table definition, in the same shape as CreateTable input.
+	 * @param {Object} [options={}] - Waiter options: `timeout` and `interval`, see waitUntilActive.
+	 * @returns {Promise<{changes: Array<string>, table: Object}>} - The changes made, empty if the table already matched, and the description of the table.
+	 * @throws {HttpError} - Throws a 409 HttpError if the key schema or local secondary indexes differ, since they cannot be changed.
+	 */
+	async ensureTable(definition, options = {}) {
+		const { TableName: table, KeySchema, AttributeDefinitions = [], GlobalSecondaryIndexes = [], LocalSecondaryIndexes = [] } = definition
+		const changes = []
+
+		if (!(await this.findTable(table))) {
+			await this.createTable(definition)
+			return { changes: [`Create table ${table}`], table: await this.waitUntilActive(table, options) }
+		}
+		let existing = await this.waitUntilActive(table, options)
+
+		if (indexShape({ KeySchema }) !== indexShape({ KeySchema: existing.KeySchema })) {
+			throw new ConflictError(`The key schema of ${table} differs from the definition and cannot be changed`)
+		}
+		const localIndexes = (indexes) => JSON.stringify(indexes.map((index) => [index.IndexName, indexShape(index)]).sort())
+		if (localIndexes(LocalSecondaryIndexes) !== localIndexes(existing.LocalSecondaryIndexes || [])) {
+			throw new ConflictError(`The local secondary indexes of ${table} differ from the definition and cannot be changed`)
+		}
+
+		const update = async (change, description) => {
+			await this.updateTable(table, change)
+			changes.push(description)
+			existing = await this.waitUntilActive(table, options)
+		}
+
+		const billingMode = definition.BillingMode || 'PROVISIONED'
+		const currentBillingMode = (existing.BillingModeSummary && existing.BillingModeSummary.BillingMode) || 'PROVISIONED'
+		const throughput = billingMode === 'PROVISIONED' ? definition.ProvisionedThroughput : undefined
+		const throughputChanged =
+			throughput &&
+			['ReadCapacityUnits', 'WriteCapacityUnits'].some(
+				(unit) => !existing.ProvisionedThroughput || throughput[unit] !== existing.ProvisionedThroughput[unit]
+			)
+
+		if (billingMode !== currentBillingMode) {
+			await update({ BillingMode: billingMode, ProvisionedThroughput: throughput }, `Set billing mode ${billingMode}`)
+		} else if (throughputChanged) {
+			await update({ ProvisionedThroughput: throughput }, 'Set provisioned throughput')
+		}
+
+		const desired = new Map(GlobalSecondaryIndexes.map((index) => [index.IndexName, index]))
+		for (const index of existing.GlobalSecondaryIndexes || []) {
+			const wanted = desired.get(index.IndexName)
+			if (wanted && indexShape(wanted) === indexShape(index)) {
+				desired.delete(index.IndexName)
+				continue
+			}
+
+			await this.updateTable(table, { GlobalSecondaryIndexUpdates: [{ Delete: { IndexName: index.IndexName } }] })
+			changes.push(`Delete index ${index.IndexName}`)
+			await this.waitUntilDeleted(table, { ...options, indexName: index.IndexName })
+		}
+
+		for (const index of desired.values()) {
+			const attributes = index.KeySchema.map((key) => key.AttributeName)
+			await update(
+				{
+					AttributeDefinitions: AttributeDefinitions.filter((attribute) => attributes.includes(attribute.AttributeName)),
+					GlobalSecondaryIndexUpdates: [{ Create: index }],
+				},
+				`Create index ${index.IndexName}`
+			)
+		}
+
+		return { changes, table: changes.length ? await this.describeTable(table) : existing }
+	}
+
+	/**
+	 * Define an entity stored in a table of this database, see Entity for the definition.
+	 *
+	 * @param {Object} definition - The entity definition: name, table, partitionKey, sortKey, attributes and timestamps.
+	 * @returns {Entity} - The entity, exposing create, get, update, remove and query.
+	 */
+	entity(definition) {
+		return new Entity(this, definition)
+	}
+
+	/**
+	 * Create lease-based locks stored in a table of this database, see LockManager.
+	 *
+	 * @param {Object} options - The lock options: table, partitionKey, owner, leaseDuration, wait, retryDelay and reentrant.
+	 * @returns {LockManager} - The locks, exposing acquire and withLock.
+	 */
+	locks(options) {
+		return new LockManager(this, options)
+	}
+
+	/**
+	 * Create a sequence of unique, increasing numbers stored in a table of this database, see Counter.
+	 *
+	 * @param {string} table - The name of the counter table.
+	 * @param {string} name - The name of the counter.
+	 * @param {Object} [options={}] - The counter options: partitionKey, attribute and blockSize.
+	 * @returns {Counter} - The counter, exposing next, nextRange and current.
+	 */
+	counter(table, name, options = {}) {
+		return new Counter(this, { ...options, table, name })
+	}
 }
 
 module.exports = DynamoDB
+module.exports.HttpError = HttpError
+module.exports.ValidationError = ValidationError
+module.exports.ItemTooLargeError = errors.ItemTooLargeError
+module.exports.NotFoundError = NotFoundError
+module.exports.TableNotFoundError = errors.TableNotFoundError
+module.exports.ConditionFailedError = ConditionFailedError
+module.exports.VersionConflictError = VersionConflictError
+module.exports.ConflictError = ConflictError
+module.exports.TransactionCancelledError = TransactionCancelledError
+module.exports.ThrottlingError = errors.ThrottlingError
+module.exports.UniqueConstraintError = UniqueConstraintError
+module.exports.LockHeldError = errors.LockHeldError
+module.exports.LockLostError = errors.LockLostError
+module.exports.CounterContentionError = errors.CounterContentionError
+module.exports.TimeoutError = TimeoutError
+module.exports.MemoryBackend = MemoryBackend
+module.exports.MemoryStore = MemoryStore
+module.exports.Entity = Entity
+module.exports.LockManager = LockManager
+module.exports.Counter = Counter
+module.exports.expressions = expressions
+module.exports.markers = {
+	increment: patching.increment,
+	append: patching.append,
+	prepend: patching.prepend,
+	addToSet: patching.addToSet,
+	removeFromSet: patching.removeFromSet,
+	ifNotExists: patching.ifNotExists,
+	replace: patching.replace,
+}
@@ -0,0 +1,310 @@
+const { ValidationError, NotFoundError, ConditionFailedError } = require('./errors')
+const { createCodec } = require('./marshalling')
+const { set, remove, beginsWith, eq, attributeExists, attributeNotExists, keyCondition } = require('./expressionBuilder')
+
+const TEMPLATE_FIELD = /\{(\w+)\}/g
+
+// Checks of the attribute types an entity can declare, on native JavaScript values
+const TYPES = {
+	string: (value) => typeof value === 'string',
+	number: (value) => (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'bigint',
+	boolean: (value) => typeof value === 'boolean',
+	list: (value) => Array.isArray(value),
+	map: (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype,
+	set: (value) => value instanceof Set,
+	binary: (value) => value instanceof Uint8Array,
+}
+
+const DEFAULT_TIMESTAMPS = { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+
+function isMissing(value) {
+	return value === undefined || value === null
+}
+
+/**
+ * Parse a key definition such as `{ name: 'pk', template: 'USER#{id}' }`.
+ *
+ * @param {Object} key - The key definition.
+ * @param {Object} attributes - The declared attributes, which every template field must be part of.
+ * @returns {Object} - The key, with the fields used by its template.
+ * @throws {TypeError} - Throws if the definition is malformed.
+ */
+function parseKey(key, attributes) {
+	if (!key || !key.name || typeof key.template !== 'string') throw new TypeError('Entity keys need a name and a template')
+
+	const fields = [...key.template.matchAll(TEMPLATE_FIELD)].map(([, field]) => field)
+	fields.forEach((field) => {
+		if (!attributes[field]) throw new TypeError(`Key template field ${field} is not a declared attribute`)
+	})
+	return { name: key.name, template: key.template, fields }
+}
+
+/**
+ * Fill a key template with the values of its fields.
+ *
+ * @param {Object} key - The parsed key.
+ * @param {Object} data - The values of the fields.
+ * @param {boolean} [partial=false] - Stop at the first missing field and return the prefix before it, instead of failing.
+ * @returns {{value: string, complete: boolean}} - The key value, and whether every field was filled.
+ * @throws {ValidationError} - Throws if a field is missing and `partial` is not set.
+ */
+function renderKey(key, data, partial = false) {
+	let value = ''
+	let last = 0
+
+	for (const match of key.template.matchAll(TEMPLATE_FIELD)) {
+		const field = match[1]
+		value += key.template.slice(last, match.index)
+		if (isMissing(data[field]) || data[field] === '') {
+			if (partial) return { value, complete: false }
+			throw new ValidationError(`Invalid key: ${field} is required`, { errors: [`${field} is required`] })
+		}
+		value += String(data[field])
+		last = match.index + match[0].length
+	}
+
+	return { value: value + key.template.slice(last), complete: true }
+}
+
+/**
+ * A model on top of a DynamoDB table: builds keys from templates, validates and fills in items, and keeps timestamps.
+ * Entities always read and write native JavaScript values, whether or not the DynamoDB instance marshalls.
+ */
+class Entity {
+	/**
+	 * @param {DynamoDB} db - The DynamoDB instance the entity reads and writes through.
+	 * @param {Object} definition - The entity definition.
+	 * @param {string} definition.name - The name of the entity, used in error messages.
+	 * @param {string} definition.table - The name of the DynamoDB table.
+	 * @param {Object} definition.partitionKey - The partition key attribute and its template, e.g. `{ name: 'pk', template: 'USER#{id}' }`.
+	 * @param {Object} [definition.sortKey] - The sort key attribute and its template, e.g. `{ name: 'sk', template: 'PROFILE' }`.
+	 * @param {Object} definition.attributes - The attributes, keyed by name: a type (string, number, boolean, list, map, set, binary)
+	 * or `{ type, required, default }`. A function default is called for every new item.
+	 * @param {boolean|Object} [definition.timestamps=true] - Maintain createdAt and updatedAt, or `{ createdAt, updatedAt }` to rename them. False to disable.
+	 * @throws {TypeError} - Throws if the definition is malformed.
+	 */
+	constructor(db, { name, table, partitionKey, sortKey = null, attributes = {}, timestamps = true }) {
+		if (!name || !table) throw new TypeError('Entities need a name and a table')
+
+		this.db = db
+		this.name = name
+		this.table = table
+		this.attributes = Object.fromEntries(
+			Object.entries(attributes).map(([attribute, spec]) => [attribute, typeof spec === 'string' ? { type: spec } : { ...spec }])
+		)
+		Object.entries(this.attributes).forEach(([attribute, spec]) => {
+			if (!TYPES[spec.type]) throw new TypeError(`Unknown type ${spec.type} for attribute ${attribute}`)
+		})
+
+		this.partitionKey = parseKey(partitionKey, this.attributes)
+		this.sortKey = sortKey && parseKey(sortKey, this.attributes)
+		this.keyFields = new Set([...this.partitionKey.fields, ...(this.sortKey ? this.sortKey.fields : [])])
+		this.timestamps = timestamps && { ...DEFAULT_TIMESTAMPS, ...(timestamps === true ? {} : timestamps) }
+
+		const generated = [this.partitionKey.name, this.sortKey && this.sortKey.name, ...Object.values(this.timestamps || {})].filter(Boolean)
+		generated.forEach((attribute) => {
+			if (this.attributes[attribute]) throw new TypeError(`Attribute ${attribute} is managed by the entity and cannot be declared`)
+		})
+
+		this.codec = createCodec(db)
+	}
+
+	/**
+	 * Build the primary key of an item from the key templates.
+	 *
+	 * @param {Object} data - The values of the key fields.
+	 * @returns {Object} - The primary key, as native values.
+	 * @throws {ValidationError} - Throws if a key field is missing.
+	 */
+	keyOf(data) {
+		const key = { [this.partitionKey.name]: renderKey(this.partitionKey, data).value }
+		if (this.sortKey) key[this.sortKey.name] = renderKey(this.sortKey, data).value
+		return key
+	}
+
+	/**
+	 * Check values against the declared attributes.
+	 *
+	 * @param {Object} data - The values to check.
+	 * @param {boolean} [partial=false] - Only check the given values, as for an update, instead of a whole item.
+	 * @throws {ValidationError} - Throws listing every invalid value in `details.errors`.
+	 */
+	validate(data, partial = false) {
+		if (!data || typeof data !== 'object' || Array.isArray(data)) throw new ValidationError(`Invalid ${this.name}: expected an object`)
+
+		const errors = []
+		Object.entries(data).forEach(([attribute, value]) => {
+			const spec = this.attributes[attribute]
+			if (!spec) errors.push(`${attribute} is not an attribute of ${this.name}`)
+			else if (!isMissing(value) && !TYPES[spec.type](value)) errors.push(`${attribute} must be of type ${spec.type}`)
+		})
+
+		Object.entries(this.attributes).forEach(([attribute, spec]) => {
+			const required = spec.required || this.keyFields.has(attribute)
+			if (required && isMissing(data[attribute]) && (!partial || attribute in data)) errors.push(`${attribute} is required`)
+		})
+
+		if (errors.length) throw new ValidationError(`Invalid ${this.name}: ${errors.join(', ')}`, { errors })
+	}
+
+	/**
+	 * Convert an item read from the table to the entity, without its generated key attributes.
+	 */
+	toEntity(item) {
+		if (!item) return null
+		const entity = this.codec.fromItem(item)
+		delete entity[this.partitionKey.name]
+		if (this.sortKey) delete entity[this.sortKey.name]
+		return entity
+	}
+
+	// Condition that an item with the key of the entity exists (or not), the partition key being present on every item
+	exists(expected) {
+		return expected ? attributeExists([this.partitionKey.name]) : attributeNotExists([this.partitionKey.name])
+	}
+
+	// Run a write conditioned on the item existing, reporting a failed condition as a missing item
+	async whenExists(write) {
+		try {
+			return await write()
+		} catch (error) {
+			if (error instanceof ConditionFailedError && error.code === 'CONDITION_FAILED') {
+				throw new NotFoundError(`${this.name} not found`, undefined, { cause: error })
+			}
+			throw error
+		}
+	}
+
+	// Options of a write on the table: versioned writes check the version the entity was read with, and writes without one skip the check
+	writeOptions(version) {
+		return version === undefined ? { versioning: false } : { version }
+	}
+
+	/**
+	 * Create a new item, after filling in the defaults and validating it.
+	 *
+	 * @param {Object} data - The attributes of the item.
+	 * @returns {Promise<Object>} - The created entity, with its defaults and timestamps, and its version on tables using optimistic locking.
+	 * @throws {HttpError} - Throws a ValidationError (400) if the data is invalid, or a ConditionFailedError (409) if the item already exists.
+	 */
+	async create(data) {
+		this.validate(data, true) // Required attributes are checked once the defaults are filled in
+
+		const entity = {}
+		Object.entries(this.attributes).forEach(([attribute, spec]) => {
+			if (!isMissing(data[attribute])) entity[attribute] = data[attribute]
+			else if (spec.default !== undefined) entity[attribute] = typeof spec.default === 'function' ? spec.default() : structuredClone(spec.default)
+		})
+		this.validate(entity)
+
+		if (this.timestamps) {
+			const now = new Date().toISOString()
+			entity[this.timestamps.createdAt] = now
+			entity[this.timestamps.updatedAt] = now
+		}
+
+		const written = await this.db.set(this.table, this.codec.toItem({ ...entity, ...this.keyOf(entity) }), this.exists(false))
+		const versionAttribute = this.db.versionAttribute(this.table)
+		if (versionAttribute) entity[versionAttribute] = this.codec.fromItem(written)[versionAttribute]
+		return entity
+	}
+
+	/**
+	 * Get an item by the values of its key fields.
+	 *
+	 * @param {Object} key - The values of the key fields, e.g. `{ id: '42' }`.
+	 * @returns {Promise<Object>} - The entity.
+	 * @throws {HttpError} - Throws a ValidationError (400) if a key field is missing, or a NotFoundError (404) if the item does not exist.
+	 */
+	async get(key) {
+		const item = await this.db.get(this.table, this.codec.toItem(this.keyOf(key)))
+		return this.toEntity(item)
+	}
+
+	/**
+	 * Update attributes of an existing item. Attributes set to null or undefined are removed.
+	 *
+	 * @param {Object} key - The values of the key fields.
+	 * @param {Object} changes - The attributes to change. Key fields cannot be changed.
+	 * @param {Object} [options={}] - Optional settings of the write.
+	 * @param {number} [options.version] - On tables using optimistic locking, the version the entity was read with: the update only applies
+	 * if it still matches. Without it, the version is incremented whatever it is.
+	 * @returns {Promise<Object>} - The updated entity.
+	 * @throws {HttpError} - Throws a ValidationError (400) if the changes are invalid, a NotFoundError (404) if the item does not exist,
+	 * or a VersionConflictError (409) if the version does not match.
+	 */
+	async update(key, changes, { version } = {}) {
+		const primaryKey = this.keyOf(key)
+		this.validate(changes, true)
+
+		const locked = Object.keys(changes).filter((attribute) => this.keyFields.has(attribute) && changes[attribute] !== key[attribute])
+		if (locked.length) {
+			const errors = locked.map((attribute) => `${attribute} is part of the key and cannot be changed`)
+			throw new ValidationError(`Invalid ${this.name}: ${errors.join(', ')}`, { errors })
+		}
+
+		const values = { ...changes }
+		if (this.timestamps) values[this.timestamps.updatedAt] = new Date().toISOString()
+
+		const update = Object.entries(values).reduce((expression, [attribute, value]) => {
+			if (isMissing(value)) return expression ? expression.remove([attribute]) : remove([attribute])
+			const converted = this.toValue(value)
+			return expression ? expression.set([attribute], converted) : set([attribute], converted)
+		}, null)
+		if (!update) throw new ValidationError(`Invalid ${this.name}: no attributes to update`, { errors: ['no attributes to update'] })
+
+		// Unchecked updates still move the version on, so that writers holding the previous one conflict
+		const versionAttribute = version === undefined && this.db.versionAttribute(this.table)
+		const expression = versionAttribute ? update.add([versionAttribute], this.toValue(1)) : update
+		const res = await this.whenExists(() =>
+			this.db.update(this.table, this.codec.toItem(primaryKey), expression, null, null, this.exists(true), 'ALL_NEW', this.writeOptions(version))
+		)
+		return this.toEntity(res.Attributes)
+	}
+
+	/**
+	 * Delete an existing item.
+	 *
+	 * @param {Object} key - The values of the key fields.
+	 * @param {Object} [options={}] - Optional settings of the write.
+	 * @param {number} [options.version] - On tables using optimistic locking, the version the entity was read with: the item is only
+	 * deleted if it still matches.
+	 * @returns {Promise<void>}
+	 * @throws {HttpError} - Throws a ValidationError (400) if a key field is missing, a NotFoundError (404) if the item does not exist,
+	 * or a VersionConflictError (409) if the version does not match.
+	 */
+	async remove(key, { version } = {}) {
+		const primaryKey = this.keyOf(key)
+		await this.whenExists(() => this.db.delete(this.table, this.codec.toItem(primaryKey), this.exists(true), this.writeOptions(version)))
+	}
+
+	/**
+	 * Query the items sharing a partition key. The sort key template is filled as far as the given fields allow,
+	 * so `{ id }` on `ORDER#{orderId}` matches every order of the partition and `{ id, orderId }` a single one.
+	 *
+	 * @param {Object} key - The values of the partition key fields, and optionally of the sort key fields.
+	 * @param {Object} [options={}] - Pagination options: `limit` and `cursor`.
+	 * @returns {Promise<{items: Array, cursor: string|null}>} - The entities of the page and the cursor of the next page, or null on the last page.
+	 * @throws {HttpError} - Throws a ValidationError (400) if a partition key field is missing.
+	 */
+	async query(key, { limit, cursor } = {}) {
+		const partition = eq([this.partitionKey.name], this.toValue(renderKey(this.partitionKey, key).value))
+
+		let sort = null
+		if (this.sortKey) {
+			const { value, complete } = renderKey(this.sortKey, key, true)
+			if (complete) sort = eq([this.sortKey.name], this.toValue(value))
+			else if (value) sort = beginsWith([this.sortKey.name], this.toValue(value))
+		}
+
+		const page = await this.db.queryPage(this.table, keyCondition(partition, sort), null, null, null, { Limit: limit, ExclusiveStartKey: cursor })
+		return { items: page.items.map((item) => this.toEntity(item)), cursor: page.cursor }
+	}
+
+	// Convert a single native value to the form the DynamoDB instance expects
+	toValue(value) {
+		return this.codec.toItem({ value }).value
+	}
+}
+
+module.exports = Entity
@@ -0,0 +1,854 @@
+const { randomUUID } = require('crypto')
+const {
+	ConditionalCheckFailedException,
+	IdempotentParameterMismatchException,
+	LimitExceededException,
+	ResourceInUseException,
+	ResourceNotFoundException,
+	TransactionCanceledException,
+} = require('@aws-sdk/client-dynamodb')
+const {
+	validationError,
+	createContext,
+	assertAllUsed,
+	parseCondition,
+	parseUpdate,
+	parseProjection,
+	evaluateCondition,
+	applyUpdate,
+	updatedAttributes,
+	project,
+	typeOf,
+	compareValues,
+	itemSize,
+} = require('./expressionEngine')
+
+const MAX_ITEM_SIZE = 400 * 1024
+const MAX_PAGE_SIZE = 1024 * 1024
+const MAX_BATCH_GET_KEYS = 100
+const MAX_BATCH_WRITE_REQUESTS = 25
+const MAX_TRANSACTION_ITEMS = 100
+const IDEMPOTENCY_WINDOW = 10 * 60 * 1000
+
+// Maps the SDK command classes to the methods that emulate them
+const OPERATIONS = {
+	GetItemCommand: 'getItem',
+	PutItemCommand: 'putItem',
+	UpdateItemCommand: 'updateItem',
+	DeleteItemCommand: 'deleteItem',
+	BatchGetItemCommand: 'batchGetItem',
+	BatchWriteItemCommand: 'batchWriteItem',
+	QueryCommand: 'query',
+	ScanCommand: 'scan',
+	TransactWriteItemsCommand: 'transactWriteItems',
+	TransactGetItemsCommand: 'transactGetItems',
+	CreateTableCommand: 'createTableRequest',
+	DescribeTableCommand: 'describeTable',
+	UpdateTableCommand: 'updateTable',
+	DeleteTableCommand: 'deleteTable',
+}
+
+function parseKeySchema(keySchema = []) {
+	const hash = keySchema.find((key) => key.KeyType === 'HASH')
+	const range = keySchema.find((key) => key.KeyType === 'RANGE')
+	return { hash: hash && hash.AttributeName, range: range && range.AttributeName }
+}
+
+function keyNames(...schemas) {
+	return [...new Set(schemas.flatMap(({ hash, range }) => [hash, range]).filter(Boolean))]
+}
+
+function pick(item, names) {
+	return Object.fromEntries(names.filter((name) => item[name] !== undefined).map((name) => [name, item[name]]))
+}
+
+function serializeScalar(value) {
+	const type = typeOf(value)
+	return type === 'B' ? `B:${Buffer.from(value.B).toString('base64')}` : `${type}:${value[type]}`
+}
+
+// Segment of a parallel scan an item falls in, from a hash of its partition key so that segments don't overlap
+function segmentOf(item, hashKey, totalSegments) {
+	let hash = 0
+	for (const char of serializeScalar(item[hashKey])) hash = (hash * 31 + char.charCodeAt(0)) >>> 0
+	return hash % totalSegments
+}
+
+function compareTuples(a, b) {
+	for (let index = 0; index < a.length; index++) {
+		if (a[index] === undefined || b[index] === undefined) {
+			if (a[index] !== b[index]) return a[index] === undefined ? -1 : 1
+			continue
+		}
+		const order = compareValues(a[index], b[index])
+		if (order) return order
+	}
+	return 0
+}
+
+/**
+ * Compile the attribute types, keys and indexes of a table definition, checking that every key attribute is defined.
+ *
+ * @param {Object} definition - The table definition, in the same shape as CreateTable input.
+ * @returns {{attributeTypes: Object, keys: Object, indexes: Map}} - The compiled schema.
+ */
+function compileSchema({ KeySchema, AttributeDefinitions = [], GlobalSecondaryIndexes = [], LocalSecondaryIndexes = [] }) {
+	const attributeTypes = Object.fromEntries(AttributeDefinitions.map((attribute) => [attribute.AttributeName, attribute.AttributeType]))
+	const keys = parseKeySchema(KeySchema)
+	const indexes = new Map()
+
+	;[...GlobalSecondaryIndexes.map((index) => ['GLOBAL', index]), ...LocalSecondaryIndexes.map((index) => ['LOCAL', index])].forEach(
+		([kind, index]) => {
+			indexes.set(index.IndexName, {
+				name: index.IndexName,
+				kind,
+				keys: parseKeySchema(index.KeySchema),
+				projection: index.Projection || { ProjectionType: 'ALL' },
+			})
+		}
+	)
+
+	keyNames(keys, ...[...indexes.values()].map((index) => index.keys)).forEach((name) => {
+		if (!attributeTypes[name]) {
+			throw validationError(
+				`One or more parameter values were invalid: Some index key attributes are not defined in AttributeDefinitions. Keys: [${name}]`
+			)
+		}
+	})
+
+	return { attributeTypes, keys, indexes }
+}
+
+// Provisioned throughput as DescribeTable reports it, zero for on-demand tables
+function describeThroughput(billingMode, throughput) {
+	if (billingMode === 'PAY_PER_REQUEST' || !throughput) return { ReadCapacityUnits: 0, WriteCapacityUnits: 0, NumberOfDecreasesToday: 0 }
+	return { ReadCapacityUnits: throughput.ReadCapacityUnits, WriteCapacityUnits: throughput.WriteCapacityUnits, NumberOfDecreasesToday: 0 }
+}
+
+/**
+ * Estimate the capacity a command consumed, from the sizes of the items it read or wrote: reads cost a unit per 4 KB
+ * (half for eventually consistent reads), writes a unit per 1 KB, and transactions twice as much.
+ *
+ * @param {string} operation - The operation name, e.g. 'GetItem'.
+ * @param {Object} input - The command input.
+ * @param {Object} output - The command output.
+ * @returns {Object|Array<Object>} - The ConsumedCapacity, as DynamoDB returns it for the operation.
+ */
+function consumedCapacity(operation, input, output) {
+	const reads = (items, consistent) => {
+		const units = Math.ceil(items.reduce((total, item) => total + itemSize(item), 0) / 4096) || 1
+		return consistent ? units : units / 2
+	}
+	const writes = (items) => items.reduce((total, item) => total + (Math.ceil(itemSize(item || {}) / 1024) || 1), 0)
+	const capacity = (TableName, CapacityUnits) =>
+		input.ReturnConsumedCapacity === 'INDEXES' ? { TableName, CapacityUnits, Table: { CapacityUnits } } : { TableName, CapacityUnits }
+
+	switch (operation) {
+		case 'GetItem':
+			return capacity(input.TableName, reads(output.Item ? [output.Item] : [], input.ConsistentRead))
+		case 'Query':
+		case 'Scan':
+			// Count-only reads return no items, and are charged the minimum here
+			return capacity(input.TableName, reads(output.Items || [], input.ConsistentRead))
+		case 'PutItem':
+			return capacity(input.TableName, writes([input.Item]))
+		case 'UpdateItem':
+		case 'DeleteItem':
+			return capacity(input.TableName, writes([output.Attributes]))
+		case 'BatchGetItem':
+			return Object.entries(output.Responses).map(([table, items]) => capacity(table, reads(items, input.RequestItems[table].ConsistentRead)))
+		case 'BatchWriteItem':
+			return Object.entries(input.RequestItems).map(([table, requests]) =>
+				capacity(table, writes(requests.map((request) => (request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key))))
+			)
+		case 'TransactWriteItems':
+		case 'TransactGetItems': {
+			const tables = new Map()
+			input.TransactItems.forEach((item, index) => {
+				const [type, request] = Object.entries(item)[0]
+				const units = type === 'Get' ? reads([(output.Responses[index] && output.Responses[index].Item) || {}], true) : writes([request.Item])
+				tables.set(request.TableName, (tables.get(request.TableName) || 0) + 2 * units)
+			})
+			return [...tables].map(([table, units]) => capacity(table, units))
+		}
+		default:
+			return undefined
+	}
+}
+
+function flattenConjunction(node) {
+	return node.type === 'and' ? [...flattenConjunction(node.left), ...flattenConjunction(node.right)] : [node]
+}
+
+// Whether a condition, or one of the conditions it joins with AND, is written in parentheses
+function hasParentheses(node) {
+	return Boolean(node.parenthesized) || (node.type === 'and' && (hasParentheses(node.left) || hasParentheses(node.right)))
+}
+
+/**
+ * In-memory implementation of the DynamoDB commands used by the DynamoDB class.
+ * It can be passed as the `backend` option of the DynamoDB constructor to run without network access.
+ */
+class MemoryBackend {
+	/**
+	 * Create an in-memory backend, optionally with some tables already created.
+	 *
+	 * @param {Object} [options={}] - Backend options.
+	 * @param {Array<Object>} [options.tables=[]] - Table definitions, in the same shape as CreateTable input.
+	 */
+	constructor({ tables = [] } = {}) {
+		this.tables = new Map()
+		this.transactionTokens = new Map()
+		tables.forEach((definition) => this.createTable(definition))
+	}
+
+	/**
+	 * Execute a DynamoDB SDK command against the in-memory tables.
+	 *
+	 * @param {Object} command - A command from @aws-sdk/client-dynamodb, e.g. a GetItemCommand.
+	 * @returns {Promise<Object>} - The command output, shaped like the DynamoDB response.
+	 * @throws {Error} - Throws the same exception DynamoDB would (ConditionalCheckFailedException, ValidationException, ...).
+	 */
+	async send(command) {
+		const requestId = randomUUID()
+		const operation = OPERATIONS[command.constructor.name]
+
+		try {
+			if (!operation) throw validationError(`The in-memory backend does not support ${command.constructor.name}`)
+			const output = this[operation](structuredClone(command.input))
+			if (command.input.ReturnConsumedCapacity && command.input.ReturnConsumedCapacity !== 'NONE') {
+				output.ConsumedCapacity = consumedCapacity(command.constructor.name.replace(/Command$/, ''), command.input, output)
+			}
+			return { $metadata: { httpStatusCode: 200, requestId, attempts: 1, totalRetryDelay: 0 }, ...structuredClone(output) }
+		} catch (error) {
+			if (error.$metadata) error.$metadata.requestId = requestId
+			throw error
+		}
+	}
+
+	/**
+	 * Release resources, for parity with DynamoDBClient. The in-memory backend holds none.
+	 */
+	destroy() {}
+
+	/**
+	 * Create a table synchronously, for seeding the backend.
+	 *
+	 * @param {Object} definition - The table definition, in the same shape as CreateTable input.
+	 * @returns {Object} - The description of the created table.
+	 * @throws {ResourceInUseException} - Throws if a table with the same name already exists.
+	 */
+	createTable(definition) {
+		const { TableName, KeySchema } = definition
+
+		if (!TableName || !KeySchema) throw validationError('TableName and KeySchema are required to create a table')
+		if (this.tables.has(TableName)) {
+			throw new ResourceInUseException({ message: `Table already exists: ${TableName}`, $metadata: { httpStatusCode: 400 } })
+		}
+
+		const { attributeTypes, keys, indexes } = compileSchema(definition)
+
+		this.tables.set(TableName, {
+			name: TableName,
+			definition: structuredClone(definition),
+			createdAt: new Date(),
+			attributeTypes,
+			keys,
+			indexes,
+			items: new Map(),
+		})
+
+		return this.describe(TableName)
+	}
+
+	/**
+	 * Describe a table in the same shape as the DescribeTable output.
+	 *
+	 * @param {string} name - The name of the table.
+	 * @returns {Object} - The table description.
+	 * @throws {ResourceNotFoundException} - Throws if the table does not exist.
+	 */
+	describe(name) {
+		const table = this.resolveTable(name)
+		const items = [...table.items.values()]
+		const { definition } = table
+
+		const describeIndex = (index) => {
+			const indexed = items.filter((item) => keyNames(parseKeySchema(index.KeySchema)).every((key) => item[key] !== undefined))
+			return {
+				IndexName: index.IndexName,
+				KeySchema: index.KeySchema,
+				Projection: index.Projection || { ProjectionType: 'ALL' },
+				IndexStatus: 'ACTIVE',
+				ProvisionedThroughput: describeThroughput(definition.BillingMode, index.ProvisionedThroughput),
+				ItemCount: indexed.length,
+				IndexSizeBytes: indexed.reduce((total, item) => total + itemSize(item), 0),
+			}
+		}
+
+		const description = {
+			TableName: table.name,
+			TableStatus: 'ACTIVE',
+			KeySchema: definition.KeySchema,
+			AttributeDefinitions: definition.AttributeDefinitions,
+			CreationDateTime: table.createdAt,
+			ItemCount: items.length,
+			TableSizeBytes: items.reduce((total, item) => total + itemSize(item), 0),
+			BillingModeSummary: { BillingMode: definition.BillingMode || 'PROVISIONED' },
+			ProvisionedThroughput: describeThroughput(definition.BillingMode, definition.ProvisionedThroughput),
+		}
+
+		if (definition.GlobalSecondaryIndexes) description.GlobalSecondaryIndexes = definition.GlobalSecondaryIndexes.map(describeIndex)
+		if (definition.LocalSecondaryIndexes) description.LocalSecondaryIndexes = definition.LocalSecondaryIndexes.map(describeIndex)
+
+		return description
+	}
+
+	resolveTable(name) {
+		const table = this.tables.get(name)
+		if (!table) throw new ResourceNotFoundException({ message: 'Requested resource not found', $metadata: { httpStatusCode: 400 } })
+		return table
+	}
+
+	resolveView(table, indexName) {
+		if (!indexName) return { name: null, kind: 'TABLE', keys: table.keys, projection: { ProjectionType: 'ALL' } }
+
+		const index = table.indexes.get(indexName)
+		if (!index) throw validationError(`The table does not have the specified index: ${indexName}`)
+		return index
+	}
+
+	storageKey(table, item) {
+		return JSON.stringify(keyNames(table.keys).map((name) => serializeScalar(item[name])))
+	}
+
+	validateKey(table, key) {
+		const names = keyNames(table.keys)
+		const valid =
+			key &&
+			Object.keys(key).length === names.length &&
+			names.every((name) => key[name] !== undefined && typeOf(key[name]) === table.attributeTypes[name])
+
+		if (!valid) throw validationError('The provided key element does not match the schema')
+	}
+
+	validateItem(table, item) {
+		keyNames(table.keys).forEach((name) => {
+			const value = item[name]
+			if (value === undefined) throw validationError(`One or more parameter values were invalid: Missing the key ${name} in the item`)
+
+			const type = typeOf(value)
+			if (type !== table.attributeTypes[name]) {
+				throw validationError(
+					`One or more parameter values were invalid: Type mismatch for key ${name} expected: ${table.attributeTypes[name]} actual: ${type}`
+				)
+			}
+			if (type !== 'N' && !value[type].length) {
+				throw validationError(
+					`One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty value. Key: ${name}`
+				)
+			}
+		})
+
+		table.indexes.forEach((index) => {
+			keyNames(index.keys).forEach((name) => {
+				const value = item[name]
+				if (value === undefined) return
+
+				const type = typeOf(value)
+				if (type !== table.attributeTypes[name]) {
+					throw validationError(
+						`One or more parameter values were invalid: Type mismatch for Index Key ${name} Expected: ${table.attributeTypes[name]} Actual: ${type} IndexName: ${index.name}`
+					)
+				}
+				if (type !== 'N' && !value[type].length) {
+					throw validationError(
+						`One or more parameter values are not valid. A value specified for a secondary index key is not supported. The AttributeValue for a key attribute cannot contain an empty value. IndexName: ${index.name}, IndexKey: ${name}`
+					)
+				}
+			})
+		})
+
+		const assertNoEmptySets = (value) => {
+			const type = typeOf(value)
+			if (['SS', 'NS', 'BS'].includes(type) && !value[type].length) {
+				throw validationError('One or more parameter values were invalid: An string set  may not be empty')
+			}
+			if (type === 'L') value.L.forEach(assertNoEmptySets)
+			if (type === 'M') Object.values(value.M).forEach(assertNoEmptySets)
+		}
+		Object.values(item).forEach(assertNoEmptySets)
+
+		if (itemSize(item) > MAX_ITEM_SIZE) throw validationError('Item size has exceeded the maximum allowed size')
+	}
+
+	parseRequest(input) {
+		const names = input.ExpressionAttributeNames
+		const values = input.ExpressionAttributeValues
+
+		if (names && !Object.keys(names).length) throw validationError('ExpressionAttributeNames must not be empty')
+		if (values && !Object.keys(values).length) throw validationError('ExpressionAttributeValues must not be empty')
+
+		const context = createContext(names, values)
+		const parsed = {
+			keyCondition: input.KeyConditionExpression && parseCondition(input.KeyConditionExpression, context),
+			condition: input.ConditionExpression && parseCondition(input.ConditionExpression, context),
+			filter: input.FilterExpression && parseCondition(input.FilterExpression, context),
+			update: input.UpdateExpression && parseUpdate(input.UpdateExpression, context),
+			projection: input.ProjectionExpression && parseProjection(input.ProjectionExpression, context),
+		}
+		assertAllUsed(context)
+
+		return parsed
+	}
+
+	checkCondition(parsed, existing, input) {
+		if (!parsed.condition || evaluateCondition(parsed.condition, existing || {})) return
+
+		throw new ConditionalCheckFailedException({
+			message: 'The conditional request failed',
+			$metadata: { httpStatusCode: 400 },
+			Item: input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' ? existing : undefined,
+		})
+	}
+
+	createTableRequest(input) {
+		return { TableDescription: this.createTable(input) }
+	}
+
+	describeTable(input) {
+		return { Table: this.describe(input.TableName) }
+	}
+
+	// Tables and indexes are ACTIVE as soon as they are changed, since there is nothing to backfill
+	updateTable(input) {
+		const table = this.resolveTable(input.TableName)
+		const definition = structuredClone(table.definition)
+		const updates = input.GlobalSecondaryIndexUpdates || []
+
+		if (!input.BillingMode && !input.ProvisionedThroughput && !updates.length) {
+			throw validationError('At least one of ProvisionedThroughput, BillingMode or GlobalSecondaryIndexUpdates is required')
+		}
+		if (updates.filter((update) => update.Create || update.Delete).length > 1) {
+			throw new LimitExceededException({
+				message: 'Subscriber limit exceeded: Only 1 online index can be created or deleted simultaneously per table',
+				$metadata: { httpStatusCode: 400 },
+			})
+		}
+
+		if (input.AttributeDefinitions) {
+			const defined = new Map((definition.AttributeDefinitions || []).map((attribute) => [attribute.AttributeName, attribute]))
+			input.AttributeDefinitions.forEach((attribute) => defined.set(attribute.AttributeName, attribute))
+			definition.AttributeDefinitions = [...defined.values()]
+		}
+		if (input.BillingMode) definition.BillingMode = input.BillingMode
+		if (input.ProvisionedThroughput) definition.ProvisionedThroughput = input.ProvisionedThroughput
+
+		const indexes = definition.GlobalSecondaryIndexes || []
+		updates.forEach(({ Create, Update, Delete }) => {
+			if (Create) {
+				if (table.indexes.has(Create.IndexName)) {
+					throw validationError('One or more parameter values were invalid: Attempting to create an index which already exists')
+				}
+				indexes.push(Create)
+				return
+			}
+
+			const { IndexName } = Update || Delete
+			const position = indexes.findIndex((index) => index.IndexName === IndexName)
+			if (position < 0) {
+				throw new ResourceNotFoundException({
+					message: `Requested resource not found: Index: ${IndexName} not found`,
+					$metadata: { httpStatusCode: 400 },
+				})
+			}
+			if (Delete) indexes.splice(position, 1)
+			else indexes[position] = { ...indexes[position], ProvisionedThroughput: Update.ProvisionedThroughput }
+		})
+
+		if (indexes.length) definition.GlobalSecondaryIndexes = indexes
+		else delete definition.GlobalSecondaryIndexes
+
+		Object.assign(table, compileSchema(definition), { definition })
+		return { TableDescription: this.describe(input.TableName) }
+	}
+
+	deleteTable(input) {
+		const description = this.describe(input.TableName)
+		this.tables.delete(input.TableName)
+		return { TableDescription: { ...description, TableStatus: 'DELETING' } }
+	}
+
+	getItem(input) {
+		const table = this.resolveTable(input.TableName)
+		this.validateKey(table, input.Key)
+		const parsed = this.parseRequest(input)
+
+		const item = table.items.get(this.storageKey(table, input.Key))
+		if (!item) return {}
+		return { Item: parsed.projection ? project(item, parsed.projection) : item }
+	}
+
+	/**
+	 * Resolve the table, key and current item targeted by a write, validating its input.
+	 *
+	 * @param {string} operation - 'Put', 'Update', 'Delete' or 'ConditionCheck'.
+	 * @param {Object} input - The input of the write, as sent to DynamoDB.
+	 * @returns {Object} - The prepared write.
+	 */
+	prepareWrite(operation, input) {
+		const table = this.resolveTable(input.TableName)
+		if (operation === 'Put') {
+			this.validateItem(table, input.Item)
+		} else {
+			this.validateKey(table, input.Key)
+		}
+
+		const parsed = this.parseRequest(input)
+		const key = this.storageKey(table, operation === 'Put' ? input.Item : input.Key)
+		return { operation, input, table, parsed, key, existing: table.items.get(key) }
+	}
+
+	/**
+	 * Compute the item a prepared write leaves behind, without storing it.
+	 *
+	 * @param {Object} write - A write returned by prepareWrite.
+	 * @returns {Object|undefined} - The new item, or undefined when the item is deleted.
+	 */
+	resolveWrite(write) {
+		const { operation, input, table, parsed, existing } = write
+		if (operation === 'Put') return input.Item
+		if (operation === 'Delete') return undefined
+		if (operation === 'ConditionCheck') return existing
+
+		const actions = parsed.update || {}
+		const keyAttribute = updatedAttributes(actions).find((name) => keyNames(table.keys).includes(name))
+		if (keyAttribute)
+			throw validationError(`One or more parameter values were invalid: Cannot update attribute ${keyAttribute}. This attribute is part of the key`)
+
+		const updated = applyUpdate(actions, existing || input.Key)
+		this.validateItem(table, updated)
+		return updated
+	}
+
+	commitWrite({ table, key }, item) {
+		if (item) {
+			table.items.set(key, item)
+		} else {
+			table.items.delete(key)
+		}
+	}
+
+	putItem(input) {
+		const write = this.prepareWrite('Put', input)
+		this.checkCondition(write.parsed, write.existing, input)
+		this.commitWrite(write, this.resolveWrite(write))
+
+		return input.ReturnValues === 'ALL_OLD' && write.existing ? { Attributes: write.existing } : {}
+	}
+
+	updateItem(input) {
+		const write = this.prepareWrite('Update', input)
+		const { existing } = write
+		this.checkCondition(write.parsed, existing, input)
+
+		const updated = this.resolveWrite(write)
+		this.commitWrite(write, updated)
+
+		const changed = updatedAttributes(write.parsed.update || {})
+		switch (input.ReturnValues) {
+			case 'ALL_NEW':
+				return { Attributes: updated }
+			case 'ALL_OLD':
+				return existing ? { Attributes: existing } : {}
+			case 'UPDATED_NEW':
+				return { Attributes: pick(updated, changed) }
+			case 'UPDATED_OLD':
+				return existing ? { Attributes: pick(existing, changed) } : {}
+			default:
+				return {}
+		}
+	}
+
+	deleteItem(input) {
+		const write = this.prepareWrite('Delete', input)
+		this.checkCondition(write.parsed, write.existing, input)
+		this.commitWrite(write, undefined)
+
+		return input.ReturnValues === 'ALL_OLD' && write.existing ? { Attributes: write.existing } : {}
+	}
+
+	transactWriteItems(input) {
+		const items = input.TransactItems || []
+		if (!items.length || items.length > MAX_TRANSACTION_ITEMS) {
+			throw validationError(`Member must have length less than or equal to ${MAX_TRANSACTION_ITEMS} and greater than or equal to 1`)
+		}
+
+		// A retried request with the same token succeeds without being applied twice, as long as it is identical
+		const token = input.ClientRequestToken
+		const fingerprint = JSON.stringify(items)
+		if (token) {
+			const previous = this.transactionTokens.get(token)
+			if (previous && Date.now() - previous.at < IDEMPOTENCY_WINDOW) {
+				if (previous.fingerprint !== fingerprint) {
+					throw new IdempotentParameterMismatchException({
+						message: 'The request uses the same client token as a previous, but non-identical request.',
+						$metadata: { httpStatusCode: 400 },
+					})
+				}
+				return {}
+			}
+		}
+
+		const writes = items.map((item) => {
+			const operation = Object.keys(item).find((name) => item[name])
+			return this.prepareWrite(operation, item[operation])
+		})
+
+		const keys = writes.map(({ table, key }) => `${table.name}/${key}`)
+		if (new Set(keys).size !== keys.length) throw validationError('Transaction request cannot include multiple operations on one item')
+
+		const results = []
+		const reasons = writes.map((write, index) => {
+			const { parsed, existing, input: request } = write
+			if (parsed.condition && !evaluateCondition(parsed.condition, existing || {})) {
+				const reason = { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' }
+				if (request.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && existing) reason.Item = existing
+				return reason
+			}
+
+			// Like DynamoDB, a write that cannot be applied to its item cancels the transaction rather than failing the request
+			try {
+				results[index] = this.resolveWrite(write)
+			} catch (error) {
+				if (error.name !== 'ValidationException') throw error
+				return { Code: 'ValidationError', Message: error.message }
+			}
+			return { Code: 'None' }
+		})
+
+		if (reasons.some((reason) => reason.Code !== 'None')) {
+			throw new TransactionCanceledException({
+				message: `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((reason) => reason.Code).join(', ')}]`,
+				$metadata: { httpStatusCode: 400 },
+				CancellationReasons: reasons,
+			})
+		}
+
+		writes.forEach((write, index) => this.commitWrite(write, results[index]))
+
+		if (token) this.transactionTokens.set(token, { fingerprint, at: Date.now() })
+		return {}
+	}
+
+	transactGetItems(input) {
+		const items = input.TransactItems || []
+		if (!items.length || items.length > MAX_TRANSACTION_ITEMS) {
+			throw validationError(`Member must have length less than or equal to ${MAX_TRANSACTION_ITEMS} and greater than or equal to 1`)
+		}
+
+		const reads = items.map(({ Get }) => {
+			const table = this.resolveTable(Get.TableName)
+			this.validateKey(table, Get.Key)
+			return { table, parsed: this.parseRequest(Get), key: this.storageKey(table, Get.Key) }
+		})
+
+		return {
+			Responses: reads.map(({ table, parsed, key }) => {
+				const item = table.items.get(key)
+				if (!item) return {}
+				return { Item: parsed.projection ? project(item, parsed.projection) : item }
+			}),
+		}
+	}
+
+	batchGetItem(input) {
+		const entries = Object.entries(input.RequestItems || {})
+		const total = entries.reduce((count, [, request]) => count + request.Keys.length, 0)
+		if (!total) throw validationError('The requestItems parameter is required for BatchGetItem')
+		if (total > MAX_BATCH_GET_KEYS) throw validationError('Too many items requested for the BatchGetItem call')
+
+		const Responses = {}
+		entries.forEach(([name, request]) => {
+			const table = this.resolveTable(name)
+			const parsed = this.parseRequest(request)
+			const seen = new Set()
+
+			Responses[name] = []
+			request.Keys.forEach((keys) => {
+				this.validateKey(table, keys)
+				const key = this.storageKey(table, keys)
+				if (seen.has(key)) throw validationError('Provided list of item keys contains duplicates')
+				seen.add(key)
+
+				const item = table.items.get(key)
+				if (item) Responses[name].push(parsed.projection ? project(item, parsed.projection) : item)
+			})
+		})
+
+		return { Responses, UnprocessedKeys: {} }
+	}
+
+	batchWriteItem(input) {
+		const entries = Object.entries(input.RequestItems || {})
+		const total = entries.reduce((count, [, requests]) => count + requests.length, 0)
+		if (!total) throw validationError('The requestItems parameter is required for BatchWriteItem')
+		if (total > MAX_BATCH_WRITE_REQUESTS) throw validationError('Too many items requested for the BatchWriteItem call')
+
+		// Validate every request before applying any, so a bad request leaves the tables untouched
+		const writes = entries.flatMap(([name, requests]) => {
+			const table = this.resolveTable(name)
+			const seen = new Set()
+
+			return requests.map((request) => {
+				if (request.PutRequest) {
+					this.validateItem(table, request.PutRequest.Item)
+				} else if (request.DeleteRequest) {
+					this.validateKey(table, request.DeleteRequest.Key)
+				} else {
+					throw validationError('Supplied AttributeValue has more than one datatypes set, must contain exactly one of the supported datatypes')
+				}
+
+				const key = this.storageKey(table, request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key)
+				if (seen.has(key)) throw validationError('Provided list of item keys contains duplicates')
+				seen.add(key)
+
+				return { table, key, item: request.PutRequest && request.PutRequest.Item }
+			})
+		})
+
+		writes.forEach(({ table, key, item }) => {
+			if (item) {
+				table.items.set(key, item)
+			} else {
+				table.items.delete(key)
+			}
+		})
+
+		return { UnprocessedItems: {} }
+	}
+
+	query(input) {
+		const table = this.resolveTable(input.TableName)
+		const view = this.resolveView(table, input.IndexName)
+		const parsed = this.parseRequest(input)
+
+		if (!parsed.keyCondition) throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.')
+		if (input.ConsistentRead && view.kind === 'GLOBAL') throw validationError('Consistent reads are not supported on global secondary indexes')
+		this.validateKeyCondition(parsed.keyCondition, view.keys)
+
+		const items = this.viewItems(table, view).filter((item) => evaluateCondition(parsed.keyCondition, item))
+		return this.paginate(table, view, items, input, parsed, input.ScanIndexForward !== false)
+	}
+
+	scan(input) {
+		const table = this.resolveTable(input.TableName)
+		const view = this.resolveView(table, input.IndexName)
+		const parsed = this.parseRequest(input)
+
+		if (input.ConsistentRead && view.kind === 'GLOBAL') throw validationError('Consistent reads are not supported on global secondary indexes')
+
+		const { Segment, TotalSegments } = input
+		if (Segment !== undefined && TotalSegments === undefined) {
+			throw validationError('The TotalSegments parameter is required but was not present in the request when Segment parameter is present')
+		}
+		if (TotalSegments !== undefined && Segment === undefined) {
+			throw validationError('The Segment parameter is required but was not present in the request when parameter TotalSegments is present')
+		}
+		if (TotalSegments !== undefined && (TotalSegments < 1 || TotalSegments > 1000000)) {
+			throw validationError(
+				"1 validation error detected: Value at 'totalSegments' failed to satisfy constraint: Member must have value between 1 and 1000000"
+			)
+		}
+		if (TotalSegments !== undefined && (Segment < 0 || Segment >= TotalSegments)) {
+			throw validationError('The Segment parameter is zero-based and must be less than parameter TotalSegments')
+		}
+
+		const items = this.viewItems(table, view)
+		const segment = TotalSegments ? items.filter((item) => segmentOf(item, view.keys.hash, TotalSegments) === Segment) : items
+		return this.paginate(table, view, segment, input, parsed, true)
+	}
+
+	validateKeyCondition(keyCondition, keys) {
+		const conditions = flattenConjunction(keyCondition)
+		if (hasParentheses(keyCondition)) {
+			throw validationError('Invalid KeyConditionExpression: The expression has redundant parentheses;')
+		}
+
+		const attributes = conditions.map((condition) => {
+			const operand = condition.type === 'function' ? condition.args[0] : condition.type === 'between' ? condition.operand : condition.left
+			const supported =
+				(condition.type === 'compare' && condition.operator !== '<>') ||
+				condition.type === 'between' ||
+				(condition.type === 'function' && condition.name === 'begins_with')
+
+			if (!supported) throw validationError('Invalid operator used in KeyConditionExpression')
+			if (operand.type !== 'path' || operand.path.length !== 1 || ![keys.hash, keys.range].includes(operand.path[0])) {
+				throw validationError('Query condition missed key schema element')
+			}
+			return { name: operand.path[0], equality: condition.type === 'compare' && condition.operator === '=' }
+		})
+
+		if (!attributes.some(({ name, equality }) => name === keys.hash && equality)) {
+			throw validationError(`Query condition missed key schema element: ${keys.hash}`)
+		}
+	}
+
+	orderingOf(table, view, item) {
+		return keyNames(view.keys, table.keys).map((name) => item[name])
+	}
+
+	viewItems(table, view) {
+		const required = keyNames(view.keys)
+		return [...table.items.values()]
+			.filter((item) => required.every((name) => item[name] !== undefined))
+			.sort((a, b) => compareTuples(this.orderingOf(table, view, a), this.orderingOf(table, view, b)))
+	}
+
+	projectView(table, view, item) {
+		const { ProjectionType, NonKeyAttributes = [] } = view.projection
+		if (ProjectionType === 'ALL') return item
+		const names = keyNames(view.keys, table.keys)
+		return pick(item, ProjectionType === 'INCLUDE' ? [...names, ...NonKeyAttributes] : names)
+	}
+
+	paginate(table, view, items, input, parsed, forward) {
+		if (input.Limit !== undefined && input.Limit < 1) throw validationError('Limit must be greater than or equal to 1')
+
+		let candidates = forward ? items : [...items].reverse()
+		if (input.ExclusiveStartKey) {
+			const start = this.orderingOf(table, view, input.ExclusiveStartKey)
+			candidates = candidates.filter((item) => {
+				const order = compareTuples(this.orderingOf(table, view, item), start)
+				return forward ? order > 0 : order < 0
+			})
+		}
+
+		// A page stops at the Limit or once 1 MB of items has been read, like DynamoDB
+		const page = []
+		let size = 0
+		for (const item of candidates) {
+			if ((input.Limit && page.length >= input.Limit) || size >= MAX_PAGE_SIZE) break
+			page.push(item)
+			size += itemSize(item)
+		}
+
+		const matched = parsed.filter ? page.filter((item) => evaluateCondition(parsed.filter, item)) : page
+		const output = { Count: matched.length, ScannedCount: page.length }
+
+		if (input.Select !== 'COUNT') {
+			output.Items = matched.map((item) => {
+				const visible = this.projectView(table, view, item)
+				return parsed.projection ? project(visible, parsed.projection) : visible
+			})
+		}
+
+		if (page.length && page.length < candidates.length) {
+			output.LastEvaluatedKey = pick(page[page.length - 1], keyNames(view.keys, table.keys))
+		}
+
+		return output
+	}
+}
+
+module.exports = MemoryBackend
@@ -0,0 +1,85 @@
+const BACKUP_VERSION = 1 // Version of the backup layout, stored in the manifest
+const MANIFEST_FILE = 'manifest.json'
+const CHECKPOINT_FILE = 'restore-checkpoint.json'
+
+/**
+ * Name the data file of a backup holding the items from a position on.
+ *
+ * @param {number} index - The position of the file in the backup.
+ * @returns {string} - The file name, e.g. 'data-00000.ndjson'.
+ */
+function dataFileName(index) {
+	return `data-${String(index).padStart(5, '0')}.ndjson`
+}
+
+/**
+ * Rebuild the CreateTable input of a table from its description, without the state DynamoDB adds to it.
+ *
+ * @param {Object} description - The table description returned by DescribeTable.
+ * @returns {Object} - The table definition, in the shape ensureTable expects.
+ */
+function tableDefinition(description) {
+	const billingMode = (description.BillingModeSummary && description.BillingModeSummary.BillingMode) || 'PROVISIONED'
+	const throughput = ({ ReadCapacityUnits, WriteCapacityUnits }) => ({ ReadCapacityUnits, WriteCapacityUnits })
+
+	const definition = {
+		TableName: description.TableName,
+		KeySchema: description.KeySchema,
+		AttributeDefinitions: description.AttributeDefinitions,
+		BillingMode: billingMode,
+	}
+	if (billingMode === 'PROVISIONED') definition.ProvisionedThroughput = throughput(description.ProvisionedThroughput)
+
+	if (description.GlobalSecondaryIndexes) {
+		definition.GlobalSecondaryIndexes = description.GlobalSecondaryIndexes.map((index) => ({
+			IndexName: index.IndexName,
+			KeySchema: index.KeySchema,
+			Projection: index.Projection,
+			...(billingMode === 'PROVISIONED' ? { ProvisionedThroughput: throughput(index.ProvisionedThroughput) } : {}),
+		}))
+	}
+	if (description.LocalSecondaryIndexes) {
+		definition.LocalSecondaryIndexes = description.LocalSecondaryIndexes.map(({ IndexName, KeySchema, Projection }) => ({
+			IndexName,
+			KeySchema,
+			Projection,
+		}))
+	}
+
+	return definition
+}
+
+// Convert the binary values of an AttributeValue, at any depth, leaving every other type as it is
+function mapBinary(value, convert) {
+	if (value.B !== undefined) return { B: convert(value.B) }
+	if (value.BS !== undefined) return { BS: value.BS.map(convert) }
+	if (value.M !== undefined) return { M: mapItem(value.M, convert) }
+	if (value.L !== undefined) return { L: value.L.map((element) => mapBinary(element, convert)) }
+	return value
+}
+
+function mapItem(item, convert) {
+	return Object.fromEntries(Object.entries(item).map(([name, value]) => [name, mapBinary(value, convert)]))
+}
+
+/**
+ * Write an item, as AttributeValues, as a line of a backup. Binary values are stored as base64, so the item reads back as it was.
+ *
+ * @param {Object} item - The item, as AttributeValues.
+ * @returns {string} - The line, with its line break.
+ */
+function encodeItem(item) {
+	return `${JSON.stringify(mapItem(item, (binary) => Buffer.from(binary).toString('base64')))}\n`
+}
+
+/**
+ * Read an item from a line of a backup.
+ *
+ * @param {string} line - A line written by encodeItem.
+ * @returns {Object} - The item, as AttributeValues.
+ */
+function decodeItem(line) {
+	return mapItem(JSON.parse(line), (binary) => Buffer.from(binary, 'base64'))
+}
+
+module.exports = { BACKUP_VERSION, MANIFEST_FILE, CHECKPOINT_FILE, dataFileName, tableDefinition, encodeItem, decodeItem }
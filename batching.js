@@ -0,0 +1,89 @@
+// Errors DynamoDB returns when a request was rejected for capacity reasons and can be retried as-is
+const THROTTLING_ERRORS = ['ProvisionedThroughputExceededException', 'ThrottlingException', 'RequestLimitExceeded']
+
+const DEFAULT_BATCH_OPTIONS = {
+	concurrency: 4, // Number of chunks sent at the same time
+	maxRetries: 5, // Number of times unprocessed entries are sent again before being reported
+	baseDelay: 50, // Delay in milliseconds before the first retry, doubled on every following retry
+	maxDelay: 5000, // Upper bound in milliseconds of the delay between retries
+}
+
+/**
+ * Split an array into chunks of at most `size` elements.
+ *
+ * @param {Array} array - The array to split.
+ * @param {number} size - The maximum size of a chunk.
+ * @returns {Array<Array>} - The chunks, in order.
+ */
+function chunk(array, size) {
+	const chunks = []
+	for (let index = 0; index < array.length; index += size) {
+		chunks.push(array.slice(index, index + size))
+	}
+	return chunks
+}
+
+/**
+ * Map over an array with an async function, running at most `concurrency` calls at a time.
+ *
+ * @param {Array} array - The elements to map.
+ * @param {number} concurrency - The maximum number of calls in flight.
+ * @param {Function} fn - The async function applied to each element.
+ * @returns {Promise<Array>} - The results, in the order of the input.
+ */
+async function mapConcurrent(array, concurrency, fn) {
+	const results = new Array(array.length)
+	let next = 0
+
+	const worker = async () => {
+		while (next < array.length) {
+			const index = next++
+			results[index] = await fn(array[index], index)
+		}
+	}
+
+	await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, array.length)) }, worker))
+	return results
+}
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Compute the delay before a retry, using exponential backoff with full jitter.
+ *
+ * @param {number} attempt - The number of retries already made.
+ * @param {Object} options - The batch options, providing `baseDelay` and `maxDelay`.
+ * @returns {number} - The delay in milliseconds.
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+	return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt)
+}
+
+/**
+ * Send entries until all of them are processed or the retries are exhausted.
+ * Throttling errors count as a failed attempt for every pending entry instead of failing the call.
+ *
+ * @param {Array} entries - The entries to send.
+ * @param {Function} attempt - Async function sending the pending entries, with the number of retries made so far, and resolving to the entries left unprocessed.
+ * @param {Object} options - The batch options, providing `maxRetries`, `baseDelay` and `maxDelay`.
+ * @returns {Promise<{pending: Array, retries: number}>} - The entries still unprocessed after the last attempt, and the number of retries made.
+ */
+async function retryUnprocessed(entries, attempt, options) {
+	let pending = entries
+	let retries = 0
+
+	while (true) {
+		try {
+			pending = await attempt(pending, retries)
+		} catch (error) {
+			if (!THROTTLING_ERRORS.includes(error.name)) throw error
+		}
+
+		if (!pending.length || retries >= options.maxRetries) return { pending, retries }
+		await sleep(backoffDelay(retries++, options))
+	}
+}
+
+module.exports = { DEFAULT_BATCH_OPTIONS, THROTTLING_ERRORS, chunk, mapConcurrent, sleep, backoffDelay, retryUnprocessed }
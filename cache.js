@@ -0,0 +1,258 @@
+const DEFAULT_CACHE_OPTIONS = {
+	ttl: 60000, // Time in milliseconds an item stays in the cache
+	maxEntries: 1000, // Number of items kept by the in-process store before the least recently used ones are evicted
+}
+
+/**
+ * In-process store keeping the most recently used entries, each for a limited time.
+ *
+ * Any object with the same `get(key)`, `set(key, value, ttl)` and `delete(key)` methods can be used as a store instead,
+ * e.g. to share the cache between processes. Its methods may be async, and `clear()` is optional.
+ */
+class MemoryStore {
+	/**
+	 * @param {Object} [options={}] - The store options.
+	 * @param {number} [options.maxEntries=1000] - The number of entries kept.
+	 */
+	constructor({ maxEntries = DEFAULT_CACHE_OPTIONS.maxEntries } = {}) {
+		this.maxEntries = maxEntries
+		this.entries = new Map() // Iterated from the least to the most recently used entry
+	}
+
+	get(key) {
+		const entry = this.entries.get(key)
+		if (!entry) return undefined
+
+		this.entries.delete(key)
+		if (entry.expires <= Date.now()) return undefined
+		this.entries.set(key, entry)
+		return entry.value
+	}
+
+	set(key, value, ttl) {
+		this.entries.delete(key)
+		this.entries.set(key, { value, expires: Date.now() + ttl })
+		while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value)
+	}
+
+	delete(key) {
+		this.entries.delete(key)
+	}
+
+	clear() {
+		this.entries.clear()
+	}
+}
+
+/**
+ * Build the cache key of an item, the same whatever the order of its key attributes.
+ *
+ * @param {string} table - The name of the DynamoDB table.
+ * @param {Object} key - The key of the item, as AttributeValues.
+ * @returns {string} - The cache key.
+ */
+function cacheKey(table, key) {
+	const attributes = Object.keys(key)
+		.sort()
+		.map((name) => [name, key[name] && key[name].B ? { B: Buffer.from(key[name].B).toString('base64') } : key[name]])
+	return `${table}\u0000${JSON.stringify(attributes)}`
+}
+
+/**
+ * Read-through cache of the items read by get and batchGet, kept up to date by the writes of the same instance.
+ * Items are stored as AttributeValues, so the cache works the same with and without marshalling. A read doesn't fill the
+ * cache with an item written while it was in flight, as it may have seen the item as it was before the write.
+ *
+ * Writes only carry the key of an item, not which of its attributes form the key, so the key attributes of a table are
+ * learned from its reads. Declare them in `keys` for tables written before they are read, e.g. when the store is shared.
+ */
+class ItemCache {
+	/**
+	 * @param {boolean|Object} options - `true` for the defaults, or the cache options.
+	 * @param {number} [options.ttl=60000] - Time in milliseconds an item stays in the cache.
+	 * @param {number} [options.maxEntries=1000] - Size of the default in-process store.
+	 * @param {Object} [options.store] - A store to use instead of the in-process one, see MemoryStore.
+	 * @param {Array<string>} [options.tables] - The tables to cache, all of them by default.
+	 * @param {Object} [options.keys] - Key attribute names by table, e.g. `{ orders: ['userId', 'orderId'] }`.
+	 * @param {Object} logger - The logger of the DynamoDB instance. Store failures are logged and treated as misses.
+	 */
+	constructor(options, logger) {
+		const { ttl, maxEntries, store, tables, keys = {} } = { ...DEFAULT_CACHE_OPTIONS, ...(options === true ? {} : options) }
+
+		this.ttl = ttl
+		this.store = store || new MemoryStore({ maxEntries })
+		this.tables = tables ? new Set(tables) : null
+		this.keyNames = new Map(Object.entries(keys))
+		this.logger = logger
+		this.counters = { hits: 0, misses: 0, invalidations: 0, errors: 0 }
+		this.reads = new Map() // Reads in flight by entry key, which writes of their item mark as stale
+		this.namespace = '' // Keeps the entries of scoped views apart
+	}
+
+	/**
+	 * Create a view of the cache whose entries are kept apart from the others, e.g. the items of a tenant. It shares the store,
+	 * the settings and the statistics of the cache.
+	 *
+	 * @param {string} namespace - The namespace of the entries.
+	 * @returns {ItemCache} - The view.
+	 */
+	scoped(namespace) {
+		return Object.assign(Object.create(this), { namespace: `${this.namespace}${namespace}\u0000` })
+	}
+
+	// The key of an entry in the store
+	entryKey(table, key) {
+		return `${this.namespace}${cacheKey(table, key)}`
+	}
+
+	/**
+	 * Check whether the items of a table are cached.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @returns {boolean} - True if the table is cached.
+	 */
+	caches(table) {
+		return !this.tables || this.tables.has(table)
+	}
+
+	// Remember the key attributes of a table from the key of a read
+	learn(table, key) {
+		if (!this.keyNames.has(table)) this.keyNames.set(table, Object.keys(key))
+	}
+
+	/**
+	 * Extract the key of an item, once the key attributes of its table are known.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} item - The item, as AttributeValues.
+	 * @returns {Object|null} - The key, or null if the key attributes of the table are not known yet.
+	 */
+	keyOf(table, item) {
+		const names = this.keyNames.get(table)
+		return names ? Object.fromEntries(names.map((name) => [name, item[name]])) : null
+	}
+
+	// Run a store call, so that a failing store slows requests down rather than failing them
+	async attempt(action, fallback) {
+		try {
+			return await action()
+		} catch (error) {
+			this.counters.errors++
+			this.logger.warn('Error accessing the cache', { error })
+			return fallback
+		}
+	}
+
+	/**
+	 * Read an item from the cache.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} key - The key of the item, as AttributeValues.
+	 * @returns {Promise<Object|undefined>} - A copy of the cached item, undefined on a miss.
+	 */
+	async get(table, key) {
+		this.learn(table, key)
+		const item = await this.attempt(() => this.store.get(this.entryKey(table, key)), undefined)
+
+		if (item === undefined) this.counters.misses++
+		else this.counters.hits++
+		return item === undefined ? undefined : structuredClone(item)
+	}
+
+	/**
+	 * Start a read of an item from the table, whose result fill stores unless the item is written in the meantime. End it
+	 * once done, whether it found the item or not.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} key - The key of the item, as AttributeValues.
+	 * @returns {{entry: string, stale: boolean}} - The read.
+	 */
+	begin(table, key) {
+		this.learn(table, key)
+		const read = { entry: this.entryKey(table, key), stale: false }
+		this.reads.set(read.entry, (this.reads.get(read.entry) || new Set()).add(read))
+		return read
+	}
+
+	/**
+	 * Store the item a read found, unless the instance wrote the item since the read began: the read may have seen it before the write.
+	 *
+	 * @param {Object} read - The read, see begin.
+	 * @param {Object} item - The whole item, as AttributeValues.
+	 */
+	async fill(read, item) {
+		if (read.stale) return
+		await this.attempt(() => this.store.set(read.entry, structuredClone(item), this.ttl))
+	}
+
+	/**
+	 * End a read, see begin.
+	 *
+	 * @param {Object} read - The read.
+	 */
+	end(read) {
+		const reads = this.reads.get(read.entry)
+		if (reads && reads.delete(read) && !reads.size) this.reads.delete(read.entry)
+	}
+
+	// Keep the items the reads in flight of an entry find out of the cache, as a write made them stale
+	supersede(entry) {
+		const reads = this.reads.get(entry)
+		if (reads) reads.forEach((read) => (read.stale = true))
+	}
+
+	/**
+	 * Store an item written by the instance.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Object} item - The whole item, as AttributeValues.
+	 * @param {Object} [key] - The key of the item, extracted from the item if not given.
+	 */
+	async set(table, item, key = this.keyOf(table, item)) {
+		if (!key || !this.caches(table)) return
+		this.learn(table, key)
+		const entry = this.entryKey(table, key)
+		this.supersede(entry)
+		await this.attempt(() => this.store.set(entry, structuredClone(item), this.ttl))
+	}
+
+	/**
+	 * Remove items from the cache after they were changed.
+	 *
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {Array<Object>} keys - The keys of the items, as AttributeValues. Whole items can be given instead of keys.
+	 */
+	async invalidate(table, keys) {
+		if (!this.keyNames.has(table) || !this.caches(table)) return
+
+		await Promise.all(
+			keys.map((item) => {
+				const entry = this.entryKey(table, this.keyOf(table, item))
+				this.counters.invalidations++
+				this.supersede(entry)
+				return this.attempt(() => this.store.delete(entry))
+			})
+		)
+	}
+
+	/**
+	 * Empty the cache, when the store supports it, and reset the statistics.
+	 */
+	async clear() {
+		if (typeof this.store.clear === 'function') await this.attempt(() => this.store.clear())
+		Object.assign(this.counters, { hits: 0, misses: 0, invalidations: 0, errors: 0 }) // In place, as scoped views share them
+	}
+
+	/**
+	 * Get the cache statistics.
+	 *
+	 * @returns {{hits: number, misses: number, hitRate: number, invalidations: number, errors: number}} - The number of reads served
+	 * from the cache or not, the share of hits (0 before any read), items invalidated by writes, and failed store calls.
+	 */
+	stats() {
+		const { hits, misses } = this.counters
+		return { ...this.counters, hitRate: hits + misses ? hits / (hits + misses) : 0 }
+	}
+}
+
+module.exports = { DEFAULT_CACHE_OPTIONS, MemoryStore, ItemCache, cacheKey }
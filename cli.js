@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for day-to-day table operations, built on the DynamoDB class. Run it without arguments for the usage.
+ */
+const { createReadStream, promises: fs } = require('fs')
+const readline = require('readline')
+const { parseArgs } = require('util')
+const DynamoDB = require('./DynamoDB')
+const { HttpError } = require('./errors')
+const { ndjsonLine, plainValue } = require('./scanning')
+const { encodeItem, decodeItem } = require('./backup')
+
+const IMPORT_BATCH_SIZE = 500 // Lines read from an import file before they are written
+
+const USAGE = `Usage: dynamodb <command> [arguments] [options]
+
+Commands:
+  get <table> <key>                 Read an item
+  put <table> <item>                Write an item, replacing any item with the same key
+  delete <table> <key>              Delete an item
+  query <table> <key>               Read the items of a partition, or of an index with --index
+  scan <table>                      Read every item of a table
+  clear <table>                     Delete every item of a table, or the ones matching --filter
+  export <table> <file>             Export a table to an NDJSON or CSV file
+  import <table> <file>             Write the items of an NDJSON file to a table
+
+Keys and items are JSON objects, or '-' to read them from stdin. Query keys hold the partition key, and optionally the sort key.
+Items are read and written as one JSON object per line. Query and scan read every page, or a single one with --limit.
+
+Options:
+  --region <region>                 AWS region, defaults to AWS_REGION
+  --endpoint <url>                  DynamoDB endpoint, e.g. http://localhost:8000 for DynamoDB Local, defaults to DYNAMODB_ENDPOINT
+  --raw                             Read and write AttributeValue JSON (e.g. {"id":{"S":"1"}}) instead of plain JSON
+  --condition <expression>          Condition of put and delete, e.g. 'attribute_not_exists(id)'
+  --filter <expression>             Filter of query, scan and clear, e.g. '#status = :status'
+  --values <json>                   Values of the filter, e.g. '{":status":"open"}'. Names default to the values' (#status)
+  --index <name>                    Index to query
+  --projection <attributes>         Comma-separated attributes to read, or to export as CSV columns
+  --limit <count>                   Maximum number of items to evaluate per page of query and scan (a single page)
+  --desc                            Read a query in descending sort key order
+  --consistent                      Make strongly consistent reads
+  --format <format>                 Format of an export: ndjson or csv, by default from the file extension
+  --dry-run                         Show what put, delete, clear and import would do, without writing anything
+  --help                            Show this help
+`
+
+const OPTIONS = {
+	region: { type: 'string' },
+	endpoint: { type: 'string' },
+	raw: { type: 'boolean', default: false },
+	condition: { type: 'string' },
+	filter: { type: 'string' },
+	values: { type: 'string' },
+	index: { type: 'string' },
+	projection: { type: 'string' },
+	limit: { type: 'string' },
+	desc: { type: 'boolean', default: false },
+	consistent: { type: 'boolean', default: false },
+	format: { type: 'string' },
+	'dry-run': { type: 'boolean', default: false },
+	help: { type: 'boolean', default: false },
+}
+
+// Number of positional arguments of each command, after the command itself
+const ARGUMENTS = { get: 2, put: 2, delete: 2, query: 2, scan: 1, clear: 1, export: 2, import: 2 }
+
+class UsageError extends Error {}
+
+/**
+ * Read a JSON argument, from stdin when it is '-'.
+ *
+ * @param {string} argument - The argument.
+ * @param {string} label - What the argument is, for the error message.
+ * @param {Object} io - The streams of the command.
+ * @returns {Promise<Object>} - The parsed object.
+ * @throws {UsageError} - Throws if the argument is not a JSON object.
+ */
+async function readJson(argument, label, io) {
+	let text = argument
+	if (argument === '-') {
+		text = ''
+		for await (const chunk of io.stdin) text += chunk
+	}
+
+	try {
+		const value = JSON.parse(text)
+		if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('not an object')
+		return value
+	} catch (error) {
+		throw new UsageError(`Invalid ${label}: expected a JSON object`)
+	}
+}
+
+/**
+ * Run a command of the tool.
+ *
+ * @param {Array<string>} argv - The arguments, without the node executable and the script.
+ * @param {Object} [io={}] - Where the command reads and writes: `stdin`, `stdout` and `stderr` streams, `env` variables, and a `backend`
+ * to use instead of AWS (see the DynamoDB backend option).
+ * @returns {Promise<number>} - The exit code: 0 on success, 1 if the operation failed, 2 for invalid arguments.
+ */
+async function run(argv, io = {}) {
+	const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env, backend } = io
+
+	let parsed
+	try {
+		parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+	} catch (error) {
+		stderr.write(`${error.message}\n\n${USAGE}`)
+		return 2
+	}
+
+	const { values: options, positionals } = parsed
+	const [command, ...args] = positionals
+	if (options.help || !command) {
+		stdout.write(USAGE)
+		return 0
+	}
+	if (!ARGUMENTS[command] || args.length !== ARGUMENTS[command]) {
+		stderr.write(`${ARGUMENTS[command] ? `Wrong number of arguments for ${command}` : `Unknown command: ${command}`}\n\n${USAGE}`)
+		return 2
+	}
+
+	const region = options.region || env.AWS_REGION || env.AWS_DEFAULT_REGION
+	const endpoint = options.endpoint || env.DYNAMODB_ENDPOINT
+	const db = new DynamoDB({
+		backend: backend || 'aws',
+		marshall: !options.raw,
+		...(region ? { region } : {}),
+		...(endpoint ? { endpoint } : {}),
+	})
+
+	const context = { db, options, io: { stdin, stdout, stderr } }
+	try {
+		await COMMANDS[command](context, ...args)
+		return 0
+	} catch (error) {
+		if (error instanceof UsageError) {
+			stderr.write(`${error.message}\n`)
+			return 2
+		}
+		// The status and message the wrapper answers with, e.g. '409 Item already exists in database'
+		stderr.write(`${error.statusCode || 500} ${error.message}\n`)
+		return 1
+	}
+}
+
+// Read a key, item or values argument, converting the base64 binary values of AttributeValue JSON
+async function readInput(argument, label, { options, io }) {
+	const value = await readJson(argument, label, io)
+	return options.raw ? decodeItem(JSON.stringify(value)) : value
+}
+
+// Write an item as a line of JSON
+function print({ options, io }, value) {
+	io.stdout.write(options.raw && value && typeof value === 'object' ? encodeItem(value) : ndjsonLine(value))
+}
+
+function printResult({ io }, value) {
+	io.stdout.write(`${JSON.stringify(plainValue(value))}\n`)
+}
+
+// The filter and filter values of query and scan. Filters without values are sent as they are, with literal attribute names
+async function filterArguments(context) {
+	const { filter, values } = context.options
+	if (!filter) return [null, null]
+	if (!values) return [new DynamoDB.expressions.Condition(() => filter), null]
+	return [filter, await readInput(values, 'values', context)]
+}
+
+// Print the items of every page, or those of the first page only when --limit is given
+async function printPages(context, iterate, first) {
+	const items = context.options.limit ? await first() : iterate()
+	for await (const item of items) print(context, item)
+}
+
+function readOptions({ options }) {
+	const read = {}
+	if (options.limit) {
+		read.Limit = Number(options.limit)
+		if (!Number.isInteger(read.Limit) || read.Limit < 1) throw new UsageError('Invalid limit: expected a positive integer')
+	}
+	if (options.projection) read.ProjectionExpression = options.projection
+	if (options.desc) read.ScanIndexForward = false
+	if (options.consistent) read.ConsistentRead = true
+	return read
+}
+
+const COMMANDS = {
+	async get(context, table, key) {
+		const { db } = context
+		print(context, await db.get(table, await readInput(key, 'key', context), readOptions(context)))
+	},
+
+	async put(context, table, argument) {
+		const { db, options } = context
+		const item = await readInput(argument, 'item', context)
+		if (options['dry-run']) {
+			printResult(context, { dryRun: true, put: options.raw ? JSON.parse(encodeItem(item)) : item })
+			return
+		}
+		await db.set(table, item, options.condition || null)
+		printResult(context, { put: 1 })
+	},
+
+	async delete(context, table, argument) {
+		const { db, options } = context
+		const key = await readInput(argument, 'key', context)
+		if (options['dry-run']) {
+			// Show the item that would be deleted, which also tells a missing item apart
+			const item = await db.get(table, key, { ConsistentRead: true })
+			printResult(context, { dryRun: true, delete: options.raw ? JSON.parse(encodeItem(item)) : item })
+			return
+		}
+		await db.delete(table, key, options.condition || null)
+		printResult(context, { deleted: 1 })
+	},
+
+	async query(context, table, argument) {
+		const { db, options } = context
+		const { eq, keyCondition } = DynamoDB.expressions
+		const key = await readInput(argument, 'key', context)
+		const conditions = Object.entries(key).map(([name, value]) => eq(name, value))
+		if (!conditions.length || conditions.length > 2) throw new UsageError('Invalid key: expected the partition key, and optionally the sort key')
+
+		const [filter, values] = await filterArguments(context)
+		const condition = keyCondition(...conditions)
+		const read = readOptions(context)
+		if (options.index) {
+			await printPages(
+				context,
+				() => db.iterateQueryByGSI(table, options.index, condition, null, null, filter, values, read),
+				() => db.queryByGSI(table, options.index, condition, null, null, filter, values, read)
+			)
+		} else {
+			await printPages(
+				context,
+				() => db.iterateQuery(table, condition, null, filter, values, read),
+				() => db.query(table, condition, null, filter, values, read)
+			)
+		}
+	},
+
+	async scan(context, table) {
+		const { db } = context
+		const [filter, values] = await filterArguments(context)
+		const read = readOptions(context)
+		await printPages(
+			context,
+			() => db.iterateScan(table, filter, values, read),
+			() => db.scan(table, filter, values, read)
+		)
+	},
+
+	async clear(context, table) {
+		const { db, options } = context
+		const deleted = await db.clearTable(table, {
+			filter: options.filter || null,
+			filterValues: options.values ? await readInput(options.values, 'values', context) : null,
+			dryRun: options['dry-run'],
+		})
+		printResult(context, options['dry-run'] ? { dryRun: true, delete: deleted } : { deleted })
+	},
+
+	async export(context, table, file) {
+		const { db, options } = context
+		const result = await db.exportTable(table, file, {
+			format: options.format,
+			projection: options.projection,
+			consistentRead: options.consistent,
+		})
+		printResult(context, result)
+	},
+
+	async import(context, table, file) {
+		const { db, options } = context
+		await fs.access(file).catch(() => {
+			throw new UsageError(`File not found: ${file}`)
+		})
+
+		let imported = 0
+		let batch = []
+		const unprocessed = []
+		const flush = async () => {
+			if (!batch.length) return
+			if (!options['dry-run']) {
+				const result = await db.batchWrite(table, batch)
+				unprocessed.push(...result.unprocessed.map((request) => request.PutRequest.Item))
+			}
+			imported += batch.length
+			batch = []
+		}
+
+		const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity })
+		let number = 0
+		for await (const line of lines) {
+			number++
+			if (!line.trim()) continue
+			let item
+			try {
+				item = options.raw ? decodeItem(line) : JSON.parse(line)
+			} catch (error) {
+				throw new UsageError(`Invalid JSON on line ${number} of ${file}`)
+			}
+			batch.push({ PutRequest: { Item: item } })
+			if (batch.length >= IMPORT_BATCH_SIZE) await flush()
+		}
+		await flush()
+
+		imported -= unprocessed.length
+		printResult(context, options['dry-run'] ? { dryRun: true, import: imported } : { imported, unprocessed: unprocessed.length })
+		if (unprocessed.length) throw new HttpError('Some items could not be imported', 500)
+	},
+}
+
+module.exports = { run, USAGE }
+
+if (require.main === module) {
+	run(process.argv.slice(2)).then((code) => {
+		process.exitCode = code
+	})
+}
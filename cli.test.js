@@ -0,0 +1,156 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Readable } = require('stream')
+const MemoryBackend = require('./MemoryBackend')
+const { run } = require('./cli')
+
+const linesTable = {
+	TableName: 'lines',
+	KeySchema: [
+		{ AttributeName: 'order', KeyType: 'HASH' },
+		{ AttributeName: 'line', KeyType: 'RANGE' },
+	],
+	AttributeDefinitions: [
+		{ AttributeName: 'order', AttributeType: 'S' },
+		{ AttributeName: 'line', AttributeType: 'N' },
+	],
+}
+
+const testTable = {
+	TableName: 'test',
+	KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+	AttributeDefinitions: [
+		{ AttributeName: 'id', AttributeType: 'S' },
+		{ AttributeName: 'name', AttributeType: 'S' },
+	],
+	GlobalSecondaryIndexes: [
+		{ IndexName: 'name-index', KeySchema: [{ AttributeName: 'name', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } },
+	],
+}
+
+describe('CLI', () => {
+	let backend
+	let directory
+
+	beforeAll(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamodb-cli-'))
+	})
+
+	afterAll(() => {
+		fs.rmSync(directory, { recursive: true, force: true })
+	})
+
+	beforeEach(() => {
+		backend = new MemoryBackend({ tables: [testTable] })
+	})
+
+	// Run a command against the memory backend, collecting what it writes
+	async function cli(args, stdin = '') {
+		const output = { stdout: '', stderr: '' }
+		const stream = (name) => ({ write: (text) => (output[name] += text) })
+		const code = await run(args, { backend, stdin: Readable.from([stdin]), stdout: stream('stdout'), stderr: stream('stderr'), env: {} })
+		const lines =
+			code === 0 && !output.stdout.startsWith('Usage')
+				? output.stdout
+						.split('\n')
+						.filter(Boolean)
+						.map((line) => JSON.parse(line))
+				: []
+		return { code, ...output, lines }
+	}
+
+	test('puts, gets and deletes items', async () => {
+		expect(await cli(['put', 'test', '{"id":"a","name":"Ann","tags":["x"]}'])).toMatchObject({ code: 0, lines: [{ put: 1 }] })
+		expect((await cli(['get', 'test', '{"id":"a"}'])).lines).toEqual([{ id: 'a', name: 'Ann', tags: ['x'] }])
+		expect((await cli(['get', 'test', '{"id":{"S":"a"}}', '--raw'])).lines).toEqual([
+			{ id: { S: 'a' }, name: { S: 'Ann' }, tags: { L: [{ S: 'x' }] } },
+		])
+
+		expect((await cli(['delete', 'test', '-', '--dry-run'], '{"id":"a"}')).lines).toEqual([
+			{ dryRun: true, delete: { id: 'a', name: 'Ann', tags: ['x'] } },
+		])
+		expect((await cli(['delete', 'test', '{"id":"a"}'])).lines).toEqual([{ deleted: 1 }])
+		expect(await cli(['get', 'test', '{"id":"a"}'])).toMatchObject({ code: 1, stderr: '404 Item not found in database\n' })
+	})
+
+	test('reports failed conditions with the status of the wrapper', async () => {
+		await cli(['put', 'test', '{"id":{"S":"a"}}', '--raw'])
+		const result = await cli(['put', 'test', '{"id":"a"}', '--condition', 'attribute_not_exists(id)'])
+		expect(result).toMatchObject({ code: 1, stderr: '409 Item already exists in database\n' })
+	})
+
+	test('queries tables and indexes, and scans with filters', async () => {
+		await cli(['put', 'test', '{"id":"a","name":"Ann","age":30}'])
+		await cli(['put', 'test', '{"id":"b","name":"Ann","age":20}'])
+		await cli(['put', 'test', '{"id":"c","name":"Bob"}'])
+
+		expect((await cli(['query', 'test', '{"id":"b"}'])).lines).toEqual([{ id: 'b', name: 'Ann', age: 20 }])
+		const byName = await cli(['query', 'test', '{"name":"Ann"}', '--index', 'name-index', '--filter', 'age > :age', '--values', '{":age":25}'])
+		expect(byName.lines).toEqual([{ id: 'a', name: 'Ann', age: 30 }])
+
+		expect((await cli(['scan', 'test', '--filter', 'attribute_not_exists(age)'])).lines).toEqual([{ id: 'c', name: 'Bob' }])
+		expect((await cli(['scan', 'test', '--projection', 'id'])).lines.map((item) => item.id).sort()).toEqual(['a', 'b', 'c'])
+	})
+
+	test('reads every page of queries and scans, or the first one with a limit', async () => {
+		const text = 'x'.repeat(300 * 1024) // Pages stop past 1 MB, after four of these items
+		for (const id of ['a', 'b', 'c', 'd', 'e']) await cli(['put', 'test', JSON.stringify({ id, name: 'Ann', text })])
+
+		const ids = (result) => result.lines.map((item) => item.id).sort()
+		expect(ids(await cli(['scan', 'test', '--projection', 'id']))).toEqual(['a', 'b', 'c', 'd', 'e'])
+		expect(ids(await cli(['scan', 'test']))).toEqual(['a', 'b', 'c', 'd', 'e'])
+		expect(ids(await cli(['query', 'test', '{"name":"Ann"}', '--index', 'name-index']))).toEqual(['a', 'b', 'c', 'd', 'e'])
+		expect(ids(await cli(['query', 'test', '{"name":"Ann"}', '--index', 'name-index', '--limit', '2']))).toHaveLength(2)
+		expect(ids(await cli(['scan', 'test', '--limit', '1']))).toHaveLength(1)
+	})
+
+	test('queries by partition and sort key', async () => {
+		backend = new MemoryBackend({ tables: [linesTable] })
+		const conditions = []
+		const send = backend.send.bind(backend)
+		backend.send = (command) => {
+			if (command.input.KeyConditionExpression) conditions.push(command.input.KeyConditionExpression)
+			return send(command)
+		}
+		await cli(['put', 'lines', '{"order":"o1","line":1,"sku":"A"}'])
+		await cli(['put', 'lines', '{"order":"o1","line":2,"sku":"B"}'])
+
+		expect((await cli(['query', 'lines', '{"order":"o1","line":2}'])).lines).toEqual([{ order: 'o1', line: 2, sku: 'B' }])
+		expect(conditions).toEqual(['#n0 = :v1 AND #n2 = :v3'])
+	})
+
+	test('clears tables, with a dry run first', async () => {
+		await cli(['put', 'test', '{"id":"a"}'])
+		await cli(['put', 'test', '{"id":"b","archived":true}'])
+
+		expect((await cli(['clear', 'test', '--filter', 'attribute_exists(archived)', '--dry-run'])).lines).toEqual([{ dryRun: true, delete: 1 }])
+		expect((await cli(['scan', 'test'])).lines).toHaveLength(2)
+		expect((await cli(['clear', 'test'])).lines).toEqual([{ deleted: 2 }])
+		expect((await cli(['scan', 'test'])).lines).toEqual([])
+	})
+
+	test('exports and imports tables', async () => {
+		const file = path.join(directory, 'items.ndjson')
+		await cli(['put', 'test', '{"id":"a","name":"Ann"}'])
+		await cli(['put', 'test', '{"id":"b","name":"Bob"}'])
+
+		expect((await cli(['export', 'test', file])).lines).toEqual([
+			{ file, format: 'ndjson', items: 2, scanned: 2, consumedCapacity: expect.any(Number) },
+		])
+		backend = new MemoryBackend({ tables: [testTable] })
+
+		expect((await cli(['import', 'test', file, '--dry-run'])).lines).toEqual([{ dryRun: true, import: 2 }])
+		expect((await cli(['scan', 'test'])).lines).toEqual([])
+		expect((await cli(['import', 'test', file])).lines).toEqual([{ imported: 2, unprocessed: 0 }])
+		expect((await cli(['get', 'test', '{"id":"b"}'])).lines).toEqual([{ id: 'b', name: 'Bob' }])
+	})
+
+	test('rejects invalid arguments', async () => {
+		expect(await cli([])).toMatchObject({ code: 0, stdout: expect.stringContaining('Usage: dynamodb') })
+		expect(await cli(['drop', 'test'])).toMatchObject({ code: 2, stderr: expect.stringContaining('Unknown command: drop') })
+		expect(await cli(['get', 'test'])).toMatchObject({ code: 2, stderr: expect.stringContaining('Wrong number of arguments for get') })
+		expect(await cli(['get', 'test', '{id}'])).toMatchObject({ code: 2, stderr: 'Invalid key: expected a JSON object\n' })
+		expect(await cli(['scan', 'test', '--limit', 'all'])).toMatchObject({ code: 2, stderr: 'Invalid limit: expected a positive integer\n' })
+	})
+})
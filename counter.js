@@ -0,0 +1,114 @@
+const { ThrottlingError, CounterContentionError } = require('./errors')
+const { createCodec } = require('./marshalling')
+const { Update } = require('./expressionBuilder')
+const { increment } = require('./patch')
+
+const DEFAULT_COUNTER_OPTIONS = {
+	partitionKey: 'id', // Partition key attribute of the counter table, holding the name of the counter
+	attribute: 'value', // Attribute holding the last value handed out
+	blockSize: 1, // Values reserved by each write, then handed out from memory
+}
+
+/**
+ * Sequence of unique, increasing numbers stored in an item, incremented atomically. Values are reserved in blocks of
+ * `blockSize` to save writes: each process hands out its block in order, so values are unique across processes but only
+ * increasing within one, and the unused rest of a block is skipped when the process stops.
+ */
+class Counter {
+	/**
+	 * @param {DynamoDB} db - The DynamoDB instance the counter is written through.
+	 * @param {Object} options - The counter options.
+	 * @param {string} options.table - The name of the counter table.
+	 * @param {string} options.name - The name of the counter, the partition key of its item.
+	 * @param {string} [options.partitionKey='id'] - The partition key attribute of the table.
+	 * @param {string} [options.attribute='value'] - The attribute holding the last value handed out.
+	 * @param {number} [options.blockSize=1] - The number of values reserved by each write.
+	 * @throws {TypeError} - Throws if the table or name is missing, or the block size is not a positive integer.
+	 */
+	constructor(db, { table, name, ...options } = {}) {
+		if (!table || !name) throw new TypeError('Counters need a table and a name')
+
+		this.db = db
+		this.table = table
+		this.name = name
+		this.options = { ...DEFAULT_COUNTER_OPTIONS, ...options }
+		if (!Number.isInteger(this.options.blockSize) || this.options.blockSize < 1) throw new TypeError('The block size must be a positive integer')
+
+		this.logger = db.logger
+		this.codec = createCodec(db)
+		this.block = { next: 0, last: -1 } // Values reserved and not handed out yet
+		this.reserving = null // The write reserving the next block, shared by the calls waiting for it
+	}
+
+	/**
+	 * Hand out the next value, reserving a new block when the current one is used up.
+	 *
+	 * @returns {Promise<number>} - The value.
+	 * @throws {CounterContentionError} - Throws a 429 CounterContentionError if the counter item is written too often to keep up.
+	 */
+	async next() {
+		while (this.block.next > this.block.last) {
+			if (!this.reserving) {
+				this.reserving = this.reserve(this.options.blockSize).finally(() => {
+					this.reserving = null
+				})
+			}
+			await this.reserving
+		}
+		return this.block.next++
+	}
+
+	/**
+	 * Reserve values directly from the table, bypassing the block of this process, e.g. to number a batch of items.
+	 *
+	 * @param {number} count - The number of values.
+	 * @returns {Promise<{first: number, last: number}>} - The first and last value reserved, all in between included.
+	 * @throws {CounterContentionError} - Throws a 429 CounterContentionError if the counter item is written too often to keep up.
+	 */
+	async nextRange(count) {
+		const last = await this.increment(count)
+		return { first: last - count + 1, last }
+	}
+
+	// Reserve the next block of this process
+	async reserve(size) {
+		const last = await this.increment(size)
+		this.block = { next: last - size + 1, last }
+		this.logger.debug('Counter block reserved', { counter: this.name, ...this.block })
+	}
+
+	// Add to the stored value, created at zero, and return the new value
+	async increment(by) {
+		const { partitionKey, attribute } = this.options
+		const update = increment(by).apply(new Update(), [attribute], this.db.marshaller.enabled)
+
+		try {
+			const res = await this.db.update(this.table, this.codec.toItem({ [partitionKey]: this.name }), update, null, null, null, 'UPDATED_NEW', {
+				versioning: false,
+			})
+			return Number(this.codec.fromItem(res.Attributes)[attribute])
+		} catch (error) {
+			if (!(error instanceof ThrottlingError)) throw error
+			this.logger.warn('Counter throttled', { counter: this.name })
+			throw new CounterContentionError(this.name, { cause: error })
+		}
+	}
+
+	/**
+	 * Read the last value handed out across all processes, including the unused values of reserved blocks.
+	 *
+	 * @returns {Promise<number>} - The value, 0 if none was handed out yet.
+	 */
+	async current() {
+		const { partitionKey, attribute } = this.options
+		try {
+			const item = await this.db.get(this.table, this.codec.toItem({ [partitionKey]: this.name }), { ConsistentRead: true, cache: false })
+			return Number(this.codec.fromItem(item)[attribute] || 0)
+		} catch (error) {
+			if (error.statusCode === 404) return 0
+			throw error
+		}
+	}
+}
+
+module.exports = { DEFAULT_COUNTER_OPTIONS, Counter }
@@ -0,0 +1,39 @@
+/**
+ * Encode a LastEvaluatedKey as an opaque, URL-safe pagination cursor.
+ *
+ * @param {Object|undefined} key - The LastEvaluatedKey returned by DynamoDB, as AttributeValues.
+ * @returns {string|null} - The cursor, or null when there are no more pages.
+ */
+function encodeCursor(key) {
+	if (!key) return null
+
+	// Binary key values are Uint8Arrays, which don't survive JSON, so they travel as base64
+	const serializable = Object.fromEntries(
+		Object.entries(key).map(([name, value]) => [name, value.B ? { B: Buffer.from(value.B).toString('base64') } : value])
+	)
+	return Buffer.from(JSON.stringify(serializable)).toString('base64url')
+}
+
+/**
+ * Decode a pagination cursor back to the ExclusiveStartKey DynamoDB expects.
+ *
+ * @param {string} cursor - A cursor returned by encodeCursor.
+ * @returns {Object} - The key, as AttributeValues.
+ * @throws {TypeError} - Throws if the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+	let key
+	try {
+		key = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+	} catch (error) {
+		throw new TypeError('Invalid pagination cursor')
+	}
+
+	const entries = key && typeof key === 'object' && !Array.isArray(key) ? Object.entries(key) : []
+	const valid = entries.length > 0 && entries.every(([, value]) => value && ['S', 'N', 'B'].some((type) => typeof value[type] === 'string'))
+	if (!valid) throw new TypeError('Invalid pagination cursor')
+
+	return Object.fromEntries(entries.map(([name, value]) => [name, value.B ? { B: Buffer.from(value.B, 'base64') } : value]))
+}
+
+module.exports = { encodeCursor, decodeCursor }
@@ -1,12 +1,32 @@
+const { BatchWriteItemCommand, BatchGetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb')
 const DynamoDB = require('./DynamoDB')
+const MemoryBackend = require('./MemoryBackend')
+
+const testTable = {
+	TableName: 'test',
+	KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+	AttributeDefinitions: [
+		{ AttributeName: 'id', AttributeType: 'S' },
+		{ AttributeName: 'name', AttributeType: 'S' },
+	],
+	GlobalSecondaryIndexes: [
+		{
+			IndexName: 'name-index',
+			KeySchema: [{ AttributeName: 'name', KeyType: 'HASH' }],
+			Projection: { ProjectionType: 'ALL' },
+		},
+	],
+}
 
 describe('DynamoDB', () => {
 	let db
 
-	beforeAll(() => {
+	beforeAll(async () => {
 		db = new DynamoDB({
 			region: 'eu-north-1',
+			backend: 'memory',
 		})
+		await db.ensureTable(testTable)
 	})
 
 	afterAll(async () => {
@@ -169,3 +189,2060 @@ describe('DynamoDB', () => {
 		})
 	})
 })
+
+describe('DynamoDB with marshalling', () => {
+	let db
+
+	beforeEach(() => {
+		db = new DynamoDB({
+			backend: new MemoryBackend({ tables: [testTable] }),
+			marshall: true,
+		})
+	})
+
+	test('set and get native values', async () => {
+		const item = {
+			id: 'native1',
+			name: 'John',
+			age: 42,
+			tags: new Set(['a', 'b']),
+			avatar: Buffer.from('png'),
+			address: { city: 'Oslo', lines: ['Street 1', 2] },
+			balance: 12345678901234567890n,
+			nickname: undefined,
+		}
+
+		await db.set('test', item)
+		const stored = await db.get('test', { id: 'native1' })
+
+		expect(stored).toEqual({
+			id: 'native1',
+			name: 'John',
+			age: 42,
+			tags: new Set(['a', 'b']),
+			avatar: new Uint8Array(Buffer.from('png')),
+			address: { city: 'Oslo', lines: ['Street 1', 2] },
+			balance: 12345678901234567890n,
+		})
+	})
+
+	test('batch, update, query, scan and delete with native values', async () => {
+		await db.batchWrite('test', [
+			{ PutRequest: { Item: { id: 'n1', name: 'Jane', visits: 1 } } },
+			{ PutRequest: { Item: { id: 'n2', name: 'Jane', visits: 5 } } },
+		])
+
+		expect(await db.batchGet('test', [{ id: 'n1' }, { id: 'n2' }])).toHaveLength(2)
+
+		const updated = await db.update('test', { id: 'n1' }, 'set visits = visits + :one', undefined, { ':one': 1 })
+		expect(updated.Attributes).toEqual({ id: 'n1', name: 'Jane', visits: 2 })
+
+		expect(await db.query('test', 'id = :id', { ':id': 'n1' })).toEqual([{ id: 'n1', name: 'Jane', visits: 2 }])
+		expect(await db.queryByGSI('test', 'name-index', '#name = :name', { '#name': 'name' }, { ':name': 'Jane' })).toHaveLength(2)
+		expect(await db.scan('test', '#visits > :visits', { ':visits': 3 })).toEqual([{ id: 'n2', name: 'Jane', visits: 5 }])
+
+		await db.delete('test', { id: 'n1' })
+		await expect(db.get('test', { id: 'n1' })).rejects.toThrow('Item not found in database')
+	})
+
+	test('empty strings can be stored as NULL', async () => {
+		const converting = new DynamoDB({
+			backend: new MemoryBackend({ tables: [testTable] }),
+			marshall: { convertEmptyValues: true },
+		})
+
+		await converting.set('test', { id: 'empty', note: '' })
+		expect(await converting.get('test', { id: 'empty' })).toEqual({ id: 'empty', note: null })
+	})
+
+	test('numbers can be read as strings to keep their precision', async () => {
+		const wrapping = new DynamoDB({
+			backend: new MemoryBackend({ tables: [testTable] }),
+			marshall: { wrapNumbers: (value) => value },
+		})
+
+		await wrapping.set('test', { id: 'precise', amount: 10.5 })
+		expect(await wrapping.get('test', { id: 'precise' })).toEqual({ id: 'precise', amount: '10.5' })
+	})
+})
+
+describe('DynamoDB pagination', () => {
+	let db
+
+	beforeAll(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }) })
+		await db.batchWrite(
+			'test',
+			['p1', 'p2', 'p3', 'p4', 'p5'].map((id) => ({ PutRequest: { Item: { id: { S: id }, name: { S: 'Paged' } } } }))
+		)
+	})
+
+	test('query by GSI page by page with cursors', async () => {
+		const args = ['test', 'name-index', '#name = :name', { '#name': 'name' }, { ':name': { S: 'Paged' } }, null, null]
+
+		const first = await db.queryByGSIPage(...args, { Limit: 2 })
+		expect(first.items.map((item) => item.id.S)).toEqual(['p1', 'p2'])
+		expect(first.cursor).toMatch(/^[A-Za-z0-9_-]+$/)
+
+		const second = await db.queryByGSIPage(...args, { Limit: 2, ExclusiveStartKey: first.cursor })
+		expect(second.items.map((item) => item.id.S)).toEqual(['p3', 'p4'])
+
+		const last = await db.queryByGSIPage(...args, { Limit: 2, ExclusiveStartKey: second.cursor })
+		expect(last.items.map((item) => item.id.S)).toEqual(['p5'])
+		expect(last.cursor).toBeNull()
+	})
+
+	test('iterate every item across pages', async () => {
+		const ids = []
+		for await (const item of db.iterateScan('test', null, null, { Limit: 2 })) {
+			ids.push(item.id.S)
+		}
+		expect(ids).toEqual(['p1', 'p2', 'p3', 'p4', 'p5'])
+
+		const matches = []
+		for await (const item of db.iterateQuery('test', 'id = :id', { ':id': { S: 'p3' } })) {
+			matches.push(item)
+		}
+		expect(matches).toEqual([{ id: { S: 'p3' }, name: { S: 'Paged' } }])
+	})
+
+	test('scan page starting after a key', async () => {
+		const page = await db.scanPage('test', null, null, { Limit: 10, ExclusiveStartKey: { id: { S: 'p3' } } })
+		expect(page.items.map((item) => item.id.S)).toEqual(['p4', 'p5'])
+		expect(page.cursor).toBeNull()
+	})
+
+	test('invalid cursor', async () => {
+		await expect(db.scanPage('test', null, null, { ExclusiveStartKey: 'not-a-cursor' })).rejects.toMatchObject({
+			message: 'Invalid pagination cursor',
+			statusCode: 400,
+		})
+	})
+})
+
+describe('DynamoDB batch chunking and retries', () => {
+	// Processes only the first request of every batch write and the first key of every batch get, like a throttled table
+	class ThrottledBackend extends MemoryBackend {
+		constructor(options) {
+			super(options)
+			this.calls = []
+			this.throttle = true
+		}
+
+		async send(command) {
+			this.calls.push(command.constructor.name)
+			if (this.throttle && command instanceof BatchWriteItemCommand) {
+				const [first, ...rest] = command.input.RequestItems.test
+				await super.send(new BatchWriteItemCommand({ RequestItems: { test: [first] } }))
+				return { UnprocessedItems: rest.length ? { test: rest } : {} }
+			}
+			if (this.throttle && command instanceof BatchGetItemCommand) {
+				const [first, ...rest] = command.input.RequestItems.test.Keys
+				const res = await super.send(new BatchGetItemCommand({ RequestItems: { test: { Keys: [first] } } }))
+				return { Responses: res.Responses, UnprocessedKeys: rest.length ? { test: { Keys: rest } } : {} }
+			}
+			return super.send(command)
+		}
+	}
+
+	const putRequests = (count) =>
+		Array.from({ length: count }, (_, index) => ({ PutRequest: { Item: { id: { S: `b${index}` }, name: { S: 'Batch' } } } }))
+
+	test('split writes and reads into chunks within DynamoDB limits', async () => {
+		const backend = new ThrottledBackend({ tables: [testTable] })
+		backend.throttle = false
+		const db = new DynamoDB({ backend })
+
+		const result = await db.batchWrite('test', putRequests(60))
+		expect(result).toEqual({
+			UnprocessedItems: {},
+			ConsumedCapacity: [{ TableName: 'test', CapacityUnits: expect.any(Number) }],
+			processed: 60,
+			unprocessed: [],
+		})
+		expect(backend.calls.filter((name) => name === 'BatchWriteItemCommand')).toHaveLength(3)
+
+		const items = await db.batchGet(
+			'test',
+			Array.from({ length: 150 }, (_, index) => ({ id: { S: `b${index}` } }))
+		)
+		expect(items).toHaveLength(60)
+		expect(items.unprocessedKeys).toEqual([])
+		expect(backend.calls.filter((name) => name === 'BatchGetItemCommand')).toHaveLength(2)
+	})
+
+	test('retry unprocessed items until they are all written', async () => {
+		const backend = new ThrottledBackend({ tables: [testTable] })
+		const db = new DynamoDB({ backend, batch: { baseDelay: 1, maxRetries: 10 } })
+
+		const result = await db.batchWrite('test', putRequests(4))
+		expect(result).toEqual({ UnprocessedItems: {}, processed: 4, unprocessed: [] })
+		expect(backend.calls).toHaveLength(4)
+
+		const items = await db.batchGet('test', [{ id: { S: 'b0' } }, { id: { S: 'b1' } }, { id: { S: 'b2' } }])
+		expect(items.map((item) => item.id.S).sort()).toEqual(['b0', 'b1', 'b2'])
+	})
+
+	test('report what is still unprocessed after the last retry', async () => {
+		const backend = new ThrottledBackend({ tables: [testTable] })
+		const db = new DynamoDB({ backend, batch: { baseDelay: 1 } })
+
+		const result = await db.batchWrite('test', putRequests(5), { maxRetries: 1 })
+		expect(result.processed).toEqual(2)
+		expect(result.unprocessed).toEqual(putRequests(5).slice(2))
+		expect(result.UnprocessedItems).toEqual({ test: putRequests(5).slice(2) })
+
+		const items = await db.batchGet('test', [{ id: { S: 'b0' } }, { id: { S: 'b1' } }, { id: { S: 'b9' } }], null, { maxRetries: 0 })
+		expect(items).toEqual([{ id: { S: 'b0' }, name: { S: 'Batch' } }])
+		expect(items.unprocessedKeys).toEqual([{ id: { S: 'b1' } }, { id: { S: 'b9' } }])
+	})
+})
+
+describe('DynamoDB multi-table batchGet', () => {
+	const linesTable = {
+		TableName: 'lines',
+		KeySchema: [
+			{ AttributeName: 'order', KeyType: 'HASH' },
+			{ AttributeName: 'line', KeyType: 'RANGE' },
+		],
+		AttributeDefinitions: [
+			{ AttributeName: 'order', AttributeType: 'S' },
+			{ AttributeName: 'line', AttributeType: 'N' },
+		],
+	}
+	let db
+	let inputs
+
+	beforeEach(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable, linesTable] }), marshall: true, cache: true })
+		await db.batchWrite('test', [{ PutRequest: { Item: { id: 'a', name: 'A' } } }, { PutRequest: { Item: { id: 'b', name: 'B' } } }])
+		await db.batchWrite('lines', [
+			{ PutRequest: { Item: { order: 'o1', line: 1, sku: 'x', qty: 2 } } },
+			{ PutRequest: { Item: { order: 'o1', line: 2, sku: 'y', qty: 1 } } },
+		])
+		inputs = []
+		db.use({ beforeRequest: (context) => inputs.push(context.input) })
+	})
+
+	test('aligns items to their keys, with null for missing ones', async () => {
+		const items = await db.batchGetTables({
+			test: [{ id: 'b' }, { id: 'missing' }, { id: 'a' }, { id: 'b' }],
+			lines: {
+				keys: [
+					{ line: 2, order: 'o1' },
+					{ order: 'o2', line: 1 },
+					{ order: 'o1', line: 1 },
+				],
+				projection: 'sku',
+			},
+		})
+
+		expect(items).toEqual({
+			test: [{ id: 'b', name: 'B' }, null, { id: 'a', name: 'A' }, { id: 'b', name: 'B' }],
+			lines: [{ sku: 'y' }, null, { sku: 'x' }],
+		})
+		expect(items.unprocessedKeys).toEqual({})
+		expect(inputs).toHaveLength(1)
+		expect(inputs[0].RequestItems.test.Keys).toHaveLength(3)
+		expect(inputs[0].RequestItems.lines).toMatchObject({
+			ProjectionExpression: '#n0, #n1, #n2',
+			ExpressionAttributeNames: { '#n0': 'sku', '#n1': 'line', '#n2': 'order' },
+		})
+	})
+
+	test('projects nested attributes', async () => {
+		await db.set('test', { id: 'c', name: 'C', address: { city: 'Lyon', zip: '69001' } })
+
+		expect(await db.batchGet('test', [{ id: 'c' }], 'name, address.city')).toEqual([{ name: 'C', address: { city: 'Lyon' } }])
+		expect(inputs[1].RequestItems.test).toMatchObject({
+			ProjectionExpression: '#n0, #n1.#n2',
+			ExpressionAttributeNames: { '#n0': 'name', '#n1': 'address', '#n2': 'city' },
+		})
+	})
+
+	test('reads cached items from the cache, unless projected', async () => {
+		await db.get('test', { id: 'a' })
+		const items = await db.batchGetTables({ test: [{ id: 'a' }, { id: 'b' }] })
+		expect(items.test).toEqual([
+			{ id: 'a', name: 'A' },
+			{ id: 'b', name: 'B' },
+		])
+		expect(inputs[1].RequestItems.test.Keys).toEqual([{ id: { S: 'b' } }])
+
+		await db.batchGetTables({ test: [{ id: 'a' }, { id: 'b' }] })
+		expect(inputs).toHaveLength(2)
+		expect(db.getCacheStats()).toMatchObject({ hits: 3, misses: 2 })
+	})
+
+	test('reports the keys left unprocessed', async () => {
+		const backend = new MemoryBackend({ tables: [testTable] })
+		const raw = new DynamoDB({ backend, marshall: true, batch: { baseDelay: 1, maxRetries: 1 } })
+		await raw.set('test', { id: 'a', name: 'A' })
+		backend.send = async () => ({ Responses: {}, UnprocessedKeys: { test: { Keys: [{ id: { S: 'a' } }] } } })
+
+		const items = await raw.batchGetTables({ test: [{ id: 'a' }] })
+		expect(items.test).toEqual([null])
+		expect(items.unprocessedKeys).toEqual({ test: [{ id: 'a' }] })
+	})
+})
+
+describe('DynamoDB with builder expressions', () => {
+	const { eq, gt, and, beginsWith, attributeNotExists, attributeExists, set, remove, add, listAppend } = DynamoDB.expressions
+	let db
+
+	beforeAll(() => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true })
+	})
+
+	test('set and delete with builder conditions', async () => {
+		await db.set('test', { id: 'e1', name: 'Ann', age: 30 }, attributeNotExists('id'))
+		await expect(db.set('test', { id: 'e1', name: 'Ann' }, attributeNotExists('id'))).rejects.toThrow('Item already exists in database')
+
+		await expect(db.delete('test', { id: 'e1' }, eq('age', 31))).rejects.toThrow('Condition not met for delete operation')
+	})
+
+	test('update with builder update and condition', async () => {
+		const res = await db.update(
+			'test',
+			{ id: 'e1' },
+			set('name', 'Anna').add('age', 1).remove('missing').listAppend('history', ['renamed']),
+			null,
+			null,
+			and(attributeExists('id'), eq('name', 'Ann'))
+		)
+		expect(res.Attributes).toEqual({ id: 'e1', name: 'Anna', age: 31, history: ['renamed'] })
+
+		await expect(db.update('test', { id: 'e1' }, set('name', 'Other'), null, null, eq('name', 'Ann'))).rejects.toThrow(
+			'Condition not met for update operation'
+		)
+	})
+
+	test('query, queryByGSI and scan with builder conditions', async () => {
+		await db.set('test', { id: 'e2', name: 'Anna', age: 20 })
+
+		expect(await db.query('test', eq('id', 'e1'), null, gt('age', 30))).toHaveLength(1)
+		expect(await db.queryByGSI('test', 'name-index', eq('name', 'Anna'), null, null, gt('age', 25))).toEqual([
+			{ id: 'e1', name: 'Anna', age: 31, history: ['renamed'] },
+		])
+		expect(await db.scan('test', and(beginsWith('id', 'e'), gt('age', 10)))).toHaveLength(2)
+	})
+
+	test('hand-written filters only name the attributes they use', async () => {
+		expect(await db.scan('test', 'age > :minAge', { ':minAge': 25 })).toHaveLength(1)
+	})
+
+	test('query with and() key conditions, sent without parentheses', async () => {
+		const backend = new MemoryBackend({
+			tables: [
+				{
+					TableName: 'lines',
+					KeySchema: [
+						{ AttributeName: 'order', KeyType: 'HASH' },
+						{ AttributeName: 'line', KeyType: 'RANGE' },
+					],
+					AttributeDefinitions: [
+						{ AttributeName: 'order', AttributeType: 'S' },
+						{ AttributeName: 'line', AttributeType: 'N' },
+					],
+				},
+			],
+		})
+		const lines = new DynamoDB({ backend, marshall: true })
+		await lines.set('lines', { order: 'o1', line: 1 })
+		await lines.set('lines', { order: 'o1', line: 2 })
+		const send = jest.spyOn(backend, 'send')
+
+		expect(await lines.query('lines', and(eq('order', 'o1'), gt('line', 1)))).toEqual([{ order: 'o1', line: 2 }])
+		expect(send.mock.calls[0][0].input.KeyConditionExpression).toEqual('#n0 = :v1 AND #n2 > :v3')
+	})
+})
+
+describe('DynamoDB transactions', () => {
+	const { add, eq, gte, attributeExists } = DynamoDB.expressions
+	let db
+
+	beforeEach(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true })
+		await db.set('test', { id: 'alice', name: 'Alice', balance: 100 })
+		await db.set('test', { id: 'bob', name: 'Bob', balance: 20 })
+		await db.set('test', { id: 'ledger', name: 'Ledger', open: true })
+	})
+
+	const transfer = (amount) => [
+		{ type: 'Update', table: 'test', keys: { id: 'alice' }, update: add('balance', -amount), condition: gte('balance', amount) },
+		{ type: 'Update', table: 'test', keys: { id: 'bob' }, update: add('balance', amount), condition: attributeExists('id') },
+	]
+
+	test('apply every operation atomically', async () => {
+		await db.transactWrite([
+			...transfer(30),
+			{ type: 'Put', table: 'test', item: { id: 'log1', name: 'Transfer' } },
+			{ type: 'ConditionCheck', table: 'test', keys: { id: 'ledger' }, condition: eq('open', true) },
+		])
+
+		expect(
+			await db.transactGet([
+				{ table: 'test', keys: { id: 'alice' } },
+				{ table: 'test', keys: { id: 'bob' }, projection: 'balance' },
+			])
+		).toEqual([{ id: 'alice', name: 'Alice', balance: 70 }, { balance: 50 }])
+	})
+
+	test('report which operation cancelled the transaction', async () => {
+		const error = await db.transactWrite(transfer(500)).catch((error) => error)
+
+		expect(error).toBeInstanceOf(DynamoDB.HttpError)
+		expect(error.statusCode).toEqual(409)
+		expect(error.message).toEqual('Transaction cancelled: operation 0 (Update on test) failed with ConditionalCheckFailed')
+		expect(error.details.reasons).toEqual([
+			{
+				index: 0,
+				type: 'Update',
+				table: 'test',
+				code: 'ConditionalCheckFailed',
+				message: 'The conditional request failed',
+				item: { id: 'alice', name: 'Alice', balance: 100 },
+			},
+		])
+
+		expect(
+			await db.transactGet([
+				{ table: 'test', keys: { id: 'bob' } },
+				{ table: 'test', keys: { id: 'nobody' } },
+			])
+		).toEqual([{ id: 'bob', name: 'Bob', balance: 20 }, null])
+	})
+
+	test('project nested attributes', async () => {
+		await db.set('test', { id: 'carol', name: 'Carol', address: { city: 'Lyon', zip: '69001' } })
+
+		expect(await db.transactGet([{ table: 'test', keys: { id: 'carol' }, projection: 'name, address.city' }])).toEqual([
+			{ name: 'Carol', address: { city: 'Lyon' } },
+		])
+	})
+
+	test('apply a retried transaction only once', async () => {
+		await db.transactWrite(transfer(10), { clientRequestToken: 'transfer-1' })
+		await db.transactWrite(transfer(10), { clientRequestToken: 'transfer-1' })
+		expect(await db.get('test', { id: 'bob' })).toEqual({ id: 'bob', name: 'Bob', balance: 30 })
+
+		await expect(db.transactWrite(transfer(5), { clientRequestToken: 'transfer-1' })).rejects.toMatchObject({ statusCode: 409 })
+	})
+
+	test('reject malformed operations', async () => {
+		await expect(db.transactWrite([{ type: 'Upsert', table: 'test', keys: { id: 'bob' } }])).rejects.toMatchObject({ statusCode: 400 })
+	})
+})
+
+describe('DynamoDB clearTable', () => {
+	const eventsTable = {
+		TableName: 'events',
+		KeySchema: [
+			{ AttributeName: 'stream', KeyType: 'HASH' },
+			{ AttributeName: 'seq', KeyType: 'RANGE' },
+		],
+		AttributeDefinitions: [
+			{ AttributeName: 'stream', AttributeType: 'S' },
+			{ AttributeName: 'seq', AttributeType: 'N' },
+		],
+	}
+	let db
+	let backend
+
+	beforeEach(async () => {
+		backend = new MemoryBackend({ tables: [eventsTable] })
+		db = new DynamoDB({ backend, marshall: true })
+		await db.batchWrite(
+			'events',
+			Array.from({ length: 60 }, (_, seq) => ({ PutRequest: { Item: { stream: seq % 2 ? 'odd' : 'even', seq, archived: seq < 10 } } }))
+		)
+	})
+
+	test('delete every item of a table with a sort key, page by page', async () => {
+		const send = jest.spyOn(backend, 'send')
+
+		expect(await db.clearTable('events', { pageSize: 20 })).toBe(60)
+		expect(send.mock.calls.filter(([command]) => command.constructor.name === 'ScanCommand')).toHaveLength(3)
+		expect(await db.scan('events')).toEqual([])
+	})
+
+	test('delete only the items matching a filter', async () => {
+		expect(await db.clearTable('events', { filter: 'archived = :archived', filterValues: { ':archived': true } })).toBe(10)
+		expect(await db.clearTable('events', { filter: DynamoDB.expressions.eq('stream', 'odd') })).toBe(25)
+		expect((await db.scan('events')).every((item) => item.stream === 'even')).toBe(true)
+	})
+
+	test('count the items without deleting them in a dry run', async () => {
+		expect(
+			await db.clearTable('events', { filter: 'attribute_exists(archived) AND seq >= :from', filterValues: { ':from': 50 }, dryRun: true })
+		).toBe(10)
+		expect(await db.clearTable('events', { dryRun: true })).toBe(60)
+		expect(await db.scan('events')).toHaveLength(60)
+	})
+
+	test('delete the items of keys read as wrapped numbers', async () => {
+		const wrapped = new DynamoDB({ backend, marshall: { wrapNumbers: (value) => value } })
+		expect(await wrapped.clearTable('events', { filter: 'seq < :seq', filterValues: { ':seq': 20 } })).toBe(20)
+		expect(await db.scan('events')).toHaveLength(40)
+	})
+
+	test('unknown table', async () => {
+		await expect(db.clearTable('missing')).rejects.toMatchObject({ code: 'TABLE_NOT_FOUND', statusCode: 500 })
+	})
+})
+
+describe('DynamoDB entities', () => {
+	const appTable = {
+		TableName: 'app',
+		KeySchema: [
+			{ AttributeName: 'pk', KeyType: 'HASH' },
+			{ AttributeName: 'sk', KeyType: 'RANGE' },
+		],
+		AttributeDefinitions: [
+			{ AttributeName: 'pk', AttributeType: 'S' },
+			{ AttributeName: 'sk', AttributeType: 'S' },
+		],
+	}
+	let db
+	let User
+	let Order
+
+	beforeEach(() => {
+		jest.useFakeTimers({ now: new Date('2024-05-01T10:00:00.000Z') })
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [appTable] }) })
+		User = db.entity({
+			name: 'User',
+			table: 'app',
+			partitionKey: { name: 'pk', template: 'USER#{id}' },
+			sortKey: { name: 'sk', template: 'PROFILE' },
+			attributes: {
+				id: 'string',
+				email: { type: 'string', required: true },
+				age: 'number',
+				role: { type: 'string', default: 'member' },
+				tags: { type: 'set', default: () => new Set(['new']) },
+			},
+		})
+		Order = db.entity({
+			name: 'Order',
+			table: 'app',
+			partitionKey: { name: 'pk', template: 'USER#{userId}' },
+			sortKey: { name: 'sk', template: 'ORDER#{orderId}' },
+			attributes: { userId: 'string', orderId: 'string', total: { type: 'number', required: true } },
+			timestamps: false,
+		})
+	})
+
+	afterEach(() => {
+		jest.useRealTimers()
+	})
+
+	test('create an item with its key, defaults and timestamps', async () => {
+		const user = await User.create({ id: '42', email: 'ann@example.com' })
+
+		expect(user).toEqual({
+			id: '42',
+			email: 'ann@example.com',
+			role: 'member',
+			tags: new Set(['new']),
+			createdAt: '2024-05-01T10:00:00.000Z',
+			updatedAt: '2024-05-01T10:00:00.000Z',
+		})
+		expect(await db.get('app', { pk: { S: 'USER#42' }, sk: { S: 'PROFILE' } })).toMatchObject({
+			email: { S: 'ann@example.com' },
+			tags: { SS: ['new'] },
+		})
+		expect(await User.get({ id: '42' })).toEqual(user)
+
+		await expect(User.create({ id: '42', email: 'other@example.com' })).rejects.toMatchObject({ statusCode: 409 })
+	})
+
+	test('reject invalid data before writing', async () => {
+		const send = jest.spyOn(db.client, 'send')
+
+		await expect(User.create({ id: '1', age: 'old', nickname: 'A' })).rejects.toMatchObject({
+			statusCode: 400,
+			details: { errors: ['age must be of type number', 'nickname is not an attribute of User'] },
+		})
+		await expect(User.create({ email: 'ann@example.com' })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid User: id is required' })
+		await expect(User.get({})).rejects.toMatchObject({ statusCode: 400 })
+		expect(send).not.toHaveBeenCalled()
+	})
+
+	test('update and remove an item', async () => {
+		await User.create({ id: '7', email: 'bo@example.com', age: 30 })
+		jest.setSystemTime(new Date('2024-05-02T10:00:00.000Z'))
+
+		const updated = await User.update({ id: '7' }, { age: 31, role: null })
+		expect(updated).toEqual({
+			id: '7',
+			email: 'bo@example.com',
+			age: 31,
+			tags: new Set(['new']),
+			createdAt: '2024-05-01T10:00:00.000Z',
+			updatedAt: '2024-05-02T10:00:00.000Z',
+		})
+
+		await expect(User.update({ id: '7' }, { email: null })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid User: email is required' })
+		await expect(User.update({ id: '7' }, { id: '8' })).rejects.toMatchObject({ statusCode: 400 })
+		await expect(User.update({ id: 'missing' }, { age: 1 })).rejects.toMatchObject({ statusCode: 404 })
+
+		await User.remove({ id: '7' })
+		await expect(User.get({ id: '7' })).rejects.toMatchObject({ statusCode: 404 })
+		await expect(User.remove({ id: '7' })).rejects.toMatchObject({ statusCode: 404 })
+	})
+
+	test('update and remove items of a versioned table', async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [appTable] }), versioning: { app: true } })
+		const Versioned = db.entity({
+			name: 'User',
+			table: 'app',
+			partitionKey: { name: 'pk', template: 'USER#{id}' },
+			sortKey: { name: 'sk', template: 'PROFILE' },
+			attributes: { id: 'string', age: 'number' },
+			timestamps: false,
+		})
+
+		expect(await Versioned.create({ id: '1', age: 1 })).toEqual({ id: '1', age: 1, version: 1 })
+		expect(await Versioned.update({ id: '1' }, { age: 2 })).toEqual({ id: '1', age: 2, version: 2 })
+		expect(await Versioned.update({ id: '1' }, { age: 3 }, { version: 2 })).toEqual({ id: '1', age: 3, version: 3 })
+		await expect(Versioned.update({ id: '1' }, { age: 4 }, { version: 2 })).rejects.toMatchObject({ statusCode: 409, code: 'VERSION_CONFLICT' })
+		await expect(Versioned.update({ id: 'missing' }, { age: 4 })).rejects.toMatchObject({ statusCode: 404 })
+
+		await expect(Versioned.remove({ id: '1' }, { version: 2 })).rejects.toMatchObject({ code: 'VERSION_CONFLICT' })
+		await Versioned.remove({ id: '1' }, { version: 3 })
+		await Versioned.create({ id: '2' })
+		await Versioned.remove({ id: '2' })
+		await expect(Versioned.get({ id: '2' })).rejects.toMatchObject({ statusCode: 404 })
+	})
+
+	test('query the items of a partition by sort key prefix', async () => {
+		await User.create({ id: 'u1', email: 'u1@example.com' })
+		for (const orderId of ['a', 'b', 'c']) await Order.create({ userId: 'u1', orderId, total: 10 })
+
+		const first = await Order.query({ userId: 'u1' }, { limit: 2 })
+		expect(first.items).toEqual([
+			{ userId: 'u1', orderId: 'a', total: 10 },
+			{ userId: 'u1', orderId: 'b', total: 10 },
+		])
+
+		const second = await Order.query({ userId: 'u1' }, { limit: 2, cursor: first.cursor })
+		expect(second).toEqual({ items: [{ userId: 'u1', orderId: 'c', total: 10 }], cursor: null })
+
+		expect((await Order.query({ userId: 'u1', orderId: 'b' })).items).toHaveLength(1)
+		expect((await User.query({ id: 'u1' })).items).toHaveLength(1)
+	})
+})
+
+describe('DynamoDB optimistic locking', () => {
+	let db
+
+	beforeEach(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, versioning: { test: true } })
+	})
+
+	test('set stores and increments the version', async () => {
+		const created = await db.set('test', { id: 'doc', name: 'Draft' })
+		expect(created.version).toBe(1)
+
+		const saved = await db.set('test', { ...created, name: 'Final' })
+		expect(saved.version).toBe(2)
+
+		await expect(db.set('test', { ...created, name: 'Stale' })).rejects.toMatchObject({
+			name: 'VersionConflictError',
+			statusCode: 409,
+			details: { expectedVersion: 1, currentVersion: 2 },
+		})
+		await expect(db.set('test', { id: 'doc', name: 'New' })).rejects.toBeInstanceOf(DynamoDB.VersionConflictError)
+		expect(await db.get('test', { id: 'doc' })).toEqual({ id: 'doc', name: 'Final', version: 2 })
+	})
+
+	test('update and delete check the expected version', async () => {
+		await db.set('test', { id: 'doc', name: 'Draft', count: 0 })
+		const { eq, add } = DynamoDB.expressions
+
+		const res = await db.update(
+			'test',
+			{ id: 'doc' },
+			'SET #name = :name ADD #count :one',
+			{ '#name': 'name', '#count': 'count' },
+			{ ':name': 'Edited', ':one': 1 },
+			null,
+			'ALL_NEW',
+			{
+				version: 1,
+			}
+		)
+		expect(res.Attributes).toEqual({ id: 'doc', name: 'Edited', count: 1, version: 2 })
+
+		await expect(db.update('test', { id: 'doc' }, add('count', 1), null, null, null, 'ALL_NEW', { version: 1 })).rejects.toMatchObject({
+			statusCode: 409,
+		})
+
+		// A failed condition of the caller is still reported as before
+		await expect(db.update('test', { id: 'doc' }, add('count', 1), null, null, eq('name', 'Draft'), 'ALL_NEW', { version: 2 })).rejects.toMatchObject(
+			{
+				message: 'Condition not met for update operation',
+				statusCode: 404,
+				code: 'CONDITION_FAILED',
+			}
+		)
+
+		await expect(db.delete('test', { id: 'doc' }, null, { version: 1 })).rejects.toMatchObject({ statusCode: 409 })
+		await db.delete('test', { id: 'doc' }, null, { version: 2 })
+		await expect(db.get('test', { id: 'doc' })).rejects.toMatchObject({ statusCode: 404 })
+	})
+
+	test('increment the version next to the clauses of hand-written updates', async () => {
+		await db.set('test', { id: 'doc', name: 'Draft', count: 0 })
+
+		const names = { '#name': 'name', '#count': 'count' }
+		const res = await db.update('test', { id: 'doc' }, 'REMOVE #count SET #name = :name', names, { ':name': 'Edited' }, null, 'ALL_NEW', {
+			version: 1,
+		})
+		expect(res.Attributes).toEqual({ id: 'doc', name: 'Edited', version: 2 })
+
+		const removed = await db.update('test', { id: 'doc' }, 'REMOVE #name', { '#name': 'name' }, null, null, 'ALL_NEW', { version: 2 })
+		expect(removed.Attributes).toEqual({ id: 'doc', version: 3 })
+	})
+
+	test('versioning can be disabled per call', async () => {
+		await db.set('test', { id: 'plain', name: 'Unversioned' }, null, { versioning: false })
+		expect(await db.get('test', { id: 'plain' })).toEqual({ id: 'plain', name: 'Unversioned' })
+	})
+
+	test('mutate re-applies the mutation on conflict', async () => {
+		await db.set('test', { id: 'counter', name: 'Counter', value: 0 })
+
+		let calls = 0
+		const result = await db.mutate('test', { id: 'counter' }, async (item) => {
+			calls++
+			// Another writer changes the item between the first read and write
+			if (calls === 1) await db.set('test', { ...(await db.get('test', { id: 'counter' })), value: 10 })
+			return { ...item, value: item.value + 1 }
+		})
+
+		expect(calls).toBe(2)
+		expect(result).toEqual({ id: 'counter', name: 'Counter', value: 11, version: 3 })
+		expect(await db.mutate('test', { id: 'fresh' }, (item) => ({ name: item ? 'Again' : 'Created' }))).toEqual({
+			id: 'fresh',
+			name: 'Created',
+			version: 1,
+		})
+	})
+
+	test('mutate gives up after the retries', async () => {
+		await db.set('test', { id: 'busy', name: 'Busy', value: 0 })
+
+		const mutation = async (item) => {
+			await db.set('test', await db.get('test', { id: 'busy' }))
+			return { ...item, value: item.value + 1 }
+		}
+		await expect(db.mutate('test', { id: 'busy' }, mutation, { maxRetries: 1 })).rejects.toMatchObject({ statusCode: 409 })
+	})
+})
+
+describe('DynamoDB table lifecycle', () => {
+	// Reports tables and indexes as CREATING for the first describes after a change, like DynamoDB does while backfilling
+	class SlowBackend extends MemoryBackend {
+		constructor(options) {
+			super(options)
+			this.pending = 0
+		}
+
+		async send(command) {
+			const name = command.constructor.name
+			if (name === 'CreateTableCommand' || name === 'UpdateTableCommand') this.pending = 2
+			const res = await super.send(command)
+			if (name === 'DescribeTableCommand' && this.pending > 0) {
+				this.pending--
+				res.Table.TableStatus = 'CREATING'
+				;(res.Table.GlobalSecondaryIndexes || []).forEach((index) => (index.IndexStatus = 'CREATING'))
+			}
+			return res
+		}
+	}
+
+	let db
+	let backend
+
+	beforeEach(() => {
+		backend = new SlowBackend()
+		db = new DynamoDB({ backend })
+	})
+
+	test('create, describe, update and delete a table', async () => {
+		const created = await db.createTable({ ...testTable, GlobalSecondaryIndexes: undefined, BillingMode: 'PAY_PER_REQUEST' })
+		expect(created).toMatchObject({ TableName: 'test', KeySchema: testTable.KeySchema })
+		await expect(db.createTable(testTable)).rejects.toMatchObject({ statusCode: 409 })
+
+		expect((await db.waitUntilActive('test', { interval: 1 })).TableStatus).toBe('ACTIVE')
+
+		await db.updateTable('test', {
+			AttributeDefinitions: [{ AttributeName: 'name', AttributeType: 'S' }],
+			GlobalSecondaryIndexUpdates: [{ Create: testTable.GlobalSecondaryIndexes[0] }],
+		})
+		const active = await db.waitUntilActive('test', { indexName: 'name-index', interval: 1 })
+		expect(active.GlobalSecondaryIndexes).toMatchObject([{ IndexName: 'name-index', IndexStatus: 'ACTIVE' }])
+
+		await db.deleteTable('test')
+		await db.waitUntilDeleted('test', { interval: 1 })
+		await expect(db.describeTable('test')).rejects.toMatchObject({ statusCode: 404 })
+		await expect(db.deleteTable('test')).rejects.toMatchObject({ statusCode: 404 })
+	})
+
+	test('waiters time out', async () => {
+		await db.createTable(testTable)
+		backend.pending = Infinity
+		await expect(db.waitUntilActive('test', { timeout: 5, interval: 1 })).rejects.toMatchObject({ statusCode: 504 })
+	})
+
+	test('ensureTable creates the table, then only applies the differences', async () => {
+		expect((await db.ensureTable(testTable, { interval: 1 })).changes).toEqual(['Create table test'])
+		expect((await db.ensureTable(testTable, { interval: 1 })).changes).toEqual([])
+
+		const changed = {
+			...testTable,
+			BillingMode: 'PAY_PER_REQUEST',
+			AttributeDefinitions: [...testTable.AttributeDefinitions, { AttributeName: 'email', AttributeType: 'S' }],
+			GlobalSecondaryIndexes: [
+				{ ...testTable.GlobalSecondaryIndexes[0], Projection: { ProjectionType: 'KEYS_ONLY' } },
+				{ IndexName: 'email-index', KeySchema: [{ AttributeName: 'email', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } },
+			],
+		}
+		const { changes, table } = await db.ensureTable(changed, { interval: 1 })
+
+		expect(changes).toEqual(['Set billing mode PAY_PER_REQUEST', 'Delete index name-index', 'Create index name-index', 'Create index email-index'])
+		expect(table.BillingModeSummary.BillingMode).toBe('PAY_PER_REQUEST')
+		expect(table.GlobalSecondaryIndexes.map((index) => [index.IndexName, index.Projection.ProjectionType])).toEqual([
+			['name-index', 'KEYS_ONLY'],
+			['email-index', 'ALL'],
+		])
+	})
+
+	test('ensureTable refuses to change the key schema', async () => {
+		await db.ensureTable(testTable, { interval: 1 })
+		await expect(db.ensureTable({ ...testTable, KeySchema: [{ AttributeName: 'name', KeyType: 'HASH' }] }, { interval: 1 })).rejects.toMatchObject({
+			statusCode: 409,
+		})
+	})
+})
+
+describe('DynamoDB errors', () => {
+	const { ProvisionedThroughputExceededException } = require('@aws-sdk/client-dynamodb')
+
+	// Rejects every command as throttled, like a table over its provisioned capacity
+	class ThrottlingBackend extends MemoryBackend {
+		async send() {
+			throw new ProvisionedThroughputExceededException({ message: 'Rate exceeded', $metadata: { httpStatusCode: 400, requestId: 'REQ123' } })
+		}
+	}
+
+	let db
+
+	beforeEach(() => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, conditionalFailures: { update: 412 } })
+	})
+
+	test('throttling keeps the original error and request id', async () => {
+		const throttled = new DynamoDB({ backend: new ThrottlingBackend() })
+		const error = await throttled.get('test', { id: { S: 'a' } }).catch((error) => error)
+
+		expect(error).toBeInstanceOf(DynamoDB.ThrottlingError)
+		expect(error).toBeInstanceOf(DynamoDB.HttpError)
+		expect(error).toMatchObject({ statusCode: 429, code: 'THROTTLED', requestId: 'REQ123' })
+		expect(error.cause).toBeInstanceOf(ProvisionedThroughputExceededException)
+	})
+
+	test('validation errors and oversized items are client errors', async () => {
+		await expect(db.set('test', { id: 'big', name: 'Big', blob: 'x'.repeat(400 * 1024) })).rejects.toMatchObject({
+			name: 'ItemTooLargeError',
+			statusCode: 400,
+			code: 'ITEM_TOO_LARGE',
+		})
+		await expect(db.set('test', { id: 42 })).rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' })
+		await expect(db.scanPage('test', null, null, { ExclusiveStartKey: 'nope' })).rejects.toBeInstanceOf(DynamoDB.ValidationError)
+	})
+
+	test('missing tables are server errors for items and not found for table management', async () => {
+		await expect(db.get('missing', { id: 'a' })).rejects.toMatchObject({ statusCode: 500, code: 'TABLE_NOT_FOUND' })
+		await expect(db.describeTable('missing')).rejects.toMatchObject({ statusCode: 404, code: 'TABLE_NOT_FOUND' })
+		await expect(db.get('test', { id: 'a' })).rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' })
+	})
+
+	test('failed conditions use the status configured for the method', async () => {
+		await db.set('test', { id: 'a', name: 'A' })
+
+		await expect(
+			db.update('test', { id: 'a' }, 'SET #name = :name', { '#name': 'name' }, { ':name': 'B' }, 'attribute_not_exists(id)')
+		).rejects.toMatchObject({
+			name: 'ConditionFailedError',
+			statusCode: 412,
+			code: 'CONDITION_FAILED',
+		})
+		await expect(db.set('test', { id: 'a', name: 'A' }, 'attribute_not_exists(id)')).rejects.toMatchObject({
+			statusCode: 409,
+			code: 'CONDITION_FAILED',
+		})
+		await expect(db.delete('test', { id: 'a' }, 'attribute_not_exists(id)')).rejects.toMatchObject({
+			message: 'Condition not met for delete operation',
+			statusCode: 404,
+			code: 'CONDITION_FAILED',
+		})
+	})
+})
+
+describe('DynamoDB observability', () => {
+	let db
+
+	beforeEach(() => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true })
+	})
+
+	test('logs structured entries to the given logger', async () => {
+		const entries = []
+		const logger = { info: (message, fields) => entries.push({ message, fields }) }
+		const logged = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, logger })
+
+		await expect(logged.get('test', { id: 'nope' })).rejects.toMatchObject({ statusCode: 404 })
+		expect(entries).toEqual([{ message: 'Item not found in database', fields: { table: 'test' } }])
+	})
+
+	test('runs middleware around every request until it is removed', async () => {
+		const calls = []
+		const remove = db.use({
+			beforeRequest: (context) => {
+				calls.push(['before', context.operation, context.tables])
+				context.input = { ...context.input, Item: { ...context.input.Item, tagged: { BOOL: true } } }
+			},
+			afterResponse: (context) => calls.push(['after', context.operation, typeof context.latency]),
+			onError: (context) => calls.push(['error', context.operation, context.error.name]),
+		})
+
+		await db.set('test', { id: 'a', name: 'A' })
+		await expect(db.set('test', { id: 'a', name: 'A' }, 'attribute_not_exists(id)')).rejects.toMatchObject({ statusCode: 409 })
+		remove()
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A', tagged: true })
+
+		expect(calls).toEqual([
+			['before', 'PutItem', ['test']],
+			['after', 'PutItem', 'number'],
+			['before', 'PutItem', ['test']],
+			['error', 'PutItem', 'ConditionalCheckFailedException'],
+		])
+	})
+
+	test('emits and aggregates metrics by table and operation', async () => {
+		const samples = []
+		db.events.on('metrics', (sample) => samples.push(sample))
+
+		await db.batchWrite('test', [{ PutRequest: { Item: { id: 'a', name: 'A' } } }, { PutRequest: { Item: { id: 'b', name: 'B' } } }])
+		await db.scan('test')
+		await expect(db.get('test', { id: 'nope' })).rejects.toMatchObject({ statusCode: 404 })
+		await db.get('test', { id: 'a' })
+
+		expect(samples[0]).toMatchObject({ operation: 'BatchWriteItem', table: 'test', items: 2, consumedCapacity: 2, retries: 0, retry: 0 })
+		expect(samples[1]).toMatchObject({ operation: 'Scan', items: 2, consumedCapacity: 0.5 })
+
+		const metrics = db.getMetrics()
+		expect(metrics.find((entry) => entry.operation === 'GetItem')).toMatchObject({
+			table: 'test',
+			requests: 2,
+			errors: 0,
+			items: 1,
+			consumedCapacity: 1,
+		})
+		expect(metrics.find((entry) => entry.operation === 'GetItem').averageLatency).toBeGreaterThanOrEqual(0)
+
+		db.resetMetrics()
+		expect(db.getMetrics()).toEqual([])
+	})
+
+	test('does not request consumed capacity when disabled', async () => {
+		const quiet = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, consumedCapacity: 'NONE' })
+		const inputs = []
+		quiet.use({ beforeRequest: (context) => inputs.push(context.input) })
+
+		await quiet.set('test', { id: 'a', name: 'A' })
+		expect(inputs[0].ReturnConsumedCapacity).toBeUndefined()
+		expect(quiet.getMetrics()[0]).toMatchObject({ operation: 'PutItem', consumedCapacity: 0 })
+	})
+})
+
+describe('DynamoDB cache', () => {
+	const { set } = DynamoDB.expressions
+	let db
+	let operations
+
+	beforeEach(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, cache: { ttl: 1000 } })
+		await db.batchWrite('test', [{ PutRequest: { Item: { id: 'a', name: 'A' } } }, { PutRequest: { Item: { id: 'b', name: 'B' } } }])
+		operations = []
+		db.use({ beforeRequest: (context) => operations.push(context.operation) })
+	})
+
+	test('serves repeated reads from the cache', async () => {
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A' })
+		const item = await db.get('test', { id: 'a' })
+		item.name = 'changed'
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A' })
+
+		const items = await db.batchGet('test', [{ id: 'a' }, { id: 'b' }])
+		expect(items.map((item) => item.id).sort()).toEqual(['a', 'b'])
+		await db.batchGet('test', [{ id: 'a' }, { id: 'b' }])
+
+		expect(operations).toEqual(['GetItem', 'BatchGetItem'])
+		expect(db.getCacheStats()).toMatchObject({ hits: 5, misses: 2, hitRate: 5 / 7 })
+	})
+
+	test('writes refresh or invalidate the cached items', async () => {
+		await db.get('test', { id: 'a' })
+		await db.get('test', { id: 'b' })
+
+		await db.set('test', { id: 'a', name: 'A2' })
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A2' })
+
+		await db.update('test', { id: 'a' }, set('name', 'A3'))
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A3' })
+
+		await db.transactWrite([{ type: 'Update', table: 'test', keys: { id: 'b' }, update: set('name', 'B2') }])
+		expect(await db.get('test', { id: 'b' })).toEqual({ id: 'b', name: 'B2' })
+
+		await db.batchWrite('test', [{ DeleteRequest: { Key: { id: 'b' } } }])
+		await expect(db.get('test', { id: 'b' })).rejects.toMatchObject({ statusCode: 404 })
+
+		await db.delete('test', { id: 'a' })
+		await expect(db.get('test', { id: 'a' })).rejects.toMatchObject({ statusCode: 404 })
+
+		expect(operations).toEqual([
+			'GetItem',
+			'GetItem',
+			'PutItem',
+			'UpdateItem',
+			'TransactWriteItems',
+			'GetItem',
+			'BatchWriteItem',
+			'GetItem',
+			'DeleteItem',
+			'GetItem',
+		])
+	})
+
+	test('reads leave items written while they were in flight out of the cache', async () => {
+		const backend = new MemoryBackend({ tables: [testTable] })
+		const cached = new DynamoDB({ backend, marshall: true, cache: true })
+		await cached.batchWrite('test', [{ PutRequest: { Item: { id: 'a', name: 'A' } } }, { PutRequest: { Item: { id: 'b', name: 'B' } } }])
+
+		// Each read sees the items, then they are written before it gets its response
+		const send = backend.send.bind(backend)
+		let written = 0
+		backend.send = async (command) => {
+			const res = await send(command)
+			if (/^(GetItem|BatchGetItem)Command$/.test(command.constructor.name)) {
+				written++
+				await cached.set('test', { id: 'a', name: `A${written}` })
+				await cached.batchWrite('test', [{ PutRequest: { Item: { id: 'b', name: `B${written}` } } }])
+			}
+			return res
+		}
+
+		expect(await cached.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A' })
+		expect(await cached.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A1' })
+		expect(await cached.batchGet('test', [{ id: 'b' }])).toEqual([{ id: 'b', name: 'B1' }])
+		expect(await cached.batchGetTables({ test: [{ id: 'b' }] })).toEqual({ test: [{ id: 'b', name: 'B2' }] })
+
+		backend.send = send
+		expect(await cached.get('test', { id: 'b' })).toEqual({ id: 'b', name: 'B3' })
+		expect(cached.cache.reads.size).toEqual(0)
+	})
+
+	test('consistent reads and opted-out calls bypass the cache', async () => {
+		const inputs = []
+		db.use({ beforeRequest: (context) => inputs.push(context.input) })
+
+		await db.get('test', { id: 'a' })
+		await db.get('test', { id: 'a' }, { ConsistentRead: true })
+		await db.get('test', { id: 'a' }, { cache: false })
+		await db.batchGet('test', [{ id: 'a' }], null, { ConsistentRead: true })
+
+		expect(operations).toEqual(['GetItem', 'GetItem', 'GetItem', 'BatchGetItem'])
+		expect(inputs[1].ConsistentRead).toBe(true)
+		expect(inputs[3].RequestItems.test.ConsistentRead).toBe(true)
+		expect(db.getCacheStats()).toMatchObject({ hits: 0, misses: 1 })
+	})
+
+	test('uses a pluggable store and expires entries', async () => {
+		const store = new DynamoDB.MemoryStore({ maxEntries: 1 })
+		const cached = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, cache: { store, ttl: 0 } })
+		await cached.set('test', { id: 'a', name: 'A' })
+
+		await cached.get('test', { id: 'a' })
+		await cached.get('test', { id: 'a' })
+		expect(cached.getCacheStats()).toMatchObject({ hits: 0, misses: 2 })
+
+		store.set('x', 1, 1000)
+		store.set('y', 2, 1000)
+		expect(store.get('x')).toBeUndefined()
+		expect(store.get('y')).toBe(2)
+		expect(db.getCacheStats()).not.toBeNull()
+		expect(new DynamoDB({ backend: 'memory' }).getCacheStats()).toBeNull()
+	})
+})
+
+describe('DynamoDB parallel scan', () => {
+	const fs = require('fs')
+	const os = require('os')
+	const path = require('path')
+
+	let db
+	let directory
+
+	beforeAll(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamodb-export-'))
+	})
+
+	afterAll(() => {
+		fs.rmSync(directory, { recursive: true, force: true })
+	})
+
+	beforeEach(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true })
+		const requests = Array.from({ length: 30 }, (_, index) => ({
+			PutRequest: { Item: { id: `item-${index}`, name: index % 2 ? 'odd' : 'even', rank: index, tags: new Set(['a, "b"']) } },
+		}))
+		await db.batchWrite('test', requests)
+	})
+
+	test('reads every segment with progress callbacks', async () => {
+		const progress = []
+		const items = []
+		for await (const item of db.iterateParallelScan('test', {
+			segments: 3,
+			concurrency: 2,
+			pageSize: 4,
+			onProgress: (totals) => progress.push(totals),
+		})) {
+			items.push(item)
+		}
+
+		expect(items).toHaveLength(30)
+		expect(new Set(items.map((item) => item.id)).size).toBe(30)
+		expect(progress[progress.length - 1]).toMatchObject({ segments: 3, completedSegments: 3, scanned: 30, items: 30 })
+		expect(progress.map((totals) => totals.pages)).toEqual(progress.map((totals, index) => index + 1))
+	})
+
+	test('streams the items matching a filter with a projection', async () => {
+		const { eq } = DynamoDB.expressions
+		const items = await db.scanStream('test', { filter: eq('name', 'odd'), projection: 'id, rank' }).toArray()
+
+		expect(items).toHaveLength(15)
+		expect(Object.keys(items[0]).sort()).toEqual(['id', 'rank'])
+		expect(items.every((item) => item.rank % 2 === 1)).toBe(true)
+	})
+
+	test('exports a table to NDJSON and CSV files', async () => {
+		const ndjson = path.join(directory, 'items.ndjson')
+		const summary = await db.exportTable('test', ndjson, { segments: 2 })
+		expect(summary).toMatchObject({ file: ndjson, format: 'ndjson', items: 30, scanned: 30 })
+
+		const lines = fs.readFileSync(ndjson, 'utf8').trim().split('\n').map(JSON.parse)
+		expect(lines).toHaveLength(30)
+		expect(lines.find((item) => item.id === 'item-3')).toEqual({ id: 'item-3', name: 'odd', rank: 3, tags: ['a, "b"'] })
+
+		const csv = path.join(directory, 'items.csv')
+		await db.exportTable('test', csv, { columns: ['id', 'rank', 'tags', 'missing'], filter: 'rank < :two', filterValues: { ':two': 2 } })
+		const rows = fs.readFileSync(csv, 'utf8').trim().split('\r\n')
+		expect(rows[0]).toBe('id,rank,tags,missing')
+		expect(rows.slice(1).sort()).toEqual(['item-0,0,"[""a, \\""b\\""""]",', 'item-1,1,"[""a, \\""b\\""""]",'])
+
+		await expect(db.exportTable('test', path.join(directory, 'items.xml'))).rejects.toMatchObject({ statusCode: 400 })
+	})
+
+	test('spaces out requests to stay under the rate limit', async () => {
+		const start = Date.now()
+		await db.scanStream('test', { segments: 4, rateLimit: { requestsPerSecond: 20 } }).toArray()
+		expect(Date.now() - start).toBeGreaterThanOrEqual(140)
+	})
+
+	test('fails the stream with the error of a scan', async () => {
+		await expect(db.scanStream('missing').toArray()).rejects.toMatchObject({ code: 'TABLE_NOT_FOUND' })
+	})
+})
+
+describe('DynamoDB backup and restore', () => {
+	const fs = require('fs')
+	const os = require('os')
+	const path = require('path')
+
+	let db
+	let directory
+
+	beforeEach(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamodb-backup-'))
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true })
+		const requests = Array.from({ length: 25 }, (_, index) => ({
+			PutRequest: { Item: { id: `item-${index}`, name: `Item ${index}`, data: Buffer.from([index, 255]), tags: new Set(['x']) } },
+		}))
+		await db.batchWrite('test', requests)
+	})
+
+	afterEach(() => {
+		fs.rmSync(directory, { recursive: true, force: true })
+	})
+
+	test('writes the items and a manifest with the table definition', async () => {
+		const manifest = await db.backupTable('test', directory, { itemsPerFile: 10, segments: 2 })
+
+		expect(manifest).toMatchObject({ version: 1, table: 'test', itemCount: 25 })
+		expect(manifest.files).toEqual([
+			{ name: 'data-00000.ndjson', items: 10 },
+			{ name: 'data-00001.ndjson', items: 10 },
+			{ name: 'data-00002.ndjson', items: 5 },
+		])
+		expect(manifest.definition).toMatchObject({ TableName: 'test', KeySchema: testTable.KeySchema })
+		expect(manifest.definition.GlobalSecondaryIndexes[0]).toMatchObject({ IndexName: 'name-index', Projection: { ProjectionType: 'ALL' } })
+		expect(JSON.parse(fs.readFileSync(path.join(directory, 'manifest.json'), 'utf8'))).toEqual(manifest)
+	})
+
+	test('restores into a new table, with binary values intact', async () => {
+		await db.backupTable('test', directory)
+		const target = new DynamoDB({ backend: 'memory', marshall: true })
+
+		const result = await target.restoreTable(directory, { table: 'copy', createTable: true, batchSize: 10 })
+		expect(result).toEqual({ table: 'copy', restored: 25, skipped: 0, resumed: false })
+		expect(await target.get('copy', { id: 'item-7' })).toEqual({ id: 'item-7', name: 'Item 7', data: new Uint8Array([7, 255]), tags: new Set(['x']) })
+		expect(fs.existsSync(path.join(directory, 'restore-checkpoint.json'))).toBe(false)
+	})
+
+	test('restores numeric keys as they were backed up, whatever the marshalling options', async () => {
+		const linesTable = {
+			TableName: 'lines',
+			KeySchema: [
+				{ AttributeName: 'order', KeyType: 'HASH' },
+				{ AttributeName: 'line', KeyType: 'RANGE' },
+			],
+			AttributeDefinitions: [
+				{ AttributeName: 'order', AttributeType: 'S' },
+				{ AttributeName: 'line', AttributeType: 'N' },
+			],
+		}
+		const source = new DynamoDB({ backend: new MemoryBackend({ tables: [linesTable] }), marshall: true })
+		await source.batchWrite('lines', [{ PutRequest: { Item: { order: 'o1', line: 1, total: 2.5 } } }])
+		await source.backupTable('lines', directory)
+
+		const target = new DynamoDB({ backend: 'memory', marshall: { wrapNumbers: (value) => value } })
+		expect(await target.restoreTable(directory, { createTable: true })).toMatchObject({ restored: 1 })
+		expect(await target.get('lines', { order: 'o1', line: 1 })).toEqual({ order: 'o1', line: '1', total: '2.5' })
+	})
+
+	test('rewrites keys with the transform hook', async () => {
+		await db.backupTable('test', directory)
+		const target = new DynamoDB({ backend: 'memory', marshall: true })
+
+		const result = await target.restoreTable(directory, {
+			table: 'items',
+			createTable: {
+				KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }],
+				AttributeDefinitions: [
+					{ AttributeName: 'pk', AttributeType: 'S' },
+					{ AttributeName: 'name', AttributeType: 'S' },
+				],
+			},
+			transform: ({ id, ...item }) => (id === 'item-0' ? null : { ...item, pk: `ITEM#${id}` }),
+		})
+
+		expect(result).toMatchObject({ restored: 24, skipped: 1 })
+		expect(await target.get('items', { pk: 'ITEM#item-3' })).toMatchObject({ name: 'Item 3' })
+	})
+
+	test('resumes a failed restore from its checkpoint', async () => {
+		await db.backupTable('test', directory)
+		const target = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, batch: { maxRetries: 0 } })
+
+		let writes = 0
+		const remove = target.use({
+			beforeRequest: (context) => {
+				if (context.operation === 'BatchWriteItem' && ++writes === 3) throw new Error('Connection reset')
+			},
+		})
+		await expect(target.restoreTable(directory, { batchSize: 10 })).rejects.toMatchObject({ statusCode: 500 })
+		expect(JSON.parse(fs.readFileSync(path.join(directory, 'restore-checkpoint.json'), 'utf8'))).toMatchObject({ table: 'test', line: 20 })
+		remove()
+
+		const operations = []
+		target.use({ beforeRequest: (context) => operations.push(context.operation) })
+		expect(await target.restoreTable(directory, { batchSize: 10 })).toEqual({ table: 'test', restored: 5, skipped: 0, resumed: true })
+		expect(operations).toEqual(['BatchWriteItem'])
+		expect(await target.scan('test')).toHaveLength(25)
+	})
+
+	test('rejects directories without a backup', async () => {
+		await expect(db.restoreTable(directory)).rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' })
+	})
+})
+
+describe('DynamoDB read options', () => {
+	const { eq } = DynamoDB.expressions
+	const ordersTable = {
+		TableName: 'orders',
+		KeySchema: [
+			{ AttributeName: 'customer', KeyType: 'HASH' },
+			{ AttributeName: 'orderId', KeyType: 'RANGE' },
+		],
+		AttributeDefinitions: [
+			{ AttributeName: 'customer', AttributeType: 'S' },
+			{ AttributeName: 'orderId', AttributeType: 'S' },
+			{ AttributeName: 'total', AttributeType: 'N' },
+			{ AttributeName: 'status', AttributeType: 'S' },
+		],
+		LocalSecondaryIndexes: [
+			{
+				IndexName: 'total-index',
+				KeySchema: [
+					{ AttributeName: 'customer', KeyType: 'HASH' },
+					{ AttributeName: 'total', KeyType: 'RANGE' },
+				],
+				Projection: { ProjectionType: 'ALL' },
+			},
+		],
+		GlobalSecondaryIndexes: [
+			{ IndexName: 'status-index', KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } },
+		],
+	}
+
+	let db
+	let inputs
+
+	beforeEach(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [ordersTable] }), marshall: true })
+		await db.batchWrite('orders', [
+			{ PutRequest: { Item: { customer: 'ann', orderId: 'o1', total: 30, status: 'open' } } },
+			{ PutRequest: { Item: { customer: 'ann', orderId: 'o2', total: 10, status: 'shipped' } } },
+			{ PutRequest: { Item: { customer: 'ann', orderId: 'o3', total: 20, status: 'open' } } },
+			{ PutRequest: { Item: { customer: 'bob', orderId: 'o1', total: 5, status: 'open' } } },
+		])
+		inputs = []
+		db.use({ beforeRequest: (context) => inputs.push(context.input) })
+	})
+
+	test('queries in descending order with a limit', async () => {
+		const items = await db.query('orders', eq('customer', 'ann'), null, null, null, { ScanIndexForward: false, Limit: 2 })
+		expect(items.map((item) => item.orderId)).toEqual(['o3', 'o2'])
+	})
+
+	test('queries a local secondary index', async () => {
+		const items = await db.query('orders', eq('customer', 'ann'), null, null, null, { IndexName: 'total-index', ConsistentRead: true })
+		expect(items.map((item) => item.total)).toEqual([10, 20, 30])
+		expect(inputs[0]).toMatchObject({ IndexName: 'total-index', ConsistentRead: true })
+	})
+
+	test('projects the same way for get, query, queryByGSI and scan', async () => {
+		const options = { ProjectionExpression: 'orderId, status' }
+
+		expect(await db.get('orders', { customer: 'ann', orderId: 'o1' }, { ...options, ConsistentRead: true })).toEqual({
+			orderId: 'o1',
+			status: 'open',
+		})
+		expect(await db.query('orders', eq('customer', 'bob'), null, null, null, options)).toEqual([{ orderId: 'o1', status: 'open' }])
+		expect(await db.queryByGSI('orders', 'status-index', eq('status', 'shipped'), null, null, null, null, options)).toEqual([
+			{ orderId: 'o2', status: 'shipped' },
+		])
+		expect(await db.scan('orders', null, null, { ProjectionExpression: ['total'], Limit: 1 })).toEqual([{ total: 30 }])
+		expect(inputs[0]).toMatchObject({ ConsistentRead: true, ProjectionExpression: '#n0, #n1' })
+	})
+
+	test('counts without reading items', async () => {
+		expect(await db.query('orders', eq('customer', 'ann'), null, null, null, { Select: 'COUNT', Limit: 1 })).toBe(3)
+		expect(await db.queryByGSI('orders', 'status-index', eq('status', 'open'), null, null, null, null, { Select: 'COUNT' })).toBe(3)
+		expect(await db.scan('orders', eq('status', 'open'), null, { Select: 'COUNT' })).toBe(3)
+		expect(await db.scanPage('orders', null, null, { Select: 'COUNT' })).toEqual({ items: [], count: 4, cursor: null })
+
+		expect(inputs).toHaveLength(6)
+		expect(inputs.every((input) => input.Select === 'COUNT')).toBe(true)
+	})
+})
+
+describe('DynamoDB patch', () => {
+	const { increment, append, prepend, addToSet, removeFromSet, ifNotExists, replace } = DynamoDB.markers
+	let db
+	let inputs
+
+	beforeEach(async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true })
+		await db.set('test', {
+			id: 'a',
+			name: 'A',
+			note: 'old',
+			address: { city: 'Lyon', zip: '69000' },
+			stats: { views: 1 },
+			history: ['created'],
+			tags: new Set(['x', 'y']),
+		})
+		inputs = []
+		db.use({ beforeRequest: (context) => inputs.push(context.input) })
+	})
+
+	test('sets, removes and updates nested attributes', async () => {
+		const { Attributes } = await db.patch('test', { id: 'a' }, { id: 'a', name: 'B', note: null, address: { city: 'Paris' }, 'stats.likes': 2 })
+
+		expect(Attributes).toEqual({
+			id: 'a',
+			name: 'B',
+			address: { city: 'Paris', zip: '69000' },
+			stats: { views: 1, likes: 2 },
+			history: ['created'],
+			tags: new Set(['x', 'y']),
+		})
+	})
+
+	test('creates the maps nested objects update when the item has none', async () => {
+		const { Attributes } = await db.patch('test', { id: 'a' }, { profile: { bio: 'Hi' }, stats: { daily: { mon: 1 }, views: 2 } })
+		expect(Attributes).toMatchObject({ profile: { bio: 'Hi' }, stats: { views: 2, daily: { mon: 1 } }, address: { city: 'Lyon', zip: '69000' } })
+
+		expect((await db.patch('test', { id: 'new' }, { name: 'N', profile: { bio: 'New' } })).Attributes).toEqual({
+			id: 'new',
+			name: 'N',
+			profile: { bio: 'New' },
+		})
+	})
+
+	test('turns the markers of the maps it creates into values', async () => {
+		const { Attributes } = await db.patch(
+			'test',
+			{ id: 'a' },
+			{
+				counters: {
+					views: increment(2),
+					log: append(['first']),
+					labels: addToSet(new Set(['new'])),
+					gone: removeFromSet(new Set(['x'])),
+					old: null,
+					daily: { mon: increment() },
+				},
+			}
+		)
+		expect(Attributes.counters).toEqual({ views: 2, log: ['first'], labels: new Set(['new']), daily: { mon: 1 } })
+	})
+
+	test('applies markers atomically', async () => {
+		const { Attributes } = await db.patch(
+			'test',
+			{ id: 'a' },
+			{
+				'stats.views': increment(2),
+				score: increment(-1),
+				history: append(['patched']),
+				log: prepend(['first']),
+				tags: removeFromSet(new Set(['x'])),
+				labels: addToSet(new Set(['new'])),
+				name: ifNotExists('ignored'),
+				createdBy: ifNotExists('system'),
+				address: replace({ country: 'FR' }),
+			}
+		)
+
+		expect(Attributes).toMatchObject({
+			name: 'A',
+			stats: { views: 3 },
+			score: -1,
+			history: ['created', 'patched'],
+			log: ['first'],
+			tags: new Set(['y']),
+			labels: new Set(['new']),
+			createdBy: 'system',
+			address: { country: 'FR' },
+		})
+	})
+
+	test('writes only what differs from the previous item', async () => {
+		const previous = await db.get('test', { id: 'a' })
+		inputs.length = 0
+
+		const unchanged = await db.patch('test', { id: 'a' }, { name: 'A', address: { city: 'Lyon' } }, { previous })
+		expect(unchanged).toEqual({ Attributes: previous })
+		expect(inputs).toHaveLength(0)
+
+		await db.patch('test', { id: 'a' }, { name: 'A', address: { city: 'Nice', zip: '69000' }, note: undefined }, { previous })
+		expect(inputs[0].UpdateExpression).toBe('SET #n0.#n1 = :v2 REMOVE #n3')
+		expect(inputs[0].ExpressionAttributeNames).toEqual({ '#n0': 'address', '#n1': 'city', '#n3': 'note' })
+
+		const current = await db.get('test', { id: 'a' })
+		const next = { ...current, name: 'C' }
+		delete next.history
+		const { Attributes } = await db.patch('test', { id: 'a' }, next, { previous: current, removeMissing: true })
+		expect(Attributes.name).toBe('C')
+		expect(Attributes.history).toBeUndefined()
+		expect(Attributes.address).toEqual({ city: 'Nice', zip: '69000' })
+	})
+
+	test('rejects key changes and empty patches', async () => {
+		await expect(db.patch('test', { id: 'a' }, { id: 'b' })).rejects.toMatchObject({ statusCode: 400, message: 'Key attribute id cannot be patched' })
+		await expect(db.patch('test', { id: 'a' }, { id: 'a' })).rejects.toMatchObject({ statusCode: 400, message: 'No changes to apply' })
+	})
+
+	test('uses the version of the previous item with optimistic locking', async () => {
+		const locked = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true, versioning: { test: true } })
+		const created = await locked.set('test', { id: 'v', name: 'V' })
+
+		const { Attributes } = await locked.patch('test', { id: 'v' }, { ...created, name: 'W' }, { previous: created })
+		expect(Attributes).toEqual({ id: 'v', name: 'W', version: 2 })
+		await expect(locked.patch('test', { id: 'v' }, { name: 'X' }, { previous: created })).rejects.toMatchObject({ code: 'VERSION_CONFLICT' })
+	})
+
+	test('works with AttributeValues when marshalling is disabled', async () => {
+		const raw = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }) })
+		await raw.set('test', { id: { S: 'r' }, count: { N: '1' }, info: { M: { a: { S: 'x' } } } })
+
+		const { Attributes } = await raw.patch('test', { id: { S: 'r' } }, { count: increment(4), 'info.b': { S: 'y' }, extra: { NULL: true } })
+		expect(Attributes).toEqual({ id: { S: 'r' }, count: { N: '5' }, info: { M: { a: { S: 'x' }, b: { S: 'y' } } }, extra: { NULL: true } })
+	})
+})
+
+describe('DynamoDB locks and counters', () => {
+	let db
+
+	beforeEach(() => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: true })
+	})
+
+	test('acquires a free lock and refuses it to other owners until released', async () => {
+		const first = db.locks({ table: 'test', owner: 'worker-1' })
+		const second = db.locks({ table: 'test', owner: 'worker-2' })
+
+		const lock = await first.acquire('jobs')
+		expect(lock).toMatchObject({ name: 'jobs', owner: 'worker-1', token: 1 })
+		expect(await db.get('test', { id: 'jobs' })).toMatchObject({ owner: 'worker-1', token: 1 })
+
+		await expect(second.acquire('jobs')).rejects.toMatchObject({ statusCode: 409, code: 'LOCK_HELD', details: { lock: 'jobs' } })
+
+		await lock.release()
+		await expect(db.get('test', { id: 'jobs' })).rejects.toMatchObject({ statusCode: 404 })
+		expect(await second.acquire('jobs')).toMatchObject({ owner: 'worker-2', token: 1 })
+	})
+
+	test('renews and releases locks when numbers are read as strings', async () => {
+		db = new DynamoDB({ backend: new MemoryBackend({ tables: [testTable] }), marshall: { wrapNumbers: (value) => value } })
+		const lock = await db.locks({ table: 'test', owner: 'worker-1' }).acquire('jobs')
+		expect(lock).toMatchObject({ token: 1, leaseExpires: expect.any(Number) })
+
+		await lock.renew()
+		await lock.release()
+		await expect(db.get('test', { id: 'jobs' })).rejects.toMatchObject({ statusCode: 404 })
+	})
+
+	test('excludes concurrent acquisitions of one owner unless reentrant', async () => {
+		const locks = db.locks({ table: 'test', owner: 'worker-1' })
+		const running = []
+
+		const results = await Promise.allSettled(
+			[1, 2].map((run) =>
+				locks.withLock('jobs', async () => {
+					running.push(run)
+					await new Promise((resolve) => setTimeout(resolve, 20))
+				})
+			)
+		)
+		expect(running).toHaveLength(1)
+		expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected'])
+		expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(DynamoDB.LockHeldError)
+
+		const first = await locks.acquire('jobs')
+		const again = await locks.acquire('jobs', { reentrant: true })
+		expect(again.token).toEqual(first.token + 1)
+		await expect(first.release()).rejects.toBeInstanceOf(DynamoDB.LockLostError)
+		await again.release()
+	})
+
+	test('lets expired locks be taken over, and reports the loss to the old holder', async () => {
+		const first = db.locks({ table: 'test', owner: 'worker-1', leaseDuration: 20 })
+		const second = db.locks({ table: 'test', owner: 'worker-2', wait: 200, retryDelay: 10 })
+
+		const lock = await first.acquire('jobs')
+		await lock.renew()
+		const stolen = await second.acquire('jobs')
+		expect(stolen.token).toEqual(2)
+
+		await expect(lock.renew()).rejects.toBeInstanceOf(DynamoDB.LockLostError)
+		await expect(lock.release()).rejects.toMatchObject({ code: 'LOCK_LOST', details: { lock: 'jobs', action: 'release' } })
+		await stolen.release()
+	})
+
+	test('keeps a lock alive with a heartbeat while running a function', async () => {
+		const locks = db.locks({ table: 'test', owner: 'worker-1', leaseDuration: 60 })
+		const other = db.locks({ table: 'test', owner: 'worker-2' })
+
+		const result = await locks.withLock('jobs', async (lock) => {
+			await new Promise((resolve) => setTimeout(resolve, 150))
+			await expect(other.acquire('jobs')).rejects.toBeInstanceOf(DynamoDB.LockHeldError)
+			return lock.token
+		})
+
+		expect(result).toEqual(1)
+		await expect(db.get('test', { id: 'jobs' })).rejects.toMatchObject({ statusCode: 404 })
+	})
+
+	test('hands out unique increasing values in blocks', async () => {
+		const writes = []
+		db.use({ beforeRequest: (context) => writes.push(context.operation) })
+		const counter = db.counter('test', 'orders', { blockSize: 10 })
+		const other = db.counter('test', 'orders', { blockSize: 10 })
+
+		const values = await Promise.all(Array.from({ length: 12 }, () => counter.next()))
+		expect(values).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12])
+		expect(await other.next()).toEqual(21)
+		expect(await counter.nextRange(5)).toEqual({ first: 31, last: 35 })
+		expect(await counter.current()).toEqual(35)
+		expect(writes.filter((operation) => operation === 'UpdateItem')).toHaveLength(4)
+	})
+
+	test('works without marshalling and reports throttling as contention', async () => {
+		const backend = new MemoryBackend({ tables: [testTable] })
+		const raw = new DynamoDB({ backend })
+		const counter = raw.counter('test', 'orders')
+
+		expect(await counter.next()).toEqual(1)
+		expect(await counter.next()).toEqual(2)
+		expect((await raw.locks({ table: 'test' }).acquire('jobs')).token).toEqual(1)
+
+		backend.send = async () => {
+			throw Object.assign(new Error('Throughput exceeded'), { name: 'ProvisionedThroughputExceededException' })
+		}
+		await expect(counter.next()).rejects.toMatchObject({ statusCode: 429, code: 'COUNTER_CONTENTION', details: { counter: 'orders' } })
+	})
+})
+
+describe('DynamoDB unique constraints', () => {
+	const fs = require('fs')
+	const os = require('os')
+	const path = require('path')
+	const { set, attributeExists, attributeNotExists } = DynamoDB.expressions
+	const guardTable = {
+		TableName: 'unique',
+		KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+		AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+	}
+	let db
+
+	beforeEach(async () => {
+		db = new DynamoDB({
+			backend: new MemoryBackend({ tables: [testTable, guardTable] }),
+			marshall: true,
+			unique: { test: { keys: ['id'], fields: ['email', 'username'], table: 'unique' } },
+		})
+		await db.set('test', { id: 'u1', email: 'ann@example.com', username: 'ann' })
+	})
+
+	const ids = async () => (await db.scan('test')).map((item) => item.id).sort()
+	const guards = async () => (await db.scan('unique')).map((item) => item.id).sort()
+
+	test('writes guard items to the guard table and rejects taken values', async () => {
+		expect(await ids()).toEqual(['u1'])
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.com', 'UNIQUE#test#username#S#ann'])
+
+		await expect(db.set('test', { id: 'u2', email: 'ann@example.com', username: 'bob' })).rejects.toMatchObject({
+			statusCode: 409,
+			code: 'UNIQUE_VIOLATION',
+			details: { table: 'test', field: 'email' },
+		})
+		await expect(db.get('test', { id: 'u2' })).rejects.toMatchObject({ statusCode: 404 })
+
+		await db.set('test', { id: 'u2', email: 'bob@example.com' })
+		expect(await ids()).toEqual(['u1', 'u2'])
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.com', 'UNIQUE#test#email#S#bob@example.com', 'UNIQUE#test#username#S#ann'])
+		expect(await db.clearTable('test')).toEqual(2)
+		expect(await guards()).toEqual([])
+		expect(() => new DynamoDB({ unique: { test: { keys: ['id'], fields: ['email'] } } })).toThrow(TypeError)
+	})
+
+	test('moves the guards of changed values on set, update and patch', async () => {
+		await db.set('test', { id: 'u1', email: 'ann@example.org', username: 'ann' })
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.org', 'UNIQUE#test#username#S#ann'])
+
+		const { Attributes } = await db.update('test', { id: 'u1' }, set('username', 'annie'))
+		expect(Attributes).toEqual({ id: 'u1', email: 'ann@example.org', username: 'annie' })
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.org', 'UNIQUE#test#username#S#annie'])
+		const old = await db.update('test', { id: 'u1' }, set('username', 'ann'), null, null, null, 'UPDATED_OLD')
+		expect(old.Attributes).toEqual({ username: 'annie' })
+		await db.update('test', { id: 'u1' }, set('username', 'annie'))
+
+		await db.patch('test', { id: 'u1' }, { email: null, name: 'Ann' })
+		expect(await guards()).toEqual(['UNIQUE#test#username#S#annie'])
+		await db.set('test', { id: 'u2', email: 'ann@example.org', username: 'ann' })
+
+		await expect(db.patch('test', { id: 'u1' }, { username: 'ann' })).rejects.toMatchObject({
+			code: 'UNIQUE_VIOLATION',
+			details: { field: 'username' },
+		})
+		expect(await db.get('test', { id: 'u1' })).toEqual({ id: 'u1', username: 'annie', name: 'Ann' })
+	})
+
+	test('rejects updates of unique fields it cannot work the new values out of', async () => {
+		const { ifNotExists, add } = DynamoDB.expressions
+		await db.update('test', { id: 'u1' }, ifNotExists('username', 'bob').set('email', 'ann@example.org'))
+		await db.update('test', { id: 'u1' }, add('visits', 1))
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.org', 'UNIQUE#test#username#S#ann'])
+
+		await expect(db.update('test', { id: 'u1' }, 'SET username = email')).rejects.toMatchObject({
+			statusCode: 400,
+			message: 'username can only be set to a value or removed by updates of a table with unique constraints',
+		})
+		await expect(db.update('test', { id: 'u1' }, set('email.domain', 'example.org'))).rejects.toMatchObject({ statusCode: 400 })
+		expect(await db.get('test', { id: 'u1' })).toEqual({ id: 'u1', email: 'ann@example.org', username: 'ann', visits: 1 })
+	})
+
+	test('reports invalid writes of guarded transactions as the write alone would be', async () => {
+		const backend = new MemoryBackend({ tables: [testTable, guardTable] })
+		db = new DynamoDB({ backend, marshall: true, unique: { test: { keys: ['id'], fields: ['username'], table: 'unique' } } })
+		await db.set('test', { id: 'u1', username: 'ann', profile: { bio: 'Hi' } })
+		// Another writer removes the map between the read of the item and the transaction
+		db.use({
+			beforeRequest: async (context) => {
+				if (context.operation !== 'TransactWriteItems') return
+				await backend.send(new UpdateItemCommand({ TableName: 'test', Key: { id: { S: 'u1' } }, UpdateExpression: 'REMOVE profile' }))
+			},
+		})
+
+		const { Attributes } = await db.patch('test', { id: 'u1' }, { username: 'annie', profile: { city: 'Lyon' } })
+		expect(Attributes).toEqual({ id: 'u1', username: 'annie', profile: { city: 'Lyon' } })
+	})
+
+	test('rejects the writes of batches, transactions and restores, which cannot guard their items', async () => {
+		const error = { statusCode: 400, message: 'test has unique constraints, which batchWrite cannot enforce: use set, update and delete' }
+		await expect(db.batchWrite('test', [{ PutRequest: { Item: { id: 'u2', email: 'ann@example.com' } } }])).rejects.toMatchObject(error)
+		await expect(db.transactWrite([{ type: 'Delete', table: 'test', keys: { id: 'u1' } }])).rejects.toMatchObject({ statusCode: 400 })
+		await db.transactWrite([{ type: 'ConditionCheck', table: 'test', keys: { id: 'u1' }, condition: attributeNotExists('deletedAt') }])
+
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamodb-backup-'))
+		try {
+			await db.backupTable('test', directory)
+			await expect(db.restoreTable(directory)).rejects.toMatchObject({ statusCode: 400 })
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true })
+		}
+		expect(await ids()).toEqual(['u1'])
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.com', 'UNIQUE#test#username#S#ann'])
+	})
+
+	test('deletes the guards of the items it clears, keeping those of the others', async () => {
+		await db.set('test', { id: 'u2', email: 'bob@example.com', name: 'Bob' })
+		expect(await db.clearTable('test', { filter: attributeExists('name') })).toEqual(1)
+		expect(await ids()).toEqual(['u1'])
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.com', 'UNIQUE#test#username#S#ann'])
+		await db.set('test', { id: 'u3', email: 'bob@example.com' })
+	})
+
+	test('releases the values of deleted items', async () => {
+		await db.delete('test', { id: 'u1' })
+		expect(await guards()).toEqual([])
+		await db.set('test', { id: 'u2', email: 'ann@example.com', username: 'ann' })
+	})
+
+	test('releases the values of soft deleted items and takes them back on restore', async () => {
+		db = new DynamoDB({
+			backend: new MemoryBackend({ tables: [testTable, guardTable] }),
+			marshall: true,
+			unique: { test: { keys: ['id'], fields: ['email'], table: 'unique' } },
+			softDelete: { test: true },
+		})
+		await db.set('test', { id: 'u1', email: 'ann@example.com' })
+		await db.delete('test', { id: 'u1' })
+		expect(await guards()).toEqual([])
+
+		await db.set('test', { id: 'u2', email: 'ann@example.com' })
+		await expect(db.restore('test', { id: 'u1' })).rejects.toMatchObject({ code: 'UNIQUE_VIOLATION', details: { field: 'email' } })
+		await db.delete('test', { id: 'u2' })
+		expect(await db.restore('test', { id: 'u1' })).toEqual({ id: 'u1', email: 'ann@example.com' })
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.com'])
+
+		await db.purge('test', { id: 'u2' })
+		expect(await db.clearTable('test', { filter: attributeExists('deletedAt') })).toEqual(0)
+		await db.delete('test', { id: 'u1' })
+		await db.set('test', { id: 'u3', email: 'ann@example.com' })
+		expect(await db.clearTable('test', { filter: attributeExists('deletedAt') })).toEqual(1)
+		expect(await guards()).toEqual(['UNIQUE#test#email#S#ann@example.com'])
+	})
+
+	test('keeps values of different types apart, and equal numbers together', async () => {
+		const backend = new MemoryBackend({ tables: [testTable, guardTable] })
+		const unique = { test: { keys: ['id'], fields: ['code'], table: 'unique' } }
+		db = new DynamoDB({ backend, marshall: true, unique })
+		const raw = new DynamoDB({ backend, unique })
+
+		await db.set('test', { id: 'u1', code: '5' })
+		await db.set('test', { id: 'u2', code: 5 })
+		await expect(raw.set('test', { id: { S: 'u3' }, code: { N: '5.0' } })).rejects.toMatchObject({ code: 'UNIQUE_VIOLATION' })
+		expect(await guards()).toEqual(['UNIQUE#test#code#N#5', 'UNIQUE#test#code#S#5'])
+
+		await db.update('test', { id: 'u1' }, set('code', 6))
+		await db.update('test', { id: 'u2' }, set('code', '5'))
+		expect(await guards()).toEqual(['UNIQUE#test#code#N#6', 'UNIQUE#test#code#S#5'])
+		await db.set('test', { id: 'u3', code: 5 })
+	})
+
+	test('guards tables with numeric keys', async () => {
+		const numbered = {
+			TableName: 'numbered',
+			KeySchema: [
+				{ AttributeName: 'group', KeyType: 'HASH' },
+				{ AttributeName: 'number', KeyType: 'RANGE' },
+			],
+			AttributeDefinitions: [
+				{ AttributeName: 'group', AttributeType: 'N' },
+				{ AttributeName: 'number', AttributeType: 'N' },
+			],
+		}
+		db = new DynamoDB({
+			backend: new MemoryBackend({ tables: [numbered, guardTable] }),
+			marshall: true,
+			unique: { numbered: { keys: ['group', 'number'], fields: ['code'], table: 'unique' } },
+		})
+
+		await db.set('numbered', { group: 1, number: 1, code: 'A' })
+		await expect(db.set('numbered', { group: 1, number: 2, code: 'A' })).rejects.toMatchObject({ code: 'UNIQUE_VIOLATION' })
+		await db.update('numbered', { group: 1, number: 1 }, set('code', 'B'))
+		await db.set('numbered', { group: 1, number: 2, code: 'A' })
+		expect(await guards()).toEqual(['UNIQUE#numbered#code#S#A', 'UNIQUE#numbered#code#S#B'])
+	})
+
+	test('keeps failed conditions and plain writes as they were', async () => {
+		await expect(db.set('test', { id: 'u1', email: 'other@example.com' }, attributeNotExists('id'))).rejects.toMatchObject({
+			statusCode: 409,
+			code: 'CONDITION_FAILED',
+		})
+
+		const operations = []
+		db.use({ beforeRequest: (context) => operations.push(context.operation) })
+		await db.update('test', { id: 'u1' }, set('name', 'Ann'))
+		expect(operations).toEqual(['GetItem', 'UpdateItem'])
+	})
+})
+
+describe('DynamoDB soft delete', () => {
+	const { eq } = DynamoDB.expressions
+	let db
+
+	beforeEach(async () => {
+		db = new DynamoDB({
+			backend: new MemoryBackend({ tables: [testTable] }),
+			marshall: true,
+			softDelete: { test: { ttlAttribute: 'expiresAt', retention: 3600 } },
+		})
+		await db.batchWrite('test', [
+			{ PutRequest: { Item: { id: 'a', name: 'A' } } },
+			{ PutRequest: { Item: { id: 'b', name: 'B' } } },
+			{ PutRequest: { Item: { id: 'expired', name: 'A', expiresAt: Math.floor(Date.now() / 1000) - 10 } } },
+		])
+	})
+
+	test('marks deleted items with a timestamp and an expiry', async () => {
+		const before = Math.floor(Date.now() / 1000)
+		expect(await db.delete('test', { id: 'a' })).toEqual({ id: 'a' })
+
+		const item = await db.get('test', { id: 'a' }, { includeDeleted: true })
+		expect(item).toMatchObject({ id: 'a', name: 'A', deletedAt: expect.any(String) })
+		expect(item.expiresAt).toBeGreaterThanOrEqual(before + 3600)
+
+		const later = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000)
+		await db.delete('test', { id: 'a' })
+		later.mockRestore()
+		expect(await db.get('test', { id: 'a' }, { includeDeleted: true })).toMatchObject({ deletedAt: item.deletedAt, expiresAt: item.expiresAt })
+		await expect(db.delete('test', { id: 'missing' })).rejects.toMatchObject({
+			message: 'Condition not met for delete operation',
+			statusCode: 404,
+			code: 'CONDITION_FAILED',
+		})
+		await expect(db.get('test', { id: 'missing' }, { includeDeleted: true })).rejects.toMatchObject({ statusCode: 404 })
+	})
+
+	test('hides deleted and expired items from reads', async () => {
+		await db.delete('test', { id: 'a' })
+
+		await expect(db.get('test', { id: 'a' })).rejects.toMatchObject({ statusCode: 404 })
+		await expect(db.get('test', { id: 'expired' })).rejects.toMatchObject({ statusCode: 404 })
+		expect(await db.get('test', { id: 'b' }, { ProjectionExpression: 'name' })).toEqual({ name: 'B' })
+
+		expect(await db.batchGet('test', [{ id: 'a' }, { id: 'b' }, { id: 'expired' }], 'id')).toEqual([{ id: 'b' }])
+		expect((await db.batchGetTables({ test: [{ id: 'a' }, { id: 'b' }] })).test).toEqual([null, { id: 'b', name: 'B' }])
+		expect(await db.scan('test')).toEqual([{ id: 'b', name: 'B' }])
+		expect(await db.scan('test', null, null, { Select: 'COUNT' })).toEqual(1)
+		expect(await db.queryByGSI('test', 'name-index', eq('name', 'A'))).toEqual([])
+
+		expect((await db.scan('test', null, null, { includeDeleted: true })).map((item) => item.id).sort()).toEqual(['a', 'b', 'expired'])
+		expect(await db.batchGet('test', [{ id: 'a' }], null, { includeDeleted: true })).toHaveLength(1)
+	})
+
+	test('hides deleted items from transactions and parallel scans', async () => {
+		await db.delete('test', { id: 'a' })
+
+		expect(
+			await db.transactGet([
+				{ table: 'test', keys: { id: 'a' } },
+				{ table: 'test', keys: { id: 'b' }, projection: 'name' },
+			])
+		).toEqual([null, { name: 'B' }])
+		expect(await db.transactGet([{ table: 'test', keys: { id: 'a' }, includeDeleted: true }])).toEqual([
+			expect.objectContaining({ id: 'a', deletedAt: expect.any(String) }),
+		])
+
+		const streamed = []
+		for await (const item of db.scanStream('test')) streamed.push(item)
+		expect(streamed).toEqual([{ id: 'b', name: 'B' }])
+		const all = []
+		for await (const item of db.iterateParallelScan('test', { includeDeleted: true })) all.push(item.id)
+		expect(all.sort()).toEqual(['a', 'b', 'expired'])
+	})
+
+	test('shows items whose deletion time is null, in gets and scans alike', async () => {
+		await db.set('test', { id: 'c', name: 'C', deletedAt: null })
+
+		expect(await db.get('test', { id: 'c' })).toEqual({ id: 'c', name: 'C', deletedAt: null })
+		expect((await db.scan('test')).map((item) => item.id).sort()).toEqual(['a', 'b', 'c'])
+	})
+
+	test('deletes, restores and purges items whose deletion time is null', async () => {
+		await db.set('test', { id: 'c', name: 'C', deletedAt: null })
+		await expect(db.restore('test', { id: 'c' })).rejects.toMatchObject({ statusCode: 404 })
+		await expect(db.purge('test', { id: 'c' })).rejects.toMatchObject({ statusCode: 404 })
+
+		expect(await db.delete('test', { id: 'c' })).toEqual({ id: 'c' })
+		await expect(db.get('test', { id: 'c' })).rejects.toMatchObject({ statusCode: 404 })
+		expect(await db.get('test', { id: 'c' }, { includeDeleted: true })).toMatchObject({ deletedAt: expect.any(String) })
+		expect(await db.restore('test', { id: 'c' })).toEqual({ id: 'c', name: 'C' })
+	})
+
+	test('gives items their own TTL back when restored', async () => {
+		const expiresAt = Math.floor(Date.now() / 1000) + 60
+		await db.set('test', { id: 's1', expiresAt })
+		await db.delete('test', { id: 's1' })
+		expect(await db.get('test', { id: 's1' }, { includeDeleted: true })).toMatchObject({ expiresAt: expect.any(Number), previousTtl: expiresAt })
+		expect((await db.get('test', { id: 's1' }, { includeDeleted: true })).expiresAt).toBeGreaterThanOrEqual(expiresAt + 3600 - 60)
+
+		expect(await db.restore('test', { id: 's1' })).toEqual({ id: 's1', expiresAt })
+		await db.delete('test', { id: 'a' })
+		expect(await db.restore('test', { id: 'a' })).toEqual({ id: 'a', name: 'A' })
+	})
+
+	test('mutates deleted items, which the mutation may restore', async () => {
+		await db.delete('test', { id: 'a' })
+
+		const mutation = jest.fn(({ deletedAt, expiresAt, previousTtl, ...item }) => ({ ...item, name: 'Restored' }))
+		expect(await db.mutate('test', { id: 'a' }, mutation)).toEqual({ id: 'a', name: 'Restored', version: 1 })
+		expect(mutation).toHaveBeenCalledWith(expect.objectContaining({ id: 'a', deletedAt: expect.any(String) }))
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'Restored', version: 1 })
+	})
+
+	test('restores and purges deleted items', async () => {
+		await db.delete('test', { id: 'a' })
+		expect(await db.restore('test', { id: 'a' })).toEqual({ id: 'a', name: 'A' })
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'A' })
+		await expect(db.restore('test', { id: 'a' })).rejects.toMatchObject({ statusCode: 404 })
+
+		await expect(db.purge('test', { id: 'b' })).rejects.toMatchObject({ statusCode: 404 })
+		await db.delete('test', { id: 'b' })
+		await db.purge('test', { id: 'b' })
+		await expect(db.get('test', { id: 'b' }, { includeDeleted: true })).rejects.toMatchObject({ statusCode: 404 })
+
+		await db.delete('test', { id: 'a' }, null, { hard: true })
+		await expect(db.get('test', { id: 'a' }, { includeDeleted: true })).rejects.toMatchObject({ statusCode: 404 })
+		await expect(db.restore('other', { id: 'a' })).rejects.toMatchObject({ statusCode: 400 })
+	})
+})
+
+describe('DynamoDB table namespacing', () => {
+	const { eq } = DynamoDB.expressions
+	const tables = (...names) => new MemoryBackend({ tables: names.map((TableName) => ({ ...testTable, TableName })) })
+
+	test('prefixes and aliases table names in every request', async () => {
+		const backend = tables('dev-test', 'dev-users-v2')
+		const db = new DynamoDB({ backend, marshall: true, tableNames: { prefix: 'dev-', aliases: { users: 'users-v2' } } })
+		const physical = new DynamoDB({ backend, marshall: true })
+
+		await db.set('test', { id: 'a', name: 'Ann' })
+		await db.batchWrite('users', [{ PutRequest: { Item: { id: 'u1', name: 'Ann' } } }])
+		await db.transactWrite([
+			{ type: 'Put', table: 'users', item: { id: 'u2', name: 'Bob' } },
+			{ type: 'ConditionCheck', table: 'test', keys: { id: 'a' }, condition: eq('name', 'Ann') },
+		])
+
+		expect(await physical.get('dev-test', { id: 'a' })).toEqual({ id: 'a', name: 'Ann' })
+		expect(await physical.scan('dev-users-v2')).toHaveLength(2)
+		expect(await db.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'Ann' })
+		expect(await db.queryByGSI('users', 'name-index', eq('name', 'Bob'))).toEqual([{ id: 'u2', name: 'Bob' }])
+		expect(await db.batchGetTables({ test: [{ id: 'a' }], users: [{ id: 'u1' }, { id: 'u3' }] })).toEqual({
+			test: [{ id: 'a', name: 'Ann' }],
+			users: [{ id: 'u1', name: 'Ann' }, null],
+		})
+		expect(db.getMetrics().map((entry) => entry.table)).toEqual(expect.arrayContaining(['dev-test', 'dev-users-v2', 'dev-test,dev-users-v2']))
+		await expect(db.get('missing', { id: 'a' })).rejects.toMatchObject({ message: 'Table or index not found: missing' })
+	})
+
+	test('routes tenants to tables of their own, with their own cache entries', async () => {
+		const backend = tables('acme-test', 'globex-test')
+		const db = new DynamoDB({ backend, marshall: true, cache: true, tenantResolver: (tenant, table) => ({ table: `${tenant}-${table}` }) })
+		const acme = db.forTenant('acme')
+		const globex = db.forTenant('globex')
+
+		await acme.set('test', { id: 'a', name: 'Acme' })
+		await globex.batchWrite('test', [{ PutRequest: { Item: { id: 'a', name: 'Globex' } } }])
+
+		expect(await acme.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'Acme' })
+		expect(await globex.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'Globex' })
+		expect(await globex.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'Globex' })
+		expect(db.getCacheStats()).toMatchObject({ hits: 1, misses: 2 })
+		await expect(db.get('test', { id: 'a' })).rejects.toMatchObject({ message: 'Table or index not found: test' })
+		expect(() => new DynamoDB({ backend }).forTenant('acme')).toThrow(TypeError)
+	})
+
+	test('prefixes the partition keys of tenants sharing a table', async () => {
+		const backend = tables('test')
+		const db = new DynamoDB({
+			backend,
+			marshall: true,
+			tenantResolver: (tenant, table) => (table === 'test' ? { partitionKey: 'id', prefix: `${tenant}#` } : null),
+		})
+		const acme = db.forTenant('acme')
+		const globex = db.forTenant('globex')
+
+		await acme.set('test', { id: 'a', name: 'Ann' })
+		await acme.set('test', { id: 'b', name: 'Bob' })
+		await globex.transactWrite([{ type: 'Put', table: 'test', item: { id: 'a', name: 'Bob' } }])
+
+		expect((await db.scan('test')).map((item) => item.id).sort()).toEqual(['acme#a', 'acme#b', 'globex#a'])
+		expect(await acme.get('test', { id: 'a' })).toEqual({ id: 'a', name: 'Ann' })
+		expect(await globex.query('test', eq('id', 'a'))).toEqual([{ id: 'a', name: 'Bob' }])
+		expect(await globex.scan('test')).toEqual([{ id: 'a', name: 'Bob' }])
+		expect((await acme.queryByGSI('test', 'name-index', eq('name', 'Bob'))).map((item) => item.id)).toEqual(['b'])
+		expect(await acme.batchGet('test', [{ id: 'a' }, { id: 'c' }])).toEqual([{ id: 'a', name: 'Ann' }])
+
+		const page = await acme.scanPage('test', null, null, { Limit: 1 })
+		const next = await acme.scanPage('test', null, null, { Limit: 5, ExclusiveStartKey: page.cursor })
+		expect([...page.items, ...next.items].map((item) => item.id).sort()).toEqual(['a', 'b'])
+
+		expect(await acme.delete('test', { id: 'a' })).toEqual({ id: 'a' })
+		await expect(acme.get('test', { id: 'a' })).rejects.toMatchObject({ statusCode: 404 })
+		await expect(acme.set('test', { id: 1 })).rejects.toMatchObject({ statusCode: 400 })
+	})
+
+	test('strips the tenant prefix from the items of failed writes', async () => {
+		const db = new DynamoDB({
+			backend: tables('test'),
+			marshall: true,
+			tenantResolver: (tenant) => ({ partitionKey: 'id', prefix: `${tenant}#` }),
+		})
+		const acme = db.forTenant('acme')
+		await acme.set('test', { id: 'a', name: 'Ann' })
+
+		const cancelled = acme.transactWrite([
+			{ type: 'Put', table: 'test', item: { id: 'b', name: 'Bob' } },
+			{ type: 'ConditionCheck', table: 'test', keys: { id: 'a' }, condition: eq('name', 'Bob') },
+		])
+		await expect(cancelled).rejects.toMatchObject({
+			code: 'TRANSACTION_CANCELLED',
+			details: { reasons: [{ index: 1, code: 'ConditionalCheckFailed', item: { id: 'a', name: 'Ann' } }] },
+		})
+
+		const conflict = await acme.delete('test', { id: 'a' }, null, { versioning: true, version: 2 }).catch((error) => error)
+		expect(conflict).toMatchObject({ code: 'VERSION_CONFLICT' })
+		expect(conflict.cause.Item).toEqual({ id: { S: 'a' }, name: { S: 'Ann' } })
+	})
+})
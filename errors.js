@@ -0,0 +1,240 @@
+const { THROTTLING_ERRORS } = require('./batching')
+
+// Stable codes of plain HttpErrors, by status code
+const STATUS_CODES = {
+	400: 'BAD_REQUEST',
+	404: 'NOT_FOUND',
+	409: 'CONFLICT',
+	412: 'PRECONDITION_FAILED',
+	429: 'THROTTLED',
+	500: 'INTERNAL_ERROR',
+	504: 'TIMEOUT',
+}
+
+class HttpError extends Error {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {number} statusCode - The HTTP status code to answer with.
+	 * @param {Object} [details] - Structured information about the failure, e.g. transaction cancellation reasons.
+	 * @param {Object} [options={}] - Optional settings.
+	 * @param {Error} [options.cause] - The original error, usually from the AWS SDK. Its request id is kept as `requestId`.
+	 * @param {string} [options.code] - A stable, machine-readable code. Defaults to one derived from the status code.
+	 */
+	constructor(message, statusCode, details = undefined, { cause, code } = {}) {
+		super(message, cause ? { cause } : undefined)
+		this.statusCode = statusCode
+		this.name = this.constructor.name
+		this.code = code || STATUS_CODES[statusCode] || 'ERROR'
+		if (details) this.details = details
+
+		const requestId = cause && cause.$metadata && cause.$metadata.requestId
+		if (requestId) this.requestId = requestId // To find the request in AWS support cases and CloudTrail
+	}
+}
+
+/**
+ * The request is invalid: malformed input, an expression DynamoDB rejects, or an item that breaks the table schema.
+ */
+class ValidationError extends HttpError {
+	constructor(message, details = undefined, options = {}) {
+		super(message, 400, details, { code: 'VALIDATION_ERROR', ...options })
+	}
+}
+
+/**
+ * The item, or one of its item collections, is over the DynamoDB size limits.
+ */
+class ItemTooLargeError extends ValidationError {
+	constructor(message, options = {}) {
+		super(message, undefined, { code: 'ITEM_TOO_LARGE', ...options })
+	}
+}
+
+/**
+ * The item does not exist.
+ */
+class NotFoundError extends HttpError {
+	constructor(message, details = undefined, options = {}) {
+		super(message, 404, details, { code: 'NOT_FOUND', ...options })
+	}
+}
+
+/**
+ * The table or index does not exist. Answered with 500 by item operations, where it means the service is misconfigured,
+ * and with 404 by table management methods.
+ */
+class TableNotFoundError extends HttpError {
+	constructor(message, statusCode = 500, options = {}) {
+		super(message, statusCode, undefined, { code: 'TABLE_NOT_FOUND', ...options })
+	}
+}
+
+/**
+ * The condition of a write was not met. The status code is configurable per method, see the `conditionalFailures` option.
+ */
+class ConditionFailedError extends HttpError {
+	constructor(message, statusCode = 409, details = undefined, options = {}) {
+		super(message, statusCode, details, { code: 'CONDITION_FAILED', ...options })
+	}
+}
+
+/**
+ * A versioned write was rejected because the item changed since it was read.
+ */
+class VersionConflictError extends ConditionFailedError {
+	/**
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {number|undefined} expectedVersion - The version the write expected, undefined for an item expected not to exist yet.
+	 * @param {number|undefined} currentVersion - The version stored in the table, undefined if the item does not exist.
+	 * @param {Object} [options={}] - Optional settings, see HttpError.
+	 */
+	constructor(table, expectedVersion, currentVersion, options = {}) {
+		super(
+			`Version conflict on ${table}: expected version ${expectedVersion ?? 'none'}, found ${currentVersion ?? 'none'}`,
+			409,
+			{ expectedVersion, currentVersion },
+			{ code: 'VERSION_CONFLICT', ...options }
+		)
+	}
+}
+
+/**
+ * The request conflicts with another one in progress or with the current state, other than through a condition.
+ */
+class ConflictError extends HttpError {
+	constructor(message, details = undefined, options = {}) {
+		super(message, 409, details, { code: 'CONFLICT', ...options })
+	}
+}
+
+/**
+ * A write would give an item a value of a unique field that another item already has.
+ */
+class UniqueConstraintError extends ConflictError {
+	/**
+	 * @param {string} table - The name of the DynamoDB table.
+	 * @param {string} field - The unique field whose value is taken.
+	 * @param {Object} [options={}] - Optional settings, see HttpError.
+	 */
+	constructor(table, field, options = {}) {
+		super(`Value of ${field} is already in use in ${table}`, { table, field }, { code: 'UNIQUE_VIOLATION', ...options })
+	}
+}
+
+/**
+ * A transaction was cancelled. Its `details.reasons` lists the failed operations.
+ */
+class TransactionCancelledError extends HttpError {
+	constructor(message, statusCode, details = undefined, options = {}) {
+		super(message, statusCode, details, { code: 'TRANSACTION_CANCELLED', ...options })
+	}
+}
+
+/**
+ * DynamoDB rejected the request for capacity reasons. It can be retried later.
+ */
+class ThrottlingError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, 429, undefined, { code: 'THROTTLED', ...options })
+	}
+}
+
+/**
+ * A lock could not be acquired because someone else holds it and its lease has not run out.
+ */
+class LockHeldError extends ConflictError {
+	/**
+	 * @param {string} lock - The name of the lock.
+	 * @param {Object} [options={}] - Optional settings, see HttpError.
+	 */
+	constructor(lock, options = {}) {
+		super(`Lock ${lock} is held by another owner`, { lock }, { code: 'LOCK_HELD', ...options })
+	}
+}
+
+/**
+ * A lock could not be renewed or released because it expired and was taken over, or was deleted.
+ */
+class LockLostError extends ConflictError {
+	/**
+	 * @param {string} lock - The name of the lock.
+	 * @param {string} action - What was attempted: 'renew' or 'release'.
+	 * @param {Object} [options={}] - Optional settings, see HttpError.
+	 */
+	constructor(lock, action, options = {}) {
+		super(`Lock ${lock} is no longer held, cannot ${action} it`, { lock, action }, { code: 'LOCK_LOST', ...options })
+	}
+}
+
+/**
+ * A counter item is incremented more often than its partition can take. Use larger blocks or retry later.
+ */
+class CounterContentionError extends ThrottlingError {
+	/**
+	 * @param {string} counter - The name of the counter.
+	 * @param {Object} [options={}] - Optional settings, see HttpError.
+	 */
+	constructor(counter, options = {}) {
+		super(`Counter ${counter} is under contention, retry later`, { code: 'COUNTER_CONTENTION', ...options })
+		this.details = { counter }
+	}
+}
+
+/**
+ * A waiter gave up before the awaited state was reached.
+ */
+class TimeoutError extends HttpError {
+	constructor(message, options = {}) {
+		super(message, 504, undefined, { code: 'TIMEOUT', ...options })
+	}
+}
+
+/**
+ * Convert an error of the AWS SDK to the matching HttpError, keeping it as the cause.
+ * Conditional check failures are left to the methods, which know what the condition meant.
+ *
+ * @param {Error} error - The error thrown by the client.
+ * @param {string} message - The message of errors without a more specific class.
+ * @param {Object} [options={}] - Optional settings.
+ * @param {string} [options.table] - The name of the table, for the message of a missing table.
+ * @param {number} [options.tableStatus=500] - The status code of a missing table or index.
+ * @returns {HttpError} - The error to throw. HttpErrors are returned as they are.
+ */
+function fromAwsError(error, message, { table, tableStatus = 500 } = {}) {
+	if (error instanceof HttpError) return error
+
+	const options = { cause: error }
+	if (THROTTLING_ERRORS.includes(error.name) || error.name === 'LimitExceededException') {
+		return new ThrottlingError('Request rate too high, retry later', options)
+	}
+	if (error.name === 'ResourceNotFoundException')
+		return new TableNotFoundError(`Table or index not found${table ? `: ${table}` : ''}`, tableStatus, options)
+	if (error.name === 'ItemCollectionSizeLimitExceededException') return new ItemTooLargeError('Item collection size limit exceeded', options)
+	if (error.name === 'ValidationException') {
+		if (/item size/i.test(error.message)) return new ItemTooLargeError(error.message, options)
+		return new ValidationError(`Invalid request: ${error.message}`, undefined, options)
+	}
+	if (['ResourceInUseException', 'TransactionInProgressException', 'IdempotentParameterMismatchException'].includes(error.name)) {
+		return new ConflictError(`${message}: ${error.message}`, undefined, options)
+	}
+	return new HttpError(message, 500, undefined, options)
+}
+
+module.exports = {
+	HttpError,
+	ValidationError,
+	ItemTooLargeError,
+	NotFoundError,
+	TableNotFoundError,
+	ConditionFailedError,
+	VersionConflictError,
+	ConflictError,
+	TransactionCancelledError,
+	UniqueConstraintError,
+	ThrottlingError,
+	LockHeldError,
+	LockLostError,
+	CounterContentionError,
+	TimeoutError,
+	fromAwsError,
+}
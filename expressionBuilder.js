@@ -0,0 +1,404 @@
+/**
+ * Composable builders for condition, filter, key condition and update expressions.
+ *
+ * Attribute paths are written as strings (`'address.city'`, `'items[0]'`) or, for names containing dots or brackets,
+ * as arrays of segments (`['user.name']`). Values are given in the same form as the other arguments of the DynamoDB
+ * methods: native values when marshalling is enabled, AttributeValues otherwise.
+ *
+ * Every name and value gets its own `#n<i>` / `:v<i>` placeholder when the expressions of a request are compiled together,
+ * so expressions never collide with each other or with hand-written placeholders.
+ */
+
+const PATH_SEGMENT = /\[(\d+)\]|([^.[\]]+)/g
+const UPDATE_CLAUSE = /(?<![#:\w])(SET|REMOVE|ADD|DELETE)(?!\w)/i // A clause keyword, not part of a name or placeholder
+
+/**
+ * Split an attribute path into its segments: names, and list indexes as numbers.
+ *
+ * @param {string|Array} path - The attribute path, e.g. `'items[0].name'`, or its segments.
+ * @returns {Array<string|number>} - The segments.
+ * @throws {TypeError} - Throws if the path is empty or starts with a list index.
+ */
+function parsePath(path) {
+	if (Array.isArray(path)) return path
+
+	const segments = []
+	for (const [, index, name] of String(path).matchAll(PATH_SEGMENT)) {
+		segments.push(index !== undefined ? Number(index) : name)
+	}
+	if (!segments.length || typeof segments[0] === 'number') throw new TypeError(`Invalid attribute path: ${path}`)
+	return segments
+}
+
+/**
+ * Collects the placeholders of the expressions compiled for a single request.
+ */
+class ExpressionContext {
+	/**
+	 * @param {Object} [names={}] - ExpressionAttributeNames already used by the request, whose placeholders must not be reused.
+	 * @param {Object} [values={}] - ExpressionAttributeValues already used by the request, whose placeholders must not be reused.
+	 */
+	constructor(names = {}, values = {}) {
+		this.names = {}
+		this.values = {}
+		this.taken = new Set([...Object.keys(names || {}), ...Object.keys(values || {})])
+		this.placeholders = new Map()
+		this.counter = 0
+	}
+
+	placeholder(prefix) {
+		let placeholder
+		do {
+			placeholder = `${prefix}${this.counter++}`
+		} while (this.taken.has(placeholder))
+		this.taken.add(placeholder)
+		return placeholder
+	}
+
+	/**
+	 * Get the placeholder of an attribute name, reusing it when the same name appears several times.
+	 *
+	 * @param {string} attribute - The attribute name.
+	 * @returns {string} - The `#` placeholder.
+	 */
+	name(attribute) {
+		if (!this.placeholders.has(attribute)) {
+			const placeholder = this.placeholder('#n')
+			this.names[placeholder] = attribute
+			this.placeholders.set(attribute, placeholder)
+		}
+		return this.placeholders.get(attribute)
+	}
+
+	/**
+	 * Get a new placeholder for a value.
+	 *
+	 * @param {*} value - The value.
+	 * @returns {string} - The `:` placeholder.
+	 */
+	value(value) {
+		const placeholder = this.placeholder(':v')
+		this.values[placeholder] = value
+		return placeholder
+	}
+
+	/**
+	 * Write a document path with a placeholder for every attribute name.
+	 *
+	 * @param {string|Array} path - The attribute path.
+	 * @returns {string} - The path, e.g. `#n0.#n1[2]`.
+	 */
+	path(path) {
+		return parsePath(path)
+			.map((segment, index) => (typeof segment === 'number' ? `[${segment}]` : `${index ? '.' : ''}${this.name(segment)}`))
+			.join('')
+	}
+}
+
+/**
+ * An operand other than a plain value: another attribute, or the size of an attribute.
+ */
+class Operand {
+	constructor(build) {
+		this.build = build
+	}
+}
+
+/**
+ * A condition, usable as a ConditionExpression, FilterExpression or KeyConditionExpression.
+ */
+class Condition {
+	constructor(build) {
+		this.build = build
+	}
+
+	and(...conditions) {
+		return and(this, ...conditions)
+	}
+
+	or(...conditions) {
+		return or(this, ...conditions)
+	}
+
+	not() {
+		return not(this)
+	}
+}
+
+/**
+ * An update, usable as an UpdateExpression. Every method returns a new Update with the action added.
+ */
+class Update {
+	constructor(actions = { SET: [], REMOVE: [], ADD: [], DELETE: [] }) {
+		this.actions = actions
+	}
+
+	with(clause, build) {
+		return new Update({ ...this.actions, [clause]: [...this.actions[clause], build] })
+	}
+
+	/**
+	 * Set an attribute to a value, or to another attribute with attr().
+	 */
+	set(path, value) {
+		return this.with('SET', (context) => `${context.path(path)} = ${operand(value, context)}`)
+	}
+
+	/**
+	 * Remove an attribute, or an element of a list.
+	 */
+	remove(path) {
+		return this.with('REMOVE', (context) => context.path(path))
+	}
+
+	/**
+	 * Add a number to a numeric attribute, or elements to a set. Missing attributes start from zero or an empty set.
+	 */
+	add(path, value) {
+		return this.with('ADD', (context) => `${context.path(path)} ${context.value(value)}`)
+	}
+
+	/**
+	 * Delete elements from a set.
+	 */
+	delete(path, value) {
+		return this.with('DELETE', (context) => `${context.path(path)} ${context.value(value)}`)
+	}
+
+	/**
+	 * Append elements to a list attribute, or prepend them with `{ prepend: true }`. The list is created if it is missing.
+	 */
+	listAppend(path, values, { prepend = false } = {}) {
+		return this.with('SET', (context) => {
+			const target = context.path(path)
+			const existing = `if_not_exists(${target}, ${context.value(emptyList(values))})`
+			const added = context.value(values)
+			return `${target} = list_append(${prepend ? `${added}, ${existing}` : `${existing}, ${added}`})`
+		})
+	}
+
+	/**
+	 * Set an attribute only if it does not exist yet.
+	 */
+	ifNotExists(path, value) {
+		return this.with('SET', (context) => {
+			const target = context.path(path)
+			return `${target} = if_not_exists(${target}, ${operand(value, context)})`
+		})
+	}
+
+	build(context) {
+		const clauses = Object.entries(this.actions)
+			.filter(([, actions]) => actions.length)
+			.map(([clause, actions]) => `${clause} ${actions.map((build) => build(context)).join(', ')}`)
+
+		if (!clauses.length) throw new TypeError('An update expression needs at least one action')
+		return clauses.join(' ')
+	}
+}
+
+// An empty list in the same form as the appended values: `[]` when marshalling, `{ L: [] }` for AttributeValues
+function emptyList(values) {
+	return Array.isArray(values) ? [] : { L: [] }
+}
+
+function operand(value, context) {
+	return value instanceof Operand ? value.build(context) : context.value(value)
+}
+
+function subject(path, context) {
+	return path instanceof Operand ? path.build(context) : context.path(path)
+}
+
+function comparison(operator) {
+	return (path, value) => new Condition((context) => `${subject(path, context)} ${operator} ${operand(value, context)}`)
+}
+
+function combine(operator, conditions) {
+	const parts = conditions.filter(Boolean)
+	if (!parts.length) throw new TypeError(`${operator} needs at least one condition`)
+	if (parts.length === 1) return parts[0]
+	const condition = new Condition((context) => parts.map((part) => `(${part.build(context)})`).join(` ${operator} `))
+	return Object.assign(condition, { operator, parts }) // Kept for keyCondition, which joins AND parts without parentheses
+}
+
+/**
+ * Refer to another attribute where a value is expected, e.g. `gt('price', attr('cost'))`.
+ *
+ * @param {string|Array} path - The attribute path.
+ * @returns {Operand} - The operand.
+ */
+function attr(path) {
+	return new Operand((context) => context.path(path))
+}
+
+/**
+ * Refer to another attribute, or to a value when it is missing, e.g. `set('price', attrOr('listPrice', 0))`.
+ *
+ * @param {string|Array} path - The attribute path.
+ * @param {*} fallback - The value, or another operand.
+ * @returns {Operand} - The operand.
+ */
+function attrOr(path, fallback) {
+	return new Operand((context) => `if_not_exists(${context.path(path)}, ${operand(fallback, context)})`)
+}
+
+/**
+ * The size of an attribute, to compare in a condition, e.g. `gt(size('tags'), 2)`.
+ *
+ * @param {string|Array} path - The attribute path.
+ * @returns {Operand} - The operand.
+ */
+function size(path) {
+	return new Operand((context) => `size(${context.path(path)})`)
+}
+
+const eq = comparison('=')
+const ne = comparison('<>')
+const lt = comparison('<')
+const lte = comparison('<=')
+const gt = comparison('>')
+const gte = comparison('>=')
+
+function between(path, low, high) {
+	return new Condition((context) => `${subject(path, context)} BETWEEN ${operand(low, context)} AND ${operand(high, context)}`)
+}
+
+function isIn(path, values) {
+	return new Condition((context) => `${subject(path, context)} IN (${values.map((value) => operand(value, context)).join(', ')})`)
+}
+
+function beginsWith(path, prefix) {
+	return new Condition((context) => `begins_with(${context.path(path)}, ${operand(prefix, context)})`)
+}
+
+function contains(path, value) {
+	return new Condition((context) => `contains(${context.path(path)}, ${operand(value, context)})`)
+}
+
+function attributeExists(path) {
+	return new Condition((context) => `attribute_exists(${context.path(path)})`)
+}
+
+function attributeNotExists(path) {
+	return new Condition((context) => `attribute_not_exists(${context.path(path)})`)
+}
+
+function attributeType(path, type) {
+	return new Condition((context) => `attribute_type(${context.path(path)}, ${operand(type, context)})`)
+}
+
+/**
+ * Combine conditions that must all hold. Falsy entries are skipped, which makes optional conditions easy to write.
+ */
+function and(...conditions) {
+	return combine('AND', conditions)
+}
+
+/**
+ * Combine conditions of which at least one must hold. Falsy entries are skipped.
+ */
+function or(...conditions) {
+	return combine('OR', conditions)
+}
+
+/**
+ * Combine the partition and sort key conditions of a query. Unlike and(), the parts are not wrapped in parentheses,
+ * which key conditions don't accept, and conditions combined with and() are unwrapped the same way. Falsy entries are skipped.
+ */
+function keyCondition(...conditions) {
+	const flatten = (condition) => (condition.operator === 'AND' ? condition.parts.flatMap(flatten) : [condition])
+	const parts = conditions.filter(Boolean).flatMap(flatten)
+	if (!parts.length) throw new TypeError('keyCondition needs at least one condition')
+	return new Condition((context) => parts.map((condition) => condition.build(context)).join(' AND '))
+}
+
+function not(condition) {
+	return new Condition((context) => `NOT (${condition.build(context)})`)
+}
+
+const set = (path, value) => new Update().set(path, value)
+const remove = (path) => new Update().remove(path)
+const add = (path, value) => new Update().add(path, value)
+const deleteFromSet = (path, value) => new Update().delete(path, value)
+const listAppend = (path, values, options) => new Update().listAppend(path, values, options)
+const ifNotExists = (path, value) => new Update().ifNotExists(path, value)
+
+/**
+ * Check whether a value is a builder expression rather than a hand-written expression string.
+ *
+ * @param {*} expression - The value to check.
+ * @returns {boolean} - True for Condition and Update instances.
+ */
+function isExpression(expression) {
+	return expression instanceof Condition || expression instanceof Update
+}
+
+/**
+ * Turn an update expression into an Update that more actions can be added to, each joining the clause of its kind.
+ * The actions of a hand-written expression are kept as they are: clause keywords are reserved words, which attribute
+ * names can only use through placeholders, so they split it unambiguously.
+ *
+ * @param {string|Update} expression - The update expression.
+ * @returns {Update} - The update.
+ * @throws {TypeError} - Throws if a hand-written expression doesn't start with a clause.
+ */
+function toUpdate(expression) {
+	if (expression instanceof Update) return expression
+
+	const [before, ...parts] = expression.split(UPDATE_CLAUSE)
+	if (before.trim()) throw new TypeError(`Invalid update expression: ${expression}`)
+	let update = new Update()
+	for (let index = 0; index < parts.length; index += 2) {
+		const actions = parts[index + 1].trim()
+		update = update.with(parts[index].toUpperCase(), () => actions)
+	}
+	return update
+}
+
+/**
+ * Compile a single expression on its own, for use outside of the DynamoDB methods.
+ *
+ * @param {Condition|Update} expression - The expression to compile.
+ * @returns {{expression: string, names: Object, values: Object}} - The expression string and its placeholders.
+ */
+function compile(expression) {
+	const context = new ExpressionContext()
+	return { expression: expression.build(context), names: context.names, values: context.values }
+}
+
+module.exports = {
+	parsePath,
+	ExpressionContext,
+	Condition,
+	Update,
+	isExpression,
+	toUpdate,
+	compile,
+	attr,
+	attrOr,
+	size,
+	eq,
+	ne,
+	lt,
+	lte,
+	gt,
+	gte,
+	between,
+	isIn,
+	beginsWith,
+	contains,
+	attributeExists,
+	attributeNotExists,
+	attributeType,
+	and,
+	or,
+	not,
+	keyCondition,
+	set,
+	remove,
+	add,
+	deleteFromSet,
+	listAppend,
+	ifNotExists,
+}
@@ -0,0 +1,795 @@
+const { DynamoDBServiceException } = require('@aws-sdk/client-dynamodb')
+
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>=']
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains']
+const UPDATE_CLAUSES = ['SET', 'REMOVE', 'ADD', 'DELETE']
+const TOKEN_PATTERN = /(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([A-Za-z_][A-Za-z0-9_]*)|(\d+)|(<>|<=|>=|[=<>()[\],.+-])/y
+
+/**
+ * Build an error shaped like the ValidationException DynamoDB returns for malformed requests.
+ *
+ * @param {string} message - The error message.
+ * @returns {DynamoDBServiceException} - The validation error.
+ */
+function validationError(message) {
+	return new DynamoDBServiceException({
+		name: 'ValidationException',
+		$fault: 'client',
+		message,
+		$metadata: { httpStatusCode: 400 },
+	})
+}
+
+/**
+ * Create the context used to resolve `#name` and `:value` placeholders while parsing the expressions of a request.
+ *
+ * @param {Object} [names={}] - The ExpressionAttributeNames of the request.
+ * @param {Object} [values={}] - The ExpressionAttributeValues of the request.
+ * @returns {Object} - The parse context, tracking which placeholders were used.
+ */
+function createContext(names = {}, values = {}) {
+	return {
+		names: names || {},
+		values: values || {},
+		usedNames: new Set(),
+		usedValues: new Set(),
+	}
+}
+
+/**
+ * Reject placeholders that no expression of the request referenced, the same way DynamoDB does.
+ *
+ * @param {Object} context - The parse context returned by createContext.
+ * @throws {DynamoDBServiceException} - Throws a ValidationException if a name or value is unused.
+ */
+function assertAllUsed(context) {
+	const unusedNames = Object.keys(context.names).filter((name) => !context.usedNames.has(name))
+	if (unusedNames.length) {
+		throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`)
+	}
+
+	const unusedValues = Object.keys(context.values).filter((value) => !context.usedValues.has(value))
+	if (unusedValues.length) {
+		throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`)
+	}
+}
+
+function tokenize(expression) {
+	const tokens = []
+	let position = 0
+
+	while (position < expression.length) {
+		if (/\s/.test(expression[position])) {
+			position++
+			continue
+		}
+
+		TOKEN_PATTERN.lastIndex = position
+		const match = TOKEN_PATTERN.exec(expression)
+		if (!match) {
+			throw validationError(
+				`Invalid expression: Syntax error; token: "${expression[position]}", near: "${expression.slice(position, position + 10)}"`
+			)
+		}
+
+		const kind = ['name', 'value', 'identifier', 'number', 'symbol'][match.slice(1).findIndex((group) => group !== undefined)]
+		tokens.push({ kind, text: match[0] })
+		position = TOKEN_PATTERN.lastIndex
+	}
+
+	return tokens
+}
+
+class Parser {
+	constructor(expression, context) {
+		this.expression = expression
+		this.tokens = tokenize(expression)
+		this.position = 0
+		this.context = context
+	}
+
+	peek(offset = 0) {
+		return this.tokens[this.position + offset]
+	}
+
+	next() {
+		const token = this.tokens[this.position++]
+		if (!token) throw validationError(`Invalid expression: Syntax error; unexpected end of expression: "${this.expression}"`)
+		return token
+	}
+
+	isSymbol(text, offset = 0) {
+		const token = this.peek(offset)
+		return Boolean(token) && token.kind === 'symbol' && token.text === text
+	}
+
+	isKeyword(word, offset = 0) {
+		const token = this.peek(offset)
+		return Boolean(token) && token.kind === 'identifier' && token.text.toUpperCase() === word
+	}
+
+	expectSymbol(text) {
+		const token = this.next()
+		if (token.kind !== 'symbol' || token.text !== text) {
+			throw validationError(`Invalid expression: Syntax error; token: "${token.text}", expected: "${text}"`)
+		}
+	}
+
+	expectKeyword(word) {
+		const token = this.next()
+		if (token.kind !== 'identifier' || token.text.toUpperCase() !== word) {
+			throw validationError(`Invalid expression: Syntax error; token: "${token.text}", expected: "${word}"`)
+		}
+	}
+
+	expectEnd() {
+		const token = this.peek()
+		if (token) throw validationError(`Invalid expression: Syntax error; token: "${token.text}", near: "${this.expression}"`)
+	}
+
+	resolveName(text) {
+		if (!(text in this.context.names)) {
+			throw validationError(`Invalid expression: An expression attribute name used in the document path is not defined; attribute name: ${text}`)
+		}
+		this.context.usedNames.add(text)
+		return this.context.names[text]
+	}
+
+	resolveValue(text) {
+		if (!(text in this.context.values)) {
+			throw validationError(`Invalid expression: An expression attribute value used in expression is not defined; attribute value: ${text}`)
+		}
+		this.context.usedValues.add(text)
+		return this.context.values[text]
+	}
+
+	parsePathSegment() {
+		const token = this.next()
+		if (token.kind === 'name') return this.resolveName(token.text)
+		if (token.kind === 'identifier') return token.text
+		throw validationError(`Invalid expression: Syntax error; token: "${token.text}", expected an attribute name`)
+	}
+
+	parsePath() {
+		const path = [this.parsePathSegment()]
+
+		while (this.isSymbol('.') || this.isSymbol('[')) {
+			if (this.next().text === '.') {
+				path.push(this.parsePathSegment())
+			} else {
+				const index = this.next()
+				if (index.kind !== 'number') throw validationError(`Invalid expression: Syntax error; token: "${index.text}", expected a list index`)
+				path.push(Number(index.text))
+				this.expectSymbol(']')
+			}
+		}
+
+		return { type: 'path', path }
+	}
+
+	parseOperand() {
+		const token = this.peek() || this.next()
+
+		if (token.kind === 'value') {
+			this.next()
+			return { type: 'value', value: this.resolveValue(token.text) }
+		}
+
+		if (token.kind === 'identifier' && token.text === 'size' && this.isSymbol('(', 1)) {
+			this.next()
+			this.next()
+			const argument = this.parsePath()
+			this.expectSymbol(')')
+			return { type: 'size', argument }
+		}
+
+		return this.parsePath()
+	}
+
+	parseArguments() {
+		this.expectSymbol('(')
+		const args = [this.parseOperand()]
+		while (this.isSymbol(',')) {
+			this.next()
+			args.push(this.parseOperand())
+		}
+		this.expectSymbol(')')
+		return args
+	}
+
+	parseCondition() {
+		let left = this.parseConjunction()
+		while (this.isKeyword('OR')) {
+			this.next()
+			left = { type: 'or', left, right: this.parseConjunction() }
+		}
+		return left
+	}
+
+	parseConjunction() {
+		let left = this.parseNegation()
+		while (this.isKeyword('AND')) {
+			this.next()
+			left = { type: 'and', left, right: this.parseNegation() }
+		}
+		return left
+	}
+
+	parseNegation() {
+		if (this.isKeyword('NOT')) {
+			this.next()
+			return { type: 'not', operand: this.parseNegation() }
+		}
+		return this.parsePredicate()
+	}
+
+	parsePredicate() {
+		if (this.isSymbol('(')) {
+			this.next()
+			const condition = this.parseCondition()
+			this.expectSymbol(')')
+			return { ...condition, parenthesized: true } // Key conditions can't have any
+		}
+
+		const token = this.peek()
+		if (token && token.kind === 'identifier' && CONDITION_FUNCTIONS.includes(token.text) && this.isSymbol('(', 1)) {
+			this.next()
+			return { type: 'function', name: token.text, args: this.parseArguments() }
+		}
+
+		const operand = this.parseOperand()
+
+		if (this.isKeyword('BETWEEN')) {
+			this.next()
+			const low = this.parseOperand()
+			this.expectKeyword('AND')
+			return { type: 'between', operand, low, high: this.parseOperand() }
+		}
+
+		if (this.isKeyword('IN')) {
+			this.next()
+			return { type: 'in', operand, candidates: this.parseArguments() }
+		}
+
+		const comparator = this.next()
+		if (comparator.kind !== 'symbol' || !COMPARATORS.includes(comparator.text)) {
+			throw validationError(`Invalid expression: Syntax error; token: "${comparator.text}", expected a comparator`)
+		}
+
+		return { type: 'compare', operator: comparator.text, left: operand, right: this.parseOperand() }
+	}
+
+	parseSetOperand() {
+		const token = this.peek()
+		if (token && token.kind === 'identifier' && ['if_not_exists', 'list_append'].includes(token.text) && this.isSymbol('(', 1)) {
+			this.next()
+			this.expectSymbol('(')
+			const first = token.text === 'if_not_exists' ? this.parsePath() : this.parseSetOperand()
+			this.expectSymbol(',')
+			const second = this.parseSetOperand()
+			this.expectSymbol(')')
+			return { type: token.text, args: [first, second] }
+		}
+		return this.parseOperand()
+	}
+
+	parseSetValue() {
+		const left = this.parseSetOperand()
+		if (this.isSymbol('+') || this.isSymbol('-')) {
+			const operator = this.next().text
+			return { type: 'arithmetic', operator, left, right: this.parseSetOperand() }
+		}
+		return left
+	}
+
+	parseUpdate() {
+		const actions = {}
+
+		while (this.peek()) {
+			const clause = this.next()
+			const name = clause.kind === 'identifier' && clause.text.toUpperCase()
+			if (!UPDATE_CLAUSES.includes(name)) {
+				throw validationError(`Invalid UpdateExpression: Syntax error; token: "${clause.text}", near: "${this.expression}"`)
+			}
+			if (actions[name]) {
+				throw validationError(`Invalid UpdateExpression: The "${name}" section can only be used once in an update expression`)
+			}
+
+			actions[name] = []
+			do {
+				if (actions[name].length) this.next()
+				const { path } = this.parsePath()
+				if (name === 'SET') {
+					this.expectSymbol('=')
+					actions[name].push({ path, value: this.parseSetValue() })
+				} else if (name === 'REMOVE') {
+					actions[name].push({ path })
+				} else {
+					actions[name].push({ path, value: this.parseOperand() })
+				}
+			} while (this.isSymbol(','))
+		}
+
+		return actions
+	}
+}
+
+/**
+ * Parse a condition, filter or key condition expression.
+ *
+ * @param {string} expression - The expression to parse.
+ * @param {Object} context - The parse context returned by createContext.
+ * @returns {Object} - The condition syntax tree. Conditions written in parentheses are marked as `parenthesized`.
+ * @throws {DynamoDBServiceException} - Throws a ValidationException if the expression is malformed.
+ */
+function parseCondition(expression, context) {
+	const parser = new Parser(expression, context)
+	const condition = parser.parseCondition()
+	parser.expectEnd()
+	return condition
+}
+
+/**
+ * Parse an update expression into its SET, REMOVE, ADD and DELETE actions.
+ *
+ * @param {string} expression - The update expression to parse.
+ * @param {Object} context - The parse context returned by createContext.
+ * @returns {Object} - The actions of the update, keyed by clause name.
+ * @throws {DynamoDBServiceException} - Throws a ValidationException if the expression is malformed.
+ */
+function parseUpdate(expression, context) {
+	return new Parser(expression, context).parseUpdate()
+}
+
+/**
+ * Parse a projection expression into a list of document paths.
+ *
+ * @param {string} expression - The projection expression to parse.
+ * @param {Object} context - The parse context returned by createContext.
+ * @returns {Array} - The document paths to project, each an array of map keys and list indexes.
+ * @throws {DynamoDBServiceException} - Throws a ValidationException if the expression is malformed.
+ */
+function parseProjection(expression, context) {
+	const parser = new Parser(expression, context)
+	const paths = [parser.parsePath().path]
+	while (parser.isSymbol(',')) {
+		parser.next()
+		paths.push(parser.parsePath().path)
+	}
+	parser.expectEnd()
+	return paths
+}
+
+/**
+ * Return the type descriptor of an AttributeValue (`S`, `N`, `M`, ...).
+ *
+ * @param {Object} value - The AttributeValue.
+ * @returns {string|undefined} - The type descriptor.
+ */
+function typeOf(value) {
+	if (!value) return undefined
+	return Object.keys(value).find((key) => value[key] !== undefined)
+}
+
+function toBytes(value) {
+	return typeof value === 'string' ? Buffer.from(value) : Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+}
+
+function compareNumbers(a, b) {
+	if (/^-?\d+$/.test(a) && /^-?\d+$/.test(b)) {
+		const difference = BigInt(a) - BigInt(b)
+		return difference === 0n ? 0 : difference < 0n ? -1 : 1
+	}
+	return Math.sign(Number(a) - Number(b))
+}
+
+function addNumbers(a, b) {
+	if (/^-?\d+$/.test(a) && /^-?\d+$/.test(b)) return (BigInt(a) + BigInt(b)).toString()
+	return String(Number(a) + Number(b))
+}
+
+function negate(number) {
+	return number.startsWith('-') ? number.slice(1) : `-${number}`
+}
+
+/**
+ * Order two scalar AttributeValues the way DynamoDB orders sort keys.
+ *
+ * @param {Object} a - The first AttributeValue.
+ * @param {Object} b - The second AttributeValue.
+ * @returns {number|null} - A negative, zero or positive number, or null when the values cannot be ordered.
+ */
+function compareValues(a, b) {
+	const type = typeOf(a)
+	if (!type || type !== typeOf(b)) return null
+	if (type === 'N') return compareNumbers(a.N, b.N)
+	if (type === 'S') return Buffer.compare(Buffer.from(a.S), Buffer.from(b.S))
+	if (type === 'B') return Buffer.compare(toBytes(a.B), toBytes(b.B))
+	return null
+}
+
+/**
+ * Check whether two AttributeValues are equal, treating sets as unordered and numbers by value.
+ *
+ * @param {Object} a - The first AttributeValue.
+ * @param {Object} b - The second AttributeValue.
+ * @returns {boolean} - True when both values are equal.
+ */
+function valuesEqual(a, b) {
+	const type = typeOf(a)
+	if (!type || type !== typeOf(b)) return false
+
+	switch (type) {
+		case 'S':
+		case 'N':
+		case 'B':
+			return compareValues(a, b) === 0
+		case 'BOOL':
+		case 'NULL':
+			return a[type] === b[type]
+		case 'SS':
+		case 'NS':
+		case 'BS': {
+			const element = type[0]
+			return a[type].length === b[type].length && a[type].every((x) => b[type].some((y) => valuesEqual({ [element]: x }, { [element]: y })))
+		}
+		case 'L':
+			return a.L.length === b.L.length && a.L.every((x, index) => valuesEqual(x, b.L[index]))
+		case 'M': {
+			const keys = Object.keys(a.M)
+			return keys.length === Object.keys(b.M).length && keys.every((key) => key in b.M && valuesEqual(a.M[key], b.M[key]))
+		}
+		default:
+			return false
+	}
+}
+
+/**
+ * Read the value at a document path of an item.
+ *
+ * @param {Object} item - The item, as a map of AttributeValues.
+ * @param {Array} path - The document path, an array of map keys and list indexes.
+ * @returns {Object|undefined} - The AttributeValue at the path, or undefined if it does not exist.
+ */
+function getPath(item, path) {
+	let current = item[path[0]]
+	for (const segment of path.slice(1)) {
+		if (!current) return undefined
+		current = typeof segment === 'number' ? current.L && current.L[segment] : current.M && current.M[segment]
+	}
+	return current
+}
+
+function sizeOf(value) {
+	const type = typeOf(value)
+	if (type === 'S') return Buffer.byteLength(value.S)
+	if (type === 'B') return toBytes(value.B).length
+	if (['SS', 'NS', 'BS', 'L'].includes(type)) return value[type].length
+	if (type === 'M') return Object.keys(value.M).length
+	return undefined
+}
+
+function evaluateOperand(node, item) {
+	if (node.type === 'value') return node.value
+	if (node.type === 'path') return getPath(item, node.path)
+
+	const size = sizeOf(getPath(item, node.argument.path))
+	return size === undefined ? undefined : { N: String(size) }
+}
+
+function contains(haystack, needle) {
+	const type = typeOf(haystack)
+	if (!haystack || !needle) return false
+	if (type === 'S') return typeOf(needle) === 'S' && haystack.S.includes(needle.S)
+	if (type === 'L') return haystack.L.some((element) => valuesEqual(element, needle))
+	if (['SS', 'NS', 'BS'].includes(type)) {
+		return typeOf(needle) === type[0] && haystack[type].some((element) => valuesEqual({ [type[0]]: element }, needle))
+	}
+	return false
+}
+
+function beginsWith(value, prefix) {
+	const type = typeOf(value)
+	if (!value || !prefix || type !== typeOf(prefix)) return false
+	if (type === 'S') return value.S.startsWith(prefix.S)
+	if (type === 'B') {
+		const bytes = toBytes(value.B)
+		const start = toBytes(prefix.B)
+		return bytes.length >= start.length && Buffer.compare(bytes.subarray(0, start.length), start) === 0
+	}
+	return false
+}
+
+function evaluateFunction(node, item) {
+	const [first, second] = node.args
+
+	switch (node.name) {
+		case 'attribute_exists':
+			return getPath(item, first.path) !== undefined
+		case 'attribute_not_exists':
+			return getPath(item, first.path) === undefined
+		case 'attribute_type': {
+			const value = getPath(item, first.path)
+			return value !== undefined && typeOf(value) === evaluateOperand(second, item).S
+		}
+		case 'begins_with':
+			return beginsWith(evaluateOperand(first, item), evaluateOperand(second, item))
+		case 'contains':
+			return contains(evaluateOperand(first, item), evaluateOperand(second, item))
+		default:
+			return false
+	}
+}
+
+function compare(operator, left, right) {
+	if (operator === '=') return left !== undefined && right !== undefined && valuesEqual(left, right)
+	if (operator === '<>') return left === undefined || right === undefined || !valuesEqual(left, right)
+
+	if (left === undefined || right === undefined) return false
+	const order = compareValues(left, right)
+	if (order === null) return false
+	if (operator === '<') return order < 0
+	if (operator === '<=') return order <= 0
+	if (operator === '>') return order > 0
+	return order >= 0
+}
+
+/**
+ * Evaluate a parsed condition against an item.
+ *
+ * @param {Object} node - The condition syntax tree returned by parseCondition.
+ * @param {Object} item - The item, as a map of AttributeValues. Use `{}` for a missing item.
+ * @returns {boolean} - True when the item satisfies the condition.
+ */
+function evaluateCondition(node, item) {
+	switch (node.type) {
+		case 'and':
+			return evaluateCondition(node.left, item) && evaluateCondition(node.right, item)
+		case 'or':
+			return evaluateCondition(node.left, item) || evaluateCondition(node.right, item)
+		case 'not':
+			return !evaluateCondition(node.operand, item)
+		case 'function':
+			return evaluateFunction(node, item)
+		case 'between': {
+			const value = evaluateOperand(node.operand, item)
+			return compare('>=', value, evaluateOperand(node.low, item)) && compare('<=', value, evaluateOperand(node.high, item))
+		}
+		case 'in': {
+			const value = evaluateOperand(node.operand, item)
+			return node.candidates.some((candidate) => compare('=', value, evaluateOperand(candidate, item)))
+		}
+		default:
+			return compare(node.operator, evaluateOperand(node.left, item), evaluateOperand(node.right, item))
+	}
+}
+
+function incorrectOperand() {
+	return validationError('Invalid UpdateExpression: Incorrect operand type for operator or function')
+}
+
+function evaluateSetValue(node, item) {
+	if (node.type === 'if_not_exists') {
+		const existing = getPath(item, node.args[0].path)
+		return existing !== undefined ? existing : evaluateSetValue(node.args[1], item)
+	}
+
+	if (node.type === 'list_append') {
+		const [first, second] = node.args.map((arg) => evaluateSetValue(arg, item))
+		if (typeOf(first) !== 'L' || typeOf(second) !== 'L') throw incorrectOperand()
+		return { L: [...first.L, ...second.L] }
+	}
+
+	if (node.type === 'arithmetic') {
+		const left = evaluateSetValue(node.left, item)
+		const right = evaluateSetValue(node.right, item)
+		if (left === undefined || right === undefined) {
+			throw validationError('The provided expression refers to an attribute that does not exist in the item')
+		}
+		if (typeOf(left) !== 'N' || typeOf(right) !== 'N') throw incorrectOperand()
+		return { N: addNumbers(left.N, node.operator === '+' ? right.N : negate(right.N)) }
+	}
+
+	const value = evaluateOperand(node, item)
+	if (value === undefined) throw validationError('The provided expression refers to an attribute that does not exist in the item')
+	return value
+}
+
+function invalidPath() {
+	return validationError('The document path provided in the update expression is invalid for update')
+}
+
+function setPath(item, path, value) {
+	if (path.length === 1) {
+		item[path[0]] = value
+		return
+	}
+
+	const parent = getPath(item, path.slice(0, -1))
+	const last = path[path.length - 1]
+
+	if (typeof last === 'number') {
+		if (!parent || !parent.L) throw invalidPath()
+		parent.L[Math.min(last, parent.L.length)] = value
+	} else {
+		if (!parent || !parent.M) throw invalidPath()
+		parent.M[last] = value
+	}
+}
+
+function removePath(item, path) {
+	if (path.length === 1) {
+		delete item[path[0]]
+		return
+	}
+
+	const parent = getPath(item, path.slice(0, -1))
+	const last = path[path.length - 1]
+
+	if (typeof last === 'number') {
+		if (parent && parent.L && last < parent.L.length) parent.L.splice(last, 1)
+	} else if (parent && parent.M) {
+		delete parent.M[last]
+	}
+}
+
+function addToPath(item, path, value) {
+	const type = typeOf(value)
+	const current = getPath(item, path)
+
+	if (!['N', 'SS', 'NS', 'BS'].includes(type)) throw incorrectOperand()
+	if (current === undefined) return setPath(item, path, value)
+	if (typeOf(current) !== type) throw incorrectOperand()
+
+	if (type === 'N') return setPath(item, path, { N: addNumbers(current.N, value.N) })
+
+	const additions = value[type].filter((element) => !contains(current, { [type[0]]: element }))
+	setPath(item, path, { [type]: [...current[type], ...additions] })
+}
+
+function deleteFromPath(item, path, value) {
+	const type = typeOf(value)
+	const current = getPath(item, path)
+
+	if (!['SS', 'NS', 'BS'].includes(type)) throw incorrectOperand()
+	if (current === undefined) return
+	if (typeOf(current) !== type) throw incorrectOperand()
+
+	const remaining = current[type].filter((element) => !contains(value, { [type[0]]: element }))
+	if (remaining.length) {
+		setPath(item, path, { [type]: remaining })
+	} else {
+		removePath(item, path)
+	}
+}
+
+/**
+ * Apply parsed update actions to an item. Every action is evaluated against the item as it was before the update.
+ *
+ * @param {Object} actions - The actions returned by parseUpdate.
+ * @param {Object} item - The item to update, as a map of AttributeValues.
+ * @returns {Object} - A new item with the actions applied.
+ * @throws {DynamoDBServiceException} - Throws a ValidationException if an action cannot be applied.
+ */
+function applyUpdate(actions, item) {
+	const original = structuredClone(item)
+	const updated = structuredClone(item)
+
+	const assignments = (actions.SET || []).map(({ path, value }) => ({ path, value: evaluateSetValue(value, original) }))
+	assignments.forEach(({ path, value }) => setPath(updated, path, value))
+
+	// Remove list elements from the highest index down so earlier removals don't shift later ones
+	const removals = [...(actions.REMOVE || [])].sort((a, b) => {
+		const last = (path) => path[path.length - 1]
+		return typeof last(a.path) === 'number' && typeof last(b.path) === 'number' ? last(b.path) - last(a.path) : 0
+	})
+	removals.forEach(({ path }) => removePath(updated, path))
+
+	;(actions.ADD || []).forEach(({ path, value }) => addToPath(updated, path, evaluateOperand(value, original)))
+	;(actions.DELETE || []).forEach(({ path, value }) => deleteFromPath(updated, path, evaluateOperand(value, original)))
+
+	return updated
+}
+
+/**
+ * List the top-level attributes touched by parsed update actions.
+ *
+ * @param {Object} actions - The actions returned by parseUpdate.
+ * @returns {Array<string>} - The names of the updated top-level attributes.
+ */
+function updatedAttributes(actions) {
+	const names = Object.values(actions).flatMap((list) => list.map(({ path }) => path[0]))
+	return [...new Set(names)]
+}
+
+/**
+ * Keep only the projected document paths of an item.
+ *
+ * @param {Object} item - The item, as a map of AttributeValues.
+ * @param {Array} paths - The document paths returned by parseProjection.
+ * @returns {Object} - The projected item.
+ */
+function project(item, paths) {
+	const result = {}
+
+	paths.forEach((path) => {
+		const value = getPath(item, path)
+		if (value === undefined) return
+
+		let container = result
+		path.slice(0, -1).forEach((segment, index) => {
+			const wrapper = typeof path[index + 1] === 'number' ? 'L' : 'M'
+			if (!container[segment]) container[segment] = { [wrapper]: wrapper === 'L' ? [] : {} }
+			container = container[segment][wrapper]
+		})
+		container[path[path.length - 1]] = structuredClone(value)
+	})
+
+	return compactLists(result)
+}
+
+// Projected list elements keep their original index while building, then close the gaps like DynamoDB does
+function compactLists(value) {
+	Object.values(value).forEach((attribute) => {
+		if (!attribute) return
+		if (attribute.L) {
+			attribute.L = attribute.L.filter((element) => element !== undefined)
+			compactLists(attribute.L)
+		}
+		if (attribute.M) compactLists(attribute.M)
+	})
+	return value
+}
+
+function valueSize(value) {
+	const type = typeOf(value)
+	switch (type) {
+		case 'S':
+			return Buffer.byteLength(value.S)
+		case 'N':
+			return Math.ceil(value.N.replace(/^-|\.|e.*$/gi, '').length / 2) + 1
+		case 'B':
+			return toBytes(value.B).length
+		case 'BOOL':
+		case 'NULL':
+			return 1
+		case 'SS':
+		case 'NS':
+		case 'BS':
+			return value[type].reduce((total, element) => total + valueSize({ [type[0]]: element }), 0)
+		case 'L':
+			return value.L.reduce((total, element) => total + valueSize(element) + 1, 3)
+		case 'M':
+			return itemSize(value.M) + 3 + Object.keys(value.M).length
+		default:
+			return 0
+	}
+}
+
+/**
+ * Estimate the stored size of an item in bytes, following DynamoDB's item size rules.
+ *
+ * @param {Object} item - The item, as a map of AttributeValues.
+ * @returns {number} - The approximate size of the item in bytes.
+ */
+function itemSize(item) {
+	return Object.entries(item).reduce((total, [name, value]) => total + Buffer.byteLength(name) + valueSize(value), 0)
+}
+
+module.exports = {
+	validationError,
+	createContext,
+	assertAllUsed,
+	parseCondition,
+	parseUpdate,
+	parseProjection,
+	evaluateCondition,
+	applyUpdate,
+	updatedAttributes,
+	project,
+	getPath,
+	typeOf,
+	compareValues,
+	valuesEqual,
+	itemSize,
+}
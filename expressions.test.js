@@ -0,0 +1,131 @@
+const {
+	ExpressionContext,
+	compile,
+	attr,
+	attrOr,
+	size,
+	eq,
+	gt,
+	between,
+	isIn,
+	beginsWith,
+	contains,
+	attributeExists,
+	attributeNotExists,
+	and,
+	or,
+	not,
+	keyCondition,
+	set,
+	remove,
+	listAppend,
+	ifNotExists,
+	toUpdate,
+} = require('./expressionBuilder')
+
+describe('expression builder', () => {
+	test('compile comparisons with placeholders', () => {
+		expect(compile(eq('name', 'Jane'))).toEqual({
+			expression: '#n0 = :v1',
+			names: { '#n0': 'name' },
+			values: { ':v1': 'Jane' },
+		})
+	})
+
+	test('compile nested paths, functions and operands', () => {
+		const condition = and(
+			between('address.zip', 1000, 2000),
+			beginsWith('items[2].sku', 'A-'),
+			or(contains('tags', 'red'), gt(size('tags'), 3)),
+			not(attributeExists('deletedAt')),
+			eq('price', attr('cost'))
+		)
+
+		expect(compile(condition)).toEqual({
+			expression:
+				'(#n0.#n1 BETWEEN :v2 AND :v3) AND (begins_with(#n4[2].#n5, :v6)) AND ((contains(#n7, :v8)) OR (size(#n7) > :v9)) AND (NOT (attribute_exists(#n10))) AND (#n11 = #n12)',
+			names: {
+				'#n0': 'address',
+				'#n1': 'zip',
+				'#n4': 'items',
+				'#n5': 'sku',
+				'#n7': 'tags',
+				'#n10': 'deletedAt',
+				'#n11': 'price',
+				'#n12': 'cost',
+			},
+			values: { ':v2': 1000, ':v3': 2000, ':v6': 'A-', ':v8': 'red', ':v9': 3 },
+		})
+	})
+
+	test('join key conditions without parentheses', () => {
+		expect(compile(keyCondition(eq('order', 'o1'), beginsWith('sku', 'A'))).expression).toEqual('#n0 = :v1 AND begins_with(#n2, :v3)')
+		expect(compile(keyCondition(eq('order', 'o1'), null)).expression).toEqual('#n0 = :v1')
+		expect(compile(keyCondition(and(eq('order', 'o1'), between('line', 1, 5)))).expression).toEqual('#n0 = :v1 AND #n2 BETWEEN :v3 AND :v4')
+	})
+
+	test('chain conditions fluently and skip empty ones', () => {
+		const condition = attributeNotExists('id').or(isIn('status', ['draft', 'archived']), null)
+		expect(compile(condition).expression).toEqual('(attribute_not_exists(#n0)) OR (#n1 IN (:v2, :v3))')
+		expect(compile(and(null, eq('a', 1))).expression).toEqual('#n0 = :v1')
+	})
+
+	test('compile updates grouped by clause', () => {
+		const update = set('name', 'Jane')
+			.remove('nickname')
+			.add('visits', 1)
+			.delete('tags', new Set(['old']))
+			.set('profile.updated', true)
+			.listAppend('history', ['login'])
+			.ifNotExists('createdAt', 100)
+
+		expect(compile(update)).toEqual({
+			expression:
+				'SET #n0 = :v1, #n2.#n3 = :v4, #n5 = list_append(if_not_exists(#n5, :v6), :v7), #n8 = if_not_exists(#n8, :v9) REMOVE #n10 ADD #n11 :v12 DELETE #n13 :v14',
+			names: {
+				'#n0': 'name',
+				'#n2': 'profile',
+				'#n3': 'updated',
+				'#n5': 'history',
+				'#n8': 'createdAt',
+				'#n10': 'nickname',
+				'#n11': 'visits',
+				'#n13': 'tags',
+			},
+			values: { ':v1': 'Jane', ':v4': true, ':v6': [], ':v7': ['login'], ':v9': 100, ':v12': 1, ':v14': new Set(['old']) },
+		})
+	})
+
+	test('updates are immutable', () => {
+		const base = set('a', 1)
+		base.remove('b')
+		expect(compile(base).expression).toEqual('SET #n0 = :v1')
+	})
+
+	test('prepend to lists and default to other attributes', () => {
+		expect(compile(listAppend('log', { L: [{ S: 'x' }] }, { prepend: true }))).toEqual({
+			expression: 'SET #n0 = list_append(:v2, if_not_exists(#n0, :v1))',
+			names: { '#n0': 'log' },
+			values: { ':v1': { L: [] }, ':v2': { L: [{ S: 'x' }] } },
+		})
+		expect(compile(ifNotExists('count', attr('default'))).expression).toEqual('SET #n0 = if_not_exists(#n0, #n1)')
+		expect(compile(set('count', attrOr('default', { N: '0' }))).expression).toEqual('SET #n0 = if_not_exists(#n1, :v2)')
+		expect(compile(remove('a').remove('b')).expression).toEqual('REMOVE #n0, #n1')
+	})
+
+	test('add actions to hand-written update expressions', () => {
+		const update = toUpdate('REMOVE #set, address ADD #delete :add SET #add = list_append(#add, :set)').set('version', 2)
+		expect(compile(update).expression).toEqual('SET #add = list_append(#add, :set), #n0 = :v1 REMOVE #set, address ADD #delete :add')
+		expect(compile(toUpdate(set('a', 1)).remove('b')).expression).toEqual('SET #n0 = :v1 REMOVE #n2')
+		expect(() => toUpdate('#a = :a')).toThrow('Invalid update expression')
+	})
+
+	test('avoid placeholders already used by the request', () => {
+		const context = new ExpressionContext({ '#n0': 'id' }, { ':v1': { S: 'x' }, ':v2': { S: 'y' } })
+		expect(eq('name', { S: 'Jane' }).build(context)).toEqual('#n1 = :v3')
+	})
+
+	test('reject invalid paths', () => {
+		expect(() => compile(eq('[0]', 1))).toThrow('Invalid attribute path')
+	})
+})
@@ -0,0 +1,231 @@
+const { randomUUID } = require('crypto')
+const { ConditionFailedError, LockHeldError, LockLostError } = require('./errors')
+const { createCodec } = require('./marshalling')
+const { sleep } = require('./batching')
+const { Update, eq, lt, and, or, attributeNotExists } = require('./expressionBuilder')
+const { increment } = require('./patch')
+
+const DEFAULT_LOCK_OPTIONS = {
+	partitionKey: 'id', // Partition key attribute of the lock table, holding the name of the lock
+	leaseDuration: 30000, // Time in milliseconds a lock is held without being renewed
+	wait: 0, // Time in milliseconds acquire keeps trying while the lock is held by someone else
+	retryDelay: 100, // Delay in milliseconds between two attempts to acquire a held lock
+	reentrant: false, // Let acquire take over a lock this owner already holds, instead of waiting for it
+}
+
+/**
+ * A lock held by this process, until its lease runs out or it is released.
+ */
+class Lock {
+	/**
+	 * @param {LockManager} manager - The manager that acquired the lock.
+	 * @param {string} name - The name of the lock.
+	 * @param {Object} item - The lock item as written, as native values.
+	 * @param {number} leaseDuration - Time in milliseconds the lease lasts.
+	 */
+	constructor(manager, name, item, leaseDuration) {
+		this.manager = manager
+		this.name = name
+		this.owner = item.owner
+		// Numbers are converted, since the marshalling options of the instance may read them as strings or wrappers
+		this.token = Number(item.token) // Fencing token, increasing with every acquisition of the lock
+		this.leaseDuration = leaseDuration
+		this.leaseExpires = Number(item.leaseExpires) // Time in milliseconds since the epoch the lease runs out at
+		this.timer = null
+		this.lost = null // The error that ended the heartbeat, if the lock was lost
+	}
+
+	/**
+	 * Extend the lease, as long as nobody took the lock over in the meantime.
+	 *
+	 * @param {number} [leaseDuration] - The new duration of the lease in milliseconds, the current one by default.
+	 * @returns {Promise<Lock>} - The lock.
+	 * @throws {LockLostError} - Throws a 409 LockLostError if the lock is no longer held by this owner.
+	 */
+	async renew(leaseDuration = this.leaseDuration) {
+		const leaseExpires = Date.now() + leaseDuration
+		await this.manager.write(this, (update) => update.set('leaseExpires', this.manager.value(leaseExpires)), 'renew')
+		this.leaseDuration = leaseDuration
+		this.leaseExpires = leaseExpires
+		return this
+	}
+
+	/**
+	 * Release the lock, so that others can acquire it at once. Stops the heartbeat.
+	 *
+	 * @returns {Promise<void>}
+	 * @throws {LockLostError} - Throws a 409 LockLostError if the lock is no longer held by this owner.
+	 */
+	async release() {
+		this.stopHeartbeat()
+		await this.manager.write(this, null, 'release')
+	}
+
+	/**
+	 * Renew the lease in the background, every third of its duration by default, until the lock is released or lost.
+	 * The timer does not keep the process alive.
+	 *
+	 * @param {Object} [options={}] - Heartbeat options.
+	 * @param {number} [options.interval] - Time in milliseconds between renewals.
+	 * @param {Function} [options.onLost] - Called with the error when a renewal fails, after which the heartbeat stops.
+	 * @returns {Lock} - The lock.
+	 */
+	startHeartbeat({ interval = Math.floor(this.leaseDuration / 3), onLost } = {}) {
+		this.stopHeartbeat()
+		this.timer = setInterval(() => {
+			this.renew().catch((error) => {
+				this.stopHeartbeat()
+				this.lost = error
+				this.manager.logger.warn('Lock heartbeat failed', { lock: this.name, error })
+				if (onLost) onLost(error)
+			})
+		}, interval)
+		this.timer.unref()
+		return this
+	}
+
+	/**
+	 * Stop renewing the lease in the background.
+	 */
+	stopHeartbeat() {
+		if (this.timer) clearInterval(this.timer)
+		this.timer = null
+	}
+}
+
+/**
+ * Lease-based locks stored as items of a table, to coordinate workers. A lock is held until its lease runs out, and an
+ * expired lock can be acquired by anyone. Every acquisition increments a fencing token, which writes guarded by the lock
+ * can check to reject a holder that lost it.
+ */
+class LockManager {
+	/**
+	 * @param {DynamoDB} db - The DynamoDB instance the locks are written through.
+	 * @param {Object} options - The lock options.
+	 * @param {string} options.table - The name of the lock table.
+	 * @param {string} [options.partitionKey='id'] - The partition key attribute of the table.
+	 * @param {string} [options.owner] - Identifies this process as the holder of its locks, a random UUID by default.
+	 * @param {number} [options.leaseDuration=30000] - Default time in milliseconds a lock is held without being renewed.
+	 * @param {number} [options.wait=0] - Default time in milliseconds acquire keeps trying while the lock is held.
+	 * @param {number} [options.retryDelay=100] - Delay in milliseconds between two attempts to acquire a held lock.
+	 * @param {boolean} [options.reentrant=false] - Let acquire take over a lock this owner already holds. The new lock gets a new fencing
+	 * token, so the earlier one is lost. Off by default, so that concurrent acquisitions of one manager exclude each other.
+	 * @throws {TypeError} - Throws if the table is missing.
+	 */
+	constructor(db, { table, owner = randomUUID(), ...options } = {}) {
+		if (!table) throw new TypeError('Locks need a table')
+
+		this.db = db
+		this.table = table
+		this.owner = owner
+		this.options = { ...DEFAULT_LOCK_OPTIONS, ...options }
+		this.logger = db.logger
+		this.codec = createCodec(db)
+	}
+
+	// A value in the form the DynamoDB instance expects
+	value(value) {
+		return this.codec.toItem({ value }).value
+	}
+
+	keyOf(name) {
+		return this.codec.toItem({ [this.options.partitionKey]: name })
+	}
+
+	/**
+	 * Acquire a lock that is free or expired, or with `reentrant` already held by this owner, waiting for it up to `wait` milliseconds.
+	 *
+	 * @param {string} name - The name of the lock.
+	 * @param {Object} [options={}] - Overrides of the leaseDuration, wait, retryDelay and reentrant options.
+	 * @param {boolean|Object} [options.heartbeat=false] - Renew the lease in the background, see Lock#startHeartbeat.
+	 * @returns {Promise<Lock>} - The lock.
+	 * @throws {LockHeldError} - Throws a 409 LockHeldError if the lock is still held by someone else after waiting.
+	 */
+	async acquire(name, options = {}) {
+		const { leaseDuration, wait, retryDelay, reentrant, heartbeat = false } = { ...this.options, ...options }
+		const deadline = Date.now() + wait
+
+		while (true) {
+			const now = Date.now()
+			const update = new Update().set('owner', this.value(this.owner)).set('leaseExpires', this.value(now + leaseDuration))
+			const condition = or(
+				attributeNotExists(this.options.partitionKey),
+				lt('leaseExpires', this.value(now)),
+				reentrant && eq('owner', this.value(this.owner))
+			)
+
+			try {
+				const res = await this.db.update(
+					this.table,
+					this.keyOf(name),
+					increment().apply(update, ['token'], this.db.marshaller.enabled),
+					null,
+					null,
+					condition,
+					'ALL_NEW',
+					{ versioning: false }
+				)
+
+				const lock = new Lock(this, name, this.codec.fromItem(res.Attributes), leaseDuration)
+				this.logger.debug('Lock acquired', { lock: name, owner: this.owner, token: lock.token })
+				if (heartbeat) lock.startHeartbeat(heartbeat === true ? {} : heartbeat)
+				return lock
+			} catch (error) {
+				if (!(error instanceof ConditionFailedError)) throw error
+				if (Date.now() + retryDelay > deadline) {
+					this.logger.info('Lock held by another owner', { lock: name })
+					throw new LockHeldError(name, { cause: error })
+				}
+				await sleep(retryDelay)
+			}
+		}
+	}
+
+	/**
+	 * Run a function while holding a lock, renewed in the background, and release the lock afterwards.
+	 *
+	 * @param {string} name - The name of the lock.
+	 * @param {Function} fn - Async function receiving the lock.
+	 * @param {Object} [options={}] - The options of acquire. The heartbeat is on by default.
+	 * @returns {Promise<*>} - The result of the function.
+	 * @throws {HttpError} - Throws the errors of acquire and of the function. A lock lost in the meantime fails the call once the function returns.
+	 */
+	async withLock(name, fn, options = {}) {
+		const lock = await this.acquire(name, { heartbeat: true, ...options })
+		try {
+			const result = await fn(lock)
+			if (lock.lost) throw lock.lost
+			return result
+		} finally {
+			if (lock.lost) lock.stopHeartbeat()
+			else await lock.release()
+		}
+	}
+
+	/**
+	 * Renew or release a lock, on the condition that it is still held by its owner with the same fencing token.
+	 *
+	 * @param {Lock} lock - The lock.
+	 * @param {Function|null} change - Adds the changes of a renewal to an update, null to delete the lock item.
+	 * @param {string} action - 'renew' or 'release', for the messages.
+	 * @returns {Promise<void>}
+	 * @throws {LockLostError} - Throws a 409 LockLostError if the condition fails.
+	 */
+	async write(lock, change, action) {
+		const condition = and(eq('owner', this.value(lock.owner)), eq('token', this.value(lock.token)))
+
+		try {
+			if (change) {
+				await this.db.update(this.table, this.keyOf(lock.name), change(new Update()), null, null, condition, 'NONE', { versioning: false })
+			} else {
+				await this.db.delete(this.table, this.keyOf(lock.name), condition, { versioning: false })
+			}
+		} catch (error) {
+			if (!(error instanceof ConditionFailedError)) throw error
+			this.logger.warn(`Lock lost before ${action}`, { lock: lock.name, owner: lock.owner })
+			throw new LockLostError(lock.name, action, { cause: error })
+		}
+	}
+}
+
+module.exports = { DEFAULT_LOCK_OPTIONS, Lock, LockManager }
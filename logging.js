@@ -0,0 +1,26 @@
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+const noop = () => {}
+
+// Logger used in dev mode, printing every level to the console like the dev flag always did
+const consoleLogger = {
+	debug: (message, fields) => (fields ? console.log(message, fields) : console.log(message)),
+	info: (message, fields) => (fields ? console.log(message, fields) : console.log(message)),
+	warn: (message, fields) => (fields ? console.warn(message, fields) : console.warn(message)),
+	error: (message, fields) => (fields ? console.error(message, fields) : console.error(message)),
+}
+
+/**
+ * Create the logger of a DynamoDB instance. Each entry is logged as `logger[level](message, fields)`, with the structured
+ * data of the entry in `fields`, as console and winston expect. Loggers taking the fields first, like pino, need a wrapper.
+ *
+ * @param {Object|null} logger - A logger with debug, info, warn and error methods. Missing methods are ignored.
+ * @param {boolean} dev - Log to the console when no logger is given.
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - The logger.
+ */
+function createLogger(logger, dev) {
+	if (!logger) return dev ? consoleLogger : Object.fromEntries(LEVELS.map((level) => [level, noop]))
+	return Object.fromEntries(LEVELS.map((level) => [level, typeof logger[level] === 'function' ? logger[level].bind(logger) : noop]))
+}
+
+module.exports = { createLogger }
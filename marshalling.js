@@ -0,0 +1,56 @@
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb')
+
+const DEFAULT_OPTIONS = {
+	convertEmptyValues: false, // Store empty strings, sets and buffers as NULL instead of keeping them
+	removeUndefinedValues: true, // Drop undefined values instead of rejecting the item
+	allowImpreciseNumbers: false, // Reject numbers that would lose precision instead of rounding them
+	wrapNumbers: false, // Read numbers as NumberValue (true) or through a custom function instead of number/BigInt
+}
+
+/**
+ * Create the functions that convert items between native JavaScript values and DynamoDB AttributeValue maps.
+ * When marshalling is disabled both functions return their input unchanged, so callers can always use them.
+ *
+ * Numbers, BigInts, strings, booleans, null, Sets, Buffers/Uint8Arrays, arrays and plain objects are converted.
+ * Integers beyond Number.MAX_SAFE_INTEGER are read back as BigInt unless `wrapNumbers` is set.
+ *
+ * @param {boolean|Object} [options=false] - `true` to enable marshalling with the default options, an options object to customize it.
+ * @param {boolean} [options.convertEmptyValues=false] - Store empty strings, sets and buffers as NULL.
+ * @param {boolean} [options.removeUndefinedValues=true] - Drop undefined values instead of throwing.
+ * @param {boolean} [options.allowImpreciseNumbers=false] - Allow numbers that cannot be represented exactly.
+ * @param {boolean|Function} [options.wrapNumbers=false] - Read numbers as NumberValue, or convert them with a custom function.
+ * @returns {{ enabled: boolean, toItem: Function, fromItem: Function }} - The marshaller.
+ */
+function createMarshaller(options = false) {
+	if (!options) {
+		return {
+			enabled: false,
+			toItem: (item) => item,
+			fromItem: (item) => item,
+		}
+	}
+
+	const { convertEmptyValues, removeUndefinedValues, allowImpreciseNumbers, wrapNumbers } = {
+		...DEFAULT_OPTIONS,
+		...(options === true ? {} : options),
+	}
+
+	return {
+		enabled: true,
+		toItem: (item) => item && marshall(item, { convertEmptyValues, removeUndefinedValues, allowImpreciseNumbers }),
+		fromItem: (item) => item && unmarshall(item, { wrapNumbers }),
+	}
+}
+
+/**
+ * Create the marshaller of code working with native values on top of a DynamoDB instance, e.g. entities: it converts
+ * values to the AttributeValues the instance expects, or leaves them native when the instance marshalls them itself.
+ *
+ * @param {Object} db - The DynamoDB instance.
+ * @returns {{ enabled: boolean, toItem: Function, fromItem: Function }} - The marshaller.
+ */
+function createCodec(db) {
+	return createMarshaller(!db.marshaller.enabled)
+}
+
+module.exports = { createMarshaller, createCodec }
@@ -0,0 +1,315 @@
+const {
+	GetItemCommand,
+	PutItemCommand,
+	UpdateItemCommand,
+	QueryCommand,
+	ScanCommand,
+	BatchWriteItemCommand,
+	UpdateTableCommand,
+} = require('@aws-sdk/client-dynamodb')
+const MemoryBackend = require('./MemoryBackend')
+
+describe('MemoryBackend', () => {
+	let backend
+
+	beforeEach(() => {
+		backend = new MemoryBackend({
+			tables: [
+				{
+					TableName: 'orders',
+					KeySchema: [
+						{ AttributeName: 'customer', KeyType: 'HASH' },
+						{ AttributeName: 'orderId', KeyType: 'RANGE' },
+					],
+					AttributeDefinitions: [
+						{ AttributeName: 'customer', AttributeType: 'S' },
+						{ AttributeName: 'orderId', AttributeType: 'N' },
+						{ AttributeName: 'status', AttributeType: 'S' },
+					],
+					GlobalSecondaryIndexes: [
+						{
+							IndexName: 'status-index',
+							KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }],
+							Projection: { ProjectionType: 'KEYS_ONLY' },
+						},
+					],
+				},
+			],
+		})
+	})
+
+	const put = (item) => backend.send(new PutItemCommand({ TableName: 'orders', Item: item }))
+	const get = async (customer, orderId) => {
+		const res = await backend.send(new GetItemCommand({ TableName: 'orders', Key: { customer: { S: customer }, orderId: { N: String(orderId) } } }))
+		return res.Item
+	}
+
+	describe('conditions', () => {
+		beforeEach(async () => {
+			await put({ customer: { S: 'alice' }, orderId: { N: '1' }, total: { N: '30' }, tags: { SS: ['gift', 'rush'] }, note: { S: 'leave at door' } })
+		})
+
+		test.each([
+			['#t BETWEEN :low AND :high', { '#t': 'total' }, { ':low': { N: '10' }, ':high': { N: '30' } }, true],
+			['#t IN (:a, :b)', { '#t': 'total' }, { ':a': { N: '5' }, ':b': { N: '30' } }, true],
+			['begins_with(note, :prefix)', undefined, { ':prefix': { S: 'leave' } }, true],
+			['contains(tags, :tag) AND NOT contains(tags, :other)', undefined, { ':tag': { S: 'gift' }, ':other': { S: 'fragile' } }, true],
+			['size(tags) > :two OR attribute_not_exists(note)', undefined, { ':two': { N: '2' } }, false],
+			['attribute_type(total, :type)', undefined, { ':type': { S: 'N' } }, true],
+			['#t <> :total', { '#t': 'total' }, { ':total': { N: '30.0' } }, false],
+		])('evaluates %s', async (expression, names, values, expected) => {
+			const send = backend.send(
+				new PutItemCommand({
+					TableName: 'orders',
+					Item: { customer: { S: 'alice' }, orderId: { N: '1' } },
+					ConditionExpression: expression,
+					ExpressionAttributeNames: names,
+					ExpressionAttributeValues: values,
+				})
+			)
+
+			if (expected) {
+				await expect(send).resolves.toBeDefined()
+			} else {
+				await expect(send).rejects.toThrow('The conditional request failed')
+			}
+		})
+
+		test('rejects unused expression attribute values', async () => {
+			await expect(
+				backend.send(
+					new PutItemCommand({
+						TableName: 'orders',
+						Item: { customer: { S: 'alice' }, orderId: { N: '1' } },
+						ConditionExpression: 'attribute_exists(customer)',
+						ExpressionAttributeValues: { ':unused': { S: 'x' } },
+					})
+				)
+			).rejects.toMatchObject({ name: 'ValidationException' })
+		})
+	})
+
+	describe('updates', () => {
+		test('applies set, remove, add and delete actions', async () => {
+			await put({
+				customer: { S: 'bob' },
+				orderId: { N: '1' },
+				count: { N: '1' },
+				items: { L: [{ S: 'a' }, { S: 'b' }] },
+				tags: { SS: ['x', 'y'] },
+				address: { M: { city: { S: 'Oslo' } } },
+			})
+
+			const res = await backend.send(
+				new UpdateItemCommand({
+					TableName: 'orders',
+					Key: { customer: { S: 'bob' }, orderId: { N: '1' } },
+					UpdateExpression:
+						'SET #count = #count + :one, items = list_append(items, :more), address.zip = :zip, created = if_not_exists(created, :now) REMOVE items[0] ADD tags :tag DELETE tags :x',
+					ExpressionAttributeNames: { '#count': 'count' },
+					ExpressionAttributeValues: {
+						':one': { N: '1' },
+						':more': { L: [{ S: 'c' }] },
+						':zip': { S: '0150' },
+						':now': { N: '100' },
+						':tag': { SS: ['z'] },
+						':x': { SS: ['x'] },
+					},
+					ReturnValues: 'ALL_NEW',
+				})
+			)
+
+			expect(res.Attributes).toEqual({
+				customer: { S: 'bob' },
+				orderId: { N: '1' },
+				count: { N: '2' },
+				items: { L: [{ S: 'b' }, { S: 'c' }] },
+				tags: { SS: ['y', 'z'] },
+				address: { M: { city: { S: 'Oslo' }, zip: { S: '0150' } } },
+				created: { N: '100' },
+			})
+		})
+
+		test('refuses to update key attributes', async () => {
+			await expect(
+				backend.send(
+					new UpdateItemCommand({
+						TableName: 'orders',
+						Key: { customer: { S: 'bob' }, orderId: { N: '1' } },
+						UpdateExpression: 'SET orderId = :id',
+						ExpressionAttributeValues: { ':id': { N: '2' } },
+					})
+				)
+			).rejects.toThrow('This attribute is part of the key')
+		})
+
+		test('creates the item when it does not exist', async () => {
+			await backend.send(
+				new UpdateItemCommand({
+					TableName: 'orders',
+					Key: { customer: { S: 'carol' }, orderId: { N: '7' } },
+					UpdateExpression: 'ADD visits :one',
+					ExpressionAttributeValues: { ':one': { N: '1' } },
+				})
+			)
+
+			expect(await get('carol', 7)).toEqual({ customer: { S: 'carol' }, orderId: { N: '7' }, visits: { N: '1' } })
+		})
+	})
+
+	describe('reads', () => {
+		beforeEach(async () => {
+			await backend.send(
+				new BatchWriteItemCommand({
+					RequestItems: {
+						orders: [3, 1, 10, 2].map((orderId) => ({
+							PutRequest: { Item: { customer: { S: 'dave' }, orderId: { N: String(orderId) }, status: { S: orderId % 2 ? 'open' : 'shipped' } } },
+						})),
+					},
+				})
+			)
+		})
+
+		test('query returns items in sort key order and pages with LastEvaluatedKey', async () => {
+			const input = {
+				TableName: 'orders',
+				KeyConditionExpression: 'customer = :customer AND orderId >= :from',
+				ExpressionAttributeValues: { ':customer': { S: 'dave' }, ':from': { N: '2' } },
+				Limit: 2,
+			}
+
+			const first = await backend.send(new QueryCommand(input))
+			expect(first.Items.map((item) => item.orderId.N)).toEqual(['2', '3'])
+			expect(first.LastEvaluatedKey).toEqual({ customer: { S: 'dave' }, orderId: { N: '3' } })
+
+			const second = await backend.send(new QueryCommand({ ...input, ExclusiveStartKey: first.LastEvaluatedKey }))
+			expect(second.Items.map((item) => item.orderId.N)).toEqual(['10'])
+			expect(second.LastEvaluatedKey).toBeUndefined()
+		})
+
+		test('query can read in descending sort key order', async () => {
+			const res = await backend.send(
+				new QueryCommand({
+					TableName: 'orders',
+					KeyConditionExpression: 'customer = :customer',
+					ExpressionAttributeValues: { ':customer': { S: 'dave' } },
+					ScanIndexForward: false,
+				})
+			)
+			expect(res.Items.map((item) => item.orderId.N)).toEqual(['10', '3', '2', '1'])
+		})
+
+		test('query requires an equality on the partition key', async () => {
+			await expect(
+				backend.send(
+					new QueryCommand({
+						TableName: 'orders',
+						KeyConditionExpression: 'orderId = :id',
+						ExpressionAttributeValues: { ':id': { N: '1' } },
+					})
+				)
+			).rejects.toThrow('Query condition missed key schema element')
+		})
+
+		test('query rejects key conditions in parentheses', async () => {
+			const query = (KeyConditionExpression) =>
+				backend.send(
+					new QueryCommand({
+						TableName: 'orders',
+						KeyConditionExpression,
+						ExpressionAttributeValues: { ':customer': { S: 'dave' }, ':id': { N: '2' } },
+					})
+				)
+
+			for (const expression of [
+				'(customer = :customer) AND orderId > :id',
+				'customer = :customer AND (orderId > :id)',
+				'(customer = :customer AND orderId > :id)',
+			]) {
+				await expect(query(expression)).rejects.toThrow('Invalid KeyConditionExpression: The expression has redundant parentheses')
+			}
+			expect((await query('customer = :customer AND orderId > :id')).Items.map((item) => item.orderId.N)).toEqual(['3', '10'])
+		})
+
+		test('index queries return the projected attributes', async () => {
+			const res = await backend.send(
+				new QueryCommand({
+					TableName: 'orders',
+					IndexName: 'status-index',
+					KeyConditionExpression: '#status = :status',
+					ExpressionAttributeNames: { '#status': 'status' },
+					ExpressionAttributeValues: { ':status': { S: 'shipped' } },
+				})
+			)
+
+			expect(res.Items).toEqual([
+				{ customer: { S: 'dave' }, orderId: { N: '2' }, status: { S: 'shipped' } },
+				{ customer: { S: 'dave' }, orderId: { N: '10' }, status: { S: 'shipped' } },
+			])
+		})
+
+		test('scan applies the filter after the limit', async () => {
+			const res = await backend.send(
+				new ScanCommand({
+					TableName: 'orders',
+					FilterExpression: '#status = :status',
+					ExpressionAttributeNames: { '#status': 'status' },
+					ExpressionAttributeValues: { ':status': { S: 'open' } },
+					ProjectionExpression: 'orderId',
+					Limit: 2,
+				})
+			)
+
+			expect(res.ScannedCount).toEqual(2)
+			expect(res.Items).toEqual([{ orderId: { N: '1' } }])
+		})
+	})
+
+	test('rejects batch writes over 25 requests', async () => {
+		const requests = Array.from({ length: 26 }, (_, index) => ({
+			PutRequest: { Item: { customer: { S: 'eve' }, orderId: { N: String(index) } } },
+		}))
+
+		await expect(backend.send(new BatchWriteItemCommand({ RequestItems: { orders: requests } }))).rejects.toThrow(
+			'Too many items requested for the BatchWriteItem call'
+		)
+	})
+
+	test('creates or deletes one index per table update', async () => {
+		const create = (IndexName) => ({
+			Create: { IndexName, KeySchema: [{ AttributeName: 'customer', KeyType: 'HASH' }], Projection: { ProjectionType: 'ALL' } },
+		})
+
+		await expect(
+			backend.send(new UpdateTableCommand({ TableName: 'orders', GlobalSecondaryIndexUpdates: [create('a-index'), create('b-index')] }))
+		).rejects.toMatchObject({ name: 'LimitExceededException' })
+
+		const res = await backend.send(
+			new UpdateTableCommand({ TableName: 'orders', GlobalSecondaryIndexUpdates: [{ Delete: { IndexName: 'status-index' } }] })
+		)
+		expect(res.TableDescription.GlobalSecondaryIndexes).toBeUndefined()
+	})
+
+	test('splits parallel scans in disjoint segments', async () => {
+		for (const customer of ['alice', 'bob', 'carol', 'dave', 'erin', 'frank']) {
+			await put({ customer: { S: customer }, orderId: { N: '1' } })
+			await put({ customer: { S: customer }, orderId: { N: '2' } })
+		}
+
+		const segments = await Promise.all([0, 1, 2].map((Segment) => backend.send(new ScanCommand({ TableName: 'orders', Segment, TotalSegments: 3 }))))
+		const keys = segments.flatMap((res) => res.Items.map((item) => `${item.customer.S}/${item.orderId.N}`))
+		expect(keys.sort()).toHaveLength(12)
+		expect(new Set(keys).size).toBe(12)
+
+		await expect(backend.send(new ScanCommand({ TableName: 'orders', Segment: 3, TotalSegments: 3 }))).rejects.toThrow(
+			'The Segment parameter is zero-based and must be less than parameter TotalSegments'
+		)
+		await expect(backend.send(new ScanCommand({ TableName: 'orders', Segment: 0 }))).rejects.toMatchObject({ name: 'ValidationException' })
+	})
+
+	test('rejects unknown tables', async () => {
+		await expect(backend.send(new GetItemCommand({ TableName: 'missing', Key: { id: { S: '1' } } }))).rejects.toMatchObject({
+			name: 'ResourceNotFoundException',
+		})
+	})
+})
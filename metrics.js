@@ -0,0 +1,128 @@
+// Operations that accept ReturnConsumedCapacity
+const CAPACITY_OPERATIONS = [
+	'GetItem',
+	'PutItem',
+	'UpdateItem',
+	'DeleteItem',
+	'BatchGetItem',
+	'BatchWriteItem',
+	'Query',
+	'Scan',
+	'TransactWriteItems',
+	'TransactGetItems',
+]
+
+/**
+ * List the tables a command targets.
+ *
+ * @param {Object} input - The command input.
+ * @returns {Array<string>} - The table names.
+ */
+function tablesOf(input) {
+	if (input.TableName) return [input.TableName]
+	if (input.RequestItems) return Object.keys(input.RequestItems)
+	if (input.TransactItems) {
+		return [...new Set(input.TransactItems.map((item) => Object.values(item)[0].TableName))]
+	}
+	return []
+}
+
+/**
+ * Count the items a command read or wrote.
+ *
+ * @param {string} operation - The operation name, e.g. 'Query'.
+ * @param {Object} input - The command input.
+ * @param {Object} output - The command output.
+ * @returns {number} - The number of items.
+ */
+function countItems(operation, input, output) {
+	switch (operation) {
+		case 'GetItem':
+			return output.Item ? 1 : 0
+		case 'PutItem':
+		case 'UpdateItem':
+		case 'DeleteItem':
+			return 1
+		case 'Query':
+		case 'Scan':
+			return output.Count !== undefined ? output.Count : (output.Items || []).length
+		case 'BatchGetItem':
+			return Object.values(output.Responses || {}).reduce((total, items) => total + items.length, 0)
+		case 'BatchWriteItem': {
+			const count = (requests) => Object.values(requests || {}).reduce((total, entries) => total + entries.length, 0)
+			return count(input.RequestItems) - count(output.UnprocessedItems)
+		}
+		case 'TransactWriteItems':
+			return input.TransactItems.filter((item) => !item.ConditionCheck).length
+		case 'TransactGetItems':
+			return (output.Responses || []).filter((response) => response.Item).length
+		default:
+			return 0
+	}
+}
+
+/**
+ * Add up the capacity units reported by a command, whether it returned a single ConsumedCapacity or one per table.
+ *
+ * @param {Object|Array|undefined} consumed - The ConsumedCapacity of the output.
+ * @returns {number} - The capacity units, 0 if none were returned.
+ */
+function capacityUnits(consumed) {
+	return [].concat(consumed || []).reduce((total, capacity) => total + (capacity.CapacityUnits || 0), 0)
+}
+
+/**
+ * Aggregates the samples recorded for every command, by table and operation.
+ */
+class MetricsCollector {
+	constructor() {
+		this.entries = new Map()
+	}
+
+	/**
+	 * Add a sample to the totals of its table and operation.
+	 *
+	 * @param {Object} sample - The sample, see DynamoDB#send.
+	 */
+	record(sample) {
+		const key = `${sample.table}\u0000${sample.operation}`
+		if (!this.entries.has(key)) {
+			this.entries.set(key, {
+				table: sample.table,
+				operation: sample.operation,
+				requests: 0,
+				errors: 0,
+				totalLatency: 0,
+				maxLatency: 0,
+				consumedCapacity: 0,
+				items: 0,
+				retries: 0,
+			})
+		}
+
+		const entry = this.entries.get(key)
+		entry.requests++
+		if (sample.error) entry.errors++
+		entry.totalLatency += sample.latency
+		entry.maxLatency = Math.max(entry.maxLatency, sample.latency)
+		entry.consumedCapacity += sample.consumedCapacity
+		entry.items += sample.items
+		entry.retries += sample.retries + (sample.retry ? 1 : 0) // Retries of the SDK, and requests resent by batch retries
+	}
+
+	/**
+	 * Get the totals recorded so far.
+	 *
+	 * @returns {Array<Object>} - One entry per table and operation, with `requests`, `errors`, `totalLatency`, `averageLatency`,
+	 * `maxLatency` (in milliseconds), `consumedCapacity`, `items` and `retries`.
+	 */
+	snapshot() {
+		return [...this.entries.values()].map((entry) => ({ ...entry, averageLatency: entry.totalLatency / entry.requests }))
+	}
+
+	reset() {
+		this.entries.clear()
+	}
+}
+
+module.exports = { CAPACITY_OPERATIONS, tablesOf, countItems, capacityUnits, MetricsCollector }
@@ -0,0 +1,264 @@
+/**
+ * Table name namespacing: methods take logical table names, mapped to the physical tables requests are sent to by
+ * aliases, a prefix and a suffix (e.g. 'dev-'), and optionally by tenant, either to tables of their own or to a shared
+ * table whose partition keys are prefixed with the tenant.
+ */
+const { ValidationError } = require('./errors')
+const { ExpressionContext, beginsWith } = require('./expressionBuilder')
+const { createContext, parseCondition } = require('./expressionEngine')
+
+const DEFAULT_TABLE_NAMES = {
+	prefix: '', // Added to the name of every table, e.g. 'dev-'
+	suffix: '', // Added after the name of every table, e.g. '-v2'
+	aliases: {}, // Physical names by logical name, prefixed and suffixed like any other name
+}
+
+/**
+ * Read the `tableNames` option.
+ *
+ * @param {string|Object} [settings] - The prefix, or `{ prefix, suffix, aliases }`.
+ * @returns {Object} - The settings.
+ */
+function parseTableNames(settings = {}) {
+	return { ...DEFAULT_TABLE_NAMES, ...(typeof settings === 'string' ? { prefix: settings } : settings) }
+}
+
+// Add the tenant prefix to the partition key of a key or an item
+function prefixKey(route, item) {
+	if (!route.prefix || !item) return item
+	const value = item[route.partitionKey]
+	if (!value) return item
+	if (value.S === undefined)
+		throw new ValidationError(`The partition key ${route.partitionKey} of ${route.logical} must be a string to be prefixed by tenant`)
+	return { ...item, [route.partitionKey]: { S: `${route.prefix}${value.S}` } }
+}
+
+// Remove the tenant prefix from the partition key of a key or an item read back
+function stripKey(route, item) {
+	if (!route.prefix || !item) return item
+	const value = item[route.partitionKey]
+	if (!value || value.S === undefined || !value.S.startsWith(route.prefix)) return item
+	return { ...item, [route.partitionKey]: { S: value.S.slice(route.prefix.length) } }
+}
+
+// Map the responses or unprocessed requests of a batch, by table, renaming the tables
+function mapTables(requests, rename, map) {
+	return Object.fromEntries(Object.entries(requests).map(([table, request]) => [rename(table), map(table, request)]))
+}
+
+// Map the keys and items of a batch write request
+function mapWriteRequest(request, map) {
+	if (request.PutRequest) return { PutRequest: { ...request.PutRequest, Item: map(request.PutRequest.Item) } }
+	return { DeleteRequest: { ...request.DeleteRequest, Key: map(request.DeleteRequest.Key) } }
+}
+
+// Find the placeholder of the value a key condition compares the partition key to, if it does
+function partitionKeyValue(params, attribute) {
+	let condition
+	try {
+		condition = parseCondition(params.KeyConditionExpression, createContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues))
+	} catch (error) {
+		return null // DynamoDB reports invalid expressions
+	}
+
+	const find = (node) => {
+		if (node.type === 'and') return find(node.left) || find(node.right)
+		if (node.type !== 'compare' || node.operator !== '=') return null
+		const [path, value] = node.left.type === 'path' ? [node.left, node.right] : [node.right, node.left]
+		if (path.type !== 'path' || value.type !== 'value' || path.path.length !== 1 || path.path[0] !== attribute) return null
+		return Object.keys(params.ExpressionAttributeValues).find((placeholder) => params.ExpressionAttributeValues[placeholder] === value.value)
+	}
+	return find(condition)
+}
+
+/**
+ * Keep a query or scan within the partitions of a tenant: prefix the partition key of the key condition when there is
+ * one, and otherwise (scans, and queries of indexes keyed on other attributes) filter on the prefix.
+ *
+ * @param {Object} route - The route of the table.
+ * @param {Object} params - The QueryCommand or ScanCommand input.
+ * @returns {Object} - The input, scoped to the tenant.
+ */
+function scopeRead(route, params) {
+	const scoped = { ...params, ExclusiveStartKey: prefixKey(route, params.ExclusiveStartKey) }
+	if (!params.ExclusiveStartKey) delete scoped.ExclusiveStartKey
+
+	const placeholder = params.KeyConditionExpression && partitionKeyValue(params, route.partitionKey)
+	if (placeholder) {
+		const values = { ...params.ExpressionAttributeValues }
+		values[placeholder] = prefixKey(route, { [route.partitionKey]: values[placeholder] })[route.partitionKey]
+		return { ...scoped, ExpressionAttributeValues: values }
+	}
+
+	const context = new ExpressionContext(params.ExpressionAttributeNames, params.ExpressionAttributeValues)
+	const check = beginsWith(route.partitionKey, { S: route.prefix }).build(context)
+	scoped.FilterExpression = params.FilterExpression ? `(${params.FilterExpression}) AND ${check}` : check
+	scoped.ExpressionAttributeNames = { ...params.ExpressionAttributeNames, ...context.names }
+	scoped.ExpressionAttributeValues = { ...params.ExpressionAttributeValues, ...context.values }
+	return scoped
+}
+
+/**
+ * Maps the logical table names of requests to physical ones, and back in their responses. Requests are copied, never
+ * changed in place, so methods can keep using their parameters after sending them.
+ */
+class TableRouter {
+	/**
+	 * @param {Object} tableNames - The settings of the `tableNames` option, see parseTableNames.
+	 * @param {Function|null} resolver - Called as `(tenant, table)` with the logical name of every table a tenant uses. Returns
+	 * `{ table }` to send the requests to a table of the tenant, `{ partitionKey, prefix }` to prefix the partition key attribute
+	 * of a shared table, both, or null to use the table as it is.
+	 * @param {*} [tenant] - The tenant requests are made for, none by default.
+	 */
+	constructor(tableNames, resolver, tenant = undefined) {
+		this.tableNames = tableNames
+		this.resolver = resolver
+		this.tenant = tenant
+	}
+
+	/**
+	 * Create the router of a tenant, with the same settings.
+	 *
+	 * @param {*} tenant - The tenant, e.g. its id.
+	 * @returns {TableRouter} - The router.
+	 * @throws {TypeError} - Throws if there is no tenant resolver.
+	 */
+	forTenant(tenant) {
+		if (!this.resolver) throw new TypeError('Routing requests by tenant needs the tenantResolver option')
+		return new TableRouter(this.tableNames, this.resolver, tenant)
+	}
+
+	/**
+	 * Resolve a logical table name.
+	 *
+	 * @param {string} table - The logical name.
+	 * @returns {{table: string, partitionKey: string|undefined, prefix: string|undefined}} - The physical name, and the partition
+	 * key attribute and its prefix when the tenant shares the table.
+	 * @throws {TypeError} - Throws if the resolver returns a prefix without the partition key attribute.
+	 */
+	resolve(table) {
+		const { prefix, suffix, aliases } = this.tableNames
+		const route = (this.tenant !== undefined && this.resolver(this.tenant, table)) || {}
+		if (route.prefix && !route.partitionKey) throw new TypeError(`The tenant prefix of ${table} needs the partition key attribute`)
+
+		const name = route.table || aliases[table] || table
+		return { table: `${prefix}${name}${suffix}`, partitionKey: route.partitionKey, prefix: route.prefix }
+	}
+
+	/**
+	 * Route the input of a command.
+	 *
+	 * @param {string} operation - The operation, e.g. 'Query'.
+	 * @param {Object} input - The command input, with logical table names.
+	 * @returns {{input: Object, routes: Map<string, Object>}} - The input to send, and the routes of its tables by physical name,
+	 * each with the `logical` name, to route the output back.
+	 */
+	routeInput(operation, input) {
+		const routes = new Map()
+		const resolve = (logical) => {
+			const route = { ...this.resolve(logical), logical }
+			routes.set(route.table, route)
+			return route
+		}
+		const routed = { ...input }
+
+		if (input.TableName) {
+			const route = resolve(input.TableName)
+			routed.TableName = route.table
+			if (route.prefix) {
+				if (input.Key) routed.Key = prefixKey(route, input.Key)
+				if (input.Item) routed.Item = prefixKey(route, input.Item)
+				if (operation === 'Query' || operation === 'Scan') Object.assign(routed, scopeRead(route, input))
+			}
+		}
+
+		if (input.RequestItems) {
+			routed.RequestItems = {}
+			for (const [table, request] of Object.entries(input.RequestItems)) {
+				const route = resolve(table)
+				const map = (key) => prefixKey(route, key)
+				routed.RequestItems[route.table] = Array.isArray(request)
+					? request.map((entry) => mapWriteRequest(entry, map))
+					: { ...request, Keys: request.Keys.map(map) }
+			}
+		}
+
+		if (input.TransactItems) {
+			routed.TransactItems = input.TransactItems.map((entry) => {
+				const [type, request] = Object.entries(entry)[0]
+				const route = resolve(request.TableName)
+				const mapped = { ...request, TableName: route.table }
+				if (request.Key) mapped.Key = prefixKey(route, request.Key)
+				if (request.Item) mapped.Item = prefixKey(route, request.Item)
+				return { [type]: mapped }
+			})
+		}
+
+		return { input: routed, routes }
+	}
+
+	/**
+	 * Route the output of a command back: logical table names, and partition keys without the tenant prefix.
+	 *
+	 * @param {Object} input - The command input, as sent.
+	 * @param {Object} output - The command output.
+	 * @param {Map<string, Object>} routes - The routes returned by routeInput.
+	 * @returns {Object} - The output, with the items and keys the methods expect.
+	 */
+	routeOutput(input, output, routes) {
+		const routed = { ...output }
+		const logical = (table) => (routes.has(table) ? routes.get(table).logical : table)
+		const strip = (table) => (item) => (routes.has(table) ? stripKey(routes.get(table), item) : item)
+
+		if (input.TableName) {
+			const map = strip(input.TableName)
+			if (output.Item) routed.Item = map(output.Item)
+			if (output.Attributes) routed.Attributes = map(output.Attributes)
+			if (output.Items) routed.Items = output.Items.map(map)
+			if (output.LastEvaluatedKey) routed.LastEvaluatedKey = map(output.LastEvaluatedKey)
+		}
+
+		if (output.Responses && input.TransactItems) {
+			routed.Responses = output.Responses.map((response, index) => {
+				const { TableName } = Object.values(input.TransactItems[index])[0]
+				return response && response.Item ? { ...response, Item: strip(TableName)(response.Item) } : response
+			})
+		} else if (output.Responses) {
+			routed.Responses = mapTables(output.Responses, logical, (table, items) => items.map(strip(table)))
+		}
+		if (output.UnprocessedKeys) {
+			routed.UnprocessedKeys = mapTables(output.UnprocessedKeys, logical, (table, request) => ({ ...request, Keys: request.Keys.map(strip(table)) }))
+		}
+		if (output.UnprocessedItems) {
+			routed.UnprocessedItems = mapTables(output.UnprocessedItems, logical, (table, requests) =>
+				requests.map((request) => mapWriteRequest(request, strip(table)))
+			)
+		}
+
+		return routed
+	}
+
+	/**
+	 * Route the items of a failed command back, as routeOutput does: the current item returned by a failed condition, and those
+	 * of the cancellation reasons of a transaction. Errors are changed in place, to keep their class.
+	 *
+	 * @param {Object} input - The command input, as sent.
+	 * @param {Error} error - The error of the command.
+	 * @param {Map<string, Object>} routes - The routes returned by routeInput.
+	 * @returns {Error} - The error, with the items the methods expect.
+	 */
+	routeError(input, error, routes) {
+		const strip = (table) => (item) => (routes.has(table) ? stripKey(routes.get(table), item) : item)
+
+		if (input.TableName && error.Item) error.Item = strip(input.TableName)(error.Item)
+		if (input.TransactItems && Array.isArray(error.CancellationReasons)) {
+			error.CancellationReasons = error.CancellationReasons.map((reason, index) => {
+				const request = input.TransactItems[index] && Object.values(input.TransactItems[index])[0]
+				return reason && reason.Item && request ? { ...reason, Item: strip(request.TableName)(reason.Item) } : reason
+			})
+		}
+		return error
+	}
+}
+
+module.exports = { DEFAULT_TABLE_NAMES, parseTableNames, TableRouter }
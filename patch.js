@@ -0,0 +1,270 @@
+/**
+ * Turn plain objects of changes into update expressions, for DynamoDB#patch.
+ *
+ * Each attribute of the changes is set to its value, removed when the value is undefined or null, or changed atomically
+ * with a marker: `increment(5)`, `append([item])`, `addToSet(new Set(['a']))`, `ifNotExists(0)`... Attribute names may be
+ * paths (`'address.city'`), and with marshalling enabled, nested objects update the attributes of the map they stand for
+ * instead of replacing it (use `replace()` to replace a map).
+ */
+const { isDeepStrictEqual } = require('util')
+const { Update, parsePath } = require('./expressionBuilder')
+
+/**
+ * A change other than setting a value, applied to the update of its path.
+ */
+class PatchMarker {
+	/**
+	 * @param {Function} apply - Receives the update, the path and whether values are native, and returns the update with the change added.
+	 * @param {Function} [initial] - Receives whether values are native, and returns the value the change gives a missing attribute,
+	 * undefined to leave it missing. Used for the attributes of the maps createMissingMaps creates.
+	 */
+	constructor(apply, initial = () => undefined) {
+		this.apply = apply
+		this.initial = initial
+	}
+}
+
+// A number in the same form as the other values: native when marshalling, an AttributeValue otherwise
+function numberValue(number, native) {
+	return native ? number : { N: String(number) }
+}
+
+/**
+ * Add a number to a numeric attribute, which starts from zero if it is missing. Works on nested attributes, unlike ADD.
+ *
+ * @param {number} [by=1] - The number to add, negative to subtract.
+ * @returns {PatchMarker} - The marker.
+ */
+function increment(by = 1) {
+	return new PatchMarker(
+		(update, path, native) =>
+			update.with('SET', (context) => {
+				const target = context.path(path)
+				return `${target} = if_not_exists(${target}, ${context.value(numberValue(0, native))}) + ${context.value(numberValue(by, native))}`
+			}),
+		(native) => numberValue(by, native)
+	)
+}
+
+/**
+ * Append elements to a list attribute, created if it is missing.
+ *
+ * @param {Array|Object} values - The elements, as a list.
+ * @returns {PatchMarker} - The marker.
+ */
+function append(values) {
+	return new PatchMarker(
+		(update, path) => update.listAppend(path, values),
+		() => values
+	)
+}
+
+/**
+ * Prepend elements to a list attribute, created if it is missing.
+ *
+ * @param {Array|Object} values - The elements, as a list.
+ * @returns {PatchMarker} - The marker.
+ */
+function prepend(values) {
+	return new PatchMarker(
+		(update, path) => update.listAppend(path, values, { prepend: true }),
+		() => values
+	)
+}
+
+/**
+ * Add elements to a set attribute, created if it is missing. DynamoDB only supports it on top-level attributes.
+ *
+ * @param {Set|Object} values - The elements, as a set.
+ * @returns {PatchMarker} - The marker.
+ */
+function addToSet(values) {
+	return new PatchMarker(
+		(update, path) => update.add(path, values),
+		() => values
+	)
+}
+
+/**
+ * Delete elements from a set attribute. DynamoDB only supports it on top-level attributes.
+ *
+ * @param {Set|Object} values - The elements, as a set.
+ * @returns {PatchMarker} - The marker.
+ */
+function removeFromSet(values) {
+	return new PatchMarker((update, path) => update.delete(path, values))
+}
+
+/**
+ * Set an attribute only if it does not exist yet.
+ *
+ * @param {*} value - The value.
+ * @returns {PatchMarker} - The marker.
+ */
+function ifNotExists(value) {
+	return new PatchMarker(
+		(update, path) => update.ifNotExists(path, value),
+		() => value
+	)
+}
+
+/**
+ * Set an attribute to a value as a whole, even a nested object that would otherwise update the attributes of a map.
+ *
+ * @param {*} value - The value.
+ * @returns {PatchMarker} - The marker.
+ */
+function replace(value) {
+	return new PatchMarker(
+		(update, path) => update.set(path, value),
+		() => value
+	)
+}
+
+function isPlainObject(value) {
+	return Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+function isRemoval(value) {
+	return value === undefined || value === null
+}
+
+function valueAt(item, segments) {
+	return segments.reduce((value, segment) => (isRemoval(value) ? undefined : value[segment]), item)
+}
+
+/**
+ * Keep only the changes that make a difference to an item read earlier. Nested objects are compared attribute by attribute,
+ * and replace the whole map when the item has none at their path.
+ *
+ * @param {Object} changes - The changes, see buildPatch.
+ * @param {Object} previous - The item the changes apply to.
+ * @param {boolean} native - Whether values are native, so that nested objects are maps and top-level paths can be followed.
+ * @param {boolean} [nested=false] - Whether the changes apply to a map, where names are always a single attribute.
+ * @returns {Object} - The changes that differ from the item.
+ */
+function prune(changes, previous, native, nested = false) {
+	const pruned = {}
+
+	Object.entries(changes).forEach(([name, value]) => {
+		const current = native && !nested ? valueAt(previous, parsePath(name)) : previous && previous[name]
+
+		if (value instanceof PatchMarker) {
+			pruned[name] = value
+		} else if (isRemoval(value)) {
+			if (!isRemoval(current)) pruned[name] = value
+		} else if (native && isPlainObject(value) && Object.keys(value).length) {
+			if (!isPlainObject(current)) {
+				pruned[name] = replace(value)
+			} else {
+				const changed = prune(value, current, native, true)
+				if (Object.keys(changed).length) pruned[name] = changed
+			}
+		} else if (!isDeepStrictEqual(value, current)) {
+			pruned[name] = value
+		}
+	})
+
+	return pruned
+}
+
+/**
+ * Work out the changes that turn an item into another: the attributes that changed, and the ones missing from the new item as removals.
+ *
+ * @param {Object} previous - The item as it was read.
+ * @param {Object} next - The item as it should be.
+ * @param {boolean} [native=true] - Whether values are native, so that nested objects are compared attribute by attribute.
+ * @returns {Object} - The changes, for DynamoDB#patch.
+ */
+function diff(previous, next, native = true) {
+	const removed = Object.keys(previous).filter((name) => !(name in next))
+	return prune({ ...next, ...Object.fromEntries(removed.map((name) => [name, undefined])) }, previous, native)
+}
+
+/**
+ * Build the update expression of an object of changes.
+ *
+ * @param {Object} changes - The changes: values to set, undefined or null to remove, markers, and with `native` nested objects for maps.
+ * @param {boolean} native - Whether values are native. AttributeValue maps are values like any other.
+ * @param {Update} [update=new Update()] - The update to add the actions to.
+ * @param {Array} [path=[]] - The path of the map the changes apply to.
+ * @returns {Update} - The update, without actions if there are no changes.
+ */
+function buildPatch(changes, native, update = new Update(), path = []) {
+	return Object.entries(changes).reduce((result, [name, value]) => {
+		// Top-level names may be paths; names nested in an object are always a single attribute
+		const target = path.length ? [...path, name] : parsePath(name)
+
+		if (value instanceof PatchMarker) return value.apply(result, target, native)
+		if (isRemoval(value)) return result.remove(target)
+		if (native && isPlainObject(value) && Object.keys(value).length) return buildPatch(value, native, result, target)
+		return result.set(target, value)
+	}, update)
+}
+
+// The map nested changes create: markers give the value they give a missing attribute, and removals leave nothing
+function newMap(changes, native) {
+	return Object.entries(changes).reduce((map, [name, value]) => {
+		let initial = value
+		if (value instanceof PatchMarker) initial = value.initial(native)
+		else if (isPlainObject(value)) initial = newMap(value, native)
+		return isRemoval(initial) ? map : { ...map, [name]: initial }
+	}, {})
+}
+
+/**
+ * Make the nested objects of changes replace the maps an item doesn't have, since DynamoDB cannot set an attribute of a
+ * missing map. Nested objects whose map exists still update its attributes. The markers of a replaced map become values,
+ * e.g. `increment(2)` becomes 2, and its removals are left out.
+ *
+ * @param {Object} changes - The changes, see buildPatch.
+ * @param {Object|null} item - The item the changes apply to, null if it doesn't exist.
+ * @param {boolean} native - Whether values are native. Only then are nested objects maps.
+ * @param {Array} [path=[]] - The path of the map the changes apply to.
+ * @returns {{changes: Object, created: Array<Array>}} - The changes, and the paths of the maps they create.
+ */
+function createMissingMaps(changes, item, native, path = []) {
+	const result = { changes: {}, created: [] }
+
+	Object.entries(changes).forEach(([name, value]) => {
+		const target = path.length ? [...path, name] : parsePath(name)
+		if (!native || !isPlainObject(value) || !Object.keys(value).length) {
+			result.changes[name] = value
+		} else if (!isPlainObject(valueAt(item, target))) {
+			result.changes[name] = replace(newMap(value, native))
+			result.created.push(target)
+		} else {
+			const nested = createMissingMaps(value, item, native, target)
+			result.changes[name] = nested.changes
+			result.created.push(...nested.created)
+		}
+	})
+
+	return result
+}
+
+/**
+ * Check whether an update has any action.
+ *
+ * @param {Update} update - The update.
+ * @returns {boolean} - True if the update changes something.
+ */
+function hasActions(update) {
+	return Object.values(update.actions).some((actions) => actions.length)
+}
+
+module.exports = {
+	PatchMarker,
+	increment,
+	append,
+	prepend,
+	addToSet,
+	removeFromSet,
+	ifNotExists,
+	replace,
+	prune,
+	diff,
+	buildPatch,
+	createMissingMaps,
+	hasActions,
+}
@@ -0,0 +1,99 @@
+const { sleep } = require('./batching')
+
+const EXPORT_FORMATS = ['ndjson', 'csv']
+
+/**
+ * Spaces out requests so that what they use stays under a rate, in requests or capacity units per second.
+ * Requests of a known cost reserve it before they are sent; usage only known afterwards is recorded with consume().
+ */
+class RateLimiter {
+	/**
+	 * @param {number} perSecond - The units allowed per second.
+	 */
+	constructor(perSecond) {
+		this.interval = 1000 / perSecond // Time in milliseconds one unit takes up
+		this.next = 0 // Time from which the next request may be sent
+	}
+
+	/**
+	 * Wait for the turn of a request, reserving the units it will use.
+	 *
+	 * @param {number} [units=0] - The units the request uses, if known in advance.
+	 * @returns {Promise<void>}
+	 */
+	async acquire(units = 0) {
+		const now = Date.now()
+		const start = Math.max(this.next, now)
+		this.next = start + units * this.interval
+		if (start > now) await sleep(start - now)
+	}
+
+	/**
+	 * Record the units a request used once they are known.
+	 *
+	 * @param {number} units - The units used.
+	 */
+	consume(units) {
+		this.next = Math.max(this.next, Date.now()) + units * this.interval
+	}
+}
+
+/**
+ * Convert an item to values JSON can hold: Sets become arrays, binary values base64 strings and BigInts strings.
+ *
+ * @param {*} value - An item or attribute value, as native values.
+ * @returns {*} - The value, ready for JSON.stringify.
+ */
+function plainValue(value) {
+	if (typeof value === 'bigint') return value.toString()
+	if (value instanceof Set) return [...value].map(plainValue)
+	if (value instanceof Uint8Array) return Buffer.from(value).toString('base64')
+	if (Array.isArray(value)) return value.map(plainValue)
+	if (value && typeof value === 'object') {
+		// NumberValue, read with the wrapNumbers option, keeps the number as a string
+		if (typeof value.value === 'string' && value.constructor && value.constructor.name === 'NumberValue') return value.value
+		return Object.fromEntries(Object.entries(value).map(([name, attribute]) => [name, plainValue(attribute)]))
+	}
+	return value
+}
+
+/**
+ * Write an item as a line of newline-delimited JSON.
+ *
+ * @param {Object} item - The item, as native values.
+ * @returns {string} - The line, with its line break.
+ */
+function ndjsonLine(item) {
+	return `${JSON.stringify(plainValue(item))}\n`
+}
+
+function csvCell(value) {
+	if (value === undefined || value === null) return ''
+	const plain = plainValue(value)
+	const text = typeof plain === 'object' ? JSON.stringify(plain) : String(plain)
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write values as a CSV row. Lists, maps and sets are written as JSON, missing values as empty cells.
+ *
+ * @param {Array} values - The values of the row, as native values.
+ * @returns {string} - The row, with its line break.
+ */
+function csvRow(values) {
+	return `${values.map(csvCell).join(',')}\r\n`
+}
+
+/**
+ * Pick the format of an export from the option or else the file extension.
+ *
+ * @param {string} file - The path of the file.
+ * @param {string} [format] - The format asked for, 'ndjson' or 'csv'.
+ * @returns {string|null} - The format, or null if it cannot be told or is not supported.
+ */
+function exportFormat(file, format) {
+	const chosen = (format || (/\.csv$/i.test(file) ? 'csv' : /\.(nd)?json(l)?$/i.test(file) ? 'ndjson' : '')).toLowerCase()
+	return EXPORT_FORMATS.includes(chosen) ? chosen : null
+}
+
+module.exports = { EXPORT_FORMATS, RateLimiter, plainValue, ndjsonLine, csvRow, exportFormat }
@@ -0,0 +1,147 @@
+/**
+ * Soft deletion: deleted items are marked with a timestamp instead of being removed, optionally with an expiry for
+ * DynamoDB TTL to reap them later, and reads hide them along with items whose TTL has passed but that are not reaped yet.
+ */
+const { Update, attr, attrOr, and, or, not, gt, attributeExists, attributeNotExists, attributeType } = require('./expressionBuilder')
+
+const DEFAULT_SOFT_DELETE_OPTIONS = {
+	attribute: 'deletedAt', // Attribute holding the time an item was deleted, as an ISO 8601 string
+	ttlAttribute: null, // TTL attribute of the table, in seconds since the epoch: items past it are hidden
+	retention: null, // Time in seconds deleted items are kept before their TTL expires, when there is a TTL attribute
+	previousTtlAttribute: 'previousTtl', // Attribute keeping the TTL an item had before a retention replaced it, given back by restore
+}
+
+/**
+ * Read the soft delete settings of a table from the `softDelete` option.
+ *
+ * @param {boolean|Object} [settings] - `true` for the defaults, or `{ attribute, ttlAttribute, retention, previousTtlAttribute }`.
+ * @returns {Object|null} - The settings, or null if the table deletes items permanently.
+ * @throws {TypeError} - Throws if a retention is given without a TTL attribute.
+ */
+function parseSoftDelete(settings) {
+	if (!settings) return null
+	const parsed = { ...DEFAULT_SOFT_DELETE_OPTIONS, ...(settings === true ? {} : settings) }
+	if (parsed.retention && !parsed.ttlAttribute) throw new TypeError('A soft delete retention needs the TTL attribute of the table')
+	return parsed
+}
+
+/**
+ * Check whether an item is soft deleted. A null deletion time doesn't count as deleted.
+ *
+ * @param {Object} settings - The soft delete settings of the table.
+ * @param {Object|undefined} item - The item, as AttributeValues.
+ * @returns {boolean} - True if the item is deleted.
+ */
+function isDeleted({ attribute }, item) {
+	return Boolean(item && item[attribute] && !item[attribute].NULL)
+}
+
+/**
+ * Check whether an item is hidden from reads: deleted, or past its TTL.
+ *
+ * @param {Object} settings - The soft delete settings of the table.
+ * @param {Object} item - The item, as AttributeValues.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {boolean} - True if the item is hidden.
+ */
+function isHidden(settings, item, now = Date.now()) {
+	if (isDeleted(settings, item)) return true
+	const { ttlAttribute } = settings
+	const expires = ttlAttribute && item[ttlAttribute] && item[ttlAttribute].N
+	return Boolean(expires) && Number(expires) * 1000 <= now
+}
+
+/**
+ * Build the condition that an item is soft deleted, or that it is not, the same way as isDeleted.
+ *
+ * @param {Object} settings - The soft delete settings of the table.
+ * @param {boolean} deleted - Whether the item must be deleted, or else not.
+ * @param {boolean} [native=false] - Whether values are native, or else AttributeValues.
+ * @returns {Condition} - The condition.
+ */
+function deletedCondition({ attribute }, deleted, native = false) {
+	const type = native ? 'NULL' : { S: 'NULL' }
+	return deleted
+		? and(attributeExists(attribute), not(attributeType(attribute, type)))
+		: or(attributeNotExists(attribute), attributeType(attribute, type))
+}
+
+/**
+ * Build the filter that keeps only the items reads show, the same ones as isHidden. Its values are AttributeValues.
+ *
+ * @param {Object} settings - The soft delete settings of the table.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Condition} - The condition.
+ */
+function visibleCondition(settings, now = Date.now()) {
+	const { ttlAttribute } = settings
+	return and(
+		deletedCondition(settings, false),
+		ttlAttribute && or(attributeNotExists(ttlAttribute), gt(ttlAttribute, { N: String(Math.floor(now / 1000)) }))
+	)
+}
+
+/**
+ * Build the update marking an item as deleted, which replaces a null deletion time. With a retention, the expiry replaces
+ * the TTL of the item, which is kept aside for restore. The update of an item deleted again keeps the time and the expiry
+ * of its first deletion instead: send each with the matching deletedCondition.
+ *
+ * @param {Object} settings - The soft delete settings of the table.
+ * @param {boolean} native - Whether values are native, or else AttributeValues.
+ * @param {boolean} [again=false] - Whether the item is already deleted.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Update} - The update.
+ */
+function markDeleted({ attribute, ttlAttribute, retention, previousTtlAttribute }, native, again = false, now = Date.now()) {
+	const deletedAt = new Date(now).toISOString()
+	const value = native ? deletedAt : { S: deletedAt }
+	const update = again ? new Update().ifNotExists(attribute, value) : new Update().set(attribute, value)
+	if (!retention) return update
+
+	const expires = Math.floor(now / 1000) + retention
+	const expiry = native ? expires : { N: String(expires) }
+	if (again) return update.ifNotExists(ttlAttribute, expiry)
+	// Operands read the item as it was before the update: the TTL kept aside is the previous one, or null if there was none
+	return update.set(ttlAttribute, expiry).set(previousTtlAttribute, attrOr(ttlAttribute, native ? null : { NULL: true }))
+}
+
+/**
+ * Build the update bringing a deleted item back, removing its deletion time. With a retention, the item gets back the TTL
+ * it had before it was deleted, or else loses the expiry of its deletion: send each with the matching previousTtlCondition.
+ *
+ * @param {Object} settings - The soft delete settings of the table.
+ * @param {boolean} [hadTtl=false] - Whether the item had a TTL before it was deleted.
+ * @returns {Update} - The update.
+ */
+function unmarkDeleted({ attribute, ttlAttribute, retention, previousTtlAttribute }, hadTtl = false) {
+	const update = new Update().remove(attribute)
+	if (!retention) return update
+	const expiry = hadTtl ? update.set(ttlAttribute, attr(previousTtlAttribute)) : update.remove(ttlAttribute)
+	return expiry.remove(previousTtlAttribute)
+}
+
+/**
+ * Build the condition that a deleted item had a TTL before it was deleted, or that it had none. Items deleted without
+ * a retention, or before the previous TTL was kept, had none.
+ *
+ * @param {Object} settings - The soft delete settings of the table.
+ * @param {boolean} hadTtl - Whether the item must have had a TTL, or else not.
+ * @param {boolean} [native=false] - Whether values are native, or else AttributeValues.
+ * @returns {Condition} - The condition.
+ */
+function previousTtlCondition({ previousTtlAttribute }, hadTtl, native = false) {
+	const check = attributeType(previousTtlAttribute, native ? 'N' : { S: 'N' })
+	return hadTtl ? check : not(check)
+}
+
+module.exports = {
+	DEFAULT_SOFT_DELETE_OPTIONS,
+	parseSoftDelete,
+	isDeleted,
+	isHidden,
+	deletedCondition,
+	visibleCondition,
+	markDeleted,
+	unmarkDeleted,
+	previousTtlCondition,
+}
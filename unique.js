@@ -0,0 +1,229 @@
+/**
+ * Unique constraints on attributes other than the key, enforced with guard items: for each unique value, an item whose
+ * key is made of the table, the field and the value is written to a guard table in the same transaction as the item,
+ * and fails it if it exists. Guards live in a table of their own so that reads of the item table never see them.
+ * Soft deleted items hold no unique values: deleting them releases their guards, and restoring them takes the guards back.
+ */
+const { ValidationError } = require('./errors')
+const { isDeleted } = require('./softDelete')
+
+const GUARD_PREFIX = 'UNIQUE#'
+const UPDATE_TOKEN = /[(),=+-]|[^\s(),=+-]+/g // Punctuation, or a keyword, function name, path or placeholder
+const UPDATE_CLAUSE = /^(SET|REMOVE|ADD|DELETE)$/i
+const DEFAULT_GUARD_KEY = 'id' // Partition key attribute of guard tables
+
+/**
+ * Read the unique constraints of a table from the `unique` option.
+ *
+ * @param {string} table - The name of the table.
+ * @param {Object} [constraint] - The constraints of the table: `{ keys, fields, table, partitionKey }`, the key attributes of the
+ * table, of any type, the unique fields, and the guard table, whose partition key attribute is a string, 'id' by default. Several
+ * tables can share a guard table.
+ * @param {Object|null} [softDelete=null] - The soft delete settings of the table, see parseSoftDelete.
+ * @returns {{name: string, keys: Array<string>, fields: Array<string>, table: string, partitionKey: string, softDelete: Object|null}|null} -
+ * The constraints, with the `name` of the table, or null if the table has none.
+ * @throws {TypeError} - Throws if the key attributes, the fields or the guard table are missing, or if the guard table is the table itself.
+ */
+function parseConstraint(table, constraint, softDelete = null) {
+	if (!constraint) return null
+	const { keys, fields, table: guardTable, partitionKey = DEFAULT_GUARD_KEY } = constraint
+	if (!Array.isArray(keys) || !keys.length || !Array.isArray(fields) || !fields.length) {
+		throw new TypeError('Unique constraints need the key attributes of the table and the unique fields')
+	}
+	if (!guardTable || guardTable === table) throw new TypeError(`The unique constraints of ${table} need a guard table of their own`)
+	return { name: table, keys, fields, table: guardTable, partitionKey, softDelete }
+}
+
+const NUMBER = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i
+
+/**
+ * Write a number in a canonical form, the same for equal numbers however they are written, e.g. '5' for '5.0', '05' and '0.5e1'.
+ * Digits are kept as text, since DynamoDB numbers are more precise than JavaScript ones.
+ *
+ * @param {string} text - The number, as DynamoDB accepts it.
+ * @returns {string} - The number in plain decimal notation, without leading or trailing zeros.
+ */
+function canonicalNumber(text) {
+	const match = NUMBER.exec(text.trim())
+	if (!match) return text
+	const [, sign, integer, fraction = '', exponent = '0'] = match
+
+	const digits = `${integer}${fraction}`
+	const significant = digits.replace(/^0+/, '').replace(/0+$/, '')
+	if (!significant) return '0'
+	// Position of the decimal point relative to the first significant digit
+	const point = integer.length + Number(exponent) - (digits.length - digits.replace(/^0+/, '').length)
+
+	let plain
+	if (point <= 0) plain = `0.${'0'.repeat(-point)}${significant}`
+	else if (point >= significant.length) plain = `${significant}${'0'.repeat(point - significant.length)}`
+	else plain = `${significant.slice(0, point)}.${significant.slice(point)}`
+	return sign === '-' ? `-${plain}` : plain
+}
+
+// The text of a unique value, the same for equal values. Scalars read as they are, numbers in canonical form, other types as JSON
+function valueText(value) {
+	if (value.S !== undefined) return value.S
+	if (value.N !== undefined) return canonicalNumber(value.N)
+	if (value.B !== undefined) return Buffer.from(value.B).toString('base64')
+	return JSON.stringify(value)
+}
+
+// The type of an AttributeValue, e.g. 'S' or 'N'
+function valueType(value) {
+	return Object.keys(value)[0]
+}
+
+/**
+ * Build the key of the guard item of a unique value, 'UNIQUE#<table>#<field>#<type>#<value>', e.g. 'UNIQUE#users#age#N#5'.
+ * Values of different types never share a guard, and equal numbers always do.
+ *
+ * @param {Object} constraint - The constraints of the table.
+ * @param {string} field - The unique field.
+ * @param {Object} value - The value, as an AttributeValue.
+ * @returns {Object} - The key of the guard item in the guard table, as AttributeValues.
+ */
+function guardKey({ name, partitionKey }, field, value) {
+	return { [partitionKey]: { S: `${GUARD_PREFIX}${name}#${field}#${valueType(value)}#${valueText(value)}` } }
+}
+
+// The unique values of an item, by field, skipping missing and null ones. Soft deleted items have none
+function uniqueValues({ fields, softDelete }, item) {
+	if (softDelete && isDeleted(softDelete, item)) return new Map()
+	return new Map(fields.filter((field) => item && item[field] && !item[field].NULL).map((field) => [field, item[field]]))
+}
+
+/**
+ * Split the update expression of UpdateItem parameters into its actions, without evaluating them. Each action has its
+ * `clause`, the top-level `attribute` it changes, whether it changes the attribute as a `whole` rather than a nested path
+ * or element of it, and its `tokens`.
+ *
+ * @param {Object} params - The command parameters, compiled.
+ * @returns {Array<{clause: string, attribute: string, whole: boolean, tokens: Array<string>}>} - The actions.
+ */
+function updateActions(params) {
+	const names = params.ExpressionAttributeNames || {}
+	const actions = []
+	let clause = null
+	let tokens = []
+	let depth = 0
+	const push = () => {
+		if (clause && tokens.length) {
+			const [path] = tokens
+			const [segment] = path.match(/^[^.[]+/) || [path]
+			actions.push({ clause, attribute: segment.startsWith('#') ? names[segment] : segment, whole: segment === path, tokens })
+		}
+		tokens = []
+	}
+
+	for (const token of params.UpdateExpression.match(UPDATE_TOKEN) || []) {
+		if (token === '(') depth++
+		if (token === ')') depth--
+		if (depth === 0 && UPDATE_CLAUSE.test(token)) {
+			push()
+			clause = token.toUpperCase()
+		} else if (depth === 0 && token === ',') {
+			push()
+		} else {
+			tokens.push(token)
+		}
+	}
+	push()
+	return actions
+}
+
+/**
+ * Work out the value an update leaves in an attribute, from the actions that change it. Only the forms writes of unique
+ * values and soft deletes use are understood: `SET a = :value`, `SET a = if_not_exists(a, :value)` and `REMOVE a`.
+ *
+ * @param {Array<Object>} actions - The actions of the update, see updateActions.
+ * @param {Object} params - The command parameters, compiled.
+ * @param {string} attribute - The attribute.
+ * @param {Object|undefined} current - The value before the update, as an AttributeValue.
+ * @returns {Object|undefined} - The value after the update, undefined if it is removed.
+ * @throws {ValidationError} - Throws if the update changes the attribute in any other way.
+ */
+function updatedValue(actions, params, attribute, current) {
+	const values = params.ExpressionAttributeValues || {}
+	return actions
+		.filter((action) => action.attribute === attribute)
+		.reduce((value, { clause, whole, tokens }) => {
+			const [path, equals, ...operand] = tokens
+			if (whole && clause === 'REMOVE' && tokens.length === 1) return undefined
+			if (whole && clause === 'SET' && equals === '=') {
+				if (operand.length === 1 && values[operand[0]]) return values[operand[0]]
+				const [name, open, target, comma, placeholder, close] = operand
+				const defaulted = name === 'if_not_exists' && open === '(' && target === path && comma === ',' && close === ')'
+				if (defaulted && operand.length === 6 && values[placeholder]) return value === undefined ? values[placeholder] : value
+			}
+			throw new ValidationError(`${attribute} can only be set to a value or removed by updates of a table with unique constraints`)
+		}, current)
+}
+
+/**
+ * Compute the attributes a write leaves in the item that unique constraints depend on: the unique fields, and the deletion
+ * time of soft deleted items. The other attributes are left as they were.
+ *
+ * @param {Object} constraint - The constraints of the table.
+ * @param {string} type - The write: 'Put', 'Update' or 'Delete'.
+ * @param {Object} params - The command parameters, compiled.
+ * @param {Object|undefined} current - The item before the write, as AttributeValues.
+ * @returns {Object|undefined} - The item after the write, undefined for a delete.
+ * @throws {ValidationError} - Throws if an update changes these attributes in a way updatedValue doesn't understand.
+ */
+function nextItem(constraint, type, params, current) {
+	if (type === 'Put') return params.Item
+	if (type === 'Delete') return undefined
+
+	const actions = updateActions(params)
+	const next = { ...(current || params.Key) }
+	const attributes = [...constraint.fields, ...(constraint.softDelete ? [constraint.softDelete.attribute] : [])]
+	attributes.forEach((attribute) => {
+		const value = updatedValue(actions, params, attribute, next[attribute])
+		if (value === undefined) delete next[attribute]
+		else next[attribute] = value
+	})
+	return next
+}
+
+/**
+ * Work out which guard items a write adds and removes.
+ *
+ * @param {Object} constraint - The constraints of the table.
+ * @param {Object|undefined} current - The item before the write, as AttributeValues.
+ * @param {Object|undefined} next - The item after the write, as AttributeValues.
+ * @returns {{added: Array<Object>, removed: Array<Object>}} - The guards, each as `{ field, key }`.
+ */
+function guardChanges(constraint, current, next) {
+	const before = uniqueValues(constraint, current)
+	const after = uniqueValues(constraint, next)
+	const guardOf = (values, field) => guardKey(constraint, field, values.get(field))[constraint.partitionKey].S
+	const differs = (values, others, field) => values.has(field) && (!others.has(field) || guardOf(values, field) !== guardOf(others, field))
+	const guards = (values, others) =>
+		constraint.fields
+			.filter((field) => differs(values, others, field))
+			.map((field) => ({ field, key: guardKey(constraint, field, values.get(field)) }))
+
+	return { added: guards(after, before), removed: guards(before, after) }
+}
+
+/**
+ * Pick the values an UpdateItem call returns, from the items before and after the update, as read.
+ *
+ * @param {string} returnValues - The ReturnValues of the update.
+ * @param {Object} params - The command parameters, compiled.
+ * @param {Object|undefined} current - The item before the update.
+ * @param {Object} next - The item after the update.
+ * @returns {Object|undefined} - The attributes to return, the whole top-level ones the update changed for UPDATED_NEW and UPDATED_OLD.
+ */
+function returnedAttributes(returnValues, params, current, next) {
+	if (returnValues === 'ALL_NEW') return next
+	if (returnValues === 'ALL_OLD') return current
+	if (returnValues !== 'UPDATED_NEW' && returnValues !== 'UPDATED_OLD') return undefined
+
+	const item = returnValues === 'UPDATED_NEW' ? next : current || {}
+	const names = [...new Set(updateActions(params).map((action) => action.attribute))].filter((name) => item[name] !== undefined)
+	return Object.fromEntries(names.map((name) => [name, item[name]]))
+}
+
+module.exports = { GUARD_PREFIX, DEFAULT_GUARD_KEY, parseConstraint, guardKey, nextItem, guardChanges, returnedAttributes }